@@ -10,6 +10,8 @@ const isDevServer = process.env.NODE_ENV !== "production";
 const config = {
   enableHealthCheck: process.env.ENABLE_HEALTH_CHECK === "true",
   enableVisualEdits: false, // Only enable during dev server
+  // server/transcriptionServer.js (`npm run transcription-server`) unless overridden
+  transcriptionServerUrl: process.env.TRANSCRIPTION_SERVER_URL || "http://localhost:4200",
 };
 
 // Conditionally load visual edits modules only in dev mode
@@ -42,6 +44,13 @@ const webpackConfig = {
       },
     },
   },
+  jest: {
+    configure: {
+      moduleNameMapper: {
+        '^@/(.*)$': '<rootDir>/src/$1',
+      },
+    },
+  },
   webpack: {
     alias: {
       '@': path.resolve(__dirname, 'src'),
@@ -83,6 +92,17 @@ webpackConfig.devServer = (devServerConfig) => {
     devServerConfig = setupDevServer(devServerConfig);
   }
 
+  // Forward transcription chunks to the transcription server, keeping the
+  // app's relative /api/transcription/chunk endpoint working in development
+  const transcriptionProxy = {
+    context: ["/api/transcription"],
+    target: config.transcriptionServerUrl,
+    changeOrigin: true,
+    ws: true, // /api/transcription/stream
+  };
+  // CRA passes its own proxy (package.json "proxy") as an array, or nothing
+  devServerConfig.proxy = [...(devServerConfig.proxy || []), transcriptionProxy];
+
   // Add health check endpoints if enabled
   if (config.enableHealthCheck && setupHealthEndpoints && healthPluginInstance) {
     const originalSetupMiddlewares = devServerConfig.setupMiddlewares;
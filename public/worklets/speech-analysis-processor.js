@@ -0,0 +1,151 @@
+// AudioWorklet processor for real-time speech analysis
+// Runs on the audio rendering thread: every render quantum (128 samples) is
+// measured and classified, so timing stays sample-accurate even when the tab
+// is backgrounded or the screen dims and requestAnimationFrame stops firing.
+//
+// Loaded by AudioAnalyzer (src/audio/speechAnalyzer.js) via audioWorklet.addModule().
+// Plain script — served as-is from public/, not bundled or transpiled.
+//
+// Posts one compact frame to the main thread every ~frameMs of audio:
+//   { type: 'frame', startMs, endMs, durationMs, speakingMs, silenceMs,
+//     rms, smoothedRms, speakingRms, isSpeaking, transitions, final }
+// transitions: [{ atMs, isSpeaking }] — exact quantum where classification flipped.
+// All times are ms of rendered audio since the processor started.
+// Guarantee: speakingMs + silenceMs = durationMs (per frame, and in total)
+//
+// Messages from the main thread:
+//   { type: 'thresholds', speechOnThreshold, speechOffThreshold, smoothingMs }
+//   { type: 'voiceGate', isVoiced } → spectral VAD verdict; speech = loud enough AND voiced
+//   { type: 'flush' } → posts the partial frame with final: true, then stops
+
+const DEFAULT_FRAME_MS = 33;
+const DEFAULT_SPEECH_ON = 0.01;
+const DEFAULT_SPEECH_OFF = 0.007;
+const DEFAULT_SMOOTHING_MS = 330;
+
+class SpeechAnalysisProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const opts = (options && options.processorOptions) || {};
+    this.frameMs = opts.frameMs || DEFAULT_FRAME_MS;
+    this.speechOnThreshold = DEFAULT_SPEECH_ON;
+    this.speechOffThreshold = DEFAULT_SPEECH_OFF;
+    this.smoothingMs = DEFAULT_SMOOTHING_MS;
+    this._setThresholds(opts);
+
+    this.window = [];
+    this.windowSum = 0;
+    this.smoothedRms = 0;
+    this.aboveThreshold = false;
+    this.voiceGate = true;
+    this.isSpeaking = false;
+    this.elapsedMs = 0;
+    this.stopped = false;
+    this._resetFrame();
+
+    this.port.onmessage = (event) => {
+      const msg = event.data || {};
+      if (msg.type === 'thresholds') {
+        this._setThresholds(msg);
+      } else if (msg.type === 'voiceGate') {
+        this.voiceGate = msg.isVoiced !== false;
+      } else if (msg.type === 'flush' && !this.stopped) {
+        this._postFrame(true);
+        this.stopped = true;
+      }
+    };
+  }
+
+  _setThresholds({ speechOnThreshold, speechOffThreshold, smoothingMs }) {
+    if (Number.isFinite(speechOnThreshold)) this.speechOnThreshold = speechOnThreshold;
+    if (Number.isFinite(speechOffThreshold)) this.speechOffThreshold = speechOffThreshold;
+    if (Number.isFinite(smoothingMs) && smoothingMs > 0) this.smoothingMs = smoothingMs;
+  }
+
+  _resetFrame() {
+    this.frame = {
+      startMs: this.elapsedMs,
+      durationMs: 0,
+      speakingMs: 0,
+      silenceMs: 0,
+      sumSquares: 0,
+      samples: 0,
+      speakingRmsSum: 0,
+      transitions: [],
+    };
+  }
+
+  _postFrame(final) {
+    const f = this.frame;
+    this.port.postMessage({
+      type: 'frame',
+      startMs: f.startMs,
+      endMs: this.elapsedMs,
+      durationMs: f.durationMs,
+      speakingMs: f.speakingMs,
+      silenceMs: f.silenceMs,
+      rms: f.samples > 0 ? Math.sqrt(f.sumSquares / f.samples) : 0,
+      smoothedRms: this.smoothedRms,
+      speakingRms: f.speakingMs > 0 ? f.speakingRmsSum / f.speakingMs : 0,
+      isSpeaking: this.isSpeaking,
+      transitions: f.transitions,
+      final,
+    });
+    this._resetFrame();
+  }
+
+  process(inputs) {
+    if (this.stopped) return false;
+
+    const channel = inputs[0] && inputs[0][0];
+    const length = channel ? channel.length : 128;
+    const quantumMs = (length / sampleRate) * 1000;
+
+    // RMS of this quantum (no input yet = silence)
+    let sumSquares = 0;
+    if (channel) {
+      for (let i = 0; i < length; i++) {
+        sumSquares += channel[i] * channel[i];
+      }
+    }
+    const rms = Math.sqrt(sumSquares / length);
+
+    // Smoothing over a fixed time window
+    const windowSize = Math.max(1, Math.round(this.smoothingMs / quantumMs));
+    this.window.push(rms);
+    this.windowSum += rms;
+    while (this.window.length > windowSize) {
+      this.windowSum -= this.window.shift();
+    }
+    this.smoothedRms = Math.max(0, this.windowSum / this.window.length);
+
+    // Hysteresis classification, gated by the VAD verdict
+    const wasSpeaking = this.isSpeaking;
+    this.aboveThreshold = this.aboveThreshold
+      ? this.smoothedRms > this.speechOffThreshold
+      : this.smoothedRms > this.speechOnThreshold;
+    this.isSpeaking = this.aboveThreshold && this.voiceGate;
+
+    const f = this.frame;
+    if (this.isSpeaking !== wasSpeaking) {
+      f.transitions.push({ atMs: this.elapsedMs, isSpeaking: this.isSpeaking });
+    }
+    if (this.isSpeaking) {
+      f.speakingMs += quantumMs;
+      f.speakingRmsSum += this.smoothedRms * quantumMs;
+    } else {
+      f.silenceMs += quantumMs;
+    }
+    f.sumSquares += sumSquares;
+    f.samples += length;
+    f.durationMs += quantumMs;
+    this.elapsedMs += quantumMs;
+
+    if (f.durationMs >= this.frameMs) {
+      this._postFrame(false);
+    }
+    return true;
+  }
+}
+
+registerProcessor('speech-analysis-processor', SpeechAnalysisProcessor);
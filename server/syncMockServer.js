@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+// No Pause — local stand-in for the sync server
+// Implements the protocol in src/analytics/syncAdapter.js so multi-device sync
+// can be exercised offline: run it, point two browsers (or two profiles) at it
+// with REACT_APP_SYNC_URL=http://localhost:4100 and practice on both.
+//
+//   node server/syncMockServer.js [--port 4100] [--data sync-data.json]
+//                                 [--fail-rate 0.2] [--latency 300]
+//
+// --data       persist to a JSON file between runs (in-memory otherwise)
+// --fail-rate  answer that share of requests with 503, to exercise backoff
+// --latency    delay every response by this many ms
+//
+// No dependencies — plain Node http.
+
+const http = require('http');
+const fs = require('fs');
+
+// Rollups aren't synced — clients rebuild them from the metrics. A deleted
+// record is kept as a tombstone ({ _deleted: true }) so other devices drop it too.
+const KEY_FIELDS = {
+    session_metrics: 'sessionId',
+};
+const MAX_PAGE = 500;
+
+function parseArgs(argv) {
+    const args = { port: Number(process.env.SYNC_PORT) || 4100, data: null, failRate: 0, latency: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port') { args.port = Number(value); i++; }
+        else if (argv[i] === '--data') { args.data = value; i++; }
+        else if (argv[i] === '--fail-rate') { args.failRate = Number(value); i++; }
+        else if (argv[i] === '--latency') { args.latency = Number(value); i++; }
+    }
+    return args;
+}
+
+// ── State ──
+// { seq, stores: { [store]: { [key]: record } } } — seq orders every accepted change
+
+function loadState(file) {
+    const empty = { seq: 0, stores: Object.fromEntries(Object.keys(KEY_FIELDS).map(s => [s, {}])) };
+    if (!file || !fs.existsSync(file)) return empty;
+    try {
+        return { ...empty, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (e) {
+        console.warn(`Could not read ${file}, starting empty:`, e.message);
+        return empty;
+    }
+}
+
+function saveState(file, state) {
+    if (file) fs.writeFileSync(file, JSON.stringify(state));
+}
+
+// Accept when the client edited our latest revision; otherwise the later
+// _updatedAt wins (ties keep ours) and the loser gets our copy back
+function pushRecords(state, storeName, records, deviceId) {
+    const keyField = KEY_FIELDS[storeName];
+    const store = state.stores[storeName];
+    const accepted = [];
+    const conflicts = [];
+
+    records.forEach((incoming) => {
+        const key = incoming[keyField];
+        if (key == null) return;
+        const stored = store[key];
+        const fastForward = !stored || (incoming._rev ?? 0) === stored._rev;
+        const newer = stored && (incoming._updatedAt || '') > (stored._updatedAt || '');
+
+        if (fastForward || newer) {
+            state.seq += 1;
+            const rev = (stored?._rev || 0) + 1;
+            store[key] = { ...incoming, _rev: rev, _seq: state.seq, _deviceId: deviceId };
+            accepted.push({ key, _rev: rev });
+        } else {
+            conflicts.push(stored);
+        }
+    });
+    return { accepted, conflicts };
+}
+
+function pullRecords(state, storeName, since, limit) {
+    const changed = Object.values(state.stores[storeName])
+        .filter(r => r._seq > since)
+        .sort((a, b) => a._seq - b._seq);
+    const page = changed.slice(0, limit);
+    return {
+        records: page,
+        cursor: page.length > 0 ? page[page.length - 1]._seq : since,
+        hasMore: changed.length > page.length,
+    };
+}
+
+// ── HTTP ──
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Device-Id',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', (chunk) => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function createServer({ data = null, failRate = 0, latency = 0 } = {}) {
+    const state = loadState(data);
+
+    return http.createServer(async (req, res) => {
+        if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency));
+        if (req.method === 'OPTIONS') return send(res, 204);
+
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/health') return send(res, 200, { ok: true, seq: state.seq });
+
+        const match = url.pathname.match(/^\/sync\/([a-z_]+)$/);
+        if (!match || !KEY_FIELDS[match[1]]) return send(res, 404, { error: 'Unknown store' });
+        if (Math.random() < failRate) return send(res, 503, { error: 'Simulated outage' });
+        const storeName = match[1];
+
+        if (req.method === 'GET') {
+            const since = Number(url.searchParams.get('since')) || 0;
+            const limit = Math.min(MAX_PAGE, Number(url.searchParams.get('limit')) || 100);
+            return send(res, 200, pullRecords(state, storeName, since, limit));
+        }
+
+        if (req.method === 'POST') {
+            let body;
+            try {
+                body = await readBody(req);
+            } catch {
+                return send(res, 400, { error: 'Body must be JSON' });
+            }
+            if (!Array.isArray(body.records)) return send(res, 400, { error: 'Expected { records: [] }' });
+            const result = pushRecords(state, storeName, body.records, req.headers['x-device-id'] || null);
+            saveState(data, state);
+            console.log(`${storeName}: ${result.accepted.length} accepted, ${result.conflicts.length} conflicts (${req.headers['x-device-id'] || 'unknown device'})`);
+            return send(res, 200, result);
+        }
+
+        return send(res, 405, { error: 'Method not allowed' });
+    });
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    createServer(args).listen(args.port, () => {
+        console.log(`Sync mock server on http://localhost:${args.port}${args.data ? ` (data: ${args.data})` : ''}`);
+    });
+}
+
+module.exports = { createServer, pushRecords, pullRecords };
@@ -0,0 +1,66 @@
+// node --test server/
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { pushRecords, pullRecords } = require('./syncMockServer');
+
+const emptyState = () => ({ seq: 0, stores: { session_metrics: {} } });
+const metric = (sessionId, fields = {}) => ({ sessionId, flowScore: 70, _updatedAt: '2024-05-01T10:00:00.000Z', ...fields });
+
+test('accepts new records and edits of the latest revision', () => {
+    const state = emptyState();
+    assert.deepEqual(pushRecords(state, 'session_metrics', [metric('s1')], 'phone'), {
+        accepted: [{ key: 's1', _rev: 1 }],
+        conflicts: [],
+    });
+
+    const edit = metric('s1', { flowScore: 80, _rev: 1, _updatedAt: '2024-05-01T09:00:00.000Z' });
+    assert.deepEqual(pushRecords(state, 'session_metrics', [edit], 'laptop').accepted, [{ key: 's1', _rev: 2 }]);
+    assert.equal(state.stores.session_metrics.s1.flowScore, 80);
+    assert.equal(state.stores.session_metrics.s1._deviceId, 'laptop');
+});
+
+test('resolves a stale revision by _updatedAt and returns the loser its copy', () => {
+    const state = emptyState();
+    pushRecords(state, 'session_metrics', [metric('s1')], 'phone');
+    pushRecords(state, 'session_metrics', [metric('s1', { flowScore: 75, _rev: 1, _updatedAt: '2024-05-01T11:00:00.000Z' })], 'phone');
+
+    const older = metric('s1', { flowScore: 10, _rev: 1, _updatedAt: '2024-05-01T10:30:00.000Z' });
+    const { accepted, conflicts } = pushRecords(state, 'session_metrics', [older], 'laptop');
+    assert.deepEqual(accepted, []);
+    assert.equal(conflicts[0].flowScore, 75);
+
+    const newer = metric('s1', { flowScore: 90, _rev: 1, _updatedAt: '2024-05-01T12:00:00.000Z' });
+    assert.deepEqual(pushRecords(state, 'session_metrics', [newer], 'laptop').accepted, [{ key: 's1', _rev: 3 }]);
+});
+
+test('keeps a deletion as a tombstone other devices pull', () => {
+    const state = emptyState();
+    pushRecords(state, 'session_metrics', [metric('s1')], 'phone');
+    const { cursor } = pullRecords(state, 'session_metrics', 0, 100);
+
+    const tombstone = { sessionId: 's1', _deleted: true, _rev: 1, _updatedAt: '2024-05-02T10:00:00.000Z' };
+    pushRecords(state, 'session_metrics', [tombstone], 'phone');
+    const { records } = pullRecords(state, 'session_metrics', cursor, 100);
+    assert.equal(records.length, 1);
+    assert.equal(records[0]._deleted, true);
+});
+
+test('pages through changes in the order they were made', () => {
+    const state = emptyState();
+    pushRecords(state, 'session_metrics', ['s1', 's2', 's3'].map(id => metric(id)), 'phone');
+
+    const first = pullRecords(state, 'session_metrics', 0, 2);
+    assert.deepEqual(first.records.map(r => r.sessionId), ['s1', 's2']);
+    assert.equal(first.hasMore, true);
+
+    const second = pullRecords(state, 'session_metrics', first.cursor, 2);
+    assert.deepEqual(second.records.map(r => r.sessionId), ['s3']);
+    assert.equal(second.hasMore, false);
+
+    assert.deepEqual(pullRecords(state, 'session_metrics', second.cursor, 2), { records: [], cursor: second.cursor, hasMore: false });
+});
+
+test('skips records without a key', () => {
+    const state = emptyState();
+    assert.deepEqual(pushRecords(state, 'session_metrics', [{ flowScore: 50 }], 'phone'), { accepted: [], conflicts: [] });
+});
@@ -0,0 +1,254 @@
+// No Pause — speech-to-text adapters for server/transcriptionServer.js
+//
+// An adapter wraps one STT provider behind a single shape:
+//
+//   {
+//       name: 'whisper',                 // matches a provider_hint value
+//       isAvailable() → boolean,         // configured and not known to be down
+//       async transcribe({ audio, mimeType, sessionId, sequence, startMs, endMs, language })
+//           → [{ text, start_ms, end_ms, is_final,      // offsets from session start
+//                confidence?, words?: [{ text, start_ms, end_ms, confidence }] }]
+//
+//       // Optional — streaming over WebSocket. onSegment receives the same
+//       // segment shape plus an `id`; interim segments repeat their id until
+//       // the final one. end() is called once, on `stop` or when the client
+//       // disconnects.
+//       createStream({ sessionId, language, onSegment })
+//           → { write(audio, atMs), end() }            // atMs: ms since the stream started
+//   }
+//
+// transcribe() throws a transcriptionError() when it fails; `retryable` tells
+// the client (and `auto` routing) whether another attempt could succeed.
+// Real providers plug in through createServer({ adapters }) — the fake adapter
+// below stands in for all of them during development.
+
+const PROVIDER_HINTS = ['auto', 'whisper', 'gemini', 'deepgram'];
+
+function transcriptionError(status, code, message, retryable = false) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    error.retryable = retryable;
+    return error;
+}
+
+// ── Routing ──
+
+// provider_hint → adapter. `auto` tries available adapters in order and moves
+// on when one fails with a retryable error.
+function createRouter(adapters) {
+    const byName = new Map(adapters.map(a => [a.name, a]));
+
+    async function transcribe(hint, chunk) {
+        if (!PROVIDER_HINTS.includes(hint)) {
+            throw transcriptionError(400, 'unsupported_provider', `Unknown provider_hint "${hint}"`);
+        }
+
+        const candidates = hint === 'auto'
+            ? adapters.filter(a => a.isAvailable())
+            : [byName.get(hint)].filter(a => a && a.isAvailable());
+        if (candidates.length === 0) {
+            throw transcriptionError(503, 'provider_unavailable', `No ${hint === 'auto' ? '' : `${hint} `}provider is available`, true);
+        }
+
+        let lastError = null;
+        for (const adapter of candidates) {
+            try {
+                const segments = await adapter.transcribe(chunk);
+                return { provider: adapter.name, segments };
+            } catch (e) {
+                lastError = e.code ? e : transcriptionError(502, 'provider_error', e.message, true);
+                if (!lastError.retryable) break;
+            }
+        }
+        throw lastError;
+    }
+
+    // Resolves to { provider, stream } from the first adapter that opens one
+    async function openStream(hint, options) {
+        if (!PROVIDER_HINTS.includes(hint)) {
+            throw transcriptionError(400, 'unsupported_provider', `Unknown provider_hint "${hint}"`);
+        }
+        const adapter = byName.get(hint);
+        if (hint !== 'auto' && adapter && !adapter.createStream) {
+            throw transcriptionError(400, 'streaming_unsupported', `${hint} does not support streaming`);
+        }
+
+        const candidates = (hint === 'auto' ? adapters : [adapter])
+            .filter(a => a && a.createStream && a.isAvailable());
+        if (candidates.length === 0) {
+            throw transcriptionError(503, 'provider_unavailable', `No ${hint === 'auto' ? 'streaming' : hint} provider is available`, true);
+        }
+
+        let lastError = null;
+        for (const candidate of candidates) {
+            try {
+                return { provider: candidate.name, stream: await candidate.createStream(options) };
+            } catch (e) {
+                lastError = e.code ? e : transcriptionError(502, 'provider_error', e.message, true);
+                if (!lastError.retryable) break;
+            }
+        }
+        throw lastError;
+    }
+
+    return {
+        transcribe,
+        openStream,
+        providers: () => adapters.map(a => ({ name: a.name, available: a.isAvailable(), streaming: Boolean(a.createStream) })),
+    };
+}
+
+// ── Fake adapter ──
+// Deterministic: the same chunk (session, sequence, size) always yields the
+// same words, spread evenly over the chunk's time span, each with its own
+// times and a confidence. Chunks too small to hold speech come back empty,
+// and some phrases carry fillers so the filler counters downstream have
+// something to find. Phrases follow the chunk's language (its base code;
+// English for anything else). Streams "hear" words at the
+// same rate as audio arrives, growing an interim segment word by word until
+// it is WORDS_PER_SEGMENT long and goes final.
+
+const PHRASES = {
+    en: [
+        'I want to improve my speaking flow',
+        'so the main reason is that um I enjoy it',
+        'last summer we travelled along the coast',
+        'I think it depends on the situation',
+        'and uh that was when I realised it',
+        'my favourite part of the day is the morning',
+        'to be honest I had never tried it before',
+        'you know it is harder than it looks',
+    ],
+    es: [
+        'quiero mejorar la fluidez cuando hablo',
+        'la razón principal es que eh me gusta',
+        'el verano pasado viajamos por la costa',
+        'creo que depende de la situación',
+        'y o sea fue entonces cuando me di cuenta',
+        'mi parte favorita del día es la mañana',
+        'la verdad es que nunca lo había probado',
+        'pues es más difícil de lo que parece',
+    ],
+    de: [
+        'ich möchte flüssiger sprechen',
+        'der Hauptgrund ist dass äh es mir Spaß macht',
+        'letzten Sommer sind wir an der Küste entlang gereist',
+        'ich glaube es kommt auf die Situation an',
+        'und ähm da ist es mir klar geworden',
+        'mein liebster Teil des Tages ist der Morgen',
+        'ehrlich gesagt hatte ich es nie ausprobiert',
+        'das ist halt schwieriger als es aussieht',
+    ],
+};
+const WORDS_PER_SECOND = 2.4;
+const WORDS_PER_SEGMENT = 8;
+const MIN_SPEECH_BYTES = 1024;
+
+// FNV-1a, enough to spread seeds across the phrase list
+function hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h;
+}
+
+// 0.75–0.99, fixed per word
+const fakeConfidence = (word, index) => (75 + (hash(`${word}:${index}`) % 25)) / 100;
+
+// Segment fields shared by chunks and streams; wordTimes(i) → [start_ms, end_ms] of word i
+function fakeSegment(words, firstIndex, wordTimes, isFinal) {
+    const timed = words.map((text, i) => {
+        const [start, end] = wordTimes(firstIndex + i);
+        return { text, start_ms: start, end_ms: end, confidence: fakeConfidence(text, firstIndex + i) };
+    });
+    return {
+        text: words.join(' '),
+        start_ms: timed[0].start_ms,
+        end_ms: timed[timed.length - 1].end_ms,
+        is_final: isFinal,
+        confidence: Math.round((timed.reduce((sum, w) => sum + w.confidence, 0) / timed.length) * 100) / 100,
+        words: timed,
+    };
+}
+
+function fakeWords(seed, count, language) {
+    const phrases = PHRASES[String(language || '').toLowerCase().split(/[-_]/)[0]] || PHRASES.en;
+    const words = [];
+    for (let i = 0; words.length < count; i++) {
+        words.push(...phrases[(seed + i) % phrases.length].split(' '));
+    }
+    return words.slice(0, count);
+}
+
+function createFakeAdapter({ name = 'fake', failRate = 0, latency = 0 } = {}) {
+    return {
+        name,
+        isAvailable: () => true,
+
+        async transcribe({ audio, sessionId, sequence, startMs, endMs, language }) {
+            if (latency > 0) await new Promise(resolve => setTimeout(resolve, latency));
+            if (Math.random() < failRate) {
+                throw transcriptionError(503, 'provider_unavailable', `${name} is temporarily unavailable (simulated)`, true);
+            }
+            if (audio.length < MIN_SPEECH_BYTES || endMs <= startMs) return [];
+
+            const count = Math.max(1, Math.round(((endMs - startMs) / 1000) * WORDS_PER_SECOND));
+            const words = fakeWords(hash(`${sessionId}:${sequence}:${audio.length}`), count, language);
+            const msPerWord = (endMs - startMs) / words.length;
+            const wordTimes = (i) => [Math.round(startMs + i * msPerWord), Math.round(startMs + (i + 1) * msPerWord)];
+
+            const segments = [];
+            for (let i = 0; i < words.length; i += WORDS_PER_SEGMENT) {
+                segments.push(fakeSegment(words.slice(i, i + WORDS_PER_SEGMENT), i, wordTimes, true));
+            }
+            return segments;
+        },
+
+        async createStream({ sessionId, language, onSegment }) {
+            if (Math.random() < failRate) {
+                throw transcriptionError(503, 'provider_unavailable', `${name} is temporarily unavailable (simulated)`, true);
+            }
+            const seed = hash(sessionId);
+            let bytes = 0;
+            let heard = 0;              // words emitted so far
+            let pending = [];           // words of the open (interim) segment
+            let segmentIndex = 0;
+            const wordTimeMs = (count) => Math.round((count / WORDS_PER_SECOND) * 1000);
+            const wordTimes = (i) => [wordTimeMs(i), wordTimeMs(i + 1)];
+
+            const emit = (isFinal) => onSegment({
+                id: `stream-${segmentIndex}`,
+                ...fakeSegment(pending, heard - pending.length, wordTimes, isFinal),
+            });
+
+            return {
+                write(audio, atMs) {
+                    bytes += audio.length;
+                    const due = Math.floor((atMs / 1000) * WORDS_PER_SECOND);
+                    if (bytes < MIN_SPEECH_BYTES || due <= heard) return;
+
+                    const words = fakeWords(seed, due, language);
+                    while (heard < due) {
+                        pending.push(words[heard]);
+                        heard += 1;
+                        if (pending.length === WORDS_PER_SEGMENT) {
+                            emit(true);
+                            segmentIndex += 1;
+                            pending = [];
+                        }
+                    }
+                    if (pending.length > 0) emit(false);
+                },
+                end() {
+                    if (pending.length > 0) emit(true);
+                    pending = [];
+                },
+            };
+        },
+    };
+}
+
+module.exports = { PROVIDER_HINTS, transcriptionError, createRouter, createFakeAdapter };
@@ -0,0 +1,91 @@
+// node --test server/
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRouter, transcriptionError } = require('./transcriptionAdapters');
+
+const chunk = { sessionId: 's1', sequence: 0, startMs: 0, endMs: 5000 };
+
+// Adapter stand-in: `result` is the segments to answer with, or an Error to throw
+function fakeAdapter(name, { available = true, result = [], stream = null } = {}) {
+    const adapter = {
+        name,
+        calls: 0,
+        isAvailable: () => available,
+        async transcribe() {
+            adapter.calls += 1;
+            if (result instanceof Error) throw result;
+            return result;
+        },
+    };
+    if (stream) {
+        adapter.createStream = async () => {
+            if (stream instanceof Error) throw stream;
+            return stream;
+        };
+    }
+    return adapter;
+}
+
+test('auto uses the first available adapter', async () => {
+    const whisper = fakeAdapter('whisper', { available: false });
+    const gemini = fakeAdapter('gemini', { result: [{ text: 'hello' }] });
+    const router = createRouter([whisper, gemini]);
+
+    assert.deepEqual(await router.transcribe('auto', chunk), { provider: 'gemini', segments: [{ text: 'hello' }] });
+    assert.equal(whisper.calls, 0);
+});
+
+test('auto falls back past retryable failures', async () => {
+    const whisper = fakeAdapter('whisper', { result: transcriptionError(429, 'rate_limited', 'Slow down', true) });
+    const gemini = fakeAdapter('gemini', { result: new Error('socket hang up') });
+    const deepgram = fakeAdapter('deepgram', { result: [{ text: 'hi' }] });
+
+    const result = await createRouter([whisper, gemini, deepgram]).transcribe('auto', chunk);
+    assert.equal(result.provider, 'deepgram');
+    assert.equal(gemini.calls, 1);
+});
+
+test('auto stops at an error another provider would repeat', async () => {
+    const whisper = fakeAdapter('whisper', { result: transcriptionError(400, 'bad_audio_chunk', 'Could not decode audio payload') });
+    const gemini = fakeAdapter('gemini');
+
+    await assert.rejects(createRouter([whisper, gemini]).transcribe('auto', chunk), { status: 400, code: 'bad_audio_chunk' });
+    assert.equal(gemini.calls, 0);
+});
+
+test('reports the last error when every adapter fails', async () => {
+    const router = createRouter([
+        fakeAdapter('whisper', { result: new Error('timeout') }),
+        fakeAdapter('gemini', { result: transcriptionError(503, 'provider_unavailable', 'Overloaded', true) }),
+    ]);
+    await assert.rejects(router.transcribe('auto', chunk), { status: 503, code: 'provider_unavailable', message: 'Overloaded' });
+});
+
+test('wraps unexpected adapter errors as retryable provider errors', async () => {
+    const router = createRouter([fakeAdapter('whisper', { result: new Error('timeout') })]);
+    await assert.rejects(router.transcribe('whisper', chunk), { status: 502, code: 'provider_error', retryable: true });
+});
+
+test('a named hint never falls back to another provider', async () => {
+    const gemini = fakeAdapter('gemini');
+    const router = createRouter([fakeAdapter('whisper', { available: false }), gemini]);
+
+    await assert.rejects(router.transcribe('whisper', chunk), { status: 503, code: 'provider_unavailable', retryable: true });
+    assert.equal(gemini.calls, 0);
+});
+
+test('rejects unknown hints', async () => {
+    await assert.rejects(createRouter([]).transcribe('siri', chunk), { status: 400, code: 'unsupported_provider' });
+});
+
+test('openStream skips adapters that cannot stream', async () => {
+    const stream = { write() {}, end() {} };
+    const router = createRouter([
+        fakeAdapter('whisper'),
+        fakeAdapter('gemini', { stream: new Error('refused') }),
+        fakeAdapter('deepgram', { stream }),
+    ]);
+
+    assert.deepEqual(await router.openStream('auto', {}), { provider: 'deepgram', stream });
+    await assert.rejects(router.openStream('whisper', {}), { status: 400, code: 'streaming_unsupported' });
+});
@@ -0,0 +1,292 @@
+#!/usr/bin/env node
+// No Pause — reference transcription server
+// Implements TRANSCRIPTION_API_CONTRACT.md — chunked HTTP uploads and the
+// WebSocket stream — so the server fallback of the hybrid transcription engine
+// can be exercised end to end. `npm start` proxies /api/transcription to it
+// (craco.config.js); build the app with REACT_APP_TRANSCRIPTION_FALLBACK=true
+// to let PracticePage fall back to it.
+//
+//   node server/transcriptionServer.js [--port 4200] [--providers whisper,gemini,deepgram]
+//                                      [--fail-rate 0.2] [--latency 300]
+//
+// --providers  provider names served by the fake adapter, in `auto` order
+// --fail-rate  fail that share of chunks per provider, to exercise retries and `auto` failover
+// --latency    delay every transcription by this many ms
+//
+// No dependencies — plain Node http. Real providers plug in through
+// createServer({ adapters }); see server/transcriptionAdapters.js.
+
+const http = require('http');
+const { transcriptionError, createRouter, createFakeAdapter } = require('./transcriptionAdapters');
+const { acceptWebSocket } = require('./webSocket');
+
+const CHUNK_PATH = '/api/transcription/chunk';
+const STREAM_PATH = '/api/transcription/stream';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+function parseArgs(argv) {
+    const args = {
+        port: Number(process.env.TRANSCRIPTION_PORT) || 4200,
+        providers: ['whisper', 'gemini', 'deepgram'],
+        failRate: 0,
+        latency: 0,
+    };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port') { args.port = Number(value); i++; }
+        else if (argv[i] === '--providers') { args.providers = value.split(',').map(s => s.trim()).filter(Boolean); i++; }
+        else if (argv[i] === '--fail-rate') { args.failRate = Number(value); i++; }
+        else if (argv[i] === '--latency') { args.latency = Number(value); i++; }
+    }
+    return args;
+}
+
+// ── Request parsing ──
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(transcriptionError(413, 'payload_too_large', `Chunks are limited to ${MAX_BODY_BYTES} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// multipart/form-data → { fields: { name: string }, files: { name: { data, fileName, mimeType } } }
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    if (!match) return null;
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const fields = {};
+    const files = {};
+
+    let start = body.indexOf(delimiter);
+    while (start !== -1) {
+        const partStart = start + delimiter.length;
+        if (body.subarray(partStart, partStart + 2).toString() === '--') break;
+        const next = body.indexOf(delimiter, partStart);
+        if (next === -1) break;
+
+        // Each part sits between the CRLF after its delimiter and the CRLF before the next
+        const part = body.subarray(partStart + 2, next - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd !== -1) {
+            const headers = part.subarray(0, headerEnd).toString('utf8');
+            const content = part.subarray(headerEnd + 4);
+            const name = /;\s*name="([^"]*)"/i.exec(headers)?.[1];
+            const fileName = /;\s*filename="([^"]*)"/i.exec(headers)?.[1];
+            const mimeType = /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1];
+            if (name && fileName !== undefined) {
+                files[name] = { data: content, fileName, mimeType: mimeType || 'application/octet-stream' };
+            } else if (name) {
+                fields[name] = content.toString('utf8');
+            }
+        }
+        start = next;
+    }
+    return { fields, files };
+}
+
+const toInteger = (value) => (/^\d+$/.test(value ?? '') ? Number(value) : null);
+
+// Form → the chunk handed to adapters. Throws contract errors for bad input.
+function readChunk({ fields, files }, headers) {
+    const audio = files.audio;
+    if (!audio) throw transcriptionError(400, 'invalid_request', 'The audio field is missing');
+    if (audio.data.length === 0) throw transcriptionError(400, 'bad_audio_chunk', 'Could not decode audio payload');
+
+    const sequence = toInteger(fields.sequence);
+    const startMs = toInteger(fields.start_ms);
+    const endMs = toInteger(fields.end_ms);
+    if (!fields.session_id) throw transcriptionError(400, 'invalid_request', 'session_id is required');
+    if (sequence === null) throw transcriptionError(400, 'invalid_request', 'sequence must be a non-negative integer');
+    if (startMs === null || endMs === null || endMs < startMs) {
+        throw transcriptionError(400, 'invalid_request', 'start_ms and end_ms must be integers with end_ms >= start_ms');
+    }
+
+    return {
+        providerHint: fields.provider_hint || headers['x-transcription-provider'] || 'auto',
+        chunk: {
+            audio: audio.data,
+            mimeType: audio.mimeType,
+            sessionId: fields.session_id,
+            sequence,
+            startMs,
+            endMs,
+            language: fields.language || 'en-US',
+        },
+    };
+}
+
+// ── Streaming ──
+// One WebSocket per listening session: a JSON `start`, binary audio frames,
+// a JSON `stop`. Segments go back as they are recognised.
+
+const errorMessage = (error) => ({
+    type: 'error',
+    error: { code: error.code || 'internal_error', message: error.message, retryable: Boolean(error.retryable) },
+});
+
+function handleStream(connection, router) {
+    let session = null;         // { sessionId, provider, stream, startedAt } once started
+    let opening = false;
+    let closed = false;
+
+    // Once per session, whether it ends with `stop` or the client goes away
+    const endStream = () => {
+        if (!session || session.ended) return;
+        session.ended = true;
+        session.stream.end();
+        console.log(`${session.sessionId}: stream ended after ${Date.now() - session.startedAt}ms`);
+    };
+
+    const fail = (error, closeCode = 1008) => {
+        connection.send(errorMessage(error));
+        connection.close(closeCode, error.code || 'error');
+    };
+
+    // A client that disconnects without `stop` mustn't leave the provider's stream open
+    connection.on('close', () => {
+        closed = true;
+        endStream();
+    });
+
+    connection.on('message', async (data, isBinary) => {
+        if (isBinary) {
+            if (!session) return fail(transcriptionError(400, 'invalid_request', 'Send a start message before audio'));
+            return session.stream.write(data, Date.now() - session.startedAt);
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch {
+            return fail(transcriptionError(400, 'invalid_request', 'Control messages must be JSON'));
+        }
+
+        if (message.type === 'start') {
+            if (session || opening) return fail(transcriptionError(400, 'invalid_request', 'The stream has already started'));
+            if (!message.session_id) return fail(transcriptionError(400, 'invalid_request', 'session_id is required'));
+            opening = true;
+            try {
+                const { provider, stream } = await router.openStream(message.provider_hint || 'auto', {
+                    sessionId: message.session_id,
+                    language: message.language || 'en-US',
+                    onSegment: (seg) => connection.send({ type: 'segment', segment: seg }),
+                });
+                session = { sessionId: message.session_id, provider, stream, startedAt: Date.now(), ended: false };
+                // Gone while the provider was opening
+                if (closed) return endStream();
+                console.log(`${session.sessionId}: streaming from ${provider}`);
+                return connection.send({ type: 'ready', session_id: session.sessionId, provider });
+            } catch (e) {
+                return fail(e, 1011);
+            } finally {
+                opening = false;
+            }
+        }
+
+        if (message.type === 'stop') {
+            endStream();
+            connection.send({ type: 'end', session_id: session?.sessionId || null });
+            return connection.close(1000, 'done');
+        }
+
+        return fail(transcriptionError(400, 'invalid_request', `Unknown message type "${message.type}"`));
+    });
+}
+
+// ── HTTP ──
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Transcription-Provider',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const sendError = (res, error) => send(res, error.status || 500, {
+    error: { code: error.code || 'internal_error', message: error.message, retryable: Boolean(error.retryable) },
+});
+
+function createServer({
+    providers = ['whisper', 'gemini', 'deepgram'],
+    failRate = 0,
+    latency = 0,
+    adapters = providers.map(name => createFakeAdapter({ name, failRate, latency })),
+} = {}) {
+    const router = createRouter(adapters);
+
+    const server = http.createServer(async (req, res) => {
+        if (req.method === 'OPTIONS') return send(res, 204);
+
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/health') return send(res, 200, { ok: true, providers: router.providers() });
+        if (url.pathname !== CHUNK_PATH) return sendError(res, transcriptionError(404, 'not_found', `No route for ${url.pathname}`));
+        if (req.method !== 'POST') return sendError(res, transcriptionError(405, 'method_not_allowed', 'Use POST'));
+
+        const startedAt = Date.now();
+        try {
+            if (!/^multipart\/form-data/i.test(req.headers['content-type'] || '')) {
+                throw transcriptionError(415, 'unsupported_media_type', 'Expected multipart/form-data');
+            }
+            const form = parseMultipart(await readBody(req), req.headers['content-type']);
+            if (!form) throw transcriptionError(400, 'invalid_request', 'The multipart boundary is missing');
+
+            const { providerHint, chunk } = readChunk(form, req.headers);
+            const { provider, segments } = await router.transcribe(providerHint, chunk);
+            const latencyMs = Date.now() - startedAt;
+            console.log(`${chunk.sessionId} #${chunk.sequence} (${chunk.startMs}-${chunk.endMs}ms): ${segments.length} segments from ${provider} in ${latencyMs}ms`);
+
+            return send(res, 200, {
+                session_id: chunk.sessionId,
+                sequence: chunk.sequence,
+                provider,
+                segments: segments.map((seg, index) => ({
+                    id: `seg-${chunk.sequence}-${index}`,
+                    text: seg.text,
+                    start_ms: seg.start_ms,
+                    end_ms: seg.end_ms,
+                    is_final: seg.is_final !== false,
+                    ...(seg.confidence != null && { confidence: seg.confidence }),
+                    ...(seg.words && { words: seg.words }),
+                })),
+                latency_ms: latencyMs,
+            });
+        } catch (e) {
+            if (!e.code) console.error('Transcription failed:', e);
+            return sendError(res, e);
+        }
+    });
+
+    server.on('upgrade', (req, socket) => {
+        if (new URL(req.url, 'http://localhost').pathname !== STREAM_PATH) {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+        const connection = acceptWebSocket(req, socket);
+        if (connection) handleStream(connection, router);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    const args = parseArgs(process.argv.slice(2));
+    createServer(args).listen(args.port, () => {
+        console.log(`Transcription server on http://localhost:${args.port} — POST ${CHUNK_PATH}, WebSocket ${STREAM_PATH} (providers: ${args.providers.join(', ')})`);
+    });
+}
+
+module.exports = { createServer, parseMultipart, handleStream };
@@ -0,0 +1,106 @@
+// node --test server/
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { parseMultipart, handleStream } = require('./transcriptionServer');
+
+const BOUNDARY = '----nopause7MA4YWxk';
+
+// The body a browser sends for FormData
+function formBody(parts, boundary = BOUNDARY) {
+    const chunks = parts.map(({ name, value, fileName, mimeType }) => {
+        const disposition = `Content-Disposition: form-data; name="${name}"${fileName !== undefined ? `; filename="${fileName}"` : ''}`;
+        const headers = mimeType ? `${disposition}\r\nContent-Type: ${mimeType}` : disposition;
+        return Buffer.concat([Buffer.from(`--${boundary}\r\n${headers}\r\n\r\n`), Buffer.from(value), Buffer.from('\r\n')]);
+    });
+    return Buffer.concat([...chunks, Buffer.from(`--${boundary}--\r\n`)]);
+}
+
+test('splits a form into fields and files', () => {
+    const audio = Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0x0D, 0x0A, 0x2D, 0x2D]);
+    const body = formBody([
+        { name: 'session_id', value: 'abc' },
+        { name: 'sequence', value: '3' },
+        { name: 'audio', value: audio, fileName: 'chunk-3.webm', mimeType: 'audio/webm;codecs=opus' },
+    ]);
+
+    const { fields, files } = parseMultipart(body, `multipart/form-data; boundary=${BOUNDARY}`);
+    assert.deepEqual(fields, { session_id: 'abc', sequence: '3' });
+    assert.equal(files.audio.fileName, 'chunk-3.webm');
+    assert.equal(files.audio.mimeType, 'audio/webm;codecs=opus');
+    // binary content keeps its CRLF and dashes
+    assert.deepEqual(files.audio.data, audio);
+});
+
+test('accepts a quoted boundary and files without a content type', () => {
+    const body = formBody([{ name: 'audio', value: 'raw', fileName: '' }]);
+    const { files } = parseMultipart(body, `multipart/form-data; boundary="${BOUNDARY}"`);
+    assert.equal(files.audio.fileName, '');
+    assert.equal(files.audio.mimeType, 'application/octet-stream');
+    assert.equal(files.audio.data.toString(), 'raw');
+});
+
+test('keeps UTF-8 field values', () => {
+    const body = formBody([{ name: 'language', value: 'español' }]);
+    assert.equal(parseMultipart(body, `multipart/form-data; boundary=${BOUNDARY}`).fields.language, 'español');
+});
+
+test('returns null without a boundary', () => {
+    assert.equal(parseMultipart(Buffer.from('{}'), 'application/json'), null);
+    assert.equal(parseMultipart(Buffer.from('{}'), undefined), null);
+});
+
+test('stops at a truncated body', () => {
+    const body = formBody([{ name: 'session_id', value: 'abc' }]);
+    const truncated = Buffer.concat([body.subarray(0, body.length - `--${BOUNDARY}--\r\n`.length), Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="sequence"\r\n\r\n1`)]);
+    assert.deepEqual(parseMultipart(truncated, `multipart/form-data; boundary=${BOUNDARY}`), { fields: { session_id: 'abc' }, files: {} });
+});
+
+// WebSocket connection stand-in (see webSocket.js) over a router with one stream
+function streamSession({ openDelayMs = 0 } = {}) {
+    const connection = new EventEmitter();
+    connection.sent = [];
+    connection.send = (message) => connection.sent.push(message);
+    connection.close = () => connection.emit('close', 1000, '');
+    const stream = { ends: 0, write() {}, end() { stream.ends += 1; } };
+    const router = {
+        openStream: async () => {
+            await new Promise(resolve => setTimeout(resolve, openDelayMs));
+            return { provider: 'fake', stream };
+        },
+    };
+    handleStream(connection, router);
+    const start = () => connection.emit('message', JSON.stringify({ type: 'start', session_id: 's1' }), false);
+    return { connection, stream, start };
+}
+
+const settle = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('ends the provider stream once on stop', async () => {
+    const { connection, stream, start } = streamSession();
+    start();
+    await settle();
+    connection.emit('message', JSON.stringify({ type: 'stop' }), false);
+
+    assert.equal(stream.ends, 1);
+    assert.deepEqual(connection.sent.map(m => m.type), ['ready', 'end']);
+});
+
+test('ends the provider stream when the client disconnects without stop', async () => {
+    const { connection, stream, start } = streamSession();
+    start();
+    await settle();
+    connection.emit('close', 1006, 'Connection lost');
+
+    assert.equal(stream.ends, 1);
+});
+
+test('ends a stream that opens after the client has gone', async () => {
+    const { connection, stream, start } = streamSession({ openDelayMs: 10 });
+    start();
+    connection.emit('close', 1006, 'Connection lost');
+    await settle(20);
+
+    assert.equal(stream.ends, 1);
+    assert.deepEqual(connection.sent, []);
+});
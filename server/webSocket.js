@@ -0,0 +1,133 @@
+// No Pause — minimal WebSocket (RFC 6455) server side, for server/transcriptionServer.js
+// Enough for the streaming protocol: handshake, masked client frames (text,
+// binary, fragmented, ping, close) and unmasked server frames. No extensions,
+// no compression. No dependencies — plain Node.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Upgrade request → connection emitting 'message' (data, isBinary) and 'close' (code, reason).
+// Answers 400 and returns null when the request isn't a WebSocket handshake.
+function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+
+    const connection = new EventEmitter();
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentOpcode = null;
+    let closed = false;
+
+    const write = (opcode, payload) => {
+        if (!closed && socket.writable) socket.write(encodeFrame(opcode, payload));
+    };
+
+    connection.send = (data) => {
+        if (Buffer.isBuffer(data)) write(OPCODES.binary, data);
+        else write(OPCODES.text, Buffer.from(typeof data === 'string' ? data : JSON.stringify(data)));
+    };
+
+    connection.close = (code = 1000, reason = '') => {
+        if (closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        write(OPCODES.close, payload);
+        closed = true;
+        socket.end();
+        connection.emit('close', code, reason);
+    };
+
+    const handleFrame = (fin, opcode, payload) => {
+        if (opcode === OPCODES.ping) return write(OPCODES.pong, payload);
+        if (opcode === OPCODES.pong) return undefined;
+        if (opcode === OPCODES.close) {
+            return connection.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+        }
+
+        if (opcode !== OPCODES.continuation) fragmentOpcode = opcode;
+        fragments.push(payload);
+        if (!fin) return undefined;
+
+        const message = Buffer.concat(fragments);
+        const isBinary = fragmentOpcode === OPCODES.binary;
+        fragments = [];
+        fragmentOpcode = null;
+        connection.emit('message', isBinary ? message : message.toString('utf8'), isBinary);
+        return undefined;
+    };
+
+    socket.on('data', (chunk) => {
+        buffered = Buffer.concat([buffered, chunk]);
+        while (buffered.length >= 2 && !closed) {
+            const fin = (buffered[0] & 0x80) !== 0;
+            const opcode = buffered[0] & 0x0F;
+            const masked = (buffered[1] & 0x80) !== 0;
+            let length = buffered[1] & 0x7F;
+            let offset = 2;
+            if (length === 126) {
+                if (buffered.length < 4) return;
+                length = buffered.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffered.length < 10) return;
+                length = Number(buffered.readBigUInt64BE(2));
+                offset = 10;
+            }
+            // Clients must mask every frame
+            if (!masked) return connection.close(1002, 'Unmasked client frame');
+            if (length > MAX_MESSAGE_BYTES) return connection.close(1009, 'Message too large');
+            if (buffered.length < offset + 4 + length) return;
+
+            const mask = buffered.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffered.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+            buffered = buffered.subarray(offset + 4 + length);
+            handleFrame(fin, opcode, payload);
+        }
+    });
+
+    socket.on('close', () => {
+        if (closed) return;
+        closed = true;
+        connection.emit('close', 1006, 'Connection lost');
+    });
+    socket.on('error', () => socket.destroy());
+
+    return connection;
+}
+
+module.exports = { acceptWebSocket };
@@ -0,0 +1,117 @@
+// node --test server/
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { acceptWebSocket } = require('./webSocket');
+
+// Socket stand-in that keeps what the server wrote
+function fakeSocket() {
+    const socket = new EventEmitter();
+    socket.written = [];
+    socket.writable = true;
+    socket.write = (data) => socket.written.push(Buffer.from(data));
+    socket.end = (data) => {
+        if (data) socket.written.push(Buffer.from(data));
+        socket.writable = false;
+    };
+    socket.destroy = () => {};
+    return socket;
+}
+
+const upgradeRequest = (key = 'dGhlIHNhbXBsZSBub25jZQ==') => ({
+    headers: { upgrade: 'websocket', 'sec-websocket-key': key },
+});
+
+// A client frame: always masked, as RFC 6455 requires
+function clientFrame(opcode, payload, { fin = true, masked = true } = {}) {
+    const data = Buffer.from(payload);
+    const mask = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0, data.length]);
+    } else {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    }
+    header[0] = (fin ? 0x80 : 0) | opcode;
+    if (!masked) return Buffer.concat([header, data]);
+    header[1] |= 0x80;
+    return Buffer.concat([header, mask, data.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+function connect() {
+    const socket = fakeSocket();
+    const connection = acceptWebSocket(upgradeRequest(), socket);
+    const messages = [];
+    const closes = [];
+    connection.on('message', (data, isBinary) => messages.push({ data, isBinary }));
+    connection.on('close', (code, reason) => closes.push({ code, reason }));
+    socket.written = [];
+    return { socket, connection, messages, closes };
+}
+
+test('answers the handshake with the RFC 6455 accept key', () => {
+    const socket = fakeSocket();
+    assert.ok(acceptWebSocket(upgradeRequest(), socket));
+    const response = socket.written.join('');
+    assert.match(response, /^HTTP\/1\.1 101 Switching Protocols\r\n/);
+    assert.match(response, /Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK\+xOo=\r\n/);
+});
+
+test('refuses requests that are not a WebSocket upgrade', () => {
+    const socket = fakeSocket();
+    assert.equal(acceptWebSocket({ headers: {} }, socket), null);
+    assert.match(socket.written.join(''), /^HTTP\/1\.1 400 Bad Request/);
+});
+
+test('unmasks text and binary frames', () => {
+    const { socket, messages } = connect();
+    socket.emit('data', clientFrame(0x1, '{"type":"start"}'));
+    socket.emit('data', clientFrame(0x2, [1, 2, 3]));
+    assert.deepEqual(messages, [
+        { data: '{"type":"start"}', isBinary: false },
+        { data: Buffer.from([1, 2, 3]), isBinary: true },
+    ]);
+});
+
+test('reassembles frames split across reads and fragmented messages', () => {
+    const { socket, messages } = connect();
+    const audio = Buffer.alloc(300, 7);
+    const frames = Buffer.concat([
+        clientFrame(0x2, audio.subarray(0, 200), { fin: false }),
+        clientFrame(0x0, audio.subarray(200)),
+    ]);
+    for (let i = 0; i < frames.length; i += 50) socket.emit('data', frames.subarray(i, i + 50));
+
+    assert.equal(messages.length, 1);
+    assert.deepEqual(messages[0], { data: audio, isBinary: true });
+});
+
+test('answers a ping with a pong carrying the same payload', () => {
+    const { socket } = connect();
+    socket.emit('data', clientFrame(0x9, 'hi'));
+    assert.deepEqual(socket.written, [Buffer.from([0x8A, 2, ...Buffer.from('hi')])]);
+});
+
+test('closes with the code the client sent', () => {
+    const { socket, closes } = connect();
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(1001);
+    socket.emit('data', clientFrame(0x8, payload));
+    assert.deepEqual(closes, [{ code: 1001, reason: '' }]);
+    assert.equal(socket.writable, false);
+});
+
+test('closes on an unmasked client frame', () => {
+    const { socket, messages, closes } = connect();
+    socket.emit('data', clientFrame(0x1, 'hello', { masked: false }));
+    assert.deepEqual(messages, []);
+    assert.deepEqual(closes, [{ code: 1002, reason: 'Unmasked client frame' }]);
+});
+
+test('reports a dropped connection', () => {
+    const { socket, closes } = connect();
+    socket.emit('close');
+    assert.deepEqual(closes, [{ code: 1006, reason: 'Connection lost' }]);
+});
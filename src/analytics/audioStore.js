@@ -0,0 +1,136 @@
+// Session recordings in IndexedDB
+// One record per sessionId with its size. A total quota keeps the store from
+// eating the device's storage: when it's exceeded the least recently played
+// recordings are evicted first. Pinned recordings are never evicted.
+
+import { analyticsStore } from './store';
+
+const { STORES } = analyticsStore;
+
+const QUOTA_KEY = 'nopause_audio_quota_bytes';
+
+export const DEFAULT_AUDIO_QUOTA_BYTES = 200 * 1024 * 1024;
+
+// ── Quota ──
+
+export function getAudioQuota() {
+    const stored = parseInt(localStorage.getItem(QUOTA_KEY) || '', 10);
+    return Number.isFinite(stored) && stored > 0 ? stored : DEFAULT_AUDIO_QUOTA_BYTES;
+}
+
+export function setAudioQuota(bytes) {
+    localStorage.setItem(QUOTA_KEY, String(Math.max(1, Math.round(bytes))));
+}
+
+// Drop least-recently-used unpinned recordings until the total fits.
+// `keep` protects a recording that was just saved. Returns the evicted sessionIds.
+export async function enforceAudioQuota({ quotaBytes = getAudioQuota(), keep = null } = {}) {
+    const records = await analyticsStore.getAll(STORES.recordings);
+    let used = records.reduce((sum, r) => sum + r.size, 0);
+    if (used <= quotaBytes) return [];
+
+    const evictable = records
+        .filter(r => !r.pinned && r.sessionId !== keep)
+        .sort((a, b) => a.lastAccessedAt.localeCompare(b.lastAccessedAt));
+
+    const evicted = [];
+    for (const record of evictable) {
+        if (used <= quotaBytes) break;
+        await analyticsStore.delete(STORES.recordings, record.sessionId);
+        used -= record.size;
+        evicted.push(record.sessionId);
+    }
+    return evicted;
+}
+
+// ── Recordings ──
+
+// Returns false when the recording alone is larger than the quota
+export async function saveRecording(sessionId, blob, { pinned = false } = {}) {
+    if (!sessionId || !blob) return false;
+    if (blob.size > getAudioQuota()) return false;
+
+    const now = new Date().toISOString();
+    await analyticsStore.write(STORES.recordings, {
+        sessionId,
+        blob,
+        size: blob.size,
+        mimeType: blob.type || 'audio/webm',
+        pinned,
+        createdAt: now,
+        lastAccessedAt: now,
+    });
+    await enforceAudioQuota({ keep: sessionId });
+    return true;
+}
+
+// Playing a recording counts as using it — it moves to the back of the eviction line
+export async function getRecording(sessionId) {
+    const record = await analyticsStore.get(STORES.recordings, sessionId);
+    if (!record) return null;
+    await analyticsStore.write(STORES.recordings, { ...record, lastAccessedAt: new Date().toISOString() });
+    return record.blob;
+}
+
+export async function setRecordingPinned(sessionId, pinned) {
+    const record = await analyticsStore.get(STORES.recordings, sessionId);
+    if (!record) return false;
+    await analyticsStore.write(STORES.recordings, { ...record, pinned });
+    // Unpinning can push the store back over quota
+    if (!pinned) await enforceAudioQuota();
+    return true;
+}
+
+export async function deleteRecording(sessionId) {
+    await analyticsStore.delete(STORES.recordings, sessionId);
+}
+
+// Metadata only — callers fetch the blob with getRecording when they play it
+export async function listRecordings() {
+    const records = await analyticsStore.getAll(STORES.recordings);
+    return records.map(({ blob, ...meta }) => meta);
+}
+
+export async function getAudioUsage() {
+    const records = await listRecordings();
+    return {
+        count: records.length,
+        usedBytes: records.reduce((sum, r) => sum + r.size, 0),
+        pinnedBytes: records.filter(r => r.pinned).reduce((sum, r) => sum + r.size, 0),
+        quotaBytes: getAudioQuota(),
+    };
+}
+
+// ── Backup ──
+
+// Full records, blobs included
+export async function exportRecordings() {
+    return analyticsStore.getAll(STORES.recordings);
+}
+
+// 'merge' keeps a recording already on this device for the same session;
+// 'replace' overwrites it. The quota still applies, so a large restore can
+// evict older unpinned recordings. Returns the count written.
+export async function importRecordings(records, { strategy = 'merge' } = {}) {
+    const existing = strategy === 'replace'
+        ? new Set()
+        : new Set((await listRecordings()).map(r => r.sessionId));
+
+    const now = new Date().toISOString();
+    const incoming = records
+        .filter(r => r.sessionId && r.blob && !existing.has(r.sessionId))
+        .map(r => ({
+            sessionId: r.sessionId,
+            blob: r.blob,
+            size: r.blob.size,
+            mimeType: r.mimeType || r.blob.type || 'audio/webm',
+            pinned: Boolean(r.pinned),
+            createdAt: r.createdAt || now,
+            lastAccessedAt: now,
+        }));
+    if (incoming.length === 0) return 0;
+
+    await analyticsStore.writeMany(STORES.recordings, incoming);
+    await enforceAudioQuota();
+    return incoming.length;
+}
@@ -86,6 +86,12 @@ export function computeBenchmarkSnapshot(sessionMetrics, deviceId) {
         speakingRatios.reduce((a, b) => a + b, 0) / speakingRatios.length * 100
     ) / 100;
 
+    // Pace: transcript WPM, or the syllable-based estimate when STT was unavailable
+    const paced = clean.filter(m => (m.wordsPerMinute || m.estimatedWpm) > 0);
+    const avgWordsPerMinute = paced.length > 0
+        ? Math.round(paced.reduce((s, m) => s + (m.wordsPerMinute || m.estimatedWpm), 0) / paced.length)
+        : 0;
+
     const totalPracticeMinutes = Math.round(
         clean.reduce((s, m) => s + (m.totalDuration || 0), 0) / 60
     );
@@ -137,6 +143,7 @@ export function computeBenchmarkSnapshot(sessionMetrics, deviceId) {
         bestFlowScore,
         avgHesitationsPerMinute,
         avgSpeakingRatio,
+        avgWordsPerMinute,
         modeDistribution,
         improvementPercent,
 
@@ -193,6 +200,7 @@ export const BENCHMARK_PRIVACY_SUMMARY = {
     shared: [
         'Anonymous device ID (hashed, not reversible)',
         'Aggregate flow score (average, not per-session)',
+        'Average speaking pace (words per minute)',
         'Total session count and practice minutes',
         'Mode distribution (percentages)',
         'Improvement percentage over time',
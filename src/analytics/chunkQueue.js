@@ -0,0 +1,49 @@
+// Server transcription chunks waiting for a transcript, in IndexedDB
+// A chunk is queued before its first upload and removed once its segments
+// have been merged into the saved session, so a dropped connection or a page
+// reload doesn't lose that part of the transcript. Chunks nobody claimed
+// within CHUNK_TTL_DAYS are dropped; pendingChunks drops those of a session
+// that was never saved sooner.
+//
+// { id, sessionId, sequence, startMs, endMs, language, endpoint, providerHint,
+//   blob, status: 'pending' | 'transcribed', segments, attempts, lastError, createdAt }
+
+import { analyticsStore } from './store';
+
+const { STORES } = analyticsStore;
+
+export const CHUNK_TTL_DAYS = 7;
+
+export async function queueChunk(chunk) {
+    await analyticsStore.write(STORES.transcriptionChunks, {
+        status: 'pending',
+        segments: null,
+        attempts: 0,
+        lastError: null,
+        createdAt: new Date().toISOString(),
+        ...chunk,
+    });
+}
+
+export async function updateChunk(id, changes) {
+    const record = await analyticsStore.get(STORES.transcriptionChunks, id);
+    if (!record) return false;
+    await analyticsStore.write(STORES.transcriptionChunks, { ...record, ...changes });
+    return true;
+}
+
+export async function removeChunk(id) {
+    await analyticsStore.delete(STORES.transcriptionChunks, id);
+}
+
+// Oldest session first, chunks in recording order. Expired chunks are pruned on the way.
+export async function getQueuedChunks() {
+    const cutoff = new Date(Date.now() - CHUNK_TTL_DAYS * 86400000).toISOString();
+    const records = await analyticsStore.getAll(STORES.transcriptionChunks);
+    const expired = records.filter(r => r.createdAt < cutoff);
+    await Promise.all(expired.map(r => removeChunk(r.id)));
+
+    return records
+        .filter(r => r.createdAt >= cutoff)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.startMs - b.startMs);
+}
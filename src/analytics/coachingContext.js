@@ -14,6 +14,11 @@ function classifyTier(totalSessions, avgFlowScore) {
     return avgFlowScore >= 85 ? 'advanced' : 'intermediate';
 }
 
+// Speaking pace — older metrics only carry transcript WPM, which is 0 without STT
+function paceOf(m) {
+    return m.wordsPerMinute || m.estimatedWpm || 0;
+}
+
 // Identify top improvement areas from metrics
 function identifyWeakAreas(recentMetrics, behavioral) {
     const areas = [];
@@ -38,6 +43,24 @@ function identifyWeakAreas(recentMetrics, behavioral) {
         });
     }
 
+    // Filler words — only sessions with a transcript can show them
+    const transcribed = recentMetrics.filter(m => m.transcriptAvailable);
+    if (transcribed.length > 0) {
+        const avgFPM = transcribed.reduce((s, m) => s + (m.fillersPerMinute || 0), 0) / transcribed.length;
+        if (avgFPM > 3) {
+            const counts = {};
+            transcribed.forEach(m => Object.entries(m.fillerBreakdown || {}).forEach(([phrase, n]) => {
+                counts[phrase] = (counts[phrase] || 0) + n;
+            }));
+            const top = Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, 3).map(([phrase]) => `"${phrase}"`);
+            areas.push({
+                area: 'fillers',
+                severity: avgFPM > 6 ? 'high' : 'medium',
+                detail: `${Math.round(avgFPM * 10) / 10} filler words per minute (target: < 3)${top.length ? `, mostly ${top.join(', ')}` : ''}`,
+            });
+        }
+    }
+
     // Warmup issues
     if (behavioral?.hesitationPattern?.dominantPhase === 'warmup_issues') {
         areas.push({
@@ -124,9 +147,10 @@ export function buildCoachingContext(sessionMetrics, insightsData) {
         mode: m.mode,
         flowScore: m.flowScore,
         hesitations: m.hesitationCount,
+        fillers: m.fillerCount || 0,
         speakingRatio: m.speakingRatio,
         durationSec: m.totalDuration,
-        wpm: m.wordsPerMinute || 0,
+        wpm: paceOf(m),
     }));
 
     // Suggested focus (highest-severity weakness, or general)
@@ -141,6 +165,7 @@ export function buildCoachingContext(sessionMetrics, insightsData) {
             warmup: 'Do a short verbal warmup before starting. Read a passage aloud first.',
             endurance: 'Try slightly shorter sessions and build duration gradually.',
             sustained_flow: 'Practice maintaining uninterrupted speech for 15+ seconds.',
+            fillers: 'Swap filler words for a short silent pause — it sounds more confident than "um".',
         };
         suggestedFocus = focusMap[top.area] || suggestedFocus;
     }
@@ -174,8 +199,14 @@ export function buildCoachingContext(sessionMetrics, insightsData) {
                 recent5.reduce((s, m) => s + (m.speakingRatio || 0), 0) / recent5.length * 100
             ),
             avgWordsPerMinute: Math.round(
-                recent5.reduce((s, m) => s + (m.wordsPerMinute || 0), 0) / recent5.length
+                recent5.reduce((s, m) => s + paceOf(m), 0) / recent5.length
+            ),
+            avgSyllablesPerMinute: Math.round(
+                recent5.reduce((s, m) => s + (m.syllablesPerMinute || 0), 0) / recent5.length
             ),
+            avgFillersPerMinute: Math.round(
+                recent5.reduce((s, m) => s + (m.fillersPerMinute || 0), 0) / recent5.length * 10
+            ) / 10,
         },
 
         // Trajectory
@@ -212,6 +243,8 @@ export function formatCoachingPrompt(ctx) {
         `- Hesitations/min: ${ctx.currentPerformance.avgHesitationsPerMinute}`,
         `- Speaking ratio: ${ctx.currentPerformance.avgSpeakingRatio}%`,
         `- Words/min: ${ctx.currentPerformance.avgWordsPerMinute}`,
+        `- Syllables/min: ${ctx.currentPerformance.avgSyllablesPerMinute}`,
+        `- Fillers/min: ${ctx.currentPerformance.avgFillersPerMinute}`,
     ];
 
     if (ctx.improvement) {
@@ -235,7 +268,7 @@ export function formatCoachingPrompt(ctx) {
     if (ctx.recentSessions.length > 0) {
         lines.push('', '## Recent Session History');
         ctx.recentSessions.forEach(s => {
-            lines.push(`- ${s.date} | ${s.mode} | flow:${s.flowScore} | hes:${s.hesitations} | ${s.durationSec}s`);
+            lines.push(`- ${s.date} | ${s.mode} | flow:${s.flowScore} | hes:${s.hesitations} | fill:${s.fillers} | ${s.durationSec}s`);
         });
     }
 
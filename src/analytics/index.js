@@ -2,11 +2,19 @@
 // Three-layer system: Events → Aggregates → Insights
 
 import { analyticsStore } from './store';
-import { computeSessionMetrics, computeDailyRollup, computeWeeklyRollup } from './metricsEngine';
+import { computeSessionMetrics, computeDailyRollup, computeWeeklyRollup, upgradeSessionMetrics, applyTranscript, computeStuckPointStats, METRICS_VERSION } from './metricsEngine';
 import { computeImprovementVelocity, computeBehavioralPatterns, generateInsights } from './insightsEngine';
 import { buildCoachingContext, formatCoachingPrompt } from './coachingContext';
 import { computeBenchmarkSnapshot, getBenchmarkConsent, setBenchmarkConsent, getCachedBenchmark, BENCHMARK_PRIVACY_SUMMARY } from './benchmarkEngine';
 import { getPostHogAdapter } from './posthogAdapter';
+import { createRestSyncAdapter } from './syncAdapter';
+import { scoreSession, CURRENT_SCORING_VERSION } from '@/audio/scoringModels';
+import {
+    saveRecording, getRecording, setRecordingPinned, deleteRecording,
+    listRecordings, getAudioUsage, getAudioQuota, setAudioQuota, enforceAudioQuota,
+    exportRecordings, importRecordings,
+} from './audioStore';
+import { queueChunk, updateChunk, removeChunk, getQueuedChunks } from './chunkQueue';
 
 const { STORES } = analyticsStore;
 
@@ -51,6 +59,16 @@ function detectPlatform() {
     return 'other';
 }
 
+// ISO week (Monday start) containing a YYYY-MM-DD date
+function weekStartOf(dateStr) {
+    const date = new Date(dateStr);
+    const day = date.getDay();
+    const offset = day === 0 ? -6 : 1 - day;
+    const monday = new Date(date);
+    monday.setDate(date.getDate() + offset);
+    return monday.toISOString().split('T')[0];
+}
+
 function makeId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
 }
@@ -179,6 +197,14 @@ export const analytics = {
     // Layer 2: Session Metrics + Rollups
     // ═══════════════════════════════════════════
 
+    // The score processSessionEnd will store, without storing anything — the
+    // results screen shows it (and its breakdown) before the metrics are written
+    scoreResults(rawResults, context = {}) {
+        const { flowScore, scoringVersion, scoringPreset, scoringInputs, scoreBreakdown } =
+            computeSessionMetrics(rawResults, context);
+        return { flowScore, scoringVersion, scoringPreset, scoringInputs, scoreBreakdown };
+    },
+
     async processSessionEnd(rawResults, context = {}) {
         try {
             const sessionNumber = getSessionNumber();
@@ -197,6 +223,7 @@ export const analytics = {
                 isLikelyTechIssue: metrics.isLikelyTechIssue,
                 hesitationsPerMinute: metrics.hesitationsPerMinute,
                 wordsPerMinute: metrics.wordsPerMinute,
+                fillersPerMinute: metrics.fillersPerMinute,
             }, metrics.sessionId);
 
             // Send to PostHog (cloud analytics)
@@ -272,15 +299,10 @@ export const analytics = {
         // Group dailies by ISO week (Monday start)
         const byWeek = {};
         dailyRollups.forEach(d => {
-            const date = new Date(d.date);
-            const day = date.getDay();
-            const offset = day === 0 ? -6 : 1 - day;
-            const monday = new Date(date);
-            monday.setDate(date.getDate() + offset);
-            const weekStart = monday.toISOString().split('T')[0];
+            const weekStart = weekStartOf(d.date);
 
             // Only completed weeks
-            const weekEnd = new Date(monday);
+            const weekEnd = new Date(weekStart);
             weekEnd.setDate(weekEnd.getDate() + 7);
             if (weekEnd > new Date()) return;
 
@@ -298,6 +320,225 @@ export const analytics = {
         }
     },
 
+    // Migration: bring stored metrics up to METRICS_VERSION. Idempotent —
+    // records already at the current version are left alone. Throws if
+    // IndexedDB is unavailable so the migration is retried next launch.
+    async migrateSessionMetrics() {
+        await analyticsStore.ready();
+        const all = await analyticsStore.getAll(STORES.sessionMetrics);
+        const outdated = all.filter(m => (m._version || 1) < METRICS_VERSION);
+        if (outdated.length > 0) {
+            await analyticsStore.writeMany(STORES.sessionMetrics, outdated.map(upgradeSessionMetrics));
+        }
+        return outdated.length;
+    },
+
+    // Rescore every stored session under a scoring model and rebuild the
+    // rollups built from them. Days whose metrics were pruned (> 90 days) keep
+    // their old rollup and are listed as stale. Returns the diff.
+    async recomputeAll(version = CURRENT_SCORING_VERSION) {
+        await analyticsStore.ready();
+        const metrics = await analyticsStore.getAll(STORES.sessionMetrics);
+        const changes = [];
+        const rescored = metrics.map((m) => {
+            const upgraded = upgradeSessionMetrics(m);
+            // Keep the preset the session was scored with; older sessions take the current one
+            const scored = scoreSession(upgraded.scoringInputs, version, { preset: upgraded.scoringPreset ?? undefined });
+            if (scored.flowScore !== m.flowScore) {
+                changes.push({ sessionId: m.sessionId, date: m.date, before: m.flowScore, after: scored.flowScore });
+            }
+            return { ...upgraded, ...scored, _syncStatus: 'local' };
+        });
+        if (rescored.length > 0) await analyticsStore.writeMany(STORES.sessionMetrics, rescored);
+
+        // Daily rollups: rebuild every day we still have metrics for
+        const byDate = {};
+        rescored.forEach(m => { (byDate[m.date] = byDate[m.date] || []).push(m); });
+        const existingDailies = await analyticsStore.getAll(STORES.dailyRollups);
+        const rebuiltDailies = existingDailies
+            .filter(d => byDate[d.date])
+            .map(d => computeDailyRollup(d.date, byDate[d.date]));
+        if (rebuiltDailies.length > 0) await analyticsStore.writeMany(STORES.dailyRollups, rebuiltDailies);
+        const staleDates = existingDailies.filter(d => !byDate[d.date]).map(d => d.date);
+
+        // Weekly rollups: rebuild the weeks that exist from their (new) dailies
+        const dailies = await analyticsStore.getAll(STORES.dailyRollups);
+        const existingWeeklies = await analyticsStore.getAll(STORES.weeklyRollups);
+        const rebuiltWeeklies = existingWeeklies
+            .map(w => computeWeeklyRollup(w.weekStart, dailies.filter(d => weekStartOf(d.date) === w.weekStart)))
+            .filter(Boolean);
+        if (rebuiltWeeklies.length > 0) await analyticsStore.writeMany(STORES.weeklyRollups, rebuiltWeeklies);
+
+        const deltas = changes.map(c => c.after - c.before);
+        const diff = {
+            version,
+            sessionsRescored: rescored.length,
+            sessionsChanged: changes.length,
+            avgDelta: deltas.length > 0
+                ? Math.round((deltas.reduce((a, b) => a + b, 0) / deltas.length) * 10) / 10
+                : 0,
+            changes,
+            // Every rescored session, changed or not: { [sessionId]: { flowScore, scoringPreset } }
+            scores: Object.fromEntries(rescored.map(m => [m.sessionId, { flowScore: m.flowScore, scoringPreset: m.scoringPreset }])),
+            dailyRollupsRebuilt: rebuiltDailies.length,
+            weeklyRollupsRebuilt: rebuiltWeeklies.length,
+            staleDates,
+        };
+
+        await this._logEvent('analytics.recomputed', {
+            version,
+            sessionsRescored: diff.sessionsRescored,
+            sessionsChanged: diff.sessionsChanged,
+            avgDelta: diff.avgDelta,
+        });
+        return diff;
+    },
+
+    // ── Backup ──
+
+    // Metrics and rollups for a backup file. Events stay on the device —
+    // they're usage telemetry, not practice history.
+    async exportData() {
+        await analyticsStore.ready();
+        return {
+            metricsVersion: METRICS_VERSION,
+            sessionMetrics: await analyticsStore.getAll(STORES.sessionMetrics),
+            dailyRollups: await analyticsStore.getAll(STORES.dailyRollups),
+            weeklyRollups: await analyticsStore.getAll(STORES.weeklyRollups),
+        };
+    },
+
+    // strategy 'replace' swaps this device's metrics and rollups for the
+    // backup's. 'merge' keeps local metrics on a sessionId clash, adds the
+    // rest, and rebuilds the rollups of every day and week that gained a
+    // session; imported rollups are kept only where we have nothing for
+    // that day/week (their metrics were pruned before the backup was made).
+    async importData({ sessionMetrics = [], dailyRollups = [], weeklyRollups = [] }, { strategy = 'merge' } = {}) {
+        await analyticsStore.ready();
+        const incoming = sessionMetrics.map(m => ({ ...upgradeSessionMetrics(m), _syncStatus: 'local' }));
+
+        if (strategy === 'replace') {
+            await analyticsStore.clear(STORES.sessionMetrics);
+            await analyticsStore.clear(STORES.dailyRollups);
+            await analyticsStore.clear(STORES.weeklyRollups);
+            if (incoming.length > 0) await analyticsStore.writeMany(STORES.sessionMetrics, incoming);
+            if (dailyRollups.length > 0) await analyticsStore.writeMany(STORES.dailyRollups, dailyRollups);
+            if (weeklyRollups.length > 0) await analyticsStore.writeMany(STORES.weeklyRollups, weeklyRollups);
+            return { metricsAdded: incoming.length, metricsSkipped: 0, dailyRollupsWritten: dailyRollups.length };
+        }
+
+        const local = await analyticsStore.getAll(STORES.sessionMetrics);
+        const localIds = new Set(local.map(m => m.sessionId));
+        const added = incoming.filter(m => !localIds.has(m.sessionId));
+        if (added.length > 0) await analyticsStore.writeMany(STORES.sessionMetrics, added);
+
+        const allMetrics = [...local, ...added];
+        const localDailies = await analyticsStore.getAll(STORES.dailyRollups);
+        const localDates = new Set(localDailies.map(d => d.date));
+        const today = new Date().toISOString().split('T')[0];
+        const touchedDates = [...new Set(added.map(m => m.date))].filter(date => date && date !== today);
+        const rebuiltDailies = touchedDates
+            .map(date => computeDailyRollup(date, allMetrics.filter(m => m.date === date)))
+            .filter(Boolean);
+        const keptDailies = dailyRollups.filter(d => !localDates.has(d.date) && !touchedDates.includes(d.date));
+        const dailies = [...rebuiltDailies, ...keptDailies];
+        if (dailies.length > 0) await analyticsStore.writeMany(STORES.dailyRollups, dailies);
+
+        // Weeks we already had are rebuilt; weeks new to this device are built by _buildWeeklyRollups
+        const localWeeks = new Set((await analyticsStore.getAll(STORES.weeklyRollups)).map(w => w.weekStart));
+        const allDailies = await analyticsStore.getAll(STORES.dailyRollups);
+        const touchedWeeks = [...new Set(dailies.map(d => weekStartOf(d.date)))];
+        const rebuiltWeeklies = touchedWeeks
+            .filter(weekStart => localWeeks.has(weekStart))
+            .map(weekStart => computeWeeklyRollup(weekStart, allDailies.filter(d => weekStartOf(d.date) === weekStart)))
+            .filter(Boolean);
+        const keptWeeklies = weeklyRollups.filter(w => !localWeeks.has(w.weekStart) && !touchedWeeks.includes(w.weekStart));
+        const weeklies = [...rebuiltWeeklies, ...keptWeeklies];
+        if (weeklies.length > 0) await analyticsStore.writeMany(STORES.weeklyRollups, weeklies);
+        await this._buildWeeklyRollups();
+
+        return { metricsAdded: added.length, metricsSkipped: incoming.length - added.length, dailyRollupsWritten: dailies.length };
+    },
+
+    // Remove everything derived from one session. Rollups that already
+    // counted it are rebuilt from the remaining metrics; if the metrics were
+    // pruned (> 90 days) the rollups are left as they are.
+    async deleteSessionData(sessionId) {
+        try {
+            const metrics = await analyticsStore.get(STORES.sessionMetrics, sessionId);
+            analyticsStore.recordDeletion(STORES.sessionMetrics, metrics);
+            await analyticsStore.delete(STORES.sessionMetrics, sessionId);
+            await analyticsStore.deleteByIndex(STORES.events, 'sessionId', sessionId);
+            await analyticsStore.deleteByIndex(STORES.transcriptionChunks, 'sessionId', sessionId);
+            await deleteRecording(sessionId);
+            if (metrics?.date) await this._refreshRollups(metrics.date);
+        } catch (e) {
+            console.warn('deleteSessionData failed:', e);
+        }
+    },
+
+    // Migration: rollups used to sync, so another device's copy may have
+    // overwritten this one's. Rebuilds every day the stored metrics cover
+    // (older days keep theirs). Throws if IndexedDB is unavailable.
+    async rebuildRollups() {
+        await analyticsStore.ready();
+        const metrics = await analyticsStore.getAll(STORES.sessionMetrics);
+        const dates = [...new Set(metrics.map(m => m.date).filter(Boolean))];
+        for (const date of dates) await this._refreshRollups(date);
+        return dates.length;
+    },
+
+    // Rebuild the daily rollup for a date, and its week, from the metrics
+    // stored now — only where a rollup was already built
+    async _refreshRollups(date) {
+        const remaining = await analyticsStore.getByIndex(STORES.sessionMetrics, 'date', date);
+        const daily = await analyticsStore.get(STORES.dailyRollups, date);
+        if (!daily) return;
+        const rebuiltDaily = computeDailyRollup(date, remaining);
+        if (rebuiltDaily) {
+            await analyticsStore.write(STORES.dailyRollups, rebuiltDaily);
+        } else {
+            await analyticsStore.delete(STORES.dailyRollups, date);
+        }
+
+        const weekStart = weekStartOf(date);
+        const weekly = await analyticsStore.get(STORES.weeklyRollups, weekStart);
+        if (!weekly) return;
+        const dailies = (await analyticsStore.getAll(STORES.dailyRollups))
+            .filter(d => weekStartOf(d.date) === weekStart);
+        const rebuiltWeekly = computeWeeklyRollup(weekStart, dailies);
+        if (rebuiltWeekly) {
+            await analyticsStore.write(STORES.weeklyRollups, rebuiltWeekly);
+        } else {
+            await analyticsStore.delete(STORES.weeklyRollups, weekStart);
+        }
+    },
+
+    // Late transcript for a stored session (queued server chunks): recompute
+    // its text-derived metrics and score, and the rollups that counted it.
+    // Resolves to the updated metrics, or null when they're gone (pruned, deleted).
+    // speakingRegions: the session timeline's, for metrics from before they kept their own
+    async backfillTranscript(sessionId, { transcript, segments, speakingRegions }) {
+        try {
+            const metrics = await analyticsStore.get(STORES.sessionMetrics, sessionId);
+            if (!metrics) return null;
+            const updated = applyTranscript(metrics, {
+                transcript, segments, speakingRegions: metrics.speakingRegions || speakingRegions || [],
+            });
+            await analyticsStore.write(STORES.sessionMetrics, updated);
+            await this._refreshRollups(updated.date);
+            await this._logEvent('session.transcript_backfilled', {
+                wordCount: updated.wordCount,
+                flowScoreBefore: metrics.flowScore,
+                flowScoreAfter: updated.flowScore,
+            }, sessionId);
+            return updated;
+        } catch (e) {
+            console.warn('backfillTranscript failed:', e);
+            return null;
+        }
+    },
+
     // ═══════════════════════════════════════════
     // Queries & Intelligence
     // ═══════════════════════════════════════════
@@ -317,6 +558,16 @@ export const analytics = {
         return all.sort((a, b) => b.weekStart.localeCompare(a.weekStart)).slice(0, limit);
     },
 
+    // Phrase types before hesitations over the last `limit` sessions
+    async getStuckPointStats(limit = 20) {
+        try {
+            return computeStuckPointStats(await this.getSessionMetrics(limit));
+        } catch (e) {
+            console.warn('getStuckPointStats failed:', e);
+            return null;
+        }
+    },
+
     async getRecentEvents(limit = 50) {
         const all = await analyticsStore.getAll(STORES.events);
         return all.sort((a, b) => b.timestamp.localeCompare(a.timestamp)).slice(0, limit);
@@ -397,9 +648,91 @@ export const analytics = {
         return BENCHMARK_PRIVACY_SUMMARY;
     },
 
+    // ═══════════════════════════════════════════
+    // Session Recordings (IndexedDB, quota + LRU eviction)
+    // ═══════════════════════════════════════════
+
+    async saveRecording(sessionId, blob, options) {
+        return saveRecording(sessionId, blob, options);
+    },
+
+    async getRecording(sessionId) {
+        return getRecording(sessionId);
+    },
+
+    async pinRecording(sessionId, pinned = true) {
+        return setRecordingPinned(sessionId, pinned);
+    },
+
+    async deleteRecording(sessionId) {
+        return deleteRecording(sessionId);
+    },
+
+    async listRecordings() {
+        return listRecordings();
+    },
+
+    // Blobs included — for backups
+    async exportRecordings() {
+        return exportRecordings();
+    },
+
+    async importRecordings(records, options) {
+        return importRecordings(records, options);
+    },
+
+    async getAudioUsage() {
+        return getAudioUsage();
+    },
+
+    getAudioQuota() {
+        return getAudioQuota();
+    },
+
+    setAudioQuota(bytes) {
+        setAudioQuota(bytes);
+    },
+
+    // Returns the evicted sessionIds
+    async enforceAudioQuota() {
+        return enforceAudioQuota();
+    },
+
+    // ═══════════════════════════════════════════
+    // Server transcription chunk queue (IndexedDB)
+    // ═══════════════════════════════════════════
+
+    async queueTranscriptionChunk(chunk) {
+        return queueChunk(chunk);
+    },
+
+    async updateQueuedTranscriptionChunk(id, changes) {
+        return updateChunk(id, changes);
+    },
+
+    async removeQueuedTranscriptionChunk(id) {
+        return removeChunk(id);
+    },
+
+    async getQueuedTranscriptionChunks() {
+        return getQueuedChunks();
+    },
+
     // Cloud sync (no-op until adapter is set)
+    // Rollups aren't synced: the days and weeks pulled metrics fall in are
+    // rebuilt here from every device's sessions
     async sync() {
-        return analyticsStore.sync();
+        const result = await analyticsStore.sync();
+        if (result.changedDates?.length > 0) {
+            await this.runDailyRollup();
+            for (const date of result.changedDates) await this._refreshRollups(date);
+        }
+        return result;
+    },
+
+    // Sync session metrics with a REST server (see syncAdapter.js)
+    configureSync({ baseUrl, ...options }) {
+        analyticsStore.setSyncAdapter(createRestSyncAdapter({ baseUrl, deviceId: getDeviceId(), ...options }));
     },
 
     setSyncAdapter(adapter) {
@@ -229,7 +229,8 @@ export function generateInsights(sessionMetrics, behavioral, velocity, weeklyRol
         const modeLabel = behavioral.topMode === 'free-speak' ? 'Free Speaking'
             : behavioral.topMode === 'lemon' ? 'Lemon Technique'
                 : behavioral.topMode === 'topic' ? 'Topic'
-                    : behavioral.topMode;
+                    : behavioral.topMode === 'upload' ? 'Recording Analysis'
+                        : behavioral.topMode;
         add({
             id: 'try_other_modes',
             type: 'suggestion',
@@ -295,6 +296,23 @@ export function generateInsights(sessionMetrics, behavioral, velocity, weeklyRol
         });
     }
 
+    // 12. Monotone delivery — low pitch variability across recent sessions
+    const withPitch = sessionMetrics.filter(m => m.pitchVariability != null && !m.isLikelyTechIssue).slice(-5);
+    if (withPitch.length >= 3) {
+        const lowCount = withPitch.filter(m => m.pitchVariability < 1.5).length;
+        if (lowCount / withPitch.length >= 0.8) {
+            const avgVariability = withPitch.reduce((s, m) => s + m.pitchVariability, 0) / withPitch.length;
+            add({
+                id: 'monotone_delivery',
+                type: 'tip',
+                priority: 3,
+                title: 'Flat intonation',
+                message: 'Your pitch barely moves across recent sessions. Lift your voice on key words and let it fall at the end of each point — listeners follow the melody.',
+                data: { avgVariability: Math.round(avgVariability * 100) / 100, sessions: withPitch.length },
+            });
+        }
+    }
+
     // Sort by priority descending
     insights.sort((a, b) => b.priority - a.priority);
 
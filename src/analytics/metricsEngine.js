@@ -1,27 +1,87 @@
 // Session metrics computation, tech health classification, rollup engine
 
+import { detectFillers } from '@/transcription/fillerWords';
+import { alignHesitations, countPhraseTypes } from '@/transcription/hesitationContext';
+import { classifyPauses, summarizePauses } from '@/audio/pauseTaxonomy';
+import { scoreSession, scoringInputsFrom, CURRENT_SCORING_VERSION } from '@/audio/scoringModels';
+
+// v2: every field below is present; null where the session predates the measurement
+// v3: scoringInputs + scoringVersion, so stored sessions can be rescored
+// v4: scoringPreset + scoreBreakdown; filler count and pace in scoringInputs
+// v5: stuckPoints + pausePhraseTypes — hesitations joined to the transcript
+// v6: language — the practice language the session was recognised in
+// v7: speakingRegions + pauseTimings, so a late transcript is placed and its
+//     pauses classified the way a fresh session's are
+export const METRICS_VERSION = 7;
+
+// Sessions before the language setting were all recognised as en-US
+const DEFAULT_LANGUAGE = 'en-US';
+
+// Everything computeSessionMetrics reads from the transcript
+function measureTranscript({ transcript, transcriptSegments, speakingMinutes, estimatedWpm, language }) {
+    const wordCount = transcript.trim()
+        ? transcript.trim().split(/\s+/).length
+        : 0;
+
+    // Vocalized disfluency — segments carry timing; plain text is the fallback
+    const fillerSource = transcriptSegments.length > 0
+        ? transcriptSegments
+        : [{ text: transcript, startMs: null, endMs: null }];
+    const fillers = detectFillers(fillerSource, { language });
+    const fillersPerMinute = speakingMinutes > 0
+        ? Math.round((fillers.fillerCount / speakingMinutes) * 10) / 10
+        : 0;
+
+    // Pacing — transcript words when we have them, syllable estimate otherwise
+    const transcriptWpm = speakingMinutes > 0
+        ? Math.round(wordCount / speakingMinutes)
+        : 0;
+    const wordsPerMinute = wordCount > 0 ? transcriptWpm : estimatedWpm;
+    const wpmSource = wordCount > 0 ? 'transcript' : (estimatedWpm > 0 ? 'syllables' : null);
+
+    return { wordCount, fillers, fillersPerMinute, wordsPerMinute, wpmSource };
+}
+
+// Where the hesitations fell in the transcript; nulls when there's no timed
+// transcript to place them in
+function locateHesitations({ transcriptSegments, hesitationTimings, speakingRegions, language }) {
+    const stuckPoints = alignHesitations(transcriptSegments, hesitationTimings, { speakingRegions, language });
+    if (stuckPoints.length < hesitationTimings.length || !transcriptSegments.some(seg => seg.text && seg.text.trim())) {
+        return { stuckPoints: null, pausePhraseTypes: null };
+    }
+    return { stuckPoints, pausePhraseTypes: countPhraseTypes(stuckPoints) };
+}
+
 export function computeSessionMetrics(rawResults, context = {}) {
     const {
         totalSpeakingTime = 0,     // seconds
         totalSilenceTime = 0,      // seconds
-        hesitationSilenceTime = 0, // ms
         hesitationCount = 0,
         hesitationTimings = [],    // [{ startOffset, duration }]
+        pauseTimings = [],         // [{ startOffset, duration, isHesitation }] — every silence
+        speakingRegions = [],      // [{ startMs, endMs }]
         longestFlowStreak = 0,     // ms
         totalTime = 0,             // ms
         avgVolume = 0,
         noiseFloor = 0,
         frameCount = 0,
+        detectionMode = 'forgiving',
+        voiceDetector = 'rms',
+        analysisEngine = 'raf',
         transcript = '',
+        transcriptSegments = [],   // final segments from the transcript accumulator
+        pitch = null,              // pitchTracker summary
+        syllablesPerMinute = 0,    // syllable nuclei per speaking minute
+        estimatedWpm = 0,          // syllablesPerMinute ÷ syllables-per-word
     } = rawResults;
 
     const durationSeconds = Math.round(totalTime / 1000);
     const speakingMinutes = totalSpeakingTime / 60;
 
-    // Word count from transcript
-    const wordCount = transcript.trim()
-        ? transcript.trim().split(/\s+/).length
-        : 0;
+    const language = context.language || DEFAULT_LANGUAGE;
+    const { wordCount, fillers, fillersPerMinute, wordsPerMinute, wpmSource } = measureTranscript({
+        transcript, transcriptSegments, speakingMinutes, estimatedWpm, language,
+    });
 
     // Hesitation analysis
     const hesitationsPerMinute = speakingMinutes > 0
@@ -46,18 +106,28 @@ export function computeSessionMetrics(rawResults, context = {}) {
         });
     }
 
-    // Flow score
-    const flowScore = calculateFlowScore(hesitationSilenceTime, hesitationCount);
+    // Pause taxonomy — transcript segment ends mark sentence boundaries
+    const pauses = summarizePauses(classifyPauses(pauseTimings, { segments: transcriptSegments }));
+
+    // Where you got stuck — the words around each hesitation
+    const { stuckPoints, pausePhraseTypes } = locateHesitations({
+        transcriptSegments, hesitationTimings, speakingRegions, language,
+    });
 
     // Speaking ratio
     const speakingRatio = durationSeconds > 0
         ? Math.round((totalSpeakingTime / durationSeconds) * 100) / 100
         : 0;
 
-    // Pacing
-    const wordsPerMinute = speakingMinutes > 0
-        ? Math.round(wordCount / speakingMinutes)
-        : 0;
+    // Flow score — inputs are kept so the session can be rescored by a later model.
+    // Fillers only count when there was a transcript to find them in.
+    const scoringInputs = scoringInputsFrom(rawResults, {
+        fillerCount: wordCount > 0 ? fillers.fillerCount : null,
+        wordsPerMinute: wordsPerMinute || null,
+    });
+    const { flowScore, scoringVersion, scoringPreset, scoreBreakdown } = scoreSession(
+        scoringInputs, CURRENT_SCORING_VERSION, { preset: context.scoringPreset }
+    );
 
     // Tech health classification
     const micQuality = classifyMicQuality(avgVolume, noiseFloor);
@@ -73,6 +143,9 @@ export function computeSessionMetrics(rawResults, context = {}) {
         timestamp: new Date().toISOString(),
         date: new Date().toISOString().split('T')[0],
         mode: context.mode || 'free',
+        language,
+        detectionMode,
+        voiceDetector,
 
         // Time (delta-time guaranteed)
         totalDuration: durationSeconds,
@@ -82,19 +155,45 @@ export function computeSessionMetrics(rawResults, context = {}) {
 
         // Fluency
         flowScore,
+        scoringVersion,
+        scoringPreset,
+        scoringInputs,
+        scoreBreakdown,     // [{ key, label, value, subscore, weight, points }], null for model 1
         hesitationCount,
         hesitationsPerMinute,
         avgHesitationDuration,
         longestFlowStreak: Math.round(longestFlowStreak / 1000), // seconds
         hesitationDistribution,
+        pauseCount: pauses.pauseCount,
+        pauseDistribution: pauses.distribution,   // { micro, breath, boundary, hesitation, block }
+        pauseHistogram: pauses.histogram,         // [{ label, count }] by duration
+        wellPlacedPauseRatio: pauses.wellPlacedPauseRatio,
+        pauseTimings,       // [{ startOffset, duration, isHesitation }] — reclassified by applyTranscript
+        speakingRegions,    // [{ startMs, endMs }] — where browser STT words are placed
+        stuckPoints,        // [{ startOffset, duration, before, after, wordBefore, phraseType }]
+        pausePhraseTypes,   // { sentence_start, connector, before_noun, after_filler, mid_phrase }
+        fillerCount: fillers.fillerCount,
+        fillersPerMinute,
+        fillerTimings: fillers.fillers,   // [{ phrase, type, atMs }]
+        fillerBreakdown: fillers.byPhrase,
+
+        // Intonation (null when too few voiced frames)
+        pitchMedianHz: pitch?.medianHz ?? null,
+        pitchRangeSemitones: pitch?.rangeSemitones ?? null,
+        pitchVariability: pitch?.variabilitySemitones ?? null,
+        monotoneScore: pitch?.monotoneScore ?? null,
 
         // Pacing
         wordCount,
         wordsPerMinute,
+        wpmSource,
+        syllablesPerMinute,
+        estimatedWpm,
 
         // Technical
         micQuality,
         frameDropRatio,
+        analysisEngine,
         isLikelyTechIssue,
         transcriptAvailable: wordCount > 0,
 
@@ -104,14 +203,155 @@ export function computeSessionMetrics(rawResults, context = {}) {
 
         // Sync readiness
         _syncStatus: 'local',
-        _version: 1,
+        _version: METRICS_VERSION,
     };
 }
 
-function calculateFlowScore(hesitationSilenceTimeMs, hesitationCount) {
-    const silenceSeconds = hesitationSilenceTimeMs / 1000;
-    const score = 100 - (hesitationCount * 5) - (silenceSeconds * 10);
-    return Math.max(0, Math.min(100, Math.round(score)));
+// A transcript that arrived after the session was stored (queued server
+// chunks): the text-derived fields are recomputed and the session rescored
+// under the model and preset it was scored with, its hesitations are placed
+// in the new transcript and its pauses reclassified against the new sentence
+// boundaries. Records from before v7 kept no pause timings, so their pause
+// classification stays as it was.
+export function applyTranscript(metrics, {
+    transcript = '', segments = [], language = metrics.language, speakingRegions = metrics.speakingRegions || [],
+} = {}) {
+    const { wordCount, fillers, fillersPerMinute, wordsPerMinute, wpmSource } = measureTranscript({
+        transcript,
+        transcriptSegments: segments,
+        speakingMinutes: (metrics.speakingTime || 0) / 60,
+        estimatedWpm: metrics.estimatedWpm || 0,
+        language,
+    });
+
+    const scoringInputs = {
+        ...metrics.scoringInputs,
+        fillerCount: wordCount > 0 ? fillers.fillerCount : null,
+        wordsPerMinute: wordsPerMinute || null,
+    };
+    const { flowScore, scoreBreakdown } = scoreSession(
+        scoringInputs, metrics.scoringVersion, { preset: metrics.scoringPreset ?? undefined }
+    );
+    const { stuckPoints, pausePhraseTypes } = locateHesitations({
+        transcriptSegments: segments,
+        hesitationTimings: metrics.scoringInputs?.hesitationTimings || [],
+        speakingRegions,
+        language,
+    });
+    const pauses = metrics.pauseTimings
+        ? summarizePauses(classifyPauses(metrics.pauseTimings, { segments }))
+        : null;
+
+    return {
+        ...metrics,
+        ...(pauses && {
+            pauseCount: pauses.pauseCount,
+            pauseDistribution: pauses.distribution,
+            pauseHistogram: pauses.histogram,
+            wellPlacedPauseRatio: pauses.wellPlacedPauseRatio,
+        }),
+        flowScore,
+        scoringInputs,
+        scoreBreakdown,
+        stuckPoints,
+        pausePhraseTypes,
+        fillerCount: fillers.fillerCount,
+        fillersPerMinute,
+        fillerTimings: fillers.fillers,
+        fillerBreakdown: fillers.byPhrase,
+        wordCount,
+        wordsPerMinute,
+        wpmSource,
+        transcriptAvailable: wordCount > 0,
+        _syncStatus: 'local',
+    };
+}
+
+// Fields added after v1, and what a v1 record gets for them
+const V1_MISSING_FIELDS = {
+    detectionMode: 'forgiving',
+    voiceDetector: 'rms',
+    analysisEngine: 'raf',
+    pauseCount: null,
+    pauseDistribution: null,
+    pauseHistogram: null,
+    wellPlacedPauseRatio: null,
+    fillerCount: null,
+    fillersPerMinute: null,
+    fillerTimings: null,
+    fillerBreakdown: null,
+    pitchMedianHz: null,
+    pitchRangeSemitones: null,
+    pitchVariability: null,
+    monotoneScore: null,
+    wpmSource: null,
+    syllablesPerMinute: null,
+    estimatedWpm: null,
+};
+
+// One step per version: METRICS_UPGRADES[n] turns a vN record into vN+1.
+// Existing values are never overwritten — only missing fields are filled in.
+const METRICS_UPGRADES = {
+    1: (record) => {
+        const upgraded = { ...V1_MISSING_FIELDS, ...record };
+        if (upgraded.wpmSource == null && upgraded.wordCount > 0) upgraded.wpmSource = 'transcript';
+        return upgraded;
+    },
+    // Pre-registry metrics were scored by model 1 but kept no hesitation
+    // silence total — it's rebuilt from the average (rounded to 0.1s)
+    2: (record) => ({
+        ...record,
+        scoringVersion: record.scoringVersion ?? 1,
+        scoringInputs: record.scoringInputs || {
+            hesitationCount: record.hesitationCount || 0,
+            hesitationSilenceMs: Math.round((record.avgHesitationDuration || 0) * 1000 * (record.hesitationCount || 0)),
+            hesitationTimings: [],
+            totalTimeMs: (record.totalDuration || 0) * 1000,
+            speakingTimeMs: (record.speakingTime || 0) * 1000,
+            derived: true,
+        },
+    }),
+    // Composite scoring also reads fillers and pace, which v3 inputs left out
+    3: (record) => ({
+        ...record,
+        scoringPreset: record.scoringPreset ?? null,
+        scoreBreakdown: record.scoreBreakdown ?? null,
+        scoringInputs: {
+            fillerCount: record.transcriptAvailable ? (record.fillerCount ?? null) : null,
+            wordsPerMinute: record.wordsPerMinute || null,
+            ...record.scoringInputs,
+        },
+    }),
+    // The transcript wasn't kept with the metrics, so older sessions have no stuck points
+    4: (record) => ({
+        ...record,
+        stuckPoints: record.stuckPoints ?? null,
+        pausePhraseTypes: record.pausePhraseTypes ?? null,
+    }),
+    5: (record) => ({
+        ...record,
+        language: record.language || DEFAULT_LANGUAGE,
+    }),
+    // Neither was kept before; the session timeline still has speakingRegions
+    // and analytics.backfillTranscript passes them in
+    6: (record) => ({
+        ...record,
+        pauseTimings: record.pauseTimings ?? null,
+        speakingRegions: record.speakingRegions ?? null,
+    }),
+};
+
+export function upgradeSessionMetrics(record) {
+    let version = record._version || 1;
+    if (version >= METRICS_VERSION) return record;
+
+    let upgraded = record;
+    while (version < METRICS_VERSION) {
+        upgraded = METRICS_UPGRADES[version](upgraded);
+        version++;
+    }
+    // Re-sync so remote copies get the new shape
+    return { ...upgraded, _version: METRICS_VERSION, _syncStatus: 'local' };
 }
 
 export function classifyMicQuality(avgVolume, noiseFloor) {
@@ -123,6 +363,33 @@ export function classifyMicQuality(avgVolume, noiseFloor) {
 
 // ── Daily Rollup ──
 
+// Per-group averages for the rollup, keyed by keyOf(metric)
+function groupAverages(sessionMetrics, keyOf) {
+    const groups = {};
+    sessionMetrics.forEach(m => {
+        const key = keyOf(m);
+        (groups[key] = groups[key] || []).push(m);
+    });
+    return Object.fromEntries(Object.entries(groups).map(([key, metrics]) => {
+        const scores = metrics.map(m => m.flowScore);
+        const clean = metrics.filter(m => !m.isLikelyTechIssue).map(m => m.flowScore);
+        const avg = Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+        const minutes = metrics.reduce((s, m) => s + m.speakingTime, 0) / 60;
+        const hesitations = metrics.reduce((s, m) => s + m.hesitationCount, 0);
+        const fillers = metrics.reduce((s, m) => s + (m.fillerCount || 0), 0);
+        return [key, {
+            sessionsCompleted: metrics.length,
+            totalPracticeTime: metrics.reduce((s, m) => s + m.totalDuration, 0),
+            avgFlowScore: avg,
+            cleanAvgFlowScore: clean.length > 0
+                ? Math.round(clean.reduce((a, b) => a + b, 0) / clean.length)
+                : avg,
+            hesitationsPerMinute: minutes > 0 ? Math.round((hesitations / minutes) * 10) / 10 : 0,
+            fillersPerMinute: minutes > 0 ? Math.round((fillers / minutes) * 10) / 10 : 0,
+        }];
+    }));
+}
+
 export function computeDailyRollup(date, sessionMetrics) {
     if (!sessionMetrics.length) return null;
 
@@ -131,8 +398,18 @@ export function computeDailyRollup(date, sessionMetrics) {
     const avgFlowScore = Math.round(flowScores.reduce((a, b) => a + b, 0) / flowScores.length);
     const bestFlowScore = Math.max(...flowScores);
     const totalHesitations = sessionMetrics.reduce((s, m) => s + m.hesitationCount, 0);
+    const totalFillers = sessionMetrics.reduce((s, m) => s + (m.fillerCount || 0), 0);
+    const pauseDistribution = {};
+    sessionMetrics.forEach(m => Object.entries(m.pauseDistribution || {}).forEach(([type, n]) => {
+        pauseDistribution[type] = (pauseDistribution[type] || 0) + n;
+    }));
+    const pausePhraseTypes = {};
+    sessionMetrics.forEach(m => Object.entries(m.pausePhraseTypes || {}).forEach(([type, n]) => {
+        pausePhraseTypes[type] = (pausePhraseTypes[type] || 0) + n;
+    }));
     const speakingMinutes = sessionMetrics.reduce((s, m) => s + m.speakingTime, 0) / 60;
     const modesUsed = [...new Set(sessionMetrics.map(m => m.mode))];
+    const scoringVersions = [...new Set(sessionMetrics.map(m => m.scoringVersion || 1))].sort();
 
     // Debug annotation: clean scores exclude tech-issue sessions
     const cleanMetrics = sessionMetrics.filter(m => !m.isLikelyTechIssue);
@@ -141,6 +418,11 @@ export function computeDailyRollup(date, sessionMetrics) {
         ? Math.round(cleanFlowScores.reduce((a, b) => a + b, 0) / cleanFlowScores.length)
         : avgFlowScore;
 
+    // Fillers and pace aren't comparable across languages, nor strict scores
+    // with forgiving ones — keep a separate line per language and detection mode
+    const byLanguage = groupAverages(sessionMetrics, m => m.language || DEFAULT_LANGUAGE);
+    const byDetectionMode = groupAverages(sessionMetrics, m => m.detectionMode || 'forgiving');
+
     return {
         date,
         sessionsCompleted: sessionMetrics.length,
@@ -153,7 +435,17 @@ export function computeDailyRollup(date, sessionMetrics) {
         hesitationsPerMinute: speakingMinutes > 0
             ? Math.round((totalHesitations / speakingMinutes) * 10) / 10
             : 0,
+        pauseDistribution,
+        pausePhraseTypes,
+        totalFillers,
+        fillersPerMinute: speakingMinutes > 0
+            ? Math.round((totalFillers / speakingMinutes) * 10) / 10
+            : 0,
         modesUsed,
+        languagesUsed: Object.keys(byLanguage),
+        scoringVersions,    // more than one → scores in this day aren't comparable
+        byDetectionMode,
+        byLanguage,
         avgSpeakingRatio: Math.round(
             sessionMetrics.reduce((s, m) => s + m.speakingRatio, 0) / sessionMetrics.length * 100
         ) / 100,
@@ -177,21 +469,46 @@ export function computeWeeklyRollup(weekStart, dailyRollups) {
     // Use clean scores (tech-issue-free) for trend analysis
     const cleanScores = dailyRollups.map(d => d.cleanAvgFlowScore ?? d.avgFlowScore);
 
-    // Trend via simple linear regression slope (using clean scores)
-    let flowScoreTrend = 'stable';
-    if (cleanScores.length >= 3) {
-        const n = cleanScores.length;
-        const xMean = (n - 1) / 2;
-        const yMean = cleanScores.reduce((a, b) => a + b, 0) / n;
-        let num = 0, den = 0;
-        cleanScores.forEach((y, x) => {
-            num += (x - xMean) * (y - yMean);
-            den += (x - xMean) * (x - xMean);
-        });
-        const slope = den !== 0 ? num / den : 0;
-        if (slope > 1) flowScoreTrend = 'improving';
-        else if (slope < -1) flowScoreTrend = 'declining';
-    }
+    // Trend per detection mode — mixing strict and forgiving scores hides real movement
+    const detectionModeTrends = {};
+    dailyRollups.forEach(d => Object.entries(d.byDetectionMode || {}).forEach(([key, m]) => {
+        if (!detectionModeTrends[key]) detectionModeTrends[key] = { sessions: 0, scores: [] };
+        detectionModeTrends[key].sessions += m.sessionsCompleted;
+        detectionModeTrends[key].scores.push(m.cleanAvgFlowScore ?? m.avgFlowScore);
+    }));
+    Object.keys(detectionModeTrends).forEach(key => {
+        const { sessions, scores } = detectionModeTrends[key];
+        detectionModeTrends[key] = {
+            sessionsCompleted: sessions,
+            avgFlowScore: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length),
+            flowScoreTrend: computeTrend(scores),
+        };
+    });
+
+    // Per language — rollups from before languages count as en-US
+    const languageTrends = {};
+    dailyRollups.forEach(d => Object.entries(d.byLanguage || { [DEFAULT_LANGUAGE]: d }).forEach(([key, l]) => {
+        if (!languageTrends[key]) languageTrends[key] = { sessions: 0, practiceTime: 0, scores: [] };
+        languageTrends[key].sessions += l.sessionsCompleted;
+        languageTrends[key].practiceTime += l.totalPracticeTime || 0;
+        languageTrends[key].scores.push(l.avgFlowScore);
+    }));
+    Object.keys(languageTrends).forEach(key => {
+        const { sessions, practiceTime, scores } = languageTrends[key];
+        languageTrends[key] = {
+            sessionsCompleted: sessions,
+            totalPracticeTime: practiceTime,
+            avgFlowScore: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length),
+            flowScoreTrend: computeTrend(scores),
+        };
+    });
+
+    // Headline trend follows the week's primary detection mode (legacy rollups: all clean scores)
+    const primaryDetectionMode = Object.entries(detectionModeTrends)
+        .sort((a, b) => b[1].sessionsCompleted - a[1].sessionsCompleted)[0]?.[0] || null;
+    const flowScoreTrend = primaryDetectionMode
+        ? detectionModeTrends[primaryDetectionMode].flowScoreTrend
+        : computeTrend(cleanScores);
 
     // Consistency score (1 - coefficient of variation, using clean scores)
     let consistencyScore = 1;
@@ -218,16 +535,70 @@ export function computeWeeklyRollup(weekStart, dailyRollups) {
         totalPracticeTime,
         avgFlowScore,
         flowScoreTrend,
+        primaryDetectionMode,
+        detectionModeTrends,
+        languageTrends,
         consistencyScore,
         topMode,
+        scoringVersions: [...new Set(dailyRollups.flatMap(d => d.scoringVersions || [1]))].sort(),
         longestFlowStreak: Math.max(...dailyRollups.map(d => d.longestFlowStreak || 0)),
         _syncStatus: 'local',
         _version: 1,
     };
 }
 
+// ── Stuck Points ──
+
+// Which kinds of phrase the user's hesitations interrupt, across sessions.
+// Sessions without a timed transcript (stuckPoints null) are left out.
+export function computeStuckPointStats(sessionMetrics, { topWords = 5 } = {}) {
+    const located = sessionMetrics.filter(m => Array.isArray(m.stuckPoints));
+    const points = located.flatMap(m => m.stuckPoints);
+
+    const counts = countPhraseTypes(points);
+    const byType = Object.entries(counts).map(([type, count]) => ({
+        type,
+        count,
+        share: points.length > 0 ? Math.round((count / points.length) * 100) / 100 : 0,
+    }));
+
+    const wordCounts = new Map();
+    points.forEach(p => {
+        if (p.wordBefore) wordCounts.set(p.wordBefore, (wordCounts.get(p.wordBefore) || 0) + 1);
+    });
+    const topWordsBefore = [...wordCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topWords)
+        .map(([word, count]) => ({ word, count }));
+
+    return {
+        sessionCount: located.length,
+        hesitationCount: points.length,
+        byType,
+        topType: points.length > 0 ? byType.reduce((a, b) => (b.count > a.count ? b : a)).type : null,
+        topWordsBefore,
+    };
+}
+
 // ── Helpers ──
 
+// Trend via simple linear regression slope (needs 3+ points)
+function computeTrend(scores) {
+    if (scores.length < 3) return 'stable';
+    const n = scores.length;
+    const xMean = (n - 1) / 2;
+    const yMean = scores.reduce((a, b) => a + b, 0) / n;
+    let num = 0, den = 0;
+    scores.forEach((y, x) => {
+        num += (x - xMean) * (y - yMean);
+        den += (x - xMean) * (x - xMean);
+    });
+    const slope = den !== 0 ? num / den : 0;
+    if (slope > 1) return 'improving';
+    if (slope < -1) return 'declining';
+    return 'stable';
+}
+
 function detectPlatform() {
     const ua = navigator.userAgent || '';
     if (/iPad|iPhone|iPod/.test(ua)) return 'ios_safari';
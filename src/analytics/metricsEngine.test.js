@@ -0,0 +1,58 @@
+import { upgradeSessionMetrics, METRICS_VERSION } from '@/analytics/metricsEngine';
+
+const v1Record = {
+    id: 'm1',
+    sessionId: 's1',
+    flowScore: 70,
+    hesitationCount: 4,
+    avgHesitationDuration: 1.25,
+    totalDuration: 120,
+    speakingTime: 90,
+    wordCount: 200,
+    wordsPerMinute: 133,
+    transcriptAvailable: true,
+    _syncStatus: 'synced',
+};
+
+describe('upgradeSessionMetrics', () => {
+    it('walks a v1 record through every step to the current version', () => {
+        const upgraded = upgradeSessionMetrics(v1Record);
+        expect(upgraded._version).toBe(METRICS_VERSION);
+        expect(upgraded._syncStatus).toBe('local');
+        expect(upgraded).toMatchObject({
+            detectionMode: 'forgiving',
+            wpmSource: 'transcript',
+            scoringVersion: 1,
+            scoringPreset: null,
+            stuckPoints: null,
+            language: 'en-US',
+            speakingRegions: null,
+            pauseTimings: null,
+        });
+    });
+
+    it('rebuilds model 1 inputs from the stored averages', () => {
+        expect(upgradeSessionMetrics(v1Record).scoringInputs).toEqual({
+            hesitationCount: 4,
+            hesitationSilenceMs: 5000,
+            hesitationTimings: [],
+            totalTimeMs: 120000,
+            speakingTimeMs: 90000,
+            fillerCount: null,
+            wordsPerMinute: 133,
+            derived: true,
+        });
+    });
+
+    it('never overwrites values the record already has', () => {
+        const upgraded = upgradeSessionMetrics({ ...v1Record, detectionMode: 'strict', language: 'de-DE', _version: 2 });
+        expect(upgraded.detectionMode).toBe('strict');
+        expect(upgraded.language).toBe('de-DE');
+        expect(upgraded.flowScore).toBe(70);
+    });
+
+    it('returns current records unchanged', () => {
+        const current = { ...v1Record, _version: METRICS_VERSION };
+        expect(upgradeSessionMetrics(current)).toBe(current);
+    });
+});
@@ -1,27 +1,28 @@
 // IndexedDB wrapper for analytics storage
 // Async, scalable, future-ready for cloud sync
 
+import { resolveConflict } from './syncAdapter';
+
 const DB_NAME = 'nopause_analytics';
-const DB_VERSION = 1;
+const SYNC_CURSORS_KEY = 'nopause_sync_cursors';
+const SYNC_TOMBSTONES_KEY = 'nopause_sync_tombstones';
 
 const STORES = {
     events: 'events',
     sessionMetrics: 'session_metrics',
     dailyRollups: 'daily_rollups',
     weeklyRollups: 'weekly_rollups',
+    recordings: 'recordings',
+    transcriptionChunks: 'transcription_chunks',
 };
 
-let dbPromise = null;
-
-function openDB() {
-    if (dbPromise) return dbPromise;
-
-    dbPromise = new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
-
-        request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-
+// Schema versions, oldest first. onupgradeneeded applies every step newer than
+// the version on disk, so a v1 database walks through each step in order.
+// Record-level upgrades (reshaping existing data) live in app/migrations.js.
+const SCHEMA_VERSIONS = [
+    {
+        version: 1,
+        upgrade(db) {
             if (!db.objectStoreNames.contains(STORES.events)) {
                 const store = db.createObjectStore(STORES.events, { keyPath: 'id' });
                 store.createIndex('timestamp', 'timestamp', { unique: false });
@@ -43,6 +44,101 @@ function openDB() {
             if (!db.objectStoreNames.contains(STORES.weeklyRollups)) {
                 db.createObjectStore(STORES.weeklyRollups, { keyPath: 'weekStart' });
             }
+        },
+    },
+    {
+        // Session audio (Blobs can't live in localStorage)
+        version: 2,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.recordings)) {
+                const store = db.createObjectStore(STORES.recordings, { keyPath: 'sessionId' });
+                store.createIndex('lastAccessedAt', 'lastAccessedAt', { unique: false });
+            }
+        },
+    },
+    {
+        // Server transcription chunks that haven't reached their session yet
+        version: 3,
+        upgrade(db) {
+            if (!db.objectStoreNames.contains(STORES.transcriptionChunks)) {
+                const store = db.createObjectStore(STORES.transcriptionChunks, { keyPath: 'id' });
+                store.createIndex('sessionId', 'sessionId', { unique: false });
+            }
+        },
+    },
+];
+
+const DB_VERSION = SCHEMA_VERSIONS[SCHEMA_VERSIONS.length - 1].version;
+
+// Stores that sync, and the field each is keyed by. Rollups don't: each
+// device only has its own sessions to build them from, so every device
+// rebuilds them from the synced metrics instead (analytics.sync()).
+const SYNC_KEYS = {
+    [STORES.sessionMetrics]: 'sessionId',
+};
+
+// Local changes to synced stores are timestamped — last writer wins on conflict
+function stampForSync(storeName, record) {
+    if (!SYNC_KEYS[storeName] || record._syncStatus !== 'local') return record;
+    return { ...record, _updatedAt: new Date().toISOString() };
+}
+
+function getSyncCursors() {
+    try {
+        return JSON.parse(localStorage.getItem(SYNC_CURSORS_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+function saveSyncCursor(storeName, cursor) {
+    localStorage.setItem(SYNC_CURSORS_KEY, JSON.stringify({ ...getSyncCursors(), [storeName]: cursor }));
+}
+
+// Deleted records the server still has, until the deletion is pushed:
+// { [store]: { [key]: { _rev, _updatedAt } } }
+function getTombstones(storeName) {
+    try {
+        return (JSON.parse(localStorage.getItem(SYNC_TOMBSTONES_KEY)) || {})[storeName] || {};
+    } catch {
+        return {};
+    }
+}
+
+function saveTombstones(storeName, tombstones) {
+    let all = {};
+    try {
+        all = JSON.parse(localStorage.getItem(SYNC_TOMBSTONES_KEY)) || {};
+    } catch {
+        all = {};
+    }
+    localStorage.setItem(SYNC_TOMBSTONES_KEY, JSON.stringify({ ...all, [storeName]: tombstones }));
+}
+
+// Re-read first: a deletion may have been recorded while a sync was waiting on the server
+function forgetTombstones(storeName, keys) {
+    if (keys.length === 0) return;
+    const tombstones = getTombstones(storeName);
+    keys.forEach((key) => { delete tombstones[key]; });
+    saveTombstones(storeName, tombstones);
+}
+
+// A tombstone is pushed as a record of its own
+const tombstoneRecord = (keyField, key, tombstone) => ({ [keyField]: key, _deleted: true, ...tombstone });
+
+let dbPromise = null;
+
+function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = event.target.result;
+            SCHEMA_VERSIONS
+                .filter(step => step.version > event.oldVersion)
+                .forEach(step => step.upgrade(db));
         };
 
         request.onsuccess = () => resolve(request.result);
@@ -62,7 +158,7 @@ export const analyticsStore = {
             return new Promise((resolve, reject) => {
                 const tx = db.transaction(storeName, 'readwrite');
                 const store = tx.objectStore(storeName);
-                store.put(data);
+                store.put(stampForSync(storeName, data));
                 tx.oncomplete = () => resolve();
                 tx.onerror = () => reject(tx.error);
             });
@@ -71,6 +167,24 @@ export const analyticsStore = {
         }
     },
 
+    // Rejects when IndexedDB can't be opened (the other methods degrade quietly)
+    async ready() {
+        await openDB();
+    },
+
+    // One transaction — all records land or none do. Unlike write(), failures
+    // reject so migrations know not to record themselves as done.
+    async writeMany(storeName, records) {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            const store = tx.objectStore(storeName);
+            records.forEach(record => store.put(stampForSync(storeName, record)));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
     async get(storeName, key) {
         try {
             const db = await openDB();
@@ -119,6 +233,55 @@ export const analyticsStore = {
         }
     },
 
+    async delete(storeName, key) {
+        try {
+            const db = await openDB();
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeName, 'readwrite');
+                tx.objectStore(storeName).delete(key);
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+            });
+        } catch (e) {
+            console.warn(`analyticsStore.delete(${storeName}) failed:`, e);
+        }
+    },
+
+    // Rejects on failure, like writeMany() — a restore must not half-replace
+    async clear(storeName) {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, 'readwrite');
+            tx.objectStore(storeName).clear();
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+        });
+    },
+
+    async deleteByIndex(storeName, indexName, value) {
+        try {
+            const db = await openDB();
+            const tx = db.transaction(storeName, 'readwrite');
+            const index = tx.objectStore(storeName).index(indexName);
+
+            return new Promise((resolve, reject) => {
+                const req = index.openCursor(IDBKeyRange.only(value));
+                req.onsuccess = (e) => {
+                    const cursor = e.target.result;
+                    if (cursor) {
+                        cursor.delete();
+                        cursor.continue();
+                    } else {
+                        resolve();
+                    }
+                };
+                req.onerror = () => reject(req.error);
+            });
+        } catch (e) {
+            console.warn('analyticsStore.deleteByIndex failed:', e);
+        }
+    },
+
     async deleteOlderThan(storeName, indexName, cutoff) {
         try {
             const db = await openDB();
@@ -164,25 +327,43 @@ export const analyticsStore = {
 
     _syncAdapter: null,
 
-    // Plug in a cloud sync adapter. Adapter must implement:
-    //   async push(storeName, records) → void
-    //   async pull(storeName, since) → records[]
+    // Plug in a cloud sync adapter (see syncAdapter.js for the REST one). Adapter must implement:
+    //   async push(storeName, records) → { accepted: [{ key, _rev }], conflicts: [record] }
+    //   async pull(storeName, cursor)  → { records, cursor, hasMore }
     setSyncAdapter(adapter) {
         this._syncAdapter = adapter;
     },
 
-    // Get all records with _syncStatus === 'local'
+    // Get all records with _syncStatus === 'local', and deletions not yet pushed
     async getUnsynced(storeName) {
+        const keyField = SYNC_KEYS[storeName];
+        const tombstones = keyField
+            ? Object.entries(getTombstones(storeName)).map(([key, t]) => tombstoneRecord(keyField, key, t))
+            : [];
         try {
             const all = await this.getAll(storeName);
-            return all.filter(r => r._syncStatus === 'local');
+            return [...all.filter(r => r._syncStatus === 'local'), ...tombstones];
         } catch (e) {
-            return [];
+            return tombstones;
         }
     },
 
-    // Mark records as synced
-    async markSynced(storeName, ids) {
+    // Remember that a synced record was deleted here, so the deletion reaches
+    // the server and other devices. Records the server never had need none.
+    recordDeletion(storeName, record) {
+        const keyField = SYNC_KEYS[storeName];
+        if (!keyField || record?._rev == null) return;
+        saveTombstones(storeName, {
+            ...getTombstones(storeName),
+            [record[keyField]]: { _rev: record._rev, _updatedAt: new Date().toISOString() },
+        });
+    },
+
+    // Mark records as synced. `revs` ({ [id]: _rev }) records the server
+    // revision each one was accepted at. `pushed` ({ [id]: _updatedAt }) is
+    // the version that was sent: a record changed again since keeps
+    // _syncStatus 'local' (on the new _rev) so the change goes out next sync.
+    async markSynced(storeName, ids, revs = {}, pushed = null) {
         try {
             const db = await openDB();
             const tx = db.transaction(storeName, 'readwrite');
@@ -194,7 +375,8 @@ export const analyticsStore = {
                     req.onsuccess = () => {
                         const record = req.result;
                         if (record) {
-                            record._syncStatus = 'synced';
+                            if (!pushed || record._updatedAt === pushed[id]) record._syncStatus = 'synced';
+                            if (revs[id] != null) record._rev = revs[id];
                             store.put(record);
                         }
                         resolve();
@@ -212,38 +394,123 @@ export const analyticsStore = {
         }
     },
 
-    // Push unsynced records to cloud via adapter
-    // No-op if no adapter is set (local-only mode)
+    // Rebase unsynced changes and deletions onto the server's revision
+    // ({ [id]: _rev }) without marking them synced — they still go out next push
+    async adoptRevs(storeName, revs) {
+        const keys = Object.keys(revs);
+        if (keys.length === 0) return;
+        const tombstones = getTombstones(storeName);
+        const rebasedTombstones = keys.filter(key => tombstones[key]);
+        if (rebasedTombstones.length > 0) {
+            rebasedTombstones.forEach((key) => { tombstones[key] = { ...tombstones[key], _rev: revs[key] }; });
+            saveTombstones(storeName, tombstones);
+        }
+        // Nothing was pushed, so each record keeps _syncStatus 'local'
+        const records = keys.filter(key => !tombstones[key]);
+        await this.markSynced(storeName, records, revs, Object.fromEntries(records.map(key => [key, null])));
+    },
+
+    // Remote records win unless this device has a newer unsynced change or
+    // deletion; ties go to the remote copy, as they do on the server. A change
+    // that wins takes the remote _rev so its next push fast-forwards. A remote
+    // tombstone deletes the local record. Resolves to the number applied and
+    // the dates whose records changed.
+    async applyRemote(storeName, records) {
+        const keyField = SYNC_KEYS[storeName];
+        const tombstones = getTombstones(storeName);
+        const winners = [];
+        const deleted = [];
+        const settled = [];
+        const rebased = {};
+        const dates = new Set();
+        // _seq is the server's change counter — only the cursor needs it
+        for (const remote of records.map(({ _seq, ...record }) => record)) {
+            const key = remote[keyField];
+            const local = await this.get(storeName, key);
+            const pending = local?._syncStatus === 'local'
+                ? local
+                : (tombstones[key] ? tombstoneRecord(keyField, key, tombstones[key]) : null);
+            if (pending && resolveConflict(remote, pending) === pending) {
+                if (remote._rev != null) rebased[key] = remote._rev;
+                continue;
+            }
+
+            if (tombstones[key]) settled.push(key);
+            if (local?.date) dates.add(local.date);
+            if (remote._deleted) {
+                if (local) deleted.push(key);
+            } else {
+                winners.push({ ...remote, _syncStatus: 'synced' });
+                if (remote.date) dates.add(remote.date);
+            }
+        }
+        if (winners.length > 0) await this.writeMany(storeName, winners);
+        for (const key of deleted) await this.delete(storeName, key);
+        forgetTombstones(storeName, settled);
+        await this.adoptRevs(storeName, rebased);
+        return { applied: winners.length + deleted.length, dates };
+    },
+
+    // Push local changes and deletions, then pull everything new since the
+    // last cursor. No-op if no adapter is set (local-only mode). A store that
+    // fails is skipped and retried on the next sync; the others carry on.
+    // `changedDates` lists the dates whose metrics pulled changes touched.
     async sync() {
-        if (!this._syncAdapter) return { synced: 0, status: 'no_adapter' };
+        if (!this._syncAdapter) return { synced: 0, pulled: 0, conflicts: 0, status: 'no_adapter', changedDates: [] };
 
         let totalSynced = 0;
-        const syncableStores = [
-            STORES.sessionMetrics,
-            STORES.dailyRollups,
-            STORES.weeklyRollups,
-        ];
+        let totalPulled = 0;
+        let totalConflicts = 0;
+        const failed = [];
+        const changedDates = new Set();
 
-        for (const storeName of syncableStores) {
+        for (const storeName of Object.keys(SYNC_KEYS)) {
             try {
                 const unsynced = await this.getUnsynced(storeName);
-                if (unsynced.length === 0) continue;
-
-                await this._syncAdapter.push(storeName, unsynced);
-
-                // Determine the key field for each store
-                const keyField = storeName === STORES.sessionMetrics ? 'sessionId'
-                    : storeName === STORES.dailyRollups ? 'date'
-                        : 'weekStart';
-                const ids = unsynced.map(r => r[keyField]);
-                await this.markSynced(storeName, ids);
-                totalSynced += unsynced.length;
+                if (unsynced.length > 0) {
+                    const keyField = SYNC_KEYS[storeName];
+                    const { accepted = [], conflicts = [] } = await this._syncAdapter.push(storeName, unsynced) || {};
+                    const pushed = Object.fromEntries(unsynced.map(r => [r[keyField], r._updatedAt]));
+                    const revs = Object.fromEntries(accepted.map(a => [a.key, a._rev]));
+
+                    // Deletions the server took are done with, unless deleted again since
+                    const tombstones = getTombstones(storeName);
+                    forgetTombstones(storeName, accepted
+                        .map(a => a.key)
+                        .filter(key => tombstones[key] && tombstones[key]._updatedAt === pushed[key]));
+
+                    await this.markSynced(storeName, accepted.map(a => a.key), revs, pushed);
+                    // The server kept its copy — adopt it unless ours is newer after all
+                    const resolved = await this.applyRemote(storeName, conflicts);
+                    resolved.dates.forEach(date => changedDates.add(date));
+                    totalConflicts += resolved.applied;
+                    totalSynced += accepted.length;
+                }
+
+                let cursor = getSyncCursors()[storeName] ?? null;
+                for (;;) {
+                    const page = await this._syncAdapter.pull(storeName, cursor);
+                    const pulled = await this.applyRemote(storeName, page.records);
+                    pulled.dates.forEach(date => changedDates.add(date));
+                    totalPulled += pulled.applied;
+                    cursor = page.cursor;
+                    saveSyncCursor(storeName, cursor);
+                    if (!page.hasMore) break;
+                }
             } catch (e) {
                 console.warn(`Sync failed for ${storeName}:`, e);
+                failed.push(storeName);
             }
         }
 
-        return { synced: totalSynced, status: 'ok' };
+        return {
+            synced: totalSynced,
+            pulled: totalPulled,
+            conflicts: totalConflicts,
+            status: failed.length === 0 ? 'ok' : 'partial',
+            failed,
+            changedDates: [...changedDates],
+        };
     },
 
     STORES,
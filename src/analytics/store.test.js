@@ -0,0 +1,54 @@
+import 'fake-indexeddb/auto';
+import { analyticsStore } from '@/analytics/store';
+
+const STORE = 'session_metrics';
+
+// An unsynced local edit, at the server revision it was made on
+async function localEdit(sessionId, fields = {}) {
+    await analyticsStore.write(STORE, { sessionId, date: '2024-05-01', flowScore: 90, _rev: 1, _syncStatus: 'local', ...fields });
+    return analyticsStore.get(STORE, sessionId);
+}
+
+const remoteCopy = (sessionId, fields) => ({ sessionId, date: '2024-05-01', flowScore: 40, _rev: 2, _seq: 7, ...fields });
+
+describe('analyticsStore.applyRemote', () => {
+    afterEach(() => localStorage.clear());
+
+    it('takes the remote copy on a tie, as the server does', async () => {
+        const local = await localEdit('tie');
+
+        const { applied } = await analyticsStore.applyRemote(STORE, [remoteCopy('tie', { _updatedAt: local._updatedAt })]);
+
+        expect(applied).toBe(1);
+        expect(await analyticsStore.get(STORE, 'tie')).toMatchObject({ flowScore: 40, _rev: 2, _syncStatus: 'synced' });
+        expect((await analyticsStore.getUnsynced(STORE)).map(r => r.sessionId)).not.toContain('tie');
+    });
+
+    it('takes a newer remote copy', async () => {
+        await localEdit('older');
+        await analyticsStore.applyRemote(STORE, [remoteCopy('older', { _updatedAt: '2999-01-01T00:00:00.000Z' })]);
+
+        expect(await analyticsStore.get(STORE, 'older')).toMatchObject({ flowScore: 40, _syncStatus: 'synced' });
+    });
+
+    it('keeps a newer local edit on the remote revision, so its next push fast-forwards', async () => {
+        const local = await localEdit('newer');
+
+        const { applied } = await analyticsStore.applyRemote(STORE, [remoteCopy('newer', { _updatedAt: '2000-01-01T00:00:00.000Z' })]);
+
+        expect(applied).toBe(0);
+        expect(await analyticsStore.get(STORE, 'newer')).toEqual({ ...local, _rev: 2 });
+    });
+
+    it('rebases a newer local deletion onto the remote revision', async () => {
+        const local = await localEdit('gone');
+        analyticsStore.recordDeletion(STORE, local);
+        await analyticsStore.delete(STORE, 'gone');
+
+        await analyticsStore.applyRemote(STORE, [remoteCopy('gone', { _updatedAt: '2000-01-01T00:00:00.000Z' })]);
+
+        expect(await analyticsStore.get(STORE, 'gone')).toBeNull();
+        const unsynced = await analyticsStore.getUnsynced(STORE);
+        expect(unsynced.find(r => r.sessionId === 'gone')).toMatchObject({ _deleted: true, _rev: 2 });
+    });
+});
@@ -0,0 +1,127 @@
+// REST sync adapter for analyticsStore.setSyncAdapter()
+// Talks to any server implementing the protocol below (server/syncMockServer.js
+// is a local stand-in). Records are sent in batches; failed requests are
+// retried with exponential backoff. Conflicts are resolved per record,
+// last writer wins — see resolveConflict().
+//
+//   POST {baseUrl}/sync/{store}          { records }  → { accepted: [{ key, _rev }], conflicts: [record] }
+//   GET  {baseUrl}/sync/{store}?since=&limit=         → { records, cursor, hasMore }
+//
+// Every record carries `_rev` (the server revision it was last synced at) and
+// `_updatedAt` (when it was last changed on a device). The server accepts a
+// push whose `_rev` matches its copy; on a mismatch the newer `_updatedAt`
+// wins and the loser is returned as a conflict. A deletion is pushed and
+// pulled like any other change, as `{ <key>, _deleted: true, _rev, _updatedAt }`.
+
+export const SYNC_DEFAULTS = {
+    batchSize: 100,
+    maxRetries: 4,
+    baseDelayMs: 500,     // doubles each retry, plus jitter
+    maxDelayMs: 15000,
+    timeoutMs: 15000,
+};
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Last writer wins: the later _updatedAt; ties keep the copy already stored
+export function resolveConflict(stored, incoming) {
+    if (!stored) return incoming;
+    return (incoming._updatedAt || '') > (stored._updatedAt || '') ? incoming : stored;
+}
+
+// `retryable` marks failures worth another attempt (network, 5xx, 429)
+function syncError(message, { status = null, retryable = false, retryAfterMs = 0 } = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.retryable = retryable;
+    error.retryAfterMs = retryAfterMs;
+    return error;
+}
+
+export function createRestSyncAdapter({
+    baseUrl,
+    deviceId = null,
+    getAuthToken = null,          // async () → bearer token, or null
+    fetchImpl = (...args) => fetch(...args),
+    ...options
+} = {}) {
+    if (!baseUrl) throw new Error('createRestSyncAdapter needs a baseUrl');
+    const config = { ...SYNC_DEFAULTS, ...options };
+    const root = baseUrl.replace(/\/+$/, '');
+
+    async function request(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (deviceId) headers['X-Device-Id'] = deviceId;
+        const token = getAuthToken ? await getAuthToken() : null;
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), config.timeoutMs) : null;
+        let response;
+        try {
+            response = await fetchImpl(`${root}${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller?.signal,
+            });
+        } catch (e) {
+            // Offline, DNS, CORS, timeout — all worth another try
+            throw syncError(`Sync request failed: ${e.message}`, { retryable: true });
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw syncError(`Sync server answered HTTP ${response.status}`, {
+                status: response.status,
+                retryable: RETRYABLE_STATUS.has(response.status),
+                retryAfterMs: (parseInt(response.headers?.get?.('Retry-After') || '', 10) || 0) * 1000,
+            });
+        }
+        return response.json();
+    }
+
+    async function withRetry(send) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await send();
+            } catch (e) {
+                if (!e.retryable || attempt >= config.maxRetries) throw e;
+                const backoff = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+                const jitter = Math.random() * backoff * 0.25;
+                await sleep(Math.max(e.retryAfterMs || 0, backoff + jitter));
+            }
+        }
+    }
+
+    return {
+        // Resolves to { accepted: [{ key, _rev }], conflicts: [record] } across all batches
+        async push(storeName, records) {
+            const accepted = [];
+            const conflicts = [];
+            for (let i = 0; i < records.length; i += config.batchSize) {
+                const batch = records.slice(i, i + config.batchSize)
+                    .map(({ _syncStatus, ...record }) => record);
+                const result = await withRetry(() => request('POST', `/sync/${encodeURIComponent(storeName)}`, { records: batch }));
+                accepted.push(...(result.accepted || []));
+                conflicts.push(...(result.conflicts || []));
+            }
+            return { accepted, conflicts };
+        },
+
+        // One page of changes after `since` (null → from the beginning)
+        async pull(storeName, since = null) {
+            const params = new URLSearchParams({ limit: String(config.batchSize) });
+            if (since != null) params.set('since', String(since));
+            const result = await withRetry(() => request('GET', `/sync/${encodeURIComponent(storeName)}?${params}`));
+            return {
+                records: result.records || [],
+                cursor: result.cursor ?? since,
+                hasMore: Boolean(result.hasMore),
+            };
+        },
+    };
+}
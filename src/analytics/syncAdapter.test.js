@@ -0,0 +1,121 @@
+import { createRestSyncAdapter, resolveConflict } from '@/analytics/syncAdapter';
+
+const jsonResponse = (body, status = 200) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: async () => body,
+});
+
+// Answers with each response in turn, recording the requests
+function fakeFetch(...responses) {
+    const fetchImpl = jest.fn(async () => {
+        const next = responses.length > 1 ? responses.shift() : responses[0];
+        if (next instanceof Error) throw next;
+        return typeof next === 'function' ? next() : next;
+    });
+    fetchImpl.bodies = () => fetchImpl.mock.calls.map(([, init]) => JSON.parse(init.body || 'null'));
+    return fetchImpl;
+}
+
+const adapterWith = (fetchImpl, options = {}) => createRestSyncAdapter({
+    baseUrl: 'http://sync.test/api/',
+    fetchImpl,
+    baseDelayMs: 0,
+    ...options,
+});
+
+describe('resolveConflict', () => {
+    const older = { sessionId: 's1', flowScore: 60, _updatedAt: '2024-05-01T10:00:00.000Z' };
+    const newer = { sessionId: 's1', flowScore: 75, _updatedAt: '2024-05-01T11:00:00.000Z' };
+
+    it('keeps the later write', () => {
+        expect(resolveConflict(older, newer)).toBe(newer);
+        expect(resolveConflict(newer, older)).toBe(newer);
+    });
+
+    it('keeps the stored copy on a tie', () => {
+        expect(resolveConflict(older, { ...older, flowScore: 10 })).toBe(older);
+    });
+
+    it('takes the incoming record when nothing is stored', () => {
+        expect(resolveConflict(undefined, older)).toBe(older);
+    });
+
+    it('treats a deletion like any other write', () => {
+        const deletion = { sessionId: 's1', _deleted: true, _updatedAt: '2024-05-01T12:00:00.000Z' };
+        expect(resolveConflict(newer, deletion)).toBe(deletion);
+    });
+});
+
+describe('createRestSyncAdapter', () => {
+    it('needs a base URL', () => {
+        expect(() => createRestSyncAdapter({})).toThrow('createRestSyncAdapter needs a baseUrl');
+    });
+
+    it('pushes in batches and merges the answers', async () => {
+        const fetchImpl = fakeFetch(
+            jsonResponse({ accepted: [{ key: 's1', _rev: 1 }, { key: 's2', _rev: 2 }], conflicts: [] }),
+            jsonResponse({ accepted: [{ key: 's3', _rev: 3 }], conflicts: [{ sessionId: 's4', _rev: 9 }] }),
+            jsonResponse({ accepted: [], conflicts: [] }),
+        );
+        const records = ['s1', 's2', 's3', 's4', 's5'].map(sessionId => ({ sessionId, _syncStatus: 'local' }));
+
+        const result = await adapterWith(fetchImpl, { batchSize: 2 }).push('session_metrics', records);
+
+        expect(fetchImpl).toHaveBeenCalledTimes(3);
+        expect(fetchImpl.mock.calls[0][0]).toBe('http://sync.test/api/sync/session_metrics');
+        expect(fetchImpl.bodies().map(body => body.records.map(r => r.sessionId)))
+            .toEqual([['s1', 's2'], ['s3', 's4'], ['s5']]);
+        // sync status is local bookkeeping, not sent
+        expect(fetchImpl.bodies()[0].records[0]).toEqual({ sessionId: 's1' });
+        expect(result).toEqual({
+            accepted: [{ key: 's1', _rev: 1 }, { key: 's2', _rev: 2 }, { key: 's3', _rev: 3 }],
+            conflicts: [{ sessionId: 's4', _rev: 9 }],
+        });
+    });
+
+    it('pulls one page after the cursor', async () => {
+        const fetchImpl = fakeFetch(jsonResponse({ records: [{ sessionId: 's1' }], cursor: 12, hasMore: true }));
+
+        const page = await adapterWith(fetchImpl, { batchSize: 50 }).pull('session_metrics', 7);
+
+        expect(fetchImpl.mock.calls[0][0]).toBe('http://sync.test/api/sync/session_metrics?limit=50&since=7');
+        expect(page).toEqual({ records: [{ sessionId: 's1' }], cursor: 12, hasMore: true });
+    });
+
+    it('keeps the cursor when the server sends none', async () => {
+        const page = await adapterWith(fakeFetch(jsonResponse({}))).pull('session_metrics', 7);
+        expect(page).toEqual({ records: [], cursor: 7, hasMore: false });
+    });
+
+    it('sends the device id and bearer token', async () => {
+        const fetchImpl = fakeFetch(jsonResponse({}));
+        await adapterWith(fetchImpl, { deviceId: 'laptop', getAuthToken: async () => 'secret' }).pull('session_metrics');
+
+        expect(fetchImpl.mock.calls[0][1].headers).toMatchObject({ 'X-Device-Id': 'laptop', Authorization: 'Bearer secret' });
+    });
+
+    it('retries network failures and retryable statuses', async () => {
+        const fetchImpl = fakeFetch(new Error('offline'), jsonResponse({}, 503), jsonResponse({ records: [] }));
+
+        await expect(adapterWith(fetchImpl).pull('session_metrics')).resolves.toMatchObject({ records: [] });
+        expect(fetchImpl).toHaveBeenCalledTimes(3);
+    });
+
+    it('gives up after maxRetries', async () => {
+        const fetchImpl = fakeFetch(jsonResponse({}, 502));
+
+        await expect(adapterWith(fetchImpl, { maxRetries: 2 }).pull('session_metrics'))
+            .rejects.toMatchObject({ status: 502, retryable: true });
+        expect(fetchImpl).toHaveBeenCalledTimes(3);
+    });
+
+    it('does not retry client errors', async () => {
+        const fetchImpl = fakeFetch(jsonResponse({}, 401));
+
+        await expect(adapterWith(fetchImpl).push('session_metrics', [{ sessionId: 's1' }]))
+            .rejects.toThrow('Sync server answered HTTP 401');
+        expect(fetchImpl).toHaveBeenCalledTimes(1);
+    });
+});
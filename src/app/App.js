@@ -2,7 +2,7 @@
 // Routing, providers, global initialization
 
 import '@/app/App.css';
-import { useEffect } from 'react';
+import { useEffect, useState } from 'react';
 import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 import { Toaster } from 'sonner';
 import { Navbar } from '@/ui/Navbar';
@@ -10,24 +10,56 @@ import Dashboard from '@/pages/DashboardPage';
 import Practice from '@/pages/PracticePage';
 import Prompts from '@/pages/PromptsPage';
 import Stats from '@/pages/StatsPage';
+import SessionReview from '@/pages/SessionReviewPage';
 import { analytics } from '@/analytics';
+import { runMigrations } from '@/app/migrations';
+import { resumePendingChunks } from '@/transcription/pendingChunks';
+
+// Multi-device sync is opt-in: set REACT_APP_SYNC_URL (e.g. the local mock server)
+const SYNC_URL = process.env.REACT_APP_SYNC_URL;
+if (SYNC_URL) analytics.configureSync({ baseUrl: SYNC_URL });
 
 function App() {
-    // Run daily rollup engine on app open (async, fire-and-forget)
+    // Pages read stored data as they mount, so they wait for the migrations
+    const [dataReady, setDataReady] = useState(false);
+
+    // Migrate stored data, then run the daily rollup engine (async, fire-and-forget)
+    useEffect(() => {
+        runMigrations()
+            .then(() => setDataReady(true))
+            .then(() => analytics.runDailyRollup())
+            .then(() => resumePendingChunks())
+            .then(() => (SYNC_URL ? analytics.sync() : null));
+    }, []);
+
+    // Server transcription chunks left over from earlier sessions
+    useEffect(() => {
+        const handleOnline = () => resumePendingChunks();
+        window.addEventListener('online', handleOnline);
+        return () => window.removeEventListener('online', handleOnline);
+    }, []);
+
+    // Catch up on changes made while offline
     useEffect(() => {
-        analytics.runDailyRollup();
+        if (!SYNC_URL) return undefined;
+        const handleOnline = () => analytics.sync();
+        window.addEventListener('online', handleOnline);
+        return () => window.removeEventListener('online', handleOnline);
     }, []);
     return (
         <div className="relative min-h-screen bg-background">
             <BrowserRouter>
-                <Routes>
-                    <Route path="/" element={<Dashboard />} />
-                    <Route path="/practice" element={<Practice />} />
-                    <Route path="/practice/free-speaking" element={<Practice />} />
-                    <Route path="/prompts" element={<Prompts />} />
-                    <Route path="/stats" element={<Stats />} />
-                    <Route path="/history" element={<Navigate to="/stats" replace />} />
-                </Routes>
+                {dataReady && (
+                    <Routes>
+                        <Route path="/" element={<Dashboard />} />
+                        <Route path="/practice" element={<Practice />} />
+                        <Route path="/practice/free-speaking" element={<Practice />} />
+                        <Route path="/prompts" element={<Prompts />} />
+                        <Route path="/stats" element={<Stats />} />
+                        <Route path="/stats/:sessionId" element={<SessionReview />} />
+                        <Route path="/history" element={<Navigate to="/stats" replace />} />
+                    </Routes>
+                )}
                 <Navbar />
                 <Toaster position="top-center" richColors />
             </BrowserRouter>
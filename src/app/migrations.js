@@ -0,0 +1,104 @@
+// No Pause — Data migrations
+// Ordered, run once per install on app start. Each migration has a stable id
+// and must be idempotent: if the app closes between running a migration and
+// recording it, it runs again next launch. Never reorder or reuse ids —
+// append new migrations at the end.
+
+import { migrateLegacySessions, normalizeStoredSessions, sessionRepository } from '@/storage/sessionRepository';
+import { migrateStoredProfile } from '@/audio/detectionProfile';
+import { analytics } from '@/analytics';
+
+const LEDGER_KEY = 'nopause_migrations';
+
+export const MIGRATIONS = [
+    {
+        id: '001-legacy-sessions',
+        description: 'Fold fluencyflow_* session arrays into the session repository',
+        run: () => migrateLegacySessions(),
+    },
+    {
+        id: '002-detection-profile-v2',
+        description: 'Upgrade stored detection profiles to v2 instead of discarding them',
+        run: () => migrateStoredProfile(),
+    },
+    {
+        id: '003-session-metrics-v2',
+        description: 'Fill fields added since v1 into stored session metrics',
+        run: () => analytics.migrateSessionMetrics(),
+    },
+    {
+        id: '004-session-metrics-v3',
+        description: 'Attach scoring inputs and model version to stored session metrics',
+        run: () => analytics.migrateSessionMetrics(),
+    },
+    {
+        id: '005-session-records-scoring',
+        description: 'Add scoringVersion / scoringInputs to stored session records',
+        run: () => normalizeStoredSessions(),
+    },
+    {
+        id: '006-composite-flow-score',
+        description: 'Rescore stored sessions and rollups under scoring model 2 (composite, per minute)',
+        run: async () => {
+            await analytics.migrateSessionMetrics();
+            const { sessionsRescored, sessionsChanged, avgDelta, unscorableSessions } = await sessionRepository.recomputeAll(2);
+            return { sessionsRescored, sessionsChanged, avgDelta, unscorableSessions };
+        },
+    },
+    {
+        id: '007-practice-language',
+        description: 'Record the practice language (en-US until now) on stored sessions and session metrics',
+        run: async () => {
+            const sessions = normalizeStoredSessions();
+            const metrics = await analytics.migrateSessionMetrics();
+            return { sessions, metrics };
+        },
+    },
+    {
+        id: '008-local-rollups',
+        description: 'Rebuild daily and weekly rollups from session metrics now that rollups no longer sync',
+        run: () => analytics.rebuildRollups(),
+    },
+    {
+        id: '009-session-metrics-v7',
+        description: 'Add pauseTimings / speakingRegions fields to stored session metrics',
+        run: () => analytics.migrateSessionMetrics(),
+    },
+];
+
+// { [id]: { ranAt, result } }
+export function getMigrationLedger() {
+    try {
+        const data = localStorage.getItem(LEDGER_KEY);
+        return data ? JSON.parse(data) : {};
+    } catch {
+        return {};
+    }
+}
+
+function recordMigration(id, result) {
+    const ledger = getMigrationLedger();
+    ledger[id] = { ranAt: new Date().toISOString(), result: result ?? null };
+    localStorage.setItem(LEDGER_KEY, JSON.stringify(ledger));
+}
+
+// Stops at the first failure — later migrations may depend on earlier ones.
+// The failed one is retried next launch.
+export async function runMigrations(migrations = MIGRATIONS) {
+    const ledger = getMigrationLedger();
+    const ran = [];
+
+    for (const migration of migrations) {
+        if (ledger[migration.id]) continue;
+        try {
+            const result = await migration.run();
+            recordMigration(migration.id, result);
+            ran.push(migration.id);
+        } catch (e) {
+            console.warn(`Migration ${migration.id} failed, will retry next launch:`, e);
+            return { ran, failed: migration.id };
+        }
+    }
+
+    return { ran, failed: null };
+}
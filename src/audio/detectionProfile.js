@@ -2,7 +2,12 @@
 // Persisted in localStorage. Learns from each session.
 // Supports mode switching (forgiving → strict) without global hardcoding.
 
+import { VOICE_DETECTORS, DEFAULT_VOICE_DETECTOR } from '@/audio/voiceActivity';
+
 const PROFILE_KEY = 'nopause_detection_profile';
+const PROFILE_BACKUP_KEY = 'nopause_detection_profile_backup';
+
+export const PROFILE_VERSION = 2;
 
 // ── Detection Modes ──
 // Each mode defines detection behavior. Thresholds are NOT hardcoded —
@@ -37,8 +42,9 @@ export const DETECTION_MODES = {
 
 function createDefaultProfile() {
     return {
-        version: 2,
+        version: PROFILE_VERSION,
         mode: 'forgiving',
+        voiceDetector: DEFAULT_VOICE_DETECTOR,  // 'rms' | 'spectral' (see voiceActivity.js)
 
         // Learned user baselines (updated after each session via EMA)
         learnedSpeechVolume: 0,     // avg RMS when user is speaking
@@ -54,12 +60,33 @@ function createDefaultProfile() {
 
 // ── Profile Management ──
 
+const isLearnedValue = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+
+// Bring any stored profile up to PROFILE_VERSION, keeping what was learned.
+// v1 (and unversioned) profiles predate detection modes and voice detectors;
+// their learned baselines are still valid. Returns null for unusable input.
+export function upgradeProfile(stored) {
+    if (!stored || typeof stored !== 'object') return null;
+    const defaults = createDefaultProfile();
+    if (stored.version === PROFILE_VERSION) return { ...defaults, ...stored };
+
+    const upgraded = { ...defaults };
+    ['learnedSpeechVolume', 'learnedNoiseFloor', 'sessionsAnalyzed'].forEach((field) => {
+        if (isLearnedValue(stored[field])) upgraded[field] = stored[field];
+    });
+    if (DETECTION_MODES[stored.mode]) upgraded.mode = stored.mode;
+    if (VOICE_DETECTORS[stored.voiceDetector]) upgraded.voiceDetector = stored.voiceDetector;
+    if (typeof stored.lastUpdated === 'string') upgraded.lastUpdated = stored.lastUpdated;
+    // Adaptive thresholds are recomputed from the learned values on the next session
+    return upgraded;
+}
+
 export function loadProfile() {
     try {
         const stored = localStorage.getItem(PROFILE_KEY);
         if (stored) {
-            const profile = JSON.parse(stored);
-            if (profile.version === 2) return profile;
+            const profile = upgradeProfile(JSON.parse(stored));
+            if (profile) return profile;
         }
     } catch (e) {
         // Corrupted — reset
@@ -67,6 +94,28 @@ export function loadProfile() {
     return createDefaultProfile();
 }
 
+// Migration: rewrite an outdated stored profile in the current shape. The
+// original is kept under a backup key in case the upgrade lost something.
+export function migrateStoredProfile() {
+    const stored = localStorage.getItem(PROFILE_KEY);
+    if (!stored) return false;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(stored);
+    } catch {
+        localStorage.setItem(PROFILE_BACKUP_KEY, stored);
+        return false;
+    }
+    if (parsed?.version === PROFILE_VERSION) return false;
+
+    const upgraded = upgradeProfile(parsed);
+    if (!upgraded) return false;
+    localStorage.setItem(PROFILE_BACKUP_KEY, stored);
+    saveProfile(upgraded);
+    return true;
+}
+
 export function saveProfile(profile) {
     try {
         localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
@@ -86,6 +135,17 @@ export function getDetectionMode() {
     return loadProfile().mode;
 }
 
+export function setVoiceDetector(detector) {
+    if (!VOICE_DETECTORS[detector]) return;
+    const profile = loadProfile();
+    profile.voiceDetector = detector;
+    saveProfile(profile);
+}
+
+export function getVoiceDetector() {
+    return loadProfile().voiceDetector || DEFAULT_VOICE_DETECTOR;
+}
+
 // ── Threshold Computation ──
 // Combines mode settings + learned user data to produce session thresholds
 
@@ -119,6 +179,7 @@ export function computeThresholds(profile, calibratedNoiseFloor = 0) {
         smoothingWindow: mode.smoothingWindow,
         calibrationDuration: mode.calibrationDuration,
         modeName: profile.mode,
+        voiceDetector: VOICE_DETECTORS[profile.voiceDetector] ? profile.voiceDetector : DEFAULT_VOICE_DETECTOR,
     };
 }
 
@@ -186,6 +247,7 @@ export function getProfileSummary() {
     return {
         mode: profile.mode,
         modeLabel: mode?.label,
+        voiceDetector: thresholds.voiceDetector,
         sessionsAnalyzed: profile.sessionsAnalyzed,
         isAdaptive: profile.sessionsAnalyzed >= 3,
         learnedSpeechVolume: Math.round(profile.learnedSpeechVolume * 10000) / 10000,
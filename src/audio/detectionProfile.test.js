@@ -0,0 +1,55 @@
+import { upgradeProfile, PROFILE_VERSION } from '@/audio/detectionProfile';
+import { DEFAULT_VOICE_DETECTOR } from '@/audio/voiceActivity';
+
+describe('upgradeProfile', () => {
+    it('returns null for input that is not a profile', () => {
+        expect(upgradeProfile(null)).toBeNull();
+        expect(upgradeProfile('forgiving')).toBeNull();
+    });
+
+    it('fills missing fields of a current profile with defaults', () => {
+        const profile = upgradeProfile({ version: PROFILE_VERSION, mode: 'strict', learnedNoiseFloor: 0.01 });
+        expect(profile.mode).toBe('strict');
+        expect(profile.learnedNoiseFloor).toBe(0.01);
+        expect(profile.voiceDetector).toBe(DEFAULT_VOICE_DETECTOR);
+        expect(profile.adaptiveSpeechThreshold).toBeNull();
+    });
+
+    it('keeps the learned baselines of a v1 profile', () => {
+        const profile = upgradeProfile({
+            learnedSpeechVolume: 0.05,
+            learnedNoiseFloor: 0.004,
+            sessionsAnalyzed: 12,
+            lastUpdated: '2024-03-01T10:00:00.000Z',
+            adaptiveSpeechThreshold: 0.02,
+        });
+        expect(profile).toMatchObject({
+            version: PROFILE_VERSION,
+            mode: 'forgiving',
+            learnedSpeechVolume: 0.05,
+            learnedNoiseFloor: 0.004,
+            sessionsAnalyzed: 12,
+            lastUpdated: '2024-03-01T10:00:00.000Z',
+        });
+        // recomputed from the learned values on the next session
+        expect(profile.adaptiveSpeechThreshold).toBeNull();
+    });
+
+    it('drops values an old profile could not have held', () => {
+        const profile = upgradeProfile({
+            version: 1,
+            mode: 'turbo',
+            voiceDetector: 'neural',
+            learnedSpeechVolume: -1,
+            learnedNoiseFloor: 'loud',
+            sessionsAnalyzed: Infinity,
+        });
+        expect(profile).toMatchObject({
+            mode: 'forgiving',
+            voiceDetector: DEFAULT_VOICE_DETECTOR,
+            learnedSpeechVolume: 0,
+            learnedNoiseFloor: 0,
+            sessionsAnalyzed: 0,
+        });
+    });
+});
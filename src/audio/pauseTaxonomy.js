@@ -0,0 +1,129 @@
+// Pause Taxonomy — not every silence is a problem
+// Every silence between two stretches of speech is classified so users see that
+// breaths and pauses at sentence ends are good, and mid-phrase stalls are not.
+// Pure functions — the analyzer records intervals, metrics classify them with
+// the transcript once the session is over.
+
+// ── Types ──
+
+export const PAUSE_TYPES = {
+    micro: {
+        label: 'Micro',
+        description: 'Under 300ms — natural rhythm between words',
+        tone: 'neutral',
+    },
+    breath: {
+        label: 'Breath',
+        description: 'Short pause to breathe — healthy pacing',
+        tone: 'good',
+    },
+    boundary: {
+        label: 'Strategic',
+        description: 'Pause at the end of a sentence or phrase — lets ideas land',
+        tone: 'good',
+    },
+    hesitation: {
+        label: 'Hesitation',
+        description: 'Long pause in the middle of a phrase — searching for words',
+        tone: 'bad',
+    },
+    block: {
+        label: 'Block',
+        description: '4 seconds or more — the flow stopped',
+        tone: 'bad',
+    },
+};
+
+export const PAUSE_TYPE_ORDER = ['micro', 'breath', 'boundary', 'hesitation', 'block'];
+
+// ── Tuning ──
+
+export const PAUSE_DEFAULTS = {
+    microMaxMs: 300,
+    blockMinMs: 4000,
+    boundaryToleranceMs: 500,   // segment timing is coarse — allow some slack
+};
+
+export const PAUSE_HISTOGRAM_BINS = [
+    { label: '<0.3s', minMs: 0, maxMs: 300 },
+    { label: '0.3–0.6s', minMs: 300, maxMs: 600 },
+    { label: '0.6–1s', minMs: 600, maxMs: 1000 },
+    { label: '1–2s', minMs: 1000, maxMs: 2000 },
+    { label: '2–4s', minMs: 2000, maxMs: 4000 },
+    { label: '4s+', minMs: 4000, maxMs: Infinity },
+];
+
+// ── Sentence Boundaries ──
+
+// Words a phrase can't end on — browser STT finalizes a segment at any long
+// pause, so "I went to the" ending a segment is a stall, not a boundary
+const PHRASE_CONTINUERS = new Set([
+    'a', 'an', 'the', 'to', 'of', 'in', 'on', 'at', 'for', 'with', 'from', 'by', 'about',
+    'and', 'but', 'or', 'so', 'because', 'if', 'that', 'which', 'who', 'when', 'than',
+    'my', 'your', 'his', 'her', 'its', 'our', 'their', 'this', 'these', 'those',
+    'is', 'are', 'was', 'were', 'be', 'been', 'am', 'have', 'has', 'had', 'will', 'would',
+    'can', 'could', 'should', 'i', 'we', 'they', 'you', 'he', 'she', 'it', 'um', 'uh', 'er',
+]);
+
+const endsSentence = (word) => /[.!?;:,]$/.test(word);
+
+// Punctuated words, plus segment ends that don't leave a phrase hanging
+// (interpolated by word position within the segment)
+export function findBoundaryTimes(segments = []) {
+    const times = [];
+    segments.forEach((segment) => {
+        if (!Number.isFinite(segment.startMs) || !Number.isFinite(segment.endMs)) return;
+        const words = (segment.text || '').trim().split(/\s+/).filter(Boolean);
+        words.forEach((word, i) => {
+            const isLast = i === words.length - 1;
+            const bare = word.toLowerCase().replace(/[^\p{L}']/gu, '');
+            if (endsSentence(word) || (isLast && !PHRASE_CONTINUERS.has(bare))) {
+                times.push(isLast
+                    ? segment.endMs
+                    : segment.startMs + (segment.endMs - segment.startMs) * ((i + 1) / words.length));
+            }
+        });
+    });
+    return times.sort((a, b) => a - b);
+}
+
+// ── Classification ──
+
+// pauses: [{ startOffset, duration, isHesitation }] from the analyzer
+export function classifyPauses(pauses = [], { segments = [], config = PAUSE_DEFAULTS } = {}) {
+    const boundaries = findBoundaryTimes(segments);
+
+    return pauses.map((pause) => {
+        const end = pause.startOffset + pause.duration;
+        const atBoundary = boundaries.some(t => (
+            t >= pause.startOffset - config.boundaryToleranceMs && t <= end + config.boundaryToleranceMs
+        ));
+
+        let type;
+        if (pause.duration < config.microMaxMs) type = 'micro';
+        else if (pause.duration >= config.blockMinMs) type = 'block';
+        else if (atBoundary) type = 'boundary';
+        else if (pause.isHesitation) type = 'hesitation';
+        else type = 'breath';
+
+        return { ...pause, type };
+    });
+}
+
+export function summarizePauses(classified) {
+    const distribution = Object.fromEntries(PAUSE_TYPE_ORDER.map(type => [type, 0]));
+    classified.forEach(p => { distribution[p.type]++; });
+
+    const histogram = PAUSE_HISTOGRAM_BINS.map(bin => ({
+        label: bin.label,
+        count: classified.filter(p => p.duration >= bin.minMs && p.duration < bin.maxMs).length,
+    }));
+
+    // Of the pauses long enough to be noticed, how many were well placed
+    const noticeable = distribution.boundary + distribution.hesitation + distribution.block;
+    const wellPlacedPauseRatio = noticeable > 0
+        ? Math.round((distribution.boundary / noticeable) * 100) / 100
+        : null;
+
+    return { pauseCount: classified.length, distribution, histogram, wellPlacedPauseRatio };
+}
@@ -0,0 +1,143 @@
+// Pitch Tracker — fundamental frequency (F0) over speaking frames
+// YIN (de Cheveigné & Kawahara, 2002) on the AnalyserNode time-domain buffer
+// the analyzer already reads each frame. Session summary works in semitones so
+// variability means the same thing for low and high voices.
+
+// ── Tuning ──
+
+export const PITCH_DEFAULTS = {
+    minHz: 70,                // below most adult male voices
+    maxHz: 400,               // above most adult female voices in speech
+    yinThreshold: 0.15,       // cumulative-mean-normalized difference needed to accept a period
+    minRms: 0.01,             // skip near-silent frames — YIN locks onto noise there
+    contourBucketMs: 200,     // one contour point per bucket (median F0)
+    monotoneStdSemitones: 1,  // at or below → monotone score 100
+    expressiveStdSemitones: 4, // at or above → monotone score 0
+};
+
+// ── Estimation ──
+
+// Returns F0 in Hz, or null when the frame has no clear period
+export function estimatePitch(buffer, sampleRate, config = PITCH_DEFAULTS) {
+    let sumSquares = 0;
+    for (let i = 0; i < buffer.length; i++) sumSquares += buffer[i] * buffer[i];
+    if (Math.sqrt(sumSquares / buffer.length) < config.minRms) return null;
+
+    const minTau = Math.max(2, Math.floor(sampleRate / config.maxHz));
+    const maxTau = Math.min(Math.floor(buffer.length / 2), Math.ceil(sampleRate / config.minHz));
+    const window = buffer.length - maxTau;
+    if (maxTau <= minTau || window <= 0) return null;
+
+    // Difference function + cumulative mean normalization
+    const cmnd = new Float32Array(maxTau + 1);
+    cmnd[0] = 1;
+    let runningSum = 0;
+    for (let tau = 1; tau <= maxTau; tau++) {
+        let diff = 0;
+        for (let i = 0; i < window; i++) {
+            const d = buffer[i] - buffer[i + tau];
+            diff += d * d;
+        }
+        runningSum += diff;
+        cmnd[tau] = runningSum > 0 ? diff * tau / runningSum : 1;
+    }
+
+    // First dip below the threshold, walked down to its local minimum
+    let tau = minTau;
+    while (tau <= maxTau && cmnd[tau] >= config.yinThreshold) tau++;
+    if (tau > maxTau) return null;
+    while (tau + 1 <= maxTau && cmnd[tau + 1] < cmnd[tau]) tau++;
+
+    // Parabolic interpolation for sub-sample precision
+    let period = tau;
+    if (tau > 1 && tau < maxTau) {
+        const a = cmnd[tau - 1];
+        const b = cmnd[tau];
+        const c = cmnd[tau + 1];
+        const denom = a + c - 2 * b;
+        if (denom !== 0) period = tau + (a - c) / (2 * denom);
+    }
+
+    const hz = sampleRate / period;
+    return hz >= config.minHz && hz <= config.maxHz ? hz : null;
+}
+
+// ── Session Tracker ──
+
+export function createPitchTracker(overrides = {}) {
+    const config = { ...PITCH_DEFAULTS, ...overrides };
+    let samples = [];   // [{ t, hz }] — t is ms since session start
+
+    return {
+        // Call on speaking frames only
+        update(t, buffer, sampleRate) {
+            const hz = estimatePitch(buffer, sampleRate, config);
+            if (hz != null) samples.push({ t, hz });
+            return hz;
+        },
+        summarize() {
+            return summarizePitch(samples, config);
+        },
+        reset() {
+            samples = [];
+        },
+    };
+}
+
+// ── Summary ──
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+    return sorted[index];
+}
+
+const toSemitones = (hz, referenceHz) => 12 * Math.log2(hz / referenceHz);
+
+export function summarizePitch(samples, config = PITCH_DEFAULTS) {
+    if (samples.length < 10) {
+        return {
+            voicedFrames: samples.length,
+            medianHz: null,
+            rangeSemitones: null,
+            variabilitySemitones: null,
+            monotoneScore: null,
+            contour: [],
+        };
+    }
+
+    const sortedHz = samples.map(s => s.hz).sort((a, b) => a - b);
+    const medianHz = percentile(sortedHz, 0.5);
+
+    // Robust spread: p10–p90 range and MAD-based deviation shrug off octave errors
+    const semitones = samples.map(s => toSemitones(s.hz, medianHz));
+    const deviations = semitones.map(Math.abs).sort((a, b) => a - b);
+    const variabilitySemitones = percentile(deviations, 0.5) * 1.4826;
+    const rangeSemitones = toSemitones(percentile(sortedHz, 0.9), percentile(sortedHz, 0.1));
+
+    const span = config.expressiveStdSemitones - config.monotoneStdSemitones;
+    const monotoneScore = Math.round(Math.max(0, Math.min(100,
+        100 * (1 - (variabilitySemitones - config.monotoneStdSemitones) / span)
+    )));
+
+    // Contour: median F0 per bucket
+    const buckets = new Map();
+    samples.forEach(({ t, hz }) => {
+        const key = Math.floor(t / config.contourBucketMs);
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(hz);
+    });
+    const contour = [...buckets.entries()].map(([key, values]) => ({
+        t: key * config.contourBucketMs,
+        hz: Math.round(percentile(values.sort((a, b) => a - b), 0.5)),
+    }));
+
+    return {
+        voicedFrames: samples.length,
+        medianHz: Math.round(medianHz),
+        rangeSemitones: Math.round(rangeSemitones * 10) / 10,
+        variabilitySemitones: Math.round(variabilitySemitones * 100) / 100,
+        monotoneScore,
+        contour,
+    };
+}
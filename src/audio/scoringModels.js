@@ -0,0 +1,236 @@
+// Flow Score models — versioned so old and new sessions stay comparable
+// Every session stores the raw inputs it was scored from plus the model
+// version. A formula change is a NEW version here, never an edit to an old
+// one; then append a migration that calls sessionRepository.recomputeAll()
+// so stored sessions and rollups are rescored under it.
+
+const PRESET_KEY = 'nopause_scoring_preset';
+
+// ── Presets ──
+// Weights sum to 1. Targets say what "full marks" means for each component.
+
+export const SCORING_PRESETS = {
+    conversation: {
+        label: 'Conversation',
+        description: 'Everyday speaking — keeping the flow going matters most',
+        weights: { hesitations: 0.35, silence: 0.2, fillers: 0.15, speakingRatio: 0.15, pace: 0.15 },
+        targets: {
+            maxHesitationsPerMinute: 4,     // at or above → 0 for the component
+            maxSilenceShare: 0.3,           // hesitation silence ÷ session length
+            maxFillersPerMinute: 8,
+            minSpeakingRatio: 0.3,          // below → 0
+            fullSpeakingRatio: 0.7,         // at or above → 100
+            paceBand: [110, 170],           // words per minute
+        },
+    },
+    ielts: {
+        label: 'IELTS',
+        description: 'Exam speaking — fluency and coherence band descriptors',
+        weights: { hesitations: 0.3, silence: 0.2, fillers: 0.2, speakingRatio: 0.1, pace: 0.2 },
+        targets: {
+            maxHesitationsPerMinute: 3,
+            maxSilenceShare: 0.25,
+            maxFillersPerMinute: 5,
+            minSpeakingRatio: 0.3,
+            fullSpeakingRatio: 0.75,
+            paceBand: [110, 160],
+        },
+    },
+    presentation: {
+        label: 'Presentation',
+        description: 'Prepared talks — clean delivery at a steady pace',
+        weights: { hesitations: 0.25, silence: 0.15, fillers: 0.25, speakingRatio: 0.1, pace: 0.25 },
+        targets: {
+            maxHesitationsPerMinute: 2,
+            maxSilenceShare: 0.2,
+            maxFillersPerMinute: 3,
+            minSpeakingRatio: 0.3,
+            fullSpeakingRatio: 0.7,
+            paceBand: [120, 160],
+        },
+    },
+};
+
+export const DEFAULT_SCORING_PRESET = 'conversation';
+
+export function getScoringPreset() {
+    const stored = localStorage.getItem(PRESET_KEY);
+    return SCORING_PRESETS[stored] ? stored : DEFAULT_SCORING_PRESET;
+}
+
+export function setScoringPreset(preset) {
+    if (!SCORING_PRESETS[preset]) return;
+    localStorage.setItem(PRESET_KEY, preset);
+}
+
+// ── Components (model 2) ──
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+const PACE_FALLOFF_WPM = 60;   // outside the band, the score reaches 0 this far out
+
+// Each returns { value, subscore 0–100 } or null when the session has no data for it
+const COMPONENTS = {
+    hesitations: {
+        label: 'Hesitations',
+        measure({ hesitationCount = 0, totalTimeMs = 0 }, t) {
+            if (totalTimeMs <= 0) return null;
+            const perMinute = hesitationCount / (totalTimeMs / 60000);
+            return {
+                value: `${Math.round(perMinute * 10) / 10}/min`,
+                subscore: 100 * (1 - clamp01(perMinute / t.maxHesitationsPerMinute)),
+            };
+        },
+    },
+    silence: {
+        label: 'Pause time',
+        measure({ hesitationSilenceMs = 0, totalTimeMs = 0 }, t) {
+            if (totalTimeMs <= 0) return null;
+            const share = hesitationSilenceMs / totalTimeMs;
+            return {
+                value: `${Math.round(share * 100)}% of session`,
+                subscore: 100 * (1 - clamp01(share / t.maxSilenceShare)),
+            };
+        },
+    },
+    fillers: {
+        label: 'Filler words',
+        measure({ fillerCount = null, speakingTimeMs = 0 }, t) {
+            if (fillerCount == null || speakingTimeMs <= 0) return null;
+            const perMinute = fillerCount / (speakingTimeMs / 60000);
+            return {
+                value: `${Math.round(perMinute * 10) / 10}/min`,
+                subscore: 100 * (1 - clamp01(perMinute / t.maxFillersPerMinute)),
+            };
+        },
+    },
+    speakingRatio: {
+        label: 'Speaking time',
+        measure({ speakingTimeMs = 0, totalTimeMs = 0 }, t) {
+            if (totalTimeMs <= 0) return null;
+            const ratio = speakingTimeMs / totalTimeMs;
+            return {
+                value: `${Math.round(ratio * 100)}%`,
+                subscore: 100 * clamp01((ratio - t.minSpeakingRatio) / (t.fullSpeakingRatio - t.minSpeakingRatio)),
+            };
+        },
+    },
+    pace: {
+        label: 'Pace',
+        measure({ wordsPerMinute = null }, t) {
+            if (!wordsPerMinute) return null;
+            const [low, high] = t.paceBand;
+            const outside = wordsPerMinute < low ? low - wordsPerMinute : Math.max(0, wordsPerMinute - high);
+            return {
+                value: `${wordsPerMinute} wpm`,
+                subscore: 100 * (1 - clamp01(outside / PACE_FALLOFF_WPM)),
+            };
+        },
+    },
+};
+
+// Weighted sum of the components we have data for; missing components'
+// weight is shared out so a transcript-less session can still reach 100
+function evaluateComposite(inputs, presetKey) {
+    const preset = SCORING_PRESETS[presetKey] || SCORING_PRESETS[DEFAULT_SCORING_PRESET];
+    const measured = Object.entries(COMPONENTS)
+        .map(([key, component]) => ({ key, label: component.label, result: component.measure(inputs, preset.targets) }))
+        .filter(c => c.result);
+    const totalWeight = measured.reduce((sum, c) => sum + preset.weights[c.key], 0);
+    if (totalWeight === 0) return { flowScore: 0, breakdown: [] };
+
+    const breakdown = measured.map((c) => {
+        const weight = preset.weights[c.key] / totalWeight;
+        const subscore = Math.round(c.result.subscore);
+        return {
+            key: c.key,
+            label: c.label,
+            value: c.result.value,
+            subscore,
+            weight: Math.round(weight * 100) / 100,
+            points: Math.round(c.result.subscore * weight * 10) / 10,
+        };
+    });
+    const flowScore = Math.round(measured.reduce(
+        (sum, c) => sum + c.result.subscore * (preset.weights[c.key] / totalWeight), 0
+    ));
+    return { flowScore, breakdown };
+}
+
+// ── Models ──
+// evaluate(inputs, { preset }) → { flowScore, breakdown | null }
+
+export const SCORING_MODELS = {
+    1: {
+        version: 1,
+        label: 'Hesitation penalty',
+        description: '100 − 5 per hesitation − 10 per second of hesitation silence',
+        evaluate({ hesitationCount = 0, hesitationSilenceMs = 0 }) {
+            const silenceSeconds = hesitationSilenceMs / 1000;
+            const score = 100 - (hesitationCount * 5) - (silenceSeconds * 10);
+            return { flowScore: Math.max(0, Math.min(100, Math.round(score))), breakdown: null };
+        },
+    },
+    2: {
+        version: 2,
+        label: 'Composite, per minute',
+        description: 'Weighted hesitations, pause time, fillers, speaking time and pace, normalized by session length',
+        evaluate(inputs, { preset = DEFAULT_SCORING_PRESET } = {}) {
+            return evaluateComposite(inputs, preset);
+        },
+    },
+};
+
+export const CURRENT_SCORING_VERSION = 2;
+
+export function getScoringModel(version = CURRENT_SCORING_VERSION) {
+    const model = SCORING_MODELS[version];
+    if (!model) throw new Error(`Unknown scoring model version: ${version}`);
+    return model;
+}
+
+// ── Inputs ──
+
+// Everything any model may score from, taken from analyzer results. Filler
+// count and pace come from the transcript, so callers pass them in (null
+// when there was no transcript). Small enough to keep with every session.
+export function scoringInputsFrom(results, { fillerCount = null, wordsPerMinute = null } = {}) {
+    if (results.scoringInputs) return results.scoringInputs;
+    return {
+        hesitationCount: results.hesitationCount || 0,
+        hesitationSilenceMs: results.hesitationSilenceTime || 0,
+        hesitationTimings: (results.hesitationTimings || [])
+            .map(({ startOffset, duration }) => ({ startOffset, duration })),
+        totalTimeMs: results.totalTime || 0,
+        speakingTimeMs: (results.totalSpeakingTime || 0) * 1000,
+        fillerCount,
+        wordsPerMinute,
+    };
+}
+
+// Sessions scored by model 1 before inputs were stored: the formula is
+// invertible while the score wasn't clamped, which recovers the silence total
+export function inputsFromModel1Score(flowScore, { hesitationCount = 0, totalTimeMs = 0, speakingTimeMs = 0 }) {
+    const silenceSeconds = Math.max(0, (100 - hesitationCount * 5 - flowScore) / 10);
+    return {
+        hesitationCount,
+        hesitationSilenceMs: Math.round(silenceSeconds * 1000),
+        hesitationTimings: [],
+        totalTimeMs,
+        speakingTimeMs,
+        fillerCount: null,
+        wordsPerMinute: null,
+        derived: true,
+    };
+}
+
+// ── Scoring ──
+
+export function scoreSession(inputs, version = CURRENT_SCORING_VERSION, { preset = getScoringPreset() } = {}) {
+    const { flowScore, breakdown } = getScoringModel(version).evaluate(inputs, { preset });
+    return {
+        flowScore,
+        scoringVersion: version,
+        scoringPreset: version >= 2 ? preset : null,
+        scoreBreakdown: breakdown,
+    };
+}
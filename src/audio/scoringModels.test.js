@@ -0,0 +1,113 @@
+import {
+    SCORING_MODELS,
+    SCORING_PRESETS,
+    DEFAULT_SCORING_PRESET,
+    getScoringPreset,
+    setScoringPreset,
+    CURRENT_SCORING_VERSION,
+    getScoringModel,
+    inputsFromModel1Score,
+    scoreSession,
+} from '@/audio/scoringModels';
+
+describe('scoring model registry', () => {
+    it('registers every version under its own number', () => {
+        Object.entries(SCORING_MODELS).forEach(([key, model]) => {
+            expect(model.version).toBe(Number(key));
+            expect(typeof model.evaluate).toBe('function');
+        });
+        expect(SCORING_MODELS[CURRENT_SCORING_VERSION]).toBeDefined();
+    });
+
+    it('defaults to the current model and rejects unknown versions', () => {
+        expect(getScoringModel()).toBe(SCORING_MODELS[CURRENT_SCORING_VERSION]);
+        expect(() => getScoringModel(99)).toThrow('Unknown scoring model version: 99');
+    });
+
+    it('records the version a session was scored with', () => {
+        const result = scoreSession({ hesitationCount: 2, hesitationSilenceMs: 4000 }, 1);
+        expect(result).toEqual({ flowScore: 50, scoringVersion: 1, scoringPreset: null, scoreBreakdown: null });
+    });
+});
+
+describe('model 1', () => {
+    const evaluate = (inputs) => SCORING_MODELS[1].evaluate(inputs).flowScore;
+
+    it('takes 5 per hesitation and 10 per second of hesitation silence', () => {
+        expect(evaluate({})).toBe(100);
+        expect(evaluate({ hesitationCount: 3, hesitationSilenceMs: 2500 })).toBe(60);
+    });
+
+    it('clamps to 0–100', () => {
+        expect(evaluate({ hesitationCount: 30, hesitationSilenceMs: 60000 })).toBe(0);
+    });
+});
+
+describe('inputsFromModel1Score', () => {
+    it('recovers the hesitation silence an unclamped score was computed from', () => {
+        const inputs = inputsFromModel1Score(60, { hesitationCount: 3, totalTimeMs: 90000, speakingTimeMs: 70000 });
+        expect(inputs).toEqual({
+            hesitationCount: 3,
+            hesitationSilenceMs: 2500,
+            hesitationTimings: [],
+            totalTimeMs: 90000,
+            speakingTimeMs: 70000,
+            fillerCount: null,
+            wordsPerMinute: null,
+            derived: true,
+        });
+        expect(SCORING_MODELS[1].evaluate(inputs).flowScore).toBe(60);
+    });
+
+    it('never derives negative silence', () => {
+        expect(inputsFromModel1Score(100, { hesitationCount: 2 }).hesitationSilenceMs).toBe(0);
+    });
+});
+
+describe('model 2', () => {
+    const evaluate = (inputs, preset = 'conversation') => SCORING_MODELS[2].evaluate(inputs, { preset });
+    const twoMinutes = { hesitationCount: 2, hesitationSilenceMs: 6000, totalTimeMs: 120000, speakingTimeMs: 84000 };
+
+    it('shares the weight of unmeasured components among the rest', () => {
+        const { flowScore, breakdown } = evaluate(twoMinutes);
+        expect(breakdown.map(c => c.key)).toEqual(['hesitations', 'silence', 'speakingRatio']);
+        expect(breakdown.map(c => c.subscore)).toEqual([75, 83, 100]);
+        expect(breakdown.reduce((sum, c) => sum + c.weight, 0)).toBeCloseTo(1, 1);
+        expect(flowScore).toBe(83);
+    });
+
+    it('scores pace down outside the preset band', () => {
+        const pace = (wordsPerMinute) => evaluate({ ...twoMinutes, wordsPerMinute })
+            .breakdown.find(c => c.key === 'pace').subscore;
+        expect(pace(140)).toBe(100);
+        expect(pace(200)).toBe(50);
+        expect(pace(20)).toBe(0);
+    });
+
+    it('weighs the same session differently per preset', () => {
+        const inputs = { ...twoMinutes, fillerCount: 6, wordsPerMinute: 165 };
+        expect(evaluate(inputs, 'presentation').flowScore).toBeLessThan(evaluate(inputs, 'conversation').flowScore);
+    });
+
+    it('scores 0 with nothing to measure', () => {
+        expect(evaluate({})).toEqual({ flowScore: 0, breakdown: [] });
+    });
+});
+
+describe('scoring presets', () => {
+    afterEach(() => localStorage.clear());
+
+    it('have weights that sum to 1', () => {
+        Object.values(SCORING_PRESETS).forEach((preset) => {
+            expect(Object.values(preset.weights).reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+        });
+    });
+
+    it('keeps the chosen preset and ignores unknown ones', () => {
+        expect(getScoringPreset()).toBe(DEFAULT_SCORING_PRESET);
+        setScoringPreset('ielts');
+        setScoringPreset('karaoke');
+        expect(getScoringPreset()).toBe('ielts');
+        expect(scoreSession({ totalTimeMs: 60000 }).scoringPreset).toBe('ielts');
+    });
+});
@@ -2,27 +2,43 @@
 // Architecture: Delta-time accumulation — every millisecond is classified.
 // Guarantee: speakingTime + silenceTime = totalSessionTime (always)
 //
-// ┌──────────────────────────────────────────────────────────┐
-// │  Adaptive detection disabled for V1 simplicity.         │
-// │  Architecture preserved for future activation.          │
-// │  See: detectionProfile.js (reserved for V2 adaptive)    │
-// └──────────────────────────────────────────────────────────┘
-
-// ── V1 Fixed Constants ──
-const SPEECH_THRESHOLD = 0.01;
-const SPEECH_OFF_MULTIPLIER = 0.7;
-const HESITATION_MIN_DURATION = 1800;   // ms
-const MICRO_PAUSE_IGNORE = 300;         // ms
-const SMOOTHING_WINDOW = 10;
-const CALIBRATION_DURATION = 1500;      // ms
+// Classification runs in an AudioWorklet (public/worklets/speech-analysis-processor.js)
+// on the audio thread, so timing is sample-accurate and survives backgrounded
+// tabs. Falls back to a ~30fps requestAnimationFrame loop where AudioWorklet
+// is unavailable. Both paths feed the same classification timeline below.
+// analyzeFile() runs recorded audio through the rAF path's per-frame logic in
+// an OfflineAudioContext, faster than real time.
+//
+// With the spectral detector selected, a VAD stage (voiceActivity.js) reads the
+// AnalyserNode each frame and vetoes loud-but-not-voice sound (fans, typing, music).
+// Speaking frames also feed a pitch tracker (pitchTracker.js) for intonation stats,
+// and every frame's RMS feeds syllable nuclei detection (syllableDetector.js) so
+// speaking rate is known even without a transcript.
+//
+// Thresholds come from the user's detection profile (see detectionProfile.js):
+// mode defaults at start(), re-derived from the calibrated noise floor once
+// calibration finishes, and fed back into the profile on stop().
+
+import { loadProfile, computeThresholds, updateProfileFromSession } from '@/audio/detectionProfile';
+import { computeSpectralFeatures, createSpectralVad } from '@/audio/voiceActivity';
+import { createPitchTracker } from '@/audio/pitchTracker';
+import { createSyllableDetector } from '@/audio/syllableDetector';
+
+export {
+  DETECTION_MODES, getDetectionMode, setDetectionMode, getVoiceDetector, setVoiceDetector,
+} from '@/audio/detectionProfile';
+export { VOICE_DETECTORS } from '@/audio/voiceActivity';
+
+const WORKLET_PROCESSOR_NAME = 'speech-analysis-processor';
+const DEFAULT_WORKLET_URL = `${process.env.PUBLIC_URL || ''}/worklets/speech-analysis-processor.js`;
+const FRAME_INTERVAL_MS = 33;           // ~30fps — worklet frame size and rAF throttle
+const WORKLET_FLUSH_TIMEOUT = 250;      // ms
 
 export class AudioAnalyzer {
   constructor(options = {}) {
-    // Fixed thresholds — no profile, no adaptive, no mode switching
-    this.speechOnThreshold = SPEECH_THRESHOLD;
-    this.speechOffThreshold = SPEECH_THRESHOLD * SPEECH_OFF_MULTIPLIER;
-    this.hesitationMinDuration = HESITATION_MIN_DURATION;
-    this.microPauseFilter = MICRO_PAUSE_IGNORE;
+    // Thresholds — mode defaults until calibration refines them
+    this.profile = loadProfile();
+    this._applyThresholds(computeThresholds(this.profile));
 
     // Audio nodes
     this.audioContext = null;
@@ -30,6 +46,8 @@ export class AudioAnalyzer {
     this.source = null;
     this.stream = null;
     this.dataArray = null;
+    this.freqDbArray = null;
+    this.pitchBuffer = null;
     this.isRunning = false;
     this.onData = options.onData || null;
     this.onHesitation = options.onHesitation || null;
@@ -38,6 +56,12 @@ export class AudioAnalyzer {
     this.onStartError = options.onStartError || null;
     this.onDebugLog = options.onDebugLog || null;
     this.enableTranscription = options.enableTranscription !== false;
+    this.language = options.language || 'en-US';   // built-in recognition only
+    this.useWorklet = options.useWorklet !== false;
+    this.workletUrl = options.workletUrl || DEFAULT_WORKLET_URL;
+    this.workletNode = null;
+    this.isFlushing = false;
+    this.analysisEngine = null;   // 'worklet' | 'raf' | 'offline'
     this.animationFrame = null;
     this.mediaRecorder = null;
     this.audioChunks = [];
@@ -47,32 +71,90 @@ export class AudioAnalyzer {
     // Delta-time state
     this.sessionStartTime = null;
     this.lastFrameTime = null;
+    this.audioElapsedMs = 0;      // worklet clock: ms of rendered audio
     this.totalSpeakingTime = 0;   // ms
     this.totalSilenceTime = 0;    // ms
 
-    // Hesitation tracking
+    // Hesitation tracking (timestamps are ms since session start)
     this.hesitationSilenceTime = 0;
     this.hesitationCount = 0;
     this.currentSilenceStart = null;
+    this.aboveThreshold = false;
     this.isSpeaking = false;
     this.hasSpokeAtLeastOnce = false;
     this.hesitationTimings = [];
+    this.pauseTimings = [];       // every silence between speech (see pauseTaxonomy.js)
+    this.speakingRegions = [];    // [{ startMs, endMs }] for timeline review
     this.currentFlowStreakStart = null;
+    this.lastSpeechEndTime = null;
     this.longestFlowStreak = 0;
     this.frameCount = 0;
     this.noiseFloor = 0;
 
+    // Speaking-time-weighted volume (fed back into the detection profile)
+    this.speakingVolumeSum = 0;
+    this.speakingVolumeTime = 0;
+
+    // Voice activity (spectral detector only)
+    this.vad = createSpectralVad();
+    this.isVoiced = true;
+
+    // Intonation (speaking frames only) and transcript-free speaking rate
+    this.pitchTracker = createPitchTracker();
+    this.syllableDetector = createSyllableDetector();
+
     // Volume smoothing
     this.volumeSamples = [];
 
-    // Throttle: ~30fps
+    // Throttle (rAF fallback): ~30fps
     this.lastAnalyzeTime = 0;
-    this.analyzeInterval = 33;
+    this.analyzeInterval = FRAME_INTERVAL_MS;
 
     // Calibration
     this.calibrationSamples = [];
     this.isCalibrating = true;
-    this.calibrationStartTime = null;
+  }
+
+  _applyThresholds(thresholds) {
+    this.speechOnThreshold = thresholds.speechOnThreshold;
+    this.speechOffThreshold = thresholds.speechOffThreshold;
+    this.hesitationMinDuration = thresholds.hesitationMinDuration;
+    this.microPauseFilter = thresholds.microPauseFilter;
+    this.smoothingWindow = thresholds.smoothingWindow;
+    this.calibrationDuration = thresholds.calibrationDuration;
+    this.detectionMode = thresholds.modeName;
+    this.voiceDetector = thresholds.voiceDetector;
+  }
+
+  // Reset accumulators
+  _resetSession() {
+    this.totalSpeakingTime = 0;
+    this.totalSilenceTime = 0;
+    this.hesitationSilenceTime = 0;
+    this.hesitationCount = 0;
+    this.currentSilenceStart = null;
+    this.aboveThreshold = false;
+    this.isSpeaking = false;
+    this.hasSpokeAtLeastOnce = false;
+    this.hesitationTimings = [];
+    this.pauseTimings = [];
+    this.speakingRegions = [];
+    this.currentFlowStreakStart = null;
+    this.lastSpeechEndTime = null;
+    this.longestFlowStreak = 0;
+    this.frameCount = 0;
+    this.noiseFloor = 0;
+    this.speakingVolumeSum = 0;
+    this.speakingVolumeTime = 0;
+    this.vad.reset();
+    this.isVoiced = true;
+    this.pitchTracker.reset();
+    this.syllableDetector.reset();
+    this.volumeSamples = [];
+    this.audioChunks = [];
+    this.transcript = '';
+    this.calibrationSamples = [];
+    this.isCalibrating = true;
   }
 
   _debug(event, extra = {}) {
@@ -107,34 +189,28 @@ export class AudioAnalyzer {
       this.source.connect(this.analyser);
 
       this.dataArray = new Float32Array(this.analyser.frequencyBinCount);
+      this.freqDbArray = new Float32Array(this.analyser.frequencyBinCount);
+      this.pitchBuffer = new Float32Array(this.analyser.fftSize);
       this.isRunning = true;
 
+      // Reload profile — mode may have changed since construction
+      this.profile = loadProfile();
+      this._applyThresholds(computeThresholds(this.profile));
+
       const now = Date.now();
       this.sessionStartTime = now;
       this.lastFrameTime = now;
-      this.calibrationStartTime = now;
-
-      // Reset accumulators
-      this.totalSpeakingTime = 0;
-      this.totalSilenceTime = 0;
-      this.hesitationSilenceTime = 0;
-      this.hesitationCount = 0;
-      this.currentSilenceStart = null;
-      this.isSpeaking = false;
-      this.hasSpokeAtLeastOnce = false;
-      this.hesitationTimings = [];
-      this.currentFlowStreakStart = null;
-      this.longestFlowStreak = 0;
-      this.frameCount = 0;
-      this.noiseFloor = 0;
-      this.volumeSamples = [];
-      this.audioChunks = [];
-      this.transcript = '';
-      this.calibrationSamples = [];
-      this.isCalibrating = true;
+      this.audioElapsedMs = 0;
+
+      this._resetSession();
+
+      this.analysisEngine = await this._startWorklet() ? 'worklet' : 'raf';
 
       this._debug('analyzer_stream_started', {
         trackCount: this.stream.getAudioTracks().length,
+        detectionMode: this.detectionMode,
+        voiceDetector: this.voiceDetector,
+        analysisEngine: this.analysisEngine,
       });
 
       // MediaRecorder
@@ -157,7 +233,7 @@ export class AudioAnalyzer {
         this.recognition = new SpeechRecognition();
         this.recognition.continuous = true;
         this.recognition.interimResults = false;
-        this.recognition.lang = 'en-US';
+        this.recognition.lang = this.language;
 
         this.recognition.onresult = (event) => {
           for (let i = event.resultIndex; i < event.results.length; ++i) {
@@ -197,7 +273,9 @@ export class AudioAnalyzer {
         }
       }
 
-      this._analyze();
+      if (this.analysisEngine === 'raf') {
+        this._analyze();
+      }
       this._debug('analyzer_started');
       return true;
     } catch (err) {
@@ -208,6 +286,95 @@ export class AudioAnalyzer {
     }
   }
 
+  // ── AudioWorklet path ──
+
+  async _startWorklet() {
+    if (!this.useWorklet || !this.audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+      return false;
+    }
+
+    try {
+      await this.audioContext.audioWorklet.addModule(this.workletUrl);
+      this.workletNode = new AudioWorkletNode(this.audioContext, WORKLET_PROCESSOR_NAME, {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        outputChannelCount: [1],
+        processorOptions: {
+          frameMs: FRAME_INTERVAL_MS,
+          ...this._workletThresholds(),
+        },
+      });
+      this.workletNode.port.onmessage = (event) => this._handleWorkletFrame(event.data);
+      this.source.connect(this.workletNode);
+      // Processors only run while the graph pulls them — the output itself is silent
+      this.workletNode.connect(this.audioContext.destination);
+      return true;
+    } catch (err) {
+      this._debug('analyzer_worklet_unavailable', { reason: err?.name || 'unknown', message: err?.message });
+      this.workletNode = null;
+      return false;
+    }
+  }
+
+  _workletThresholds() {
+    return {
+      speechOnThreshold: this.speechOnThreshold,
+      speechOffThreshold: this.speechOffThreshold,
+      smoothingMs: this.smoothingWindow * FRAME_INTERVAL_MS,
+    };
+  }
+
+  _handleWorkletFrame(frame) {
+    if ((!this.isRunning && !this.isFlushing) || !frame || frame.type !== 'frame') return;
+    this.frameCount++;
+    this.audioElapsedMs = frame.endMs;
+
+    this.volumeSamples.push(frame.smoothedRms);
+    if (this.volumeSamples.length > this.smoothingWindow) {
+      this.volumeSamples = this.volumeSamples.slice(-this.smoothingWindow);
+    }
+
+    this._updateCalibration(frame.startMs, frame.rms);
+
+    // Replay classification changes at their exact render-quantum offsets
+    frame.transitions.forEach(({ atMs, isSpeaking }) => {
+      if (isSpeaking) this._speechStarted(atMs);
+      else this._speechEnded(atMs);
+      this.isSpeaking = isSpeaking;
+    });
+    this.isSpeaking = frame.isSpeaking;
+    this._accumulate(frame.speakingMs, frame.silenceMs, frame.speakingRms);
+
+    this.analyser.getFloatTimeDomainData(this.dataArray);
+
+    // VAD verdict gates the worklet's classification from the next quantum on
+    const wasVoiced = this.isVoiced;
+    this.isVoiced = this._detectVoice();
+    if (this.isVoiced !== wasVoiced) {
+      this.workletNode.port.postMessage({ type: 'voiceGate', isVoiced: this.isVoiced });
+    }
+    this._trackProsody(frame.endMs, frame.rms);
+
+    this._emitData(frame.endMs, frame.rms, frame.smoothedRms);
+  }
+
+  // Ask the processor for its partial frame so no audio goes unclassified
+  _flushWorklet() {
+    return new Promise((resolve) => {
+      const timeout = setTimeout(resolve, WORKLET_FLUSH_TIMEOUT);
+      this.workletNode.port.onmessage = (event) => {
+        this._handleWorkletFrame(event.data);
+        if (event.data?.final) {
+          clearTimeout(timeout);
+          resolve();
+        }
+      };
+      this.workletNode.port.postMessage({ type: 'flush' });
+    });
+  }
+
+  // ── requestAnimationFrame fallback ──
+
   _analyze() {
     if (!this.isRunning) return;
 
@@ -219,11 +386,19 @@ export class AudioAnalyzer {
       return;
     }
     this.lastAnalyzeTime = now;
-    this.frameCount++;
 
     // Delta time
     const delta = now - this.lastFrameTime;
     this.lastFrameTime = now;
+    this._analyzeFrame(now - this.sessionStartTime, delta);
+
+    this.animationFrame = requestAnimationFrame(() => this._analyze());
+  }
+
+  // One analyser read covering `delta` ms that ended at `t` — used by the
+  // rAF loop (wall clock) and the offline path (file clock)
+  _analyzeFrame(t, delta) {
+    this.frameCount++;
 
     // RMS volume
     this.analyser.getFloatTimeDomainData(this.dataArray);
@@ -235,77 +410,209 @@ export class AudioAnalyzer {
 
     // Smoothing
     this.volumeSamples.push(rms);
-    if (this.volumeSamples.length > SMOOTHING_WINDOW) {
-      this.volumeSamples = this.volumeSamples.slice(-SMOOTHING_WINDOW);
+    if (this.volumeSamples.length > this.smoothingWindow) {
+      this.volumeSamples = this.volumeSamples.slice(-this.smoothingWindow);
     }
     const smoothedRms = this.volumeSamples.reduce((a, b) => a + b, 0) / this.volumeSamples.length;
 
-    // Calibration: record noise floor (informational only — does NOT change thresholds)
-    if (this.isCalibrating) {
-      this.calibrationSamples.push(rms);
-      if (now - this.calibrationStartTime >= CALIBRATION_DURATION) {
-        this.isCalibrating = false;
-        const avgNoise = this.calibrationSamples.reduce((a, b) => a + b, 0) / this.calibrationSamples.length;
-        this.noiseFloor = avgNoise;
-        // Thresholds stay fixed — calibration is for analytics/diagnostics only
-        if (this.onCalibrated) {
-          this.onCalibrated(avgNoise, this.speechOnThreshold);
-        }
-      }
-    }
+    this._updateCalibration(t, rms);
 
-    // Hysteresis classification (fixed thresholds)
+    // Hysteresis classification, gated by the VAD verdict
     const wasSpeaking = this.isSpeaking;
-    let isSpeaking;
-    if (wasSpeaking) {
-      isSpeaking = smoothedRms > this.speechOffThreshold;
+    if (this.aboveThreshold) {
+      this.aboveThreshold = smoothedRms > this.speechOffThreshold;
     } else {
-      isSpeaking = smoothedRms > this.speechOnThreshold;
+      this.aboveThreshold = smoothedRms > this.speechOnThreshold;
     }
+    this.isVoiced = this._detectVoice();
+    const isSpeaking = this.aboveThreshold && this.isVoiced;
+    if (isSpeaking && !wasSpeaking) this._speechStarted(t);
+    if (!isSpeaking && wasSpeaking) this._speechEnded(t);
     this.isSpeaking = isSpeaking;
+    this._trackProsody(t, rms);
 
     // Delta-time accumulation
-    if (isSpeaking) {
-      this.totalSpeakingTime += delta;
-      this.hasSpokeAtLeastOnce = true;
-      if (!wasSpeaking) {
-        this.currentFlowStreakStart = now;
-      }
-    } else {
-      this.totalSilenceTime += delta;
-      if (wasSpeaking && this.currentFlowStreakStart) {
-        const streak = now - this.currentFlowStreakStart;
-        if (streak > this.longestFlowStreak) {
-          this.longestFlowStreak = streak;
-        }
-        this.currentFlowStreakStart = null;
-      }
+    this._accumulate(isSpeaking ? delta : 0, isSpeaking ? 0 : delta, smoothedRms);
+
+    this._emitData(t, rms, smoothedRms);
+  }
+
+  // ── Offline path ──
+  // Uploaded or previously recorded audio. An OfflineAudioContext renders the
+  // file faster than real time and suspends every frame so the AnalyserNode is
+  // read exactly as the rAF loop reads it, on the file's clock. Calibration uses
+  // the opening of the file, so recordings should start with a moment of quiet.
+  async analyzeFile(file, { onProgress } = {}) {
+    if (typeof OfflineAudioContext === 'undefined') {
+      throw new Error('OfflineAudioContext is not available');
+    }
+
+    const encoded = await file.arrayBuffer();
+    const decoded = await new OfflineAudioContext(1, 1, 44100).decodeAudioData(encoded);
+
+    this.audioContext = new OfflineAudioContext(1, decoded.length, decoded.sampleRate);
+    this.analyser = this.audioContext.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.analyser.smoothingTimeConstant = 0.3;
+
+    this.source = this.audioContext.createBufferSource();
+    this.source.buffer = decoded;
+    this.source.connect(this.analyser);
+    this.analyser.connect(this.audioContext.destination);
+
+    this.dataArray = new Float32Array(this.analyser.frequencyBinCount);
+    this.freqDbArray = new Float32Array(this.analyser.frequencyBinCount);
+    this.pitchBuffer = new Float32Array(this.analyser.fftSize);
+
+    this.profile = loadProfile();
+    this._applyThresholds(computeThresholds(this.profile));
+    this._resetSession();
+    this.analysisEngine = 'offline';
+
+    const durationMs = decoded.duration * 1000;
+    const framesPerSecond = Math.round(1000 / FRAME_INTERVAL_MS);
+    let lastT = 0;
+
+    // Suspend points are scheduled one at a time, each from the previous one
+    const scheduleFrame = (index) => {
+      const suspendAtMs = index * FRAME_INTERVAL_MS;
+      if (suspendAtMs >= durationMs) return;
+      this.audioContext.suspend(suspendAtMs / 1000).then(() => {
+        const t = this.audioContext.currentTime * 1000;
+        this._analyzeFrame(t, t - lastT);
+        lastT = t;
+        if (onProgress && index % framesPerSecond === 0) onProgress(t / durationMs);
+        scheduleFrame(index + 1);
+        this.audioContext.resume();
+      });
+    };
+
+    this._debug('analyzer_offline_started', {
+      durationMs: Math.round(durationMs),
+      sampleRate: decoded.sampleRate,
+      detectionMode: this.detectionMode,
+      voiceDetector: this.voiceDetector,
+    });
+
+    scheduleFrame(1);
+    this.source.start(0);
+    await this.audioContext.startRendering();
+
+    this._applyFinalDelta(durationMs - lastT);
+    if (onProgress) onProgress(1);
+
+    this.source.disconnect();
+    this.analyser.disconnect();
+    this.source = null;
+    this.audioContext = null;
+
+    // No profile learning — a file's levels say nothing about the user's mic
+    return this._buildResults(durationMs, { audioBlob: file, transcript: '' });
+  }
+
+  // ── Classification timeline (shared by all paths) ──
+  // `t` is ms since session start.
+
+  // Calibration: measure noise floor, then derive session thresholds from it
+  _updateCalibration(t, rms) {
+    if (!this.isCalibrating) return;
+    this.calibrationSamples.push(rms);
+    if (t < this.calibrationDuration) return;
+
+    this.isCalibrating = false;
+    const avgNoise = this.calibrationSamples.reduce((a, b) => a + b, 0) / this.calibrationSamples.length;
+    this.noiseFloor = avgNoise;
+    this._applyThresholds(computeThresholds(this.profile, avgNoise));
+    if (this.workletNode) {
+      this.workletNode.port.postMessage({ type: 'thresholds', ...this._workletThresholds() });
+    }
+    this._debug('analyzer_calibrated', {
+      noiseFloor: avgNoise,
+      speechOnThreshold: this.speechOnThreshold,
+      speechOffThreshold: this.speechOffThreshold,
+    });
+    if (this.onCalibrated) {
+      this.onCalibrated(avgNoise, this.speechOnThreshold);
+    }
+  }
+
+  // Spectral VAD stage — always "voiced" with the RMS-only detector
+  _detectVoice() {
+    if (this.voiceDetector !== 'spectral') return true;
+    this.analyser.getFloatFrequencyData(this.freqDbArray);
+    const features = computeSpectralFeatures(this.freqDbArray, this.dataArray, this.audioContext.sampleRate);
+    return this.vad.update(features);
+  }
+
+  // Pitch on speaking frames — over the full FFT window, the 1024-sample buffer
+  // is too short for low voices — then the frame's envelope point for syllables
+  _trackProsody(t, rms) {
+    let hz = null;
+    if (this.isSpeaking) {
+      this.analyser.getFloatTimeDomainData(this.pitchBuffer);
+      hz = this.pitchTracker.update(t, this.pitchBuffer, this.audioContext.sampleRate);
+    }
+    this.syllableDetector.update(t, rms, this.isSpeaking, hz != null);
+  }
+
+  _accumulate(speakingMs, silenceMs, speakingRms) {
+    this.totalSpeakingTime += speakingMs;
+    this.totalSilenceTime += silenceMs;
+    this.speakingVolumeSum += speakingRms * speakingMs;
+    this.speakingVolumeTime += speakingMs;
+  }
+
+  _speechStarted(t) {
+    this.hasSpokeAtLeastOnce = true;
+    this.speakingRegions.push({ startMs: Math.round(t), endMs: null });
+
+    // Micro-pauses below the mode's filter don't break a flow streak
+    const gap = this.lastSpeechEndTime != null ? t - this.lastSpeechEndTime : Infinity;
+    if (this.currentFlowStreakStart == null || gap >= this.microPauseFilter) {
+      this.currentFlowStreakStart = t;
     }
 
     // Hesitation tracking (with micro-pause filter)
-    if (!this.isCalibrating && this.hasSpokeAtLeastOnce) {
-      if (!isSpeaking) {
-        if (wasSpeaking) {
-          this.currentSilenceStart = now;
-        }
-      } else {
-        if (!wasSpeaking && this.currentSilenceStart) {
-          const silenceDuration = now - this.currentSilenceStart;
-          if (silenceDuration >= this.microPauseFilter && silenceDuration >= this.hesitationMinDuration) {
-            this.hesitationSilenceTime += silenceDuration;
-            this.hesitationCount++;
-            this.hesitationTimings.push({
-              startOffset: this.currentSilenceStart - this.sessionStartTime,
-              duration: silenceDuration,
-            });
-            if (this.onHesitation) {
-              this.onHesitation(silenceDuration, this.hesitationCount);
-            }
-          }
-          this.currentSilenceStart = null;
+    if (!this.isCalibrating && this.currentSilenceStart != null) {
+      const silenceDuration = t - this.currentSilenceStart;
+      const isHesitation = silenceDuration >= this.microPauseFilter && silenceDuration >= this.hesitationMinDuration;
+      this.pauseTimings.push({
+        startOffset: Math.round(this.currentSilenceStart),
+        duration: Math.round(silenceDuration),
+        isHesitation,
+      });
+      if (isHesitation) {
+        this.hesitationSilenceTime += silenceDuration;
+        this.hesitationCount++;
+        this.hesitationTimings.push({
+          startOffset: Math.round(this.currentSilenceStart),
+          duration: Math.round(silenceDuration),
+        });
+        if (this.onHesitation) {
+          this.onHesitation(Math.round(silenceDuration), this.hesitationCount);
         }
       }
     }
+    this.currentSilenceStart = null;
+  }
+
+  _speechEnded(t) {
+    const region = this.speakingRegions[this.speakingRegions.length - 1];
+    if (region && region.endMs == null) region.endMs = Math.round(t);
+    if (this.currentFlowStreakStart != null) {
+      const streak = t - this.currentFlowStreakStart;
+      if (streak > this.longestFlowStreak) {
+        this.longestFlowStreak = streak;
+      }
+      this.lastSpeechEndTime = t;
+    }
+    if (!this.isCalibrating && this.hasSpokeAtLeastOnce) {
+      this.currentSilenceStart = t;
+    }
+  }
+
+  _emitData(t, rms, smoothedRms) {
+    if (!this.onData) return;
 
     // Visualization data
     const freqData = new Uint8Array(this.analyser.frequencyBinCount);
@@ -315,59 +622,54 @@ export class AudioAnalyzer {
     const speechEnergy = speechFrequencies.reduce((a, b) => a + b, 0) / speechFrequencies.length;
 
     let currentSilenceDuration = 0;
-    if (!isSpeaking && this.currentSilenceStart) {
-      currentSilenceDuration = now - this.currentSilenceStart;
+    if (!this.isSpeaking && this.currentSilenceStart != null) {
+      currentSilenceDuration = t - this.currentSilenceStart;
     }
 
-    if (this.onData) {
-      this.onData({
-        rms,
-        smoothedRms,
-        isSilent: !isSpeaking,
-        isActuallySpeaking: isSpeaking,
-        currentSilenceDuration,
-        totalSilenceTime: Math.round(this.totalSilenceTime / 1000),
-        totalSpeakingTime: Math.round(this.totalSpeakingTime / 1000),
-        hesitationCount: this.hesitationCount,
-        waveformData: Array.from(this.dataArray.slice(0, 256)),
-        frequencyData: Array.from(freqData.slice(0, 64)),
-        volume: smoothedRms,
-        speechEnergy,
-        isCalibrating: this.isCalibrating,
-      });
-    }
-
-    this.animationFrame = requestAnimationFrame(() => this._analyze());
+    this.onData({
+      rms,
+      smoothedRms,
+      isSilent: !this.isSpeaking,
+      isActuallySpeaking: this.isSpeaking,
+      isVoiced: this.isVoiced,
+      currentSilenceDuration,
+      totalSilenceTime: Math.round(this.totalSilenceTime / 1000),
+      totalSpeakingTime: Math.round(this.totalSpeakingTime / 1000),
+      hesitationCount: this.hesitationCount,
+      waveformData: Array.from(this.dataArray.slice(0, 256)),
+      frequencyData: Array.from(freqData.slice(0, 64)),
+      volume: smoothedRms,
+      speechEnergy,
+      isCalibrating: this.isCalibrating,
+    });
   }
 
   async stop() {
     this.isRunning = false;
     this._debug('analyzer_stopping');
 
-    // Final delta
     const now = Date.now();
-    if (this.lastFrameTime) {
-      const finalDelta = now - this.lastFrameTime;
-      if (this.isSpeaking) {
-        this.totalSpeakingTime += finalDelta;
-        if (this.currentFlowStreakStart) {
-          const streak = now - this.currentFlowStreakStart;
-          if (streak > this.longestFlowStreak) this.longestFlowStreak = streak;
-        }
-      } else {
-        this.totalSilenceTime += finalDelta;
+    let elapsed;
+    if (this.workletNode) {
+      // Worklet clock: classify the trailing partial frame, then detach
+      this.isFlushing = true;
+      await this._flushWorklet();
+      this.isFlushing = false;
+      this.workletNode.port.onmessage = null;
+      this.workletNode.disconnect();
+      this.workletNode = null;
+      elapsed = this.audioElapsedMs;
+    } else {
+      if (this.lastFrameTime) {
+        this._applyFinalDelta(now - this.lastFrameTime);
       }
+      elapsed = this.sessionStartTime ? now - this.sessionStartTime : 0;
     }
 
-    // Trailing silence: do NOT count as hesitation
-
     if (this.animationFrame) {
       cancelAnimationFrame(this.animationFrame);
     }
 
-    // No adaptive learning — reserved for V2
-    // updateProfileFromSession() is NOT called
-
     // Stop SpeechRecognition
     let finalTranscript = this.transcript;
     if (this.recognition) {
@@ -420,10 +722,50 @@ export class AudioAnalyzer {
       this.audioContext.close();
     }
 
-    const totalTime = this.sessionStartTime ? now - this.sessionStartTime : 0;
+    const results = this._buildResults(elapsed, {
+      audioBlob,
+      transcript: finalTranscript.trim() || "No speech detected. Please ensure your microphone is working and you are speaking into it.",
+    });
+
+    // Adaptive learning — refine the user's profile from this session
+    this.profile = updateProfileFromSession({
+      avgSpeakingVolume: results.avgSpeakingVolume,
+      noiseFloor: this.noiseFloor,
+      speakingRatio: results.totalTime > 0 ? this.totalSpeakingTime / results.totalTime : 0,
+      sessionDurationMs: results.totalTime,
+    });
+
+    return results;
+  }
+
+  // Time since the last frame goes to whichever state we ended in
+  _applyFinalDelta(finalDelta) {
+    if (this.isSpeaking) {
+      this.totalSpeakingTime += finalDelta;
+    } else {
+      this.totalSilenceTime += finalDelta;
+    }
+  }
+
+  // Result shape shared by stop() and analyzeFile()
+  _buildResults(elapsed, { audioBlob, transcript }) {
+    if (this.isSpeaking && this.currentFlowStreakStart != null) {
+      const streak = elapsed - this.currentFlowStreakStart;
+      if (streak > this.longestFlowStreak) this.longestFlowStreak = streak;
+    }
+    const openRegion = this.speakingRegions[this.speakingRegions.length - 1];
+    if (openRegion && openRegion.endMs == null) openRegion.endMs = Math.round(elapsed);
+
+    // Trailing silence: do NOT count as hesitation
+
+    // speakingTime + silenceTime = totalTime on every clock
+    const totalTime = Math.round(elapsed);
     const avgVolume = this.volumeSamples.length > 0
       ? this.volumeSamples.reduce((a, b) => a + b, 0) / this.volumeSamples.length
       : 0;
+    const avgSpeakingVolume = this.speakingVolumeTime > 0
+      ? this.speakingVolumeSum / this.speakingVolumeTime
+      : 0;
 
     return {
       totalSpeakingTime: Math.round(this.totalSpeakingTime / 1000),
@@ -431,22 +773,24 @@ export class AudioAnalyzer {
       hesitationSilenceTime: Math.round(this.hesitationSilenceTime),
       hesitationCount: this.hesitationCount,
       hesitationTimings: this.hesitationTimings,
-      longestFlowStreak: this.longestFlowStreak,
+      pauseTimings: this.pauseTimings,
+      speakingRegions: this.speakingRegions,
+      longestFlowStreak: Math.round(this.longestFlowStreak),
       frameCount: this.frameCount,
+      analysisEngine: this.analysisEngine,
       noiseFloor: this.noiseFloor,
+      detectionMode: this.detectionMode,
+      voiceDetector: this.voiceDetector,
       totalTime,
       avgVolume: Math.round(avgVolume * 1000) / 1000,
+      avgSpeakingVolume: Math.round(avgSpeakingVolume * 10000) / 10000,
+      pitch: this.pitchTracker.summarize(),
+      ...this.syllableDetector.summarize({ speakingMs: this.totalSpeakingTime, totalMs: totalTime }),
       audioBlob,
-      transcript: finalTranscript.trim() || "No speech detected. Please ensure your microphone is working and you are speaking into it."
+      transcript,
     };
   }
 
-  static calculateFlowScore(hesitationSilenceTimeMs, hesitationCount) {
-    const silenceSeconds = hesitationSilenceTimeMs / 1000;
-    const score = 100 - (hesitationCount * 5) - (silenceSeconds * 10);
-    return Math.max(0, Math.min(100, Math.round(score)));
-  }
-
   static getScoreLabel(score) {
     if (score >= 90) return 'Excellent';
     if (score >= 75) return 'Great';
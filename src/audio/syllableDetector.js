@@ -0,0 +1,94 @@
+// Syllable Nuclei Detector — speaking rate without a transcript
+// After De Jong & Wempe (2009): a syllable nucleus is an intensity peak that
+// stands above the session's speaking level, is separated from the previous
+// peak by a real dip, and is voiced. Runs on the per-frame RMS the analyzer
+// already computes, so it works on every browser and on uploaded files.
+
+// ── Tuning ──
+
+export const SYLLABLE_DEFAULTS = {
+    peakBelowMedianDb: 2,     // peaks may sit this far below the median speaking level
+    minDipDb: 2,              // intensity must fall this much between two nuclei
+    minPeakGapMs: 100,        // faster than 10 syllables/s is not speech
+    minVoicedShare: 0.3,      // trust the voicing flag only when pitch tracking mostly worked
+    syllablesPerWord: 1.5,    // conversational English average
+};
+
+const toDb = (rms) => 20 * Math.log10(rms + 1e-9);
+
+// ── Detector ──
+
+export function createSyllableDetector(overrides = {}) {
+    const config = { ...SYLLABLE_DEFAULTS, ...overrides };
+    let frames = [];   // [{ t, db, isSpeaking, isVoiced }]
+
+    return {
+        update(t, rms, isSpeaking, isVoiced) {
+            frames.push({ t, db: toDb(rms), isSpeaking, isVoiced });
+        },
+        // speakingMs / totalMs come from the analyzer's delta-time accumulators
+        summarize({ speakingMs, totalMs }) {
+            return summarizeSyllables(frames, { speakingMs, totalMs }, config);
+        },
+        reset() {
+            frames = [];
+        },
+    };
+}
+
+// ── Summary ──
+
+export function detectSyllableNuclei(frames, config = SYLLABLE_DEFAULTS) {
+    const speaking = frames.filter(f => f.isSpeaking);
+    if (speaking.length < 3) return [];
+
+    const sortedDb = speaking.map(f => f.db).sort((a, b) => a - b);
+    const threshold = sortedDb[Math.floor(sortedDb.length / 2)] - config.peakBelowMedianDb;
+    const voicedShare = speaking.filter(f => f.isVoiced).length / speaking.length;
+    const useVoicing = voicedShare >= config.minVoicedShare;
+
+    const nuclei = [];
+    let lastPeakIndex = -1;
+    for (let i = 1; i < frames.length - 1; i++) {
+        const f = frames[i];
+        if (!f.isSpeaking || f.db < threshold) continue;
+        if (f.db < frames[i - 1].db || f.db <= frames[i + 1].db) continue;
+        if (useVoicing && !f.isVoiced) continue;
+
+        if (lastPeakIndex >= 0) {
+            const last = frames[lastPeakIndex];
+            let dip = Infinity;
+            for (let j = lastPeakIndex + 1; j < i; j++) dip = Math.min(dip, frames[j].db);
+            const separated = Math.min(f.db, last.db) - dip >= config.minDipDb
+                && f.t - last.t >= config.minPeakGapMs;
+            if (!separated) {
+                // Same nucleus — keep the stronger peak
+                if (f.db > last.db) {
+                    nuclei[nuclei.length - 1] = f.t;
+                    lastPeakIndex = i;
+                }
+                continue;
+            }
+        }
+        nuclei.push(f.t);
+        lastPeakIndex = i;
+    }
+    return nuclei;
+}
+
+export function summarizeSyllables(frames, { speakingMs, totalMs }, config = SYLLABLE_DEFAULTS) {
+    const syllableCount = detectSyllableNuclei(frames, config).length;
+    const speakingMinutes = speakingMs / 60000;
+    const totalMinutes = totalMs / 60000;
+
+    // Articulation rate (per speaking minute) — comparable to wordsPerMinute
+    const syllablesPerMinute = speakingMinutes > 0 ? Math.round(syllableCount / speakingMinutes) : 0;
+
+    return {
+        syllableCount,
+        syllablesPerMinute,
+        // Speech rate (per session minute, pauses included)
+        speechRateSpm: totalMinutes > 0 ? Math.round(syllableCount / totalMinutes) : 0,
+        estimatedWpm: Math.round(syllablesPerMinute / config.syllablesPerWord),
+    };
+}
@@ -0,0 +1,99 @@
+// Spectral Voice Activity Detection
+// Second opinion on top of RMS gating: loud-but-not-voice sounds (fans,
+// keyboard typing, music) pass the volume threshold but fail these checks.
+// Pure functions + a tiny stateful detector — reads AnalyserNode buffers only.
+
+// ── Detectors ──
+
+export const VOICE_DETECTORS = {
+    rms: {
+        label: 'Volume',
+        description: 'Anything above the speech threshold counts as speaking',
+    },
+    spectral: {
+        label: 'Voice-aware',
+        description: 'Ignores fans, typing and music that aren\'t your voice',
+    },
+};
+
+export const DEFAULT_VOICE_DETECTOR = 'rms';
+
+// ── Tuning ──
+
+export const SPECTRAL_VAD_DEFAULTS = {
+    speechBandHz: [300, 3400],   // where voiced speech concentrates its energy
+    totalBandHz: [80, 8000],     // reference band for the energy ratio
+    minSpeechBandRatio: 0.45,    // speech band ÷ total band energy
+    maxSpectralFlatness: 0.45,   // 0 = tonal/harmonic (voice), 1 = white noise (fan, hiss)
+    maxZeroCrossingRate: 0.2,    // sign changes per sample — high for hiss and clicks
+    hangoverFrames: 8,           // stay voiced ~260ms after the last voiced frame (consonants, breaths)
+};
+
+// ── Feature Extraction ──
+
+// freqDb: AnalyserNode.getFloatFrequencyData() output (dB per bin)
+// timeDomain: AnalyserNode.getFloatTimeDomainData() output
+export function computeSpectralFeatures(freqDb, timeDomain, sampleRate, config = SPECTRAL_VAD_DEFAULTS) {
+    const binHz = sampleRate / (freqDb.length * 2);
+    const binOf = (hz) => Math.min(freqDb.length - 1, Math.max(0, Math.round(hz / binHz)));
+
+    const [speechLo, speechHi] = config.speechBandHz.map(binOf);
+    const [totalLo, totalHi] = config.totalBandHz.map(binOf);
+
+    let totalEnergy = 0;
+    let speechEnergy = 0;
+    let logSum = 0;
+    let speechBins = 0;
+    for (let i = totalLo; i <= totalHi; i++) {
+        // -Infinity dB (digital silence) → 0 power
+        const power = Number.isFinite(freqDb[i]) ? Math.pow(10, freqDb[i] / 10) : 0;
+        totalEnergy += power;
+        if (i >= speechLo && i <= speechHi) {
+            speechEnergy += power;
+            logSum += Math.log(power + 1e-12);
+            speechBins++;
+        }
+    }
+
+    const speechBandRatio = totalEnergy > 0 ? speechEnergy / totalEnergy : 0;
+    const arithmeticMean = speechBins > 0 ? speechEnergy / speechBins : 0;
+    const geometricMean = speechBins > 0 ? Math.exp(logSum / speechBins) : 0;
+    const spectralFlatness = arithmeticMean > 0 ? Math.min(1, geometricMean / arithmeticMean) : 1;
+
+    let crossings = 0;
+    for (let i = 1; i < timeDomain.length; i++) {
+        if ((timeDomain[i - 1] >= 0) !== (timeDomain[i] >= 0)) crossings++;
+    }
+    const zeroCrossingRate = timeDomain.length > 1 ? crossings / (timeDomain.length - 1) : 0;
+
+    return { speechBandRatio, spectralFlatness, zeroCrossingRate };
+}
+
+export function isVoicedFrame(features, config = SPECTRAL_VAD_DEFAULTS) {
+    return features.speechBandRatio >= config.minSpeechBandRatio
+        && features.spectralFlatness <= config.maxSpectralFlatness
+        && features.zeroCrossingRate <= config.maxZeroCrossingRate;
+}
+
+// ── Detector ──
+// Frame-by-frame voiced decision with hangover so short unvoiced
+// consonants inside a word don't split it into speech/silence.
+
+export function createSpectralVad(overrides = {}) {
+    const config = { ...SPECTRAL_VAD_DEFAULTS, ...overrides };
+    let framesSinceVoiced = Infinity;
+
+    return {
+        update(features) {
+            if (isVoicedFrame(features, config)) {
+                framesSinceVoiced = 0;
+            } else {
+                framesSinceVoiced++;
+            }
+            return framesSinceVoiced <= config.hangoverFrames;
+        },
+        reset() {
+            framesSinceVoiced = Infinity;
+        },
+    };
+}
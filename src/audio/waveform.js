@@ -0,0 +1,38 @@
+// Waveform peaks for timeline review
+// Decodes a recording once and reduces it to one peak per bucket — enough to
+// draw the waveform at any width without keeping the samples around.
+
+export async function computeWaveformPeaks(blob, bucketCount = 600) {
+    if (typeof OfflineAudioContext === 'undefined') {
+        throw new Error('OfflineAudioContext is not available');
+    }
+
+    const encoded = await blob.arrayBuffer();
+    const decoded = await new OfflineAudioContext(1, 1, 44100).decodeAudioData(encoded);
+
+    // Mix down to mono by taking the loudest channel per sample
+    const channels = Array.from({ length: decoded.numberOfChannels }, (_, i) => decoded.getChannelData(i));
+    const samplesPerBucket = Math.max(1, Math.floor(decoded.length / bucketCount));
+    const peaks = new Float32Array(Math.ceil(decoded.length / samplesPerBucket));
+
+    for (let b = 0; b < peaks.length; b++) {
+        const start = b * samplesPerBucket;
+        const end = Math.min(decoded.length, start + samplesPerBucket);
+        let peak = 0;
+        for (let i = start; i < end; i++) {
+            for (let c = 0; c < channels.length; c++) {
+                const v = Math.abs(channels[c][i]);
+                if (v > peak) peak = v;
+            }
+        }
+        peaks[b] = peak;
+    }
+
+    // Normalize so quiet recordings still read clearly
+    const max = peaks.reduce((m, v) => Math.max(m, v), 0);
+    if (max > 0) {
+        for (let b = 0; b < peaks.length; b++) peaks[b] /= max;
+    }
+
+    return { peaks, durationMs: decoded.duration * 1000 };
+}
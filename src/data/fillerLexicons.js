@@ -0,0 +1,59 @@
+// Filler words per language, keyed by base language code ('en-US' → 'en').
+// type: 'vocal' — sounds standing in for a pause (um, uh)
+//       'verbal' — real words used as padding (like, you know)
+// notAfter: the phrase is a real word after these tokens ("I like", "what kind of")
+//
+// Browser speech recognition often drops vocal fillers from its transcript,
+// so counts are a lower bound unless the server provider is transcribing.
+
+export const FILLER_LEXICONS = {
+  en: [
+    { phrase: 'um', type: 'vocal' },
+    { phrase: 'umm', type: 'vocal' },
+    { phrase: 'uh', type: 'vocal' },
+    { phrase: 'uhh', type: 'vocal' },
+    { phrase: 'uh huh', type: 'vocal' },
+    { phrase: 'er', type: 'vocal' },
+    { phrase: 'erm', type: 'vocal' },
+    { phrase: 'ah', type: 'vocal' },
+    { phrase: 'hmm', type: 'vocal' },
+    { phrase: 'mm', type: 'vocal' },
+    { phrase: 'you know', type: 'verbal', notAfter: ['do', 'did', 'if', 'what', 'as', 'would', 'don\'t'] },
+    { phrase: 'i mean', type: 'verbal', notAfter: ['what'] },
+    { phrase: 'like', type: 'verbal', notAfter: ['i', 'you', 'we', 'they', 'he', 'she', 'would', 'i\'d', 'really', 'feel', 'feels', 'felt', 'look', 'looks', 'looked', 'sound', 'sounds', 'seem', 'seems', 'just', 'much', 'don\'t', 'didn\'t', 'not', 'things', 'something', 'anything', 'nothing', 'more', 'most'] },
+    { phrase: 'basically', type: 'verbal' },
+    { phrase: 'literally', type: 'verbal' },
+    { phrase: 'actually', type: 'verbal' },
+    { phrase: 'sort of', type: 'verbal', notAfter: ['a', 'the', 'what', 'this', 'that', 'any', 'some', 'every', 'one', 'same', 'different'] },
+    { phrase: 'kind of', type: 'verbal', notAfter: ['a', 'the', 'what', 'this', 'that', 'any', 'some', 'every', 'one', 'same', 'different'] },
+  ],
+  es: [
+    { phrase: 'eh', type: 'vocal' },
+    { phrase: 'em', type: 'vocal' },
+    { phrase: 'este', type: 'verbal', notAfter: ['en', 'de', 'a', 'por', 'para', 'con'] },
+    { phrase: 'o sea', type: 'verbal' },
+    { phrase: 'pues', type: 'verbal' },
+    { phrase: 'bueno', type: 'verbal', notAfter: ['muy', 'tan', 'más', 'lo', 'es'] },
+    { phrase: 'tipo', type: 'verbal', notAfter: ['un', 'el', 'este', 'ese', 'qué', 'de'] },
+  ],
+  fr: [
+    { phrase: 'euh', type: 'vocal' },
+    { phrase: 'bah', type: 'vocal' },
+    { phrase: 'ben', type: 'vocal' },
+    { phrase: 'genre', type: 'verbal', notAfter: ['le', 'un', 'ce', 'quel', 'même', 'de'] },
+    { phrase: 'en fait', type: 'verbal' },
+    { phrase: 'du coup', type: 'verbal' },
+    { phrase: 'tu vois', type: 'verbal' },
+  ],
+  de: [
+    { phrase: 'äh', type: 'vocal' },
+    { phrase: 'ähm', type: 'vocal' },
+    { phrase: 'öh', type: 'vocal' },
+    { phrase: 'halt', type: 'verbal' },
+    { phrase: 'sozusagen', type: 'verbal' },
+    { phrase: 'quasi', type: 'verbal' },
+    { phrase: 'weißt du', type: 'verbal', notAfter: ['was', 'wie', 'ob'] },
+  ],
+};
+
+export const DEFAULT_FILLER_LANGUAGE = 'en';
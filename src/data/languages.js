@@ -0,0 +1,28 @@
+// Practice languages. The code goes to speech recognition and the
+// transcription server as-is; prompts, lemon words and filler / phrase
+// lexicons are keyed by its base ('es-ES' → 'es').
+
+const LANGUAGE_KEY = 'nopause_practice_language';
+
+export const PRACTICE_LANGUAGES = {
+  'en-US': { label: 'English', nativeLabel: 'English' },
+  'es-ES': { label: 'Spanish', nativeLabel: 'Español' },
+  'de-DE': { label: 'German', nativeLabel: 'Deutsch' },
+};
+
+// Every session before the setting existed was recognised as en-US
+export const DEFAULT_LANGUAGE = 'en-US';
+
+export const baseLanguage = (code) => (code || DEFAULT_LANGUAGE).toLowerCase().split(/[-_]/)[0];
+
+export const languageLabel = (code) => PRACTICE_LANGUAGES[code]?.label || code || PRACTICE_LANGUAGES[DEFAULT_LANGUAGE].label;
+
+export function getPracticeLanguage() {
+  const stored = localStorage.getItem(LANGUAGE_KEY);
+  return PRACTICE_LANGUAGES[stored] ? stored : DEFAULT_LANGUAGE;
+}
+
+export function setPracticeLanguage(code) {
+  if (!PRACTICE_LANGUAGES[code]) return;
+  localStorage.setItem(LANGUAGE_KEY, code);
+}
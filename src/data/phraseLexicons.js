@@ -0,0 +1,57 @@
+// Word classes for placing a pause in its phrase, keyed by base language code
+// like FILLER_LEXICONS ('en-US' → 'en').
+// connectors: words that join clauses — a pause after them is a stall while
+//             planning the next clause
+// nounMarkers: articles, possessives, demonstratives and prepositions — a
+//              pause after them is usually a search for the noun that follows
+//
+// Lowercase, apostrophes as '. Anything not listed counts as mid-phrase.
+
+export const PHRASE_LEXICONS = {
+  en: {
+    connectors: [
+      'and', 'but', 'or', 'so', 'because', 'then', 'which', 'that', 'when', 'while', 'if',
+      'although', 'though', 'also', 'however', 'since', 'unless', 'whereas', 'who', 'where',
+    ],
+    nounMarkers: [
+      'a', 'an', 'the', 'my', 'your', 'his', 'her', 'its', 'our', 'their', 'this', 'these',
+      'those', 'some', 'any', 'every', 'each', 'no', 'of', 'in', 'on', 'at', 'for', 'with',
+      'from', 'by', 'about', 'into', 'to',
+    ],
+  },
+  es: {
+    connectors: [
+      'y', 'e', 'pero', 'o', 'u', 'porque', 'entonces', 'que', 'cuando', 'mientras', 'si',
+      'aunque', 'también', 'sino', 'donde', 'pues',
+    ],
+    nounMarkers: [
+      'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'mi', 'mis', 'tu', 'tus', 'su',
+      'sus', 'este', 'esta', 'estos', 'estas', 'de', 'del', 'en', 'con', 'por', 'para', 'al',
+    ],
+  },
+  fr: {
+    connectors: [
+      'et', 'mais', 'ou', 'donc', 'parce', 'alors', 'qui', 'que', 'quand', 'pendant', 'si',
+      'aussi', 'puis', 'lorsque', 'où',
+    ],
+    nounMarkers: [
+      'le', 'la', 'les', 'l\'', 'un', 'une', 'des', 'du', 'mon', 'ma', 'mes', 'ton', 'ta',
+      'tes', 'son', 'sa', 'ses', 'ce', 'cet', 'cette', 'ces', 'de', 'en', 'dans', 'avec',
+      'pour', 'sur', 'au', 'aux',
+    ],
+  },
+  de: {
+    connectors: [
+      'und', 'aber', 'oder', 'also', 'weil', 'dann', 'dass', 'wenn', 'als', 'während', 'ob',
+      'obwohl', 'auch', 'sondern', 'denn',
+    ],
+    nounMarkers: [
+      'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer',
+      'eines', 'mein', 'meine', 'dein', 'deine', 'sein', 'seine', 'ihr', 'ihre', 'unser',
+      'unsere', 'dieser', 'diese', 'dieses', 'von', 'mit', 'für', 'in', 'im', 'auf', 'zu',
+      'zum', 'zur', 'aus', 'bei',
+    ],
+  },
+};
+
+export const DEFAULT_PHRASE_LANGUAGE = 'en';
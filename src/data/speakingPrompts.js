@@ -1,28 +1,95 @@
-export const SPEAKING_PROMPTS = [
-  { id: '1', category: 'Daily Life', text: 'Describe your morning routine in detail. What do you do from the moment you wake up?', difficulty: 'easy' },
-  { id: '2', category: 'Daily Life', text: 'Talk about your favorite meal to cook. What ingredients do you need and how do you prepare it?', difficulty: 'easy' },
-  { id: '3', category: 'Daily Life', text: 'Describe your ideal weekend. What activities would you do?', difficulty: 'easy' },
-  { id: '4', category: 'Opinion', text: 'Do you think social media has more positive or negative effects on society? Explain your reasoning.', difficulty: 'medium' },
-  { id: '5', category: 'Opinion', text: 'What is the most important skill everyone should learn? Why?', difficulty: 'medium' },
-  { id: '6', category: 'Opinion', text: 'Should schools teach financial literacy as a core subject? Share your thoughts.', difficulty: 'medium' },
-  { id: '7', category: 'Storytelling', text: 'Tell a story about a time you overcame a challenge. What did you learn from it?', difficulty: 'medium' },
-  { id: '8', category: 'Storytelling', text: 'Describe a memorable travel experience. Where did you go and what happened?', difficulty: 'medium' },
-  { id: '9', category: 'Abstract', text: 'If you could change one thing about how the world works, what would it be and why?', difficulty: 'hard' },
-  { id: '10', category: 'Abstract', text: 'Explain the concept of time to someone who has never experienced it. How would you describe it?', difficulty: 'hard' },
-  { id: '11', category: 'Professional', text: 'Give a two-minute pitch about a product or service you believe in. Convince the listener to try it.', difficulty: 'hard' },
-  { id: '12', category: 'Professional', text: 'Describe a project you worked on that you\'re proud of. What was your role and what was the outcome?', difficulty: 'medium' },
-  { id: '13', category: 'Creative', text: 'Imagine you woke up with a superpower. What is it and how would your day change?', difficulty: 'easy' },
-  { id: '14', category: 'Creative', text: 'Describe a world where technology doesn\'t exist. How do people live and communicate?', difficulty: 'hard' },
-  { id: '15', category: 'Daily Life', text: 'Talk about a hobby you enjoy. How did you get started and why do you love it?', difficulty: 'easy' },
-];
+// Prompts and lemon words per practice language, keyed by base language code
+// like FILLER_LEXICONS ('es-ES' → 'es'). Categories and difficulties are shared.
+// English prompt ids are the original ones, so saved /practice?prompt= links keep working.
+export const SPEAKING_PROMPTS = {
+  en: [
+    { id: '1', category: 'Daily Life', text: 'Describe your morning routine in detail. What do you do from the moment you wake up?', difficulty: 'easy' },
+    { id: '2', category: 'Daily Life', text: 'Talk about your favorite meal to cook. What ingredients do you need and how do you prepare it?', difficulty: 'easy' },
+    { id: '3', category: 'Daily Life', text: 'Describe your ideal weekend. What activities would you do?', difficulty: 'easy' },
+    { id: '4', category: 'Opinion', text: 'Do you think social media has more positive or negative effects on society? Explain your reasoning.', difficulty: 'medium' },
+    { id: '5', category: 'Opinion', text: 'What is the most important skill everyone should learn? Why?', difficulty: 'medium' },
+    { id: '6', category: 'Opinion', text: 'Should schools teach financial literacy as a core subject? Share your thoughts.', difficulty: 'medium' },
+    { id: '7', category: 'Storytelling', text: 'Tell a story about a time you overcame a challenge. What did you learn from it?', difficulty: 'medium' },
+    { id: '8', category: 'Storytelling', text: 'Describe a memorable travel experience. Where did you go and what happened?', difficulty: 'medium' },
+    { id: '9', category: 'Abstract', text: 'If you could change one thing about how the world works, what would it be and why?', difficulty: 'hard' },
+    { id: '10', category: 'Abstract', text: 'Explain the concept of time to someone who has never experienced it. How would you describe it?', difficulty: 'hard' },
+    { id: '11', category: 'Professional', text: 'Give a two-minute pitch about a product or service you believe in. Convince the listener to try it.', difficulty: 'hard' },
+    { id: '12', category: 'Professional', text: 'Describe a project you worked on that you\'re proud of. What was your role and what was the outcome?', difficulty: 'medium' },
+    { id: '13', category: 'Creative', text: 'Imagine you woke up with a superpower. What is it and how would your day change?', difficulty: 'easy' },
+    { id: '14', category: 'Creative', text: 'Describe a world where technology doesn\'t exist. How do people live and communicate?', difficulty: 'hard' },
+    { id: '15', category: 'Daily Life', text: 'Talk about a hobby you enjoy. How did you get started and why do you love it?', difficulty: 'easy' },
+  ],
+  es: [
+    { id: 'es-1', category: 'Daily Life', text: 'Describe tu rutina de la mañana con detalle. ¿Qué haces desde que te despiertas?', difficulty: 'easy' },
+    { id: 'es-2', category: 'Daily Life', text: 'Habla de tu plato favorito para cocinar. ¿Qué ingredientes necesitas y cómo lo preparas?', difficulty: 'easy' },
+    { id: 'es-3', category: 'Daily Life', text: 'Describe tu fin de semana ideal. ¿Qué actividades harías?', difficulty: 'easy' },
+    { id: 'es-4', category: 'Opinion', text: '¿Crees que las redes sociales tienen más efectos positivos o negativos en la sociedad? Explica por qué.', difficulty: 'medium' },
+    { id: 'es-5', category: 'Opinion', text: '¿Cuál es la habilidad más importante que todo el mundo debería aprender? ¿Por qué?', difficulty: 'medium' },
+    { id: 'es-6', category: 'Opinion', text: '¿Deberían los colegios enseñar educación financiera como asignatura obligatoria? Da tu opinión.', difficulty: 'medium' },
+    { id: 'es-7', category: 'Storytelling', text: 'Cuenta una ocasión en la que superaste un reto. ¿Qué aprendiste?', difficulty: 'medium' },
+    { id: 'es-8', category: 'Storytelling', text: 'Describe un viaje que recuerdes especialmente. ¿Adónde fuiste y qué pasó?', difficulty: 'medium' },
+    { id: 'es-9', category: 'Abstract', text: 'Si pudieras cambiar una cosa del funcionamiento del mundo, ¿cuál sería y por qué?', difficulty: 'hard' },
+    { id: 'es-10', category: 'Abstract', text: 'Explica qué es el tiempo a alguien que nunca lo ha experimentado. ¿Cómo lo describirías?', difficulty: 'hard' },
+    { id: 'es-11', category: 'Professional', text: 'Presenta en dos minutos un producto o servicio en el que creas. Convence a quien te escucha de que lo pruebe.', difficulty: 'hard' },
+    { id: 'es-12', category: 'Professional', text: 'Describe un proyecto del que estés orgulloso. ¿Cuál fue tu papel y cuál fue el resultado?', difficulty: 'medium' },
+    { id: 'es-13', category: 'Creative', text: 'Imagina que te despiertas con un superpoder. ¿Cuál es y cómo cambiaría tu día?', difficulty: 'easy' },
+    { id: 'es-14', category: 'Creative', text: 'Describe un mundo sin tecnología. ¿Cómo vive y se comunica la gente?', difficulty: 'hard' },
+    { id: 'es-15', category: 'Daily Life', text: 'Habla de una afición que disfrutes. ¿Cómo empezaste y por qué te gusta tanto?', difficulty: 'easy' },
+  ],
+  de: [
+    { id: 'de-1', category: 'Daily Life', text: 'Beschreibe deine Morgenroutine im Detail. Was machst du, sobald du aufwachst?', difficulty: 'easy' },
+    { id: 'de-2', category: 'Daily Life', text: 'Erzähl von deinem Lieblingsgericht zum Kochen. Welche Zutaten brauchst du und wie bereitest du es zu?', difficulty: 'easy' },
+    { id: 'de-3', category: 'Daily Life', text: 'Beschreibe dein ideales Wochenende. Was würdest du unternehmen?', difficulty: 'easy' },
+    { id: 'de-4', category: 'Opinion', text: 'Haben soziale Medien mehr positive oder negative Auswirkungen auf die Gesellschaft? Begründe deine Meinung.', difficulty: 'medium' },
+    { id: 'de-5', category: 'Opinion', text: 'Welche Fähigkeit sollte jeder Mensch lernen? Warum?', difficulty: 'medium' },
+    { id: 'de-6', category: 'Opinion', text: 'Sollten Schulen Finanzbildung als Pflichtfach unterrichten? Was denkst du?', difficulty: 'medium' },
+    { id: 'de-7', category: 'Storytelling', text: 'Erzähl von einer Situation, in der du eine Herausforderung gemeistert hast. Was hast du daraus gelernt?', difficulty: 'medium' },
+    { id: 'de-8', category: 'Storytelling', text: 'Beschreibe eine Reise, die dir besonders in Erinnerung geblieben ist. Wohin ging es und was ist passiert?', difficulty: 'medium' },
+    { id: 'de-9', category: 'Abstract', text: 'Wenn du eine Sache daran ändern könntest, wie die Welt funktioniert, welche wäre es und warum?', difficulty: 'hard' },
+    { id: 'de-10', category: 'Abstract', text: 'Erkläre jemandem, der Zeit nie erlebt hat, was Zeit ist. Wie würdest du sie beschreiben?', difficulty: 'hard' },
+    { id: 'de-11', category: 'Professional', text: 'Halte einen zweiminütigen Pitch für ein Produkt oder eine Dienstleistung, von der du überzeugt bist.', difficulty: 'hard' },
+    { id: 'de-12', category: 'Professional', text: 'Beschreibe ein Projekt, auf das du stolz bist. Was war deine Rolle und was kam dabei heraus?', difficulty: 'medium' },
+    { id: 'de-13', category: 'Creative', text: 'Stell dir vor, du wachst mit einer Superkraft auf. Welche ist es und wie verändert sie deinen Tag?', difficulty: 'easy' },
+    { id: 'de-14', category: 'Creative', text: 'Beschreibe eine Welt ohne Technik. Wie leben und kommunizieren die Menschen?', difficulty: 'hard' },
+    { id: 'de-15', category: 'Daily Life', text: 'Erzähl von einem Hobby, das dir Spaß macht. Wie hast du angefangen und was gefällt dir daran?', difficulty: 'easy' },
+  ],
+};
 
 // Random words for Lemon Score exercise
-export const RANDOM_WORDS = [
-  'serendipity', 'quintessential', 'ephemeral', 'ubiquitous', 'paradigm', 'ambiguous', 'meticulous', 'resilient', 'pragmatic',
-  'eloquent', 'articulate', 'coherent', 'fluent', 'spontaneous', 'versatile', 'nuanced', 'perceptive', 'insightful',
-  'analytical', 'methodical', 'strategic', 'innovative', 'adaptable', 'proficient', 'competent', 'confident', 'expressive',
-  'charismatic', 'engaging', 'persuasive', 'diplomatic', 'tactful', 'empathetic', 'intuitive', 'creative', 'visionary'
-];
+export const RANDOM_WORDS = {
+  en: [
+    'serendipity', 'quintessential', 'ephemeral', 'ubiquitous', 'paradigm', 'ambiguous', 'meticulous', 'resilient', 'pragmatic',
+    'eloquent', 'articulate', 'coherent', 'fluent', 'spontaneous', 'versatile', 'nuanced', 'perceptive', 'insightful',
+    'analytical', 'methodical', 'strategic', 'innovative', 'adaptable', 'proficient', 'competent', 'confident', 'expressive',
+    'charismatic', 'engaging', 'persuasive', 'diplomatic', 'tactful', 'empathetic', 'intuitive', 'creative', 'visionary'
+  ],
+  es: [
+    'casualidad', 'efímero', 'ubicuo', 'paradigma', 'ambiguo', 'meticuloso', 'resiliente', 'pragmático', 'elocuente',
+    'coherente', 'espontáneo', 'versátil', 'matiz', 'perspicaz', 'analítico', 'estratégico', 'innovador', 'adaptable',
+    'competente', 'seguro', 'expresivo', 'carismático', 'persuasivo', 'diplomático', 'empático', 'intuitivo', 'creativo',
+    'nostalgia', 'sobremesa', 'madrugada', 'desafío', 'equilibrio', 'costumbre', 'horizonte', 'libertad', 'confianza'
+  ],
+  de: [
+    'Zufall', 'vergänglich', 'allgegenwärtig', 'Paradigma', 'mehrdeutig', 'sorgfältig', 'widerstandsfähig', 'pragmatisch',
+    'wortgewandt', 'schlüssig', 'spontan', 'vielseitig', 'feinsinnig', 'aufmerksam', 'analytisch', 'strategisch', 'innovativ',
+    'anpassungsfähig', 'kompetent', 'selbstbewusst', 'ausdrucksstark', 'charismatisch', 'überzeugend', 'diplomatisch',
+    'einfühlsam', 'intuitiv', 'kreativ', 'Fernweh', 'Gemütlichkeit', 'Feierabend', 'Herausforderung', 'Gleichgewicht',
+    'Gewohnheit', 'Horizont', 'Freiheit', 'Vertrauen'
+  ],
+};
+
+const DEFAULT_PROMPT_LANGUAGE = 'en';
+const promptLanguage = (language) => {
+  const base = (language || DEFAULT_PROMPT_LANGUAGE).toLowerCase().split(/[-_]/)[0];
+  return SPEAKING_PROMPTS[base] ? base : DEFAULT_PROMPT_LANGUAGE;
+};
+
+export const getSpeakingPrompts = (language) => SPEAKING_PROMPTS[promptLanguage(language)];
+
+export const getRandomWords = (language) => RANDOM_WORDS[promptLanguage(language)];
+
+// Any language — a prompt link opens the prompt it was made for
+export const findPrompt = (id) => Object.values(SPEAKING_PROMPTS).flat().find(p => p.id === id) || null;
 
 export const CATEGORIES = ['All', 'Daily Life', 'Opinion', 'Storytelling', 'Abstract', 'Professional', 'Creative'];
 
@@ -42,6 +42,8 @@ export function useMobileSpeechRecognition(options = {}) {
     maxAutoRestarts = 4,
     restartDelayMs = 700,
     serverEndpoint = '/api/transcription/chunk',
+    serverStreamEndpoint = '/api/transcription/stream',
+    serverMode = 'auto',
     providerHint = 'auto',
     unsupportedBrowsers = ['Samsung Internet', 'Firefox'],
     enableServerFallback = false,
@@ -136,6 +138,8 @@ export function useMobileSpeechRecognition(options = {}) {
       unsupportedBrowsers,
       server: {
         endpoint: serverEndpoint,
+        streamEndpoint: serverStreamEndpoint,
+        mode: serverMode,
         providerHint,
       },
       log: (event, data) => log(event, data),
@@ -164,6 +168,8 @@ export function useMobileSpeechRecognition(options = {}) {
     restartDelayMs,
     unsupportedBrowsers,
     serverEndpoint,
+    serverStreamEndpoint,
+    serverMode,
     providerHint,
     log,
   ]);
@@ -184,7 +190,8 @@ export function useMobileSpeechRecognition(options = {}) {
       stream = null,
       sessionId = null,
       allowServerFallback = enableServerFallback,
-      preferBrowser = true
+      preferBrowser = true,
+      language = lang,
     } = startOptions;
 
     if (!runtimeInfo.isSecure) {
@@ -208,6 +215,7 @@ export function useMobileSpeechRecognition(options = {}) {
       sessionId,
       allowServerFallback,
       preferBrowser,
+      language,
     });
 
     if (!started) {
@@ -221,9 +229,18 @@ export function useMobileSpeechRecognition(options = {}) {
     setErrorCode(null);
     setErrorMessage(null);
     console.log('Recognition started');
-    log('speech_started', { allowServerFallback, preferBrowser });
+    log('speech_started', { allowServerFallback, preferBrowser, language });
     return true;
-  }, [runtimeInfo.isSecure, permissionState, requestMicrophoneAccess, ensureEngine, log, enableServerFallback]);
+  }, [runtimeInfo.isSecure, permissionState, requestMicrophoneAccess, ensureEngine, log, enableServerFallback, lang]);
+
+  // Back to browser STT after a mid-session fallback to the server — false if
+  // the session isn't on the server or the browser wouldn't start
+  const switchToBrowser = useCallback(async () => {
+    const engine = ensureEngine();
+    const switched = await engine.switchToBrowser('user_requested');
+    log('switch_to_browser', { switched });
+    return switched;
+  }, [ensureEngine, log]);
 
   const resetTranscript = useCallback(() => {
     const engine = ensureEngine();
@@ -275,6 +292,7 @@ export function useMobileSpeechRecognition(options = {}) {
     syncPermissionState,
     startListening,
     stopListening,
+    switchToBrowser,
     resetTranscript,
     log,
   };
@@ -1,8 +1,9 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Mic, Flame, Target, Clock, Shield, Zap, Timer } from 'lucide-react';
-import { storage } from '@/storage/localStore';
-import { SPEAKING_PROMPTS, RANDOM_WORDS } from '@/data/speakingPrompts';
+import { sessionRepository } from '@/storage/sessionRepository';
+import { getSpeakingPrompts, getRandomWords } from '@/data/speakingPrompts';
+import { getPracticeLanguage } from '@/data/languages';
 import { analytics } from '@/analytics';
 import { cn } from '@/utils/cn';
 
@@ -70,11 +71,13 @@ export default function Dashboard() {
   const [topicPrompt, setTopicPrompt] = useState(null);
 
   useEffect(() => {
-    setStats(storage.getStats());
+    setStats(sessionRepository.getStats());
 
-    // Initialize random content for display
-    setLemonWord(RANDOM_WORDS[Math.floor(Math.random() * RANDOM_WORDS.length)]);
-    setTopicPrompt(SPEAKING_PROMPTS[Math.floor(Math.random() * SPEAKING_PROMPTS.length)]);
+    // Initialize random content for display, in the practice language
+    const randomWords = getRandomWords(getPracticeLanguage());
+    const prompts = getSpeakingPrompts(getPracticeLanguage());
+    setLemonWord(randomWords[Math.floor(Math.random() * randomWords.length)]);
+    setTopicPrompt(prompts[Math.floor(Math.random() * prompts.length)]);
   }, []);
 
   // Navigation handlers
@@ -212,7 +215,7 @@ export default function Dashboard() {
       </div>
 
       {/* Quick Actions */}
-      <div className="grid grid-cols-2 gap-3 md:gap-4">
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-3 md:gap-4">
         <button
           data-testid="view-prompts-btn"
           onClick={() => navigate('/prompts')}
@@ -229,6 +232,14 @@ export default function Dashboard() {
           <p className="text-sm md:text-lg font-serif text-foreground mb-1">View Stats</p>
           <p className="text-xs md:text-sm text-muted-foreground font-sans">Track your progress</p>
         </button>
+        <button
+          data-testid="analyze-recording-btn"
+          onClick={() => navigate('/practice?mode=upload')}
+          className="col-span-2 md:col-span-1 rounded-2xl night-panel p-4 md:p-5 text-left card-hover btn-press min-h-[82px]"
+        >
+          <p className="text-sm md:text-lg font-serif text-foreground mb-1">Analyze a Recording</p>
+          <p className="text-xs md:text-sm text-muted-foreground font-sans">Upload an audio file</p>
+        </button>
       </div>
     </div>
   );
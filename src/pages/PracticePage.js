@@ -1,15 +1,58 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate, useSearchParams, useLocation } from 'react-router-dom';
-import { Mic, MicOff, Square, Play, ChevronLeft, AlertTriangle, Timer, Zap, Volume2, FileText, Sparkles } from 'lucide-react';
-import { AudioAnalyzer } from '@/audio/speechAnalyzer';
+import { Mic, MicOff, Square, Play, ChevronLeft, AlertTriangle, Timer, Zap, Volume2, FileText, Sparkles, Upload, Activity, CirclePause } from 'lucide-react';
+import {
+  AudioAnalyzer, DETECTION_MODES, VOICE_DETECTORS,
+  getDetectionMode, setDetectionMode, getVoiceDetector, setVoiceDetector,
+} from '@/audio/speechAnalyzer';
+import { SCORING_PRESETS, getScoringPreset, setScoringPreset } from '@/audio/scoringModels';
 import { AudioVisualizer } from '@/ui/AudioVisualizer';
 import { VoiceVisualizer } from '@/ui/VoiceVisualizer';
-import { storage } from '@/storage/localStore';
-import { SPEAKING_PROMPTS, RANDOM_WORDS } from '@/data/speakingPrompts';
+import { PitchContourChart } from '@/ui/PitchContourChart';
+import { ScoreBreakdown } from '@/ui/ScoreBreakdown';
+import { StuckPoints } from '@/ui/StuckPoints';
+import { sessionRepository } from '@/storage/sessionRepository';
+import { getSpeakingPrompts, getRandomWords, findPrompt } from '@/data/speakingPrompts';
+import { PRACTICE_LANGUAGES, getPracticeLanguage, setPracticeLanguage } from '@/data/languages';
 import { cn } from '@/utils/cn';
 import { analytics } from '@/analytics';
 import { useMobileSpeechRecognition } from '@/hooks/useMobileSpeechRecognition';
-
+import { splitFillerText } from '@/transcription/fillerWords';
+import { resumePendingChunks } from '@/transcription/pendingChunks';
+import { alignWordsToSpeech } from '@/transcription/wordTimeline';
+import { PHRASE_TYPES } from '@/transcription/hesitationContext';
+
+// Server transcription fallback is opt-in until a production server exists —
+// `npm run transcription-server` serves the contract locally
+const SERVER_FALLBACK = process.env.REACT_APP_TRANSCRIPTION_FALLBACK === 'true';
+// 'auto' (stream, else chunked) | 'streaming' | 'chunked'
+const SERVER_MODE = process.env.REACT_APP_TRANSCRIPTION_MODE || 'auto';
+
+// Everything the review page needs to redraw the session — small enough for localStorage.
+// Segments keep their words, placed on the speech the analyzer heard when STT had no timings.
+const buildTimeline = (results, transcriptSegments) => ({
+  totalTime: results.totalTime,
+  speakingRegions: results.speakingRegions,
+  hesitationTimings: results.hesitationTimings,
+  segments: alignWordsToSpeech(transcriptSegments || [], results.speakingRegions)
+    .map(({ text, startMs, endMs, confidence = null, words }) => ({ text, startMs, endMs, confidence, ...(words && { words }) })),
+});
+
+// The record goes to localStorage, which throws once it's full — the results
+// screen says so instead of the session quietly going missing. Resolves to the
+// session metrics (null if only they failed) and the message to show, if any.
+async function saveSession(sessionResult, rawResults) {
+  try {
+    const metrics = await sessionRepository.save(sessionResult, { rawResults });
+    return { metrics, saveError: null };
+  } catch (error) {
+    console.error('Failed to save session:', error);
+    return {
+      metrics: null,
+      saveError: 'Your browser\'s storage is full. Delete a few older sessions on the Stats page, then practice again to keep your history.',
+    };
+  }
+}
 
 export default function Practice() {
   const navigate = useNavigate();
@@ -27,34 +70,49 @@ export default function Practice() {
   // Content based on mode
   const [lemonWord, setLemonWord] = useState('');
   const [topicPrompt, setTopicPrompt] = useState(null);
+  const [detectionMode, setDetectionModeState] = useState(() => getDetectionMode());
+  const [voiceDetector, setVoiceDetectorState] = useState(() => getVoiceDetector());
+  const [scoringPreset, setScoringPresetState] = useState(() => getScoringPreset());
+  const [language, setLanguageState] = useState(() => getPracticeLanguage());
 
   // Recording state
-  const [state, setState] = useState('setup'); // setup | countdown | recording | done
+  const [state, setState] = useState('setup'); // setup | countdown | recording | analyzing | done
   const [timeLeft, setTimeLeft] = useState(0);
   const [countdown, setCountdown] = useState(3);
   const [audioData, setAudioData] = useState(null);
   const [lastResults, setLastResults] = useState(null);
   const [transcriptError, setTranscriptError] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  const [analysisProgress, setAnalysisProgress] = useState(0);
 
   const analyzerRef = useRef(null);
   const timerRef = useRef(null);
   const sessionDataRef = useRef(null);
   const soundDetectedRef = useRef(false);
+  const fileInputRef = useRef(null);
   const speech = useMobileSpeechRecognition({
     debug: true,
     maxAutoRestarts: 5,
     restartDelayMs: 700,
-    enableServerFallback: false,
+    enableServerFallback: SERVER_FALLBACK,
+    serverMode: SERVER_MODE,
+    lang: language,
   });
+  // The auto-stop timer holds an old stopRecording — read transcript state through a ref
+  const speechRef = useRef(speech);
+  speechRef.current = speech;
 
-  // Initialize content based on mode
+  // Initialize content based on mode, in the practice language (a prompt link
+  // opens its own prompt whatever the language)
   useEffect(() => {
+    const randomWords = getRandomWords(getPracticeLanguage());
+    const prompts = getSpeakingPrompts(getPracticeLanguage());
     if (mode === 'lemon') {
-      const initialWord = word || RANDOM_WORDS[Math.floor(Math.random() * RANDOM_WORDS.length)];
+      const initialWord = word || randomWords[Math.floor(Math.random() * randomWords.length)];
       setLemonWord(initialWord);
       setTimeLeft(60);
     } else if (mode === 'topic') {
-      const initialPrompt = promptId ? SPEAKING_PROMPTS.find(p => p.id === promptId) : SPEAKING_PROMPTS[Math.floor(Math.random() * SPEAKING_PROMPTS.length)];
+      const initialPrompt = (promptId && findPrompt(promptId)) || prompts[Math.floor(Math.random() * prompts.length)];
       setTopicPrompt(initialPrompt);
       setTimeLeft(120);
     } else if (mode === 'free') {
@@ -71,6 +129,8 @@ export default function Practice() {
     if (analyzerRef.current && analyzerRef.current.isRunning) {
       const results = await analyzerRef.current.stop();
       const duration = Math.floor((Date.now() - sessionDataRef.current.startTime) / 1000);
+      const { finalTranscript, transcript, transcriptSegments } = speechRef.current;
+      const spokenTranscript = finalTranscript.trim() || transcript.trim();
       speech.stopListening().catch(() => {});
 
       // Clear timer
@@ -78,62 +138,47 @@ export default function Practice() {
         clearInterval(timerRef.current);
       }
 
-      // Calculate flow score — uses only hesitation-level silence (not all silence)
-      const flowScore = AudioAnalyzer.calculateFlowScore(results.hesitationSilenceTime, results.hesitationCount);
+      // Flow score — the same computation the session metrics store, with its breakdown
+      const rawResults = { ...results, transcript: spokenTranscript, transcriptSegments };
+      const { flowScore, scoreBreakdown, ...scoring } = analytics.scoreResults(rawResults, { language });
 
+      const sessionId = sessionDataRef.current.sessionId;
       const sessionResult = {
+        sessionId,
         flowScore,
+        ...scoring,
         totalSpeakingTime: results.totalSpeakingTime, // seconds (delta-time accumulated)
         totalSessionTime: duration,
         silenceTime: results.totalSilenceTime, // seconds (delta-time accumulated)
         hesitationCount: results.hesitationCount,
         mode: mode === 'free' ? 'free-speak' : mode,
+        language,
+        detectionMode: results.detectionMode,
+        voiceDetector: results.voiceDetector,
+        monotoneScore: results.pitch.monotoneScore,
         audioBlob: results.audioBlob,
-        transcript: speech.finalTranscript.trim() || speech.transcript.trim() || results.transcript
+        transcript: spokenTranscript || results.transcript,
+        timeline: buildTimeline(results, transcriptSegments),
+        word: mode === 'lemon' ? lemonWord : null,
+        topic: mode === 'topic' ? topicPrompt.text : null,
+        difficulty: mode === 'topic' ? topicPrompt.difficulty : null,
       };
+      analytics.saveRecording(sessionId, results.audioBlob);
 
-      // Save based on mode
-      if (mode === 'free') {
-        storage.saveSession({
-          ...sessionResult,
-          duration: duration,
-          hesitationCount: results.hesitationCount,
-          hesitation_count: results.hesitationCount,
-          silenceTime: results.totalSilenceTime,
-          silence_time: results.totalSilenceTime,
-        });
-      } else if (mode === 'lemon') {
-        storage.saveLemonScore({
-          ...sessionResult,
-          word: lemonWord,
-          hesitation_count: results.hesitationCount,
-          silence_time: results.totalSilenceTime,
-          duration: duration
-        });
-      } else if (mode === 'topic') {
-        storage.saveTopicScore({
-          ...sessionResult,
-          topic: topicPrompt.text,
-          difficulty: topicPrompt.difficulty,
-          hesitation_count: results.hesitationCount,
-          silence_time: results.totalSilenceTime,
-          duration: duration
-        });
-      }
+      // Session record + structured session metrics (Layer 2) under one sessionId,
+      // then any server transcript that arrived too late for it
+      const { metrics, saveError } = await saveSession(sessionResult, rawResults);
+      if (!saveError) resumePendingChunks();
 
-      setLastResults(sessionResult);
+      // Where the hesitations fell in what was said — as stored, so Stats and
+      // Review show the same ones
+      setLastResults({ ...sessionResult, scoreBreakdown, pitch: results.pitch, stuckPoints: metrics?.stuckPoints ?? null, saveError });
       setState('done');
 
-      // Process structured session metrics (Layer 2)
-      const sessionId = sessionDataRef.current.sessionId;
-      analytics.processSessionEnd(results, {
-        sessionId,
-        mode: mode === 'free' ? 'free-speak' : mode,
-      });
       analytics.recordingStopped(mode, sessionId);
       analytics.flowScoreCalculated(flowScore, mode);
     }
-  }, [mode, lemonWord, topicPrompt, speech]);
+  }, [mode, language, lemonWord, topicPrompt, speech]);
 
   const startRecording = useCallback(async () => {
     try {
@@ -180,7 +225,6 @@ export default function Practice() {
         speech.startListening({
           stream: analyzerRef.current?.stream || null,
           sessionId,
-          allowServerFallback: false,
           preferBrowser: true,
         }).then((transcriptionStarted) => {
           if (!transcriptionStarted) {
@@ -246,6 +290,7 @@ export default function Practice() {
       // Initialize audio analyzer (thresholds loaded from adaptive profile)
       const analyzer = new AudioAnalyzer({
         enableTranscription: false,
+        language,
         onData: (data) => {
           setAudioData(data);
           if (data.rms > 0.01) {
@@ -293,16 +338,102 @@ export default function Practice() {
       console.error('Error starting recording:', error);
       setState('setup');
     }
-  }, [startRecording, speech]);
+  }, [startRecording, speech, language]);
 
-  const handleRandomPrompt = () => {
+  // Upload mode — run a recorded file through the same analysis, offline
+  const handleFileSelected = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setLastResults(null);
+    setUploadError(null);
+    setAnalysisProgress(0);
+    setState('analyzing');
+
+    try {
+      const analyzer = new AudioAnalyzer({
+        enableTranscription: false,
+        onDebugLog: (event, details) => {
+          speech.log(`analyzer_${event}`, details);
+        },
+      });
+      analyzerRef.current = analyzer;
+
+      const results = await analyzer.analyzeFile(file, { onProgress: setAnalysisProgress });
+      const duration = Math.round(results.totalTime / 1000);
+      const { flowScore, scoreBreakdown, ...scoring } = analytics.scoreResults(results, { language });
+
+      const sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+      const sessionResult = {
+        sessionId,
+        flowScore,
+        ...scoring,
+        totalSpeakingTime: results.totalSpeakingTime,
+        totalSessionTime: duration,
+        silenceTime: results.totalSilenceTime,
+        hesitationCount: results.hesitationCount,
+        mode: 'upload',
+        language,
+        detectionMode: results.detectionMode,
+        voiceDetector: results.voiceDetector,
+        monotoneScore: results.pitch.monotoneScore,
+        fileName: file.name,
+        audioBlob: results.audioBlob,
+        transcript: results.transcript,
+        timeline: buildTimeline(results, []),
+      };
+      analytics.saveRecording(sessionId, file);
+      const { saveError } = await saveSession(sessionResult, results);
+
+      setLastResults({ ...sessionResult, scoreBreakdown, pitch: results.pitch, saveError });
+      setState('done');
+
+      analytics.flowScoreCalculated(flowScore, mode);
+    } catch (error) {
+      console.error('Failed to analyze recording:', error);
+      setUploadError('That file could not be decoded. Try a WAV, MP3, M4A or WebM recording.');
+      setState('setup');
+    }
+  }, [mode, speech, language]);
+
+  const randomizeContent = (contentLanguage) => {
     if (mode === 'lemon') {
-      setLemonWord(RANDOM_WORDS[Math.floor(Math.random() * RANDOM_WORDS.length)]);
+      const randomWords = getRandomWords(contentLanguage);
+      setLemonWord(randomWords[Math.floor(Math.random() * randomWords.length)]);
     } else if (mode === 'topic') {
-      setTopicPrompt(SPEAKING_PROMPTS[Math.floor(Math.random() * SPEAKING_PROMPTS.length)]);
+      const prompts = getSpeakingPrompts(contentLanguage);
+      setTopicPrompt(prompts[Math.floor(Math.random() * prompts.length)]);
     }
   };
 
+  const handleRandomPrompt = () => {
+    randomizeContent(language);
+  };
+
+  // A new language gets a word or topic in that language
+  const handleLanguageChange = (nextLanguage) => {
+    if (nextLanguage === language) return;
+    setPracticeLanguage(nextLanguage);
+    setLanguageState(getPracticeLanguage());
+    randomizeContent(nextLanguage);
+  };
+
+  const handleDetectionModeChange = (nextMode) => {
+    setDetectionMode(nextMode);
+    setDetectionModeState(getDetectionMode());
+  };
+
+  const handleVoiceDetectorChange = (nextDetector) => {
+    setVoiceDetector(nextDetector);
+    setVoiceDetectorState(getVoiceDetector());
+  };
+
+  const handleScoringPresetChange = (nextPreset) => {
+    setScoringPreset(nextPreset);
+    setScoringPresetState(getScoringPreset());
+  };
+
   const handleStop = () => {
     stopRecording();
   };
@@ -336,6 +467,7 @@ export default function Practice() {
       case 'free': return 'Free Speaking';
       case 'lemon': return 'Lemon Technique';
       case 'topic': return 'Topic Score';
+      case 'upload': return 'Analyze Recording';
       default: return 'Practice';
     }
   };
@@ -345,6 +477,7 @@ export default function Practice() {
       case 'free': return 'Talk about anything, no time limit';
       case 'lemon': return `Speak about "${lemonWord}" for 1 minute`;
       case 'topic': return `Respond to the topic for 2 minutes`;
+      case 'upload': return 'Check the flow of a speech you already recorded';
       default: return 'Speaking practice';
     }
   };
@@ -373,6 +506,8 @@ export default function Practice() {
     };
   }, [speech]);
 
+  const transcriptParts = lastResults?.transcript ? splitFillerText(lastResults.transcript, { language: lastResults.language }) : [];
+
   // ---- RENDER STATES ----
 
   // ---- SETUP STATE ----
@@ -396,7 +531,7 @@ export default function Practice() {
 
       {(state === 'setup' || state === 'countdown') && (
         <div className="text-center py-10">
-          {speech.permissionState === 'denied' && (
+          {mode !== 'upload' && speech.permissionState === 'denied' && (
             <div className="mb-6 p-4 bg-red-950/45 border border-red-500/40 rounded-2xl w-full max-w-md mx-auto">
               <div className="flex items-center gap-2 text-red-600 mb-2">
                 <AlertTriangle size={16} />
@@ -408,7 +543,7 @@ export default function Practice() {
             </div>
           )}
 
-          {!speech.runtimeInfo.isSecure && (
+          {mode !== 'upload' && !speech.runtimeInfo.isSecure && (
             <div className="mb-6 p-4 bg-red-950/45 border border-red-500/40 rounded-2xl w-full max-w-md mx-auto">
               <div className="flex items-center gap-2 text-red-200 mb-2">
                 <AlertTriangle size={16} />
@@ -420,7 +555,7 @@ export default function Practice() {
             </div>
           )}
 
-          {!speech.runtimeInfo.hasSpeechRecognition && (
+          {mode !== 'upload' && !speech.runtimeInfo.hasSpeechRecognition && (
             <div className="mb-6 p-4 bg-amber-900/35 border border-amber-500/40 rounded-2xl w-full max-w-md mx-auto">
               <div className="flex items-center gap-2 text-amber-200 mb-2">
                 <AlertTriangle size={16} />
@@ -432,6 +567,18 @@ export default function Practice() {
             </div>
           )}
 
+          {uploadError && (
+            <div className="mb-6 p-4 bg-red-950/45 border border-red-500/40 rounded-2xl w-full max-w-md mx-auto">
+              <div className="flex items-center gap-2 text-red-200 mb-2">
+                <AlertTriangle size={16} />
+                <span className="font-sans font-semibold text-sm">Couldn't analyze recording</span>
+              </div>
+              <p className="text-red-200/90 text-sm font-sans">
+                {uploadError}
+              </p>
+            </div>
+          )}
+
           {transcriptError && (
             <div className="mb-6 p-4 bg-orange-950/40 border border-orange-500/40 rounded-2xl w-full max-w-md mx-auto">
               <div className="flex items-center gap-2 text-orange-200 mb-2">
@@ -485,8 +632,122 @@ export default function Practice() {
                 </p>
               </div>
             )}
+
+            {mode === 'upload' && (
+              <div className="mb-8 py-10">
+                <div className="w-24 h-24 bg-surface-card border border-border/80 rounded-full flex items-center justify-center mx-auto mb-6 night-glow">
+                  <Upload size={40} className="text-primary" />
+                </div>
+                <p className="text-xl font-serif text-foreground max-w-md mx-auto leading-relaxed">
+                  Pick a voice memo or presentation recording. It's analyzed on this device — nothing is uploaded to a server.
+                </p>
+                <p className="text-sm text-muted-foreground font-sans max-w-md mx-auto mt-4">
+                  Start the recording with a second of quiet so the background noise can be measured. Transcripts aren't generated for files.
+                </p>
+              </div>
+            )}
           </div>
 
+          {state === 'setup' && (
+            <div data-testid="session-settings" className="mb-10 w-full max-w-md mx-auto">
+              {mode !== 'upload' && (
+                <>
+                  <p className="text-xs text-muted-foreground uppercase tracking-widest font-bold mb-3">Language</p>
+                  <div data-testid="language-picker" className="flex justify-center gap-2 mb-3">
+                    {Object.entries(PRACTICE_LANGUAGES).map(([code, config]) => (
+                      <button
+                        key={code}
+                        data-testid={`language-${code}`}
+                        onClick={() => handleLanguageChange(code)}
+                        className={cn(
+                          'px-5 py-2 rounded-full font-sans text-sm font-medium btn-press',
+                          'transition-colors duration-200',
+                          language === code
+                            ? 'bg-primary text-primary-foreground border border-ember-500/35'
+                            : 'bg-surface-secondary border border-border text-[#AAB2C5] hover:bg-surface-interactive hover:border-ember-500/35'
+                        )}
+                      >
+                        {config.nativeLabel}
+                      </button>
+                    ))}
+                  </div>
+                  <p className="text-sm text-muted-foreground font-sans mb-6">
+                    Transcript, filler words and prompts in {PRACTICE_LANGUAGES[language].label}
+                  </p>
+                </>
+              )}
+
+              <p className="text-xs text-muted-foreground uppercase tracking-widest font-bold mb-3">Detection</p>
+              <div data-testid="detection-mode-picker" className="flex justify-center gap-2 mb-3">
+                {Object.entries(DETECTION_MODES).map(([key, config]) => (
+                  <button
+                    key={key}
+                    data-testid={`detection-mode-${key}`}
+                    onClick={() => handleDetectionModeChange(key)}
+                    className={cn(
+                      'px-5 py-2 rounded-full font-sans text-sm font-medium btn-press',
+                      'transition-colors duration-200',
+                      detectionMode === key
+                        ? 'bg-primary text-primary-foreground border border-ember-500/35'
+                        : 'bg-surface-secondary border border-border text-[#AAB2C5] hover:bg-surface-interactive hover:border-ember-500/35'
+                    )}
+                  >
+                    {config.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-sm text-muted-foreground font-sans mb-6">
+                {DETECTION_MODES[detectionMode]?.description}
+              </p>
+
+              <p className="text-xs text-muted-foreground uppercase tracking-widest font-bold mb-3">Voice detection</p>
+              <div data-testid="voice-detector-picker" className="flex justify-center gap-2 mb-3">
+                {Object.entries(VOICE_DETECTORS).map(([key, config]) => (
+                  <button
+                    key={key}
+                    data-testid={`voice-detector-${key}`}
+                    onClick={() => handleVoiceDetectorChange(key)}
+                    className={cn(
+                      'px-5 py-2 rounded-full font-sans text-sm font-medium btn-press',
+                      'transition-colors duration-200',
+                      voiceDetector === key
+                        ? 'bg-primary text-primary-foreground border border-ember-500/35'
+                        : 'bg-surface-secondary border border-border text-[#AAB2C5] hover:bg-surface-interactive hover:border-ember-500/35'
+                    )}
+                  >
+                    {config.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-sm text-muted-foreground font-sans mb-6">
+                {VOICE_DETECTORS[voiceDetector]?.description}
+              </p>
+
+              <p className="text-xs text-muted-foreground uppercase tracking-widest font-bold mb-3">Scoring</p>
+              <div data-testid="scoring-preset-picker" className="flex justify-center gap-2 mb-3">
+                {Object.entries(SCORING_PRESETS).map(([key, preset]) => (
+                  <button
+                    key={key}
+                    data-testid={`scoring-preset-${key}`}
+                    onClick={() => handleScoringPresetChange(key)}
+                    className={cn(
+                      'px-5 py-2 rounded-full font-sans text-sm font-medium btn-press',
+                      'transition-colors duration-200',
+                      scoringPreset === key
+                        ? 'bg-primary text-primary-foreground border border-ember-500/35'
+                        : 'bg-surface-secondary border border-border text-[#AAB2C5] hover:bg-surface-interactive hover:border-ember-500/35'
+                    )}
+                  >
+                    {preset.label}
+                  </button>
+                ))}
+              </div>
+              <p className="text-sm text-muted-foreground font-sans">
+                {SCORING_PRESETS[scoringPreset]?.description}
+              </p>
+            </div>
+          )}
+
           <div className="relative min-h-[100px] flex items-center justify-center">
             {state === 'setup' ? (
               <div className="flex flex-col md:flex-row items-center justify-center gap-4 w-full animate-in fade-in slide-in-from-bottom-4 duration-500">
@@ -500,15 +761,36 @@ export default function Practice() {
                   </button>
                 )}
 
-                <button
-                  data-testid="start-recording-btn"
-                  onClick={handleStart}
-                  disabled={speech.permissionState === 'denied' || !speech.runtimeInfo.isSecure}
-                  className="w-full md:w-auto px-10 py-4 rounded-full bg-primary hover:brightness-110 disabled:bg-muted disabled:text-muted-foreground text-primary-foreground font-sans font-bold btn-press flex items-center justify-center gap-2 shadow-soft night-glow"
-                >
-                  <Mic size={20} />
-                  Start Speaking
-                </button>
+                {mode === 'upload' ? (
+                  <>
+                    <input
+                      ref={fileInputRef}
+                      data-testid="upload-recording-input"
+                      type="file"
+                      accept="audio/*"
+                      onChange={handleFileSelected}
+                      className="hidden"
+                    />
+                    <button
+                      data-testid="choose-recording-btn"
+                      onClick={() => fileInputRef.current?.click()}
+                      className="w-full md:w-auto px-10 py-4 rounded-full bg-primary hover:brightness-110 text-primary-foreground font-sans font-bold btn-press flex items-center justify-center gap-2 shadow-soft night-glow"
+                    >
+                      <Upload size={20} />
+                      Choose Audio File
+                    </button>
+                  </>
+                ) : (
+                  <button
+                    data-testid="start-recording-btn"
+                    onClick={handleStart}
+                    disabled={speech.permissionState === 'denied' || !speech.runtimeInfo.isSecure}
+                    className="w-full md:w-auto px-10 py-4 rounded-full bg-primary hover:brightness-110 disabled:bg-muted disabled:text-muted-foreground text-primary-foreground font-sans font-bold btn-press flex items-center justify-center gap-2 shadow-soft night-glow"
+                  >
+                    <Mic size={20} />
+                    Start Speaking
+                  </button>
+                )}
               </div>
             ) : (
               <div className="text-9xl font-serif font-bold text-primary animate-in zoom-in duration-300">
@@ -603,6 +885,22 @@ export default function Practice() {
         </div>
       )}
 
+      {state === 'analyzing' && (
+        <div data-testid="analyzing-recording" className="text-center py-10 max-w-md mx-auto animate-in fade-in duration-500">
+          <div className="w-24 h-24 bg-surface-card border border-border/80 rounded-full flex items-center justify-center mx-auto mb-6 night-glow">
+            <Upload size={40} className="text-primary animate-pulse" />
+          </div>
+          <p className="text-xl font-serif text-foreground mb-6">Analyzing your recording...</p>
+          <div className="h-2 bg-surface-secondary rounded-full overflow-hidden">
+            <div
+              className="h-full bg-primary rounded-full transition-all duration-300"
+              style={{ width: `${Math.round(analysisProgress * 100)}%` }}
+            />
+          </div>
+          <p className="text-sm text-muted-foreground font-sans mt-3">{Math.round(analysisProgress * 100)}%</p>
+        </div>
+      )}
+
       {state === 'done' && lastResults && (
         <div className="text-center">
           <div className="mb-12">
@@ -613,6 +911,18 @@ export default function Practice() {
             <p className="text-muted-foreground font-sans">Here's how you did just now</p>
           </div>
 
+          {lastResults.saveError && (
+            <div data-testid="save-error" className="mb-12 p-4 bg-red-950/45 border border-red-500/40 rounded-2xl w-full max-w-md mx-auto text-left">
+              <div className="flex items-center gap-2 text-red-200 mb-2">
+                <AlertTriangle size={16} />
+                <span className="font-sans font-semibold text-sm">This session wasn't saved</span>
+              </div>
+              <p className="text-red-200/90 text-sm font-sans">
+                {lastResults.saveError}
+              </p>
+            </div>
+          )}
+
           {/* 1. Stats Section */}
           <div className="mb-16">
             <h3 className="text-xl font-serif font-medium text-foreground mb-6 text-left">Performance Stats</h3>
@@ -620,6 +930,9 @@ export default function Practice() {
               <div className="p-6 night-panel rounded-3xl">
                 <p className="text-sm text-muted-foreground font-sans mb-2">Flow Score</p>
                 <p className="text-4xl font-serif font-medium text-primary">{lastResults.flowScore}%</p>
+                {DETECTION_MODES[lastResults.detectionMode] && (
+                  <p className="text-xs text-muted-foreground font-sans mt-2">{DETECTION_MODES[lastResults.detectionMode].label} detection</p>
+                )}
               </div>
               <div className="p-6 night-panel rounded-3xl">
                 <p className="text-sm text-muted-foreground font-sans mb-2">Speaking Time</p>
@@ -640,6 +953,61 @@ export default function Practice() {
             </div>
           </div>
 
+          {/* Why the flow score came out as it did */}
+          {lastResults.scoreBreakdown?.length > 0 && (
+            <div className="mb-16">
+              <h3 className="text-xl font-serif font-medium text-foreground mb-2 text-left flex items-center gap-2">
+                <Zap size={20} className="text-primary" />
+                Score Breakdown
+              </h3>
+              <p className="text-sm text-muted-foreground font-sans mb-6 text-left">
+                Scored for {SCORING_PRESETS[lastResults.scoringPreset]?.label || 'Conversation'} · rates are per minute, so longer sessions aren't penalized for length
+              </p>
+              <div className="p-6 md:p-8 night-panel rounded-3xl text-left">
+                <ScoreBreakdown breakdown={lastResults.scoreBreakdown} flowScore={lastResults.flowScore} />
+              </div>
+            </div>
+          )}
+
+          {/* Where you got stuck — the words around each hesitation */}
+          {lastResults.stuckPoints?.length > 0 && (
+            <div className="mb-16">
+              <h3 className="text-xl font-serif font-medium text-foreground mb-2 text-left flex items-center gap-2">
+                <CirclePause size={20} className="text-primary" />
+                Where You Got Stuck
+              </h3>
+              <p className="text-sm text-muted-foreground font-sans mb-6 text-left">
+                The words you'd just said when each hesitation began
+              </p>
+              <div className="p-6 md:p-8 night-panel rounded-3xl">
+                <StuckPoints points={lastResults.stuckPoints} phraseTypes={PHRASE_TYPES} />
+              </div>
+            </div>
+          )}
+
+          {/* Intonation — pitch contour over speaking frames */}
+          {lastResults.pitch?.contour.length > 0 && (
+            <div data-testid="pitch-contour" className="mb-16">
+              <h3 className="text-xl font-serif font-medium text-foreground mb-6 text-left flex items-center gap-2">
+                <Activity size={20} className="text-primary" />
+                Intonation
+              </h3>
+              <div className="p-6 md:p-8 night-panel rounded-3xl">
+                <div className="flex flex-wrap gap-x-8 gap-y-2 mb-6 text-left font-sans text-sm">
+                  <p className="text-muted-foreground">Pitch range <span className="text-foreground font-semibold">{lastResults.pitch.rangeSemitones} semitones</span></p>
+                  <p className="text-muted-foreground">Variability <span className="text-foreground font-semibold">{lastResults.pitch.variabilitySemitones} st</span></p>
+                  <p className="text-muted-foreground">Monotone score <span className="text-foreground font-semibold">{lastResults.pitch.monotoneScore}/100</span></p>
+                </div>
+                <PitchContourChart contour={lastResults.pitch.contour} medianHz={lastResults.pitch.medianHz} />
+                <p className="text-xs text-muted-foreground font-sans mt-4 text-left">
+                  {lastResults.pitch.monotoneScore >= 70
+                    ? 'Your pitch stayed fairly flat. Try lifting your voice on the words that matter.'
+                    : 'Good melody — your pitch moves with what you are saying.'}
+                </p>
+              </div>
+            </div>
+          )}
+
           {/* 2. Voice Recording Section */}
           <div className="mb-16">
             <h3 className="text-xl font-serif font-medium text-foreground mb-6 text-left flex items-center gap-2">
@@ -649,7 +1017,7 @@ export default function Practice() {
             <div className="p-8 night-panel rounded-3xl">
               {lastResults.audioBlob ? (
                 <audio controls className="w-full">
-                  <source src={URL.createObjectURL(lastResults.audioBlob)} type="audio/webm" />
+                  <source src={URL.createObjectURL(lastResults.audioBlob)} type={lastResults.audioBlob.type || 'audio/webm'} />
                   Your browser does not support the audio element.
                 </audio>
               ) : (
@@ -669,8 +1037,19 @@ export default function Practice() {
             </h3>
             <div className="p-8 night-panel rounded-3xl">
               <div className="text-left">
+                {transcriptParts.some(part => part.isFiller) && (
+                  <p data-testid="filler-summary" className="text-sm text-muted-foreground font-sans mb-4">
+                    <span className="text-ember-600 font-semibold">{transcriptParts.filter(part => part.isFiller).length} filler words</span> highlighted below
+                  </p>
+                )}
                 <p className="text-foreground font-sans leading-relaxed">
-                  {lastResults.transcript}
+                  {transcriptParts.length > 0
+                    ? transcriptParts.map((part, index) => (part.isFiller ? (
+                      <mark key={index} className="bg-ember-300/25 text-ember-600 rounded px-0.5">{part.text}</mark>
+                    ) : (
+                      <span key={index}>{part.text}</span>
+                    )))
+                    : 'Transcripts aren\'t generated for uploaded recordings.'}
                 </p>
               </div>
             </div>
@@ -683,6 +1062,15 @@ export default function Practice() {
             >
               Practice Again
             </button>
+            {lastResults.timeline && (
+              <button
+                data-testid="review-timeline-btn"
+                onClick={() => navigate(`/stats/${lastResults.sessionId}`)}
+                className="px-8 py-4 rounded-full bg-surface-card border border-border hover:bg-surface-elevated text-foreground font-sans font-semibold btn-press transition-colors"
+              >
+                Review Timeline
+              </button>
+            )}
             <button
               onClick={() => navigate('/stats')}
               className="px-8 py-4 rounded-full bg-surface-card border border-border hover:bg-surface-elevated text-foreground font-sans font-semibold btn-press transition-colors"
@@ -1,19 +1,22 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { SPEAKING_PROMPTS, CATEGORIES, DIFFICULTY_COLORS } from '@/data/speakingPrompts';
+import { getSpeakingPrompts, CATEGORIES, DIFFICULTY_COLORS } from '@/data/speakingPrompts';
+import { PRACTICE_LANGUAGES, getPracticeLanguage } from '@/data/languages';
 import { Play, Shuffle, BookOpen } from 'lucide-react';
 import { cn } from '@/utils/cn';
 
 export default function Prompts() {
   const navigate = useNavigate();
   const [selectedCategory, setSelectedCategory] = useState('All');
+  const [language] = useState(() => getPracticeLanguage());
+  const prompts = getSpeakingPrompts(language);
 
   const filtered = selectedCategory === 'All'
-    ? SPEAKING_PROMPTS
-    : SPEAKING_PROMPTS.filter(p => p.category === selectedCategory);
+    ? prompts
+    : prompts.filter(p => p.category === selectedCategory);
 
   const handlePickRandom = () => {
-    const pool = selectedCategory === 'All' ? SPEAKING_PROMPTS : filtered;
+    const pool = selectedCategory === 'All' ? prompts : filtered;
     const random = pool[Math.floor(Math.random() * pool.length)];
     navigate(`/practice?prompt=${random.id}`);
   };
@@ -23,7 +26,9 @@ export default function Prompts() {
       <div className="flex items-start justify-between mb-8">
         <div>
           <h1 className="text-4xl md:text-5xl font-serif font-medium text-foreground mb-2">Speaking Prompts</h1>
-          <p className="text-base text-muted-foreground font-sans">Pick a topic and start practicing.</p>
+          <p className="text-base text-muted-foreground font-sans">
+            Pick a topic and start practicing. Prompts are in {PRACTICE_LANGUAGES[language].label} — change the language before you record.
+          </p>
         </div>
         <button
           data-testid="random-prompt-btn"
@@ -0,0 +1,197 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { ChevronLeft, Volume2, FileText, CirclePause } from 'lucide-react';
+import { sessionRepository } from '@/storage/sessionRepository';
+import { analytics } from '@/analytics';
+import { computeWaveformPeaks } from '@/audio/waveform';
+import { SessionTimeline } from '@/ui/SessionTimeline';
+import { alignHesitations, PHRASE_TYPES } from '@/transcription/hesitationContext';
+import { cn } from '@/utils/cn';
+
+// Start playback a little before the pause so the lead-up is heard
+const SEEK_LEAD_IN_MS = 3000;
+
+// The segment spoken into the pause, and the one that broke it — for
+// transcripts without timings to place words by
+const transcriptAround = (segments, pause) => {
+  const before = [...segments].reverse().find(s => s.startMs <= pause.startOffset) || null;
+  const after = segments.find(s => s !== before && s.startMs >= pause.startOffset) || null;
+  return { before: before?.text || '', after: after?.text || '' };
+};
+
+const formatClock = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+};
+
+export default function SessionReview() {
+  const navigate = useNavigate();
+  const { sessionId } = useParams();
+  const audioRef = useRef(null);
+
+  const session = useMemo(() => sessionRepository.get(sessionId), [sessionId]);
+  const timeline = session?.timeline || null;
+
+  const [recording, setRecording] = useState(null);
+  const [peaks, setPeaks] = useState(null);
+  const [currentMs, setCurrentMs] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(null);
+
+  const audioUrl = useMemo(() => (recording ? URL.createObjectURL(recording) : null), [recording]);
+
+  useEffect(() => () => {
+    if (audioUrl) URL.revokeObjectURL(audioUrl);
+  }, [audioUrl]);
+
+  useEffect(() => {
+    let cancelled = false;
+    analytics.getRecording(sessionId)
+      .then((blob) => { if (!cancelled) setRecording(blob); })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (!recording) return undefined;
+    let cancelled = false;
+    computeWaveformPeaks(recording)
+      .then(({ peaks: computed }) => { if (!cancelled) setPeaks(computed); })
+      .catch((error) => console.warn('Waveform unavailable:', error.message));
+    return () => { cancelled = true; };
+  }, [recording]);
+
+  const hesitations = useMemo(() => timeline?.hesitationTimings || [], [timeline]);
+  const segments = timeline?.segments || [];
+  const stuckPoints = useMemo(() => (
+    alignHesitations(timeline?.segments || [], hesitations, { speakingRegions: timeline?.speakingRegions, language: session?.language })
+  ), [timeline, hesitations, session]);
+
+  const seekTo = (ms) => {
+    setCurrentMs(ms);
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = ms / 1000;
+    audio.play().catch(() => {});
+  };
+
+  const handleSelectHesitation = (index) => {
+    setActiveIndex(index);
+    seekTo(Math.max(0, hesitations[index].startOffset - SEEK_LEAD_IN_MS));
+  };
+
+  if (!timeline) {
+    return (
+      <div data-testid="session-review-page" className="min-h-screen bg-surface-base pb-32 px-6 md:px-12 lg:px-20 pt-8 max-w-6xl mx-auto">
+        <button
+          onClick={() => navigate('/stats')}
+          className="flex items-center gap-2 text-muted-foreground hover:text-foreground font-sans text-sm mb-8 btn-press"
+        >
+          <ChevronLeft size={18} />
+          Back to Stats
+        </button>
+        <div data-testid="session-review-missing" className="text-center py-20">
+          <CirclePause size={48} className="text-[#7C859A] mx-auto mb-4" />
+          <p className="text-lg font-serif text-foreground mb-2">No timeline for this session</p>
+          <p className="text-sm text-[#AAB2C5] font-sans">Sessions recorded before timeline review was added can't be replayed here.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div data-testid="session-review-page" className="min-h-screen bg-surface-base pb-32 px-6 md:px-12 lg:px-20 pt-8 max-w-6xl mx-auto">
+      <button
+        onClick={() => navigate('/stats')}
+        className="flex items-center gap-2 text-muted-foreground hover:text-foreground font-sans text-sm mb-8 btn-press"
+      >
+        <ChevronLeft size={18} />
+        Back to Stats
+      </button>
+
+      <h1 className="text-4xl md:text-5xl font-serif font-medium text-foreground mb-2">Session Review</h1>
+      <p className="text-base text-muted-foreground font-sans mb-10">
+        {session.word || session.topic || session.fileName || 'Continuous Talk'} · {hesitations.length} hesitations · {formatClock(timeline.totalTime)}
+      </p>
+
+      {/* Timeline */}
+      <div className="rounded-3xl bg-surface-secondary border border-border shadow-card p-6 md:p-8 mb-8">
+        <SessionTimeline
+          peaks={peaks}
+          durationMs={timeline.totalTime}
+          speakingRegions={timeline.speakingRegions}
+          hesitations={hesitations}
+          currentMs={currentMs}
+          activeIndex={activeIndex}
+          onSeek={seekTo}
+          onSelectHesitation={handleSelectHesitation}
+        />
+        <div className="flex items-center justify-between mt-3 text-xs text-[#7C859A] font-sans">
+          <span>0:00</span>
+          <span className="flex items-center gap-4">
+            <span className="flex items-center gap-1.5"><span className="w-2.5 h-2.5 rounded-sm bg-sage-500/60" />Speaking</span>
+            <span className="flex items-center gap-1.5"><span className="w-2.5 h-2.5 rounded-sm bg-ember-500/50" />Hesitation</span>
+          </span>
+          <span>{formatClock(timeline.totalTime)}</span>
+        </div>
+
+        {audioUrl ? (
+          <audio
+            ref={audioRef}
+            data-testid="session-review-audio"
+            controls
+            src={audioUrl}
+            onTimeUpdate={(event) => setCurrentMs(event.currentTarget.currentTime * 1000)}
+            className="w-full mt-6"
+          />
+        ) : (
+          <div className="flex items-center gap-3 mt-6 text-sm text-muted-foreground font-sans">
+            <Volume2 size={18} className="text-muted-foreground/60" />
+            This recording is no longer stored on this device, so playback isn't available.
+          </div>
+        )}
+      </div>
+
+      {/* Hesitations with transcript context */}
+      <h3 className="text-xl font-serif font-medium text-foreground mb-6 flex items-center gap-2">
+        <FileText size={20} className="text-primary" />
+        Hesitations in Context
+      </h3>
+      {hesitations.length === 0 ? (
+        <p className="text-sm text-muted-foreground font-sans">No hesitations in this session — nothing to review.</p>
+      ) : (
+        <div className="space-y-3">
+          {hesitations.map((hesitation, index) => {
+            const point = stuckPoints[index];
+            const { before, after } = point || transcriptAround(segments, hesitation);
+            return (
+              <button
+                key={`${hesitation.startOffset}-${index}`}
+                data-testid={`hesitation-row-${index}`}
+                onClick={() => handleSelectHesitation(index)}
+                className={cn(
+                  'w-full text-left rounded-2xl bg-surface-elevated border shadow-card p-5 card-hover btn-press',
+                  activeIndex === index ? 'border-ember-500/60' : 'border-border hover:border-ember-500/30'
+                )}
+              >
+                <div className="flex items-center gap-3 mb-2 text-xs font-sans">
+                  <span className="font-semibold text-ember-600">{formatClock(hesitation.startOffset)}</span>
+                  <span className="text-[#AAB2C5]">{(hesitation.duration / 1000).toFixed(1)}s pause</span>
+                  {point && <span className="text-muted-foreground">· {PHRASE_TYPES[point.phraseType].label}</span>}
+                </div>
+                {before || after ? (
+                  <p className="text-sm text-foreground font-sans leading-relaxed">
+                    <span className="text-[#AAB2C5]">{before}</span>
+                    <span className="mx-2 px-1.5 rounded bg-ember-300/25 text-ember-600">…</span>
+                    <span>{after}</span>
+                  </p>
+                ) : (
+                  <p className="text-sm text-muted-foreground font-sans">No transcript around this pause.</p>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
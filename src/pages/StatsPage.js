@@ -1,25 +1,90 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Clock, Trash2, TrendingUp, Calendar, Timer, Target, BarChart3, Flame, Zap } from 'lucide-react';
-import { storage } from '@/storage/localStore';
-import { AudioAnalyzer } from '@/audio/speechAnalyzer';
-import { LineChart, Line, AreaChart, Area, ResponsiveContainer, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import { Clock, Trash2, TrendingUp, Calendar, Timer, Target, BarChart3, Flame, Zap, CirclePause, Play, Pin, PinOff, HardDrive, Download, Upload, Sheet } from 'lucide-react';
+import { sessionRepository } from '@/storage/sessionRepository';
+import { createBackup, readBackup, previewRestore, restoreBackup } from '@/storage/backup';
+import { CSV_DATASETS, defaultCsvColumns, exportCsv } from '@/storage/csvExport';
+import { AudioAnalyzer, DETECTION_MODES } from '@/audio/speechAnalyzer';
+import { LineChart, Line, AreaChart, Area, BarChart, Bar, Cell, ResponsiveContainer, XAxis, YAxis, Tooltip, CartesianGrid } from 'recharts';
+import { PAUSE_TYPES, PAUSE_TYPE_ORDER } from '@/audio/pauseTaxonomy';
+import { PHRASE_TYPES } from '@/transcription/hesitationContext';
+import { DEFAULT_LANGUAGE, PRACTICE_LANGUAGES, languageLabel } from '@/data/languages';
 import { cn } from '@/utils/cn';
 import { analytics } from '@/analytics';
 
+const DETECTION_MODE_COLORS = { forgiving: '#D97C5F', strict: '#5A9BD9' };
+const PAUSE_TONE_COLORS = { good: '#5A7D7C', neutral: '#7C859A', bad: '#c4613e' };
+const AUDIO_QUOTA_OPTIONS_MB = [50, 100, 200, 500, 1000];
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)} MB`;
+
 export default function Stats() {
   const navigate = useNavigate();
   const [sessions, setSessions] = useState([]);
-  const [lemonScores, setLemonScores] = useState([]);
-  const [topicScores, setTopicScores] = useState([]);
   const [stats, setStats] = useState(null);
   const [isMobile, setIsMobile] = useState(window.innerWidth < 768);
+  const [recentMetrics, setRecentMetrics] = useState([]);
+  const [stuckStats, setStuckStats] = useState(null);
+  const [recordings, setRecordings] = useState({});
+  const [audioUsage, setAudioUsage] = useState(null);
+  const [playback, setPlayback] = useState(null); // { sessionId, url }
+  const [includeAudio, setIncludeAudio] = useState(false);
+  const [pendingRestore, setPendingRestore] = useState(null); // { parsed, preview }
+  const [restoreStrategy, setRestoreStrategy] = useState('merge');
+  const [backupStatus, setBackupStatus] = useState(null); // { tone: 'ok' | 'error', text }
+  const [backupBusy, setBackupBusy] = useState(false);
+  const restoreInputRef = useRef(null);
+  const [csvDataset, setCsvDataset] = useState('sessions');
+  const [csvColumns, setCsvColumns] = useState(() => defaultCsvColumns('sessions'));
+  const [csvRange, setCsvRange] = useState({ from: '', to: '' });
+  const [csvStatus, setCsvStatus] = useState(null); // { tone, text }
+
+  useEffect(() => {
+    analytics.getSessionMetrics(20).then(setRecentMetrics).catch(() => setRecentMetrics([]));
+    analytics.getStuckPointStats(20).then(setStuckStats);
+  }, []);
+
+  const refreshRecordings = async () => {
+    const list = await analytics.listRecordings();
+    setRecordings(Object.fromEntries(list.map(r => [r.sessionId, r])));
+    setAudioUsage(await analytics.getAudioUsage());
+  };
+
+  useEffect(() => {
+    refreshRecordings().catch(() => {});
+  }, []);
+
+  useEffect(() => () => {
+    if (playback) URL.revokeObjectURL(playback.url);
+  }, [playback]);
+
+  const handlePlay = async (sessionId) => {
+    if (playback?.sessionId === sessionId) {
+      setPlayback(null);
+      return;
+    }
+    const blob = await analytics.getRecording(sessionId);
+    if (!blob) {
+      refreshRecordings();
+      return;
+    }
+    setPlayback({ sessionId, url: URL.createObjectURL(blob) });
+  };
+
+  const handleTogglePin = async (sessionId) => {
+    await analytics.pinRecording(sessionId, !recordings[sessionId]?.pinned);
+    refreshRecordings();
+  };
+
+  const handleQuotaChange = async (megabytes) => {
+    analytics.setAudioQuota(megabytes * 1024 * 1024);
+    await analytics.enforceAudioQuota();
+    refreshRecordings();
+  };
 
   useEffect(() => {
-    setSessions(storage.getSessions());
-    setLemonScores(storage.getLemonScores());
-    setTopicScores(storage.getTopicScores());
-    setStats(storage.getStats());
+    setSessions(sessionRepository.getAll());
+    setStats(sessionRepository.getStats());
     analytics.statsViewed();
 
     // Handle window resize for responsive chart
@@ -31,20 +96,105 @@ export default function Stats() {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
-  const handleDelete = (id, mode) => {
-    if (mode === 'lemon') {
-      storage.deleteLemonScore(id);
-    } else if (mode === 'topic') {
-      storage.deleteTopicScore(id);
-    } else {
-      storage.deleteSession(id);
-    }
+  // Cascades into metrics, rollups, events and the stored recording
+  const handleDelete = async (sessionId) => {
+    const deleting = sessionRepository.remove(sessionId);
 
     // Refresh all data
-    setSessions(storage.getSessions());
-    setLemonScores(storage.getLemonScores());
-    setTopicScores(storage.getTopicScores());
-    setStats(storage.getStats());
+    setSessions(sessionRepository.getAll());
+    setStats(sessionRepository.getStats());
+
+    await deleting;
+    refreshRecordings();
+    analytics.getSessionMetrics(20).then(setRecentMetrics).catch(() => {});
+    analytics.getStuckPointStats(20).then(setStuckStats);
+  };
+
+  const refreshAll = () => {
+    setSessions(sessionRepository.getAll());
+    setStats(sessionRepository.getStats());
+    refreshRecordings().catch(() => {});
+    analytics.getSessionMetrics(20).then(setRecentMetrics).catch(() => {});
+    analytics.getStuckPointStats(20).then(setStuckStats);
+  };
+
+  const downloadBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  const handleCsvDatasetChange = (dataset) => {
+    setCsvDataset(dataset);
+    setCsvColumns(defaultCsvColumns(dataset));
+    setCsvStatus(null);
+  };
+
+  const toggleCsvColumn = (key) => {
+    setCsvColumns(columns => (columns.includes(key) ? columns.filter(c => c !== key) : [...columns, key]));
+  };
+
+  const handleExportCsv = async () => {
+    try {
+      const { blob, fileName, rowCount } = await exportCsv({ dataset: csvDataset, ...csvRange, columns: csvColumns });
+      downloadBlob(blob, fileName);
+      setCsvStatus({ tone: 'ok', text: `Saved ${fileName} · ${rowCount} rows` });
+    } catch (error) {
+      setCsvStatus({ tone: 'error', text: error.message });
+    }
+  };
+
+  const handleExportBackup = async () => {
+    setBackupBusy(true);
+    setBackupStatus(null);
+    try {
+      const { blob, fileName } = await createBackup({ includeAudio });
+      downloadBlob(blob, fileName);
+      setBackupStatus({ tone: 'ok', text: `Saved ${fileName}` });
+    } catch (error) {
+      console.error('Backup failed:', error);
+      setBackupStatus({ tone: 'error', text: 'The backup could not be created.' });
+    } finally {
+      setBackupBusy(false);
+    }
+  };
+
+  const handleRestoreFileSelected = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setBackupStatus(null);
+    try {
+      const parsed = await readBackup(file);
+      setPendingRestore({ parsed, preview: previewRestore(parsed) });
+    } catch (error) {
+      setPendingRestore(null);
+      setBackupStatus({ tone: 'error', text: error.message });
+    }
+  };
+
+  const handleConfirmRestore = async () => {
+    setBackupBusy(true);
+    try {
+      const summary = await restoreBackup(pendingRestore.parsed, { strategy: restoreStrategy });
+      setPendingRestore(null);
+      setBackupStatus({
+        tone: 'ok',
+        text: `Restored ${summary.sessionsAdded} sessions`
+          + (summary.duplicates > 0 ? `, skipped ${summary.duplicates} already here` : '')
+          + (summary.recordingsAdded > 0 ? `, ${summary.recordingsAdded} recordings` : ''),
+      });
+      refreshAll();
+    } catch (error) {
+      console.error('Restore failed:', error);
+      setBackupStatus({ tone: 'error', text: 'The restore did not finish. Your existing history was kept where possible — try again.' });
+    } finally {
+      setBackupBusy(false);
+    }
   };
 
   const formatTime = (secs) => {
@@ -118,29 +268,74 @@ export default function Stats() {
   };
 
   // Prepare multi-line chart data (oldest first)
-  const allSessionsCombined = [...sessions, ...lemonScores, ...topicScores]
-    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const allSessionsCombined = [...sessions].reverse();
 
   // Responsive chart data: 5 on mobile, 10 on desktop
+  // One rolling-average line per detection mode — strict and forgiving scores aren't comparable.
+  // Sessions saved before detection modes existed count as Standard.
+  const detectionModeOf = (s) => s.detectionMode || 'forgiving';
   const chartSessionCount = isMobile ? 5 : 10;
+  const chartOffset = Math.max(0, allSessionsCombined.length - chartSessionCount);
   const multiLineData = allSessionsCombined.slice(-chartSessionCount).map((s, i) => {
-    const score = s.flowScore || s.hesitation_score || 0;
+    const key = detectionModeOf(s);
 
-    // Calculate rolling overall average
-    const slice = allSessionsCombined.slice(0, i + 1);
-    const overallAvg = Math.round(slice.reduce((sum, curr) => sum + (curr.flowScore || curr.hesitation_score || 0), 0) / slice.length);
+    // Calculate rolling average within the session's detection mode
+    const slice = allSessionsCombined
+      .slice(0, chartOffset + i + 1)
+      .filter(curr => detectionModeOf(curr) === key);
+    const modeAvg = Math.round(slice.reduce((sum, curr) => sum + curr.flowScore, 0) / slice.length);
 
     return {
       name: `S${i + 1}`,
-      overall: overallAvg,
-      fullDate: new Date(s.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
+      [key]: modeAvg,
+      fullDate: new Date(s.createdAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })
     };
   });
+  const chartDetectionModes = Object.keys(DETECTION_MODES)
+    .filter(key => multiLineData.some(point => point[key] != null));
 
+  const lemonScores = sessions.filter(s => s.mode === 'lemon');
   const lemonAverage = lemonScores.length > 0
     ? `${Math.round(lemonScores.reduce((sum, s) => sum + (s.flowScore || 0), 0) / lemonScores.length)}%`
     : '-';
 
+  // Pause mix across recent sessions (metrics recorded before the taxonomy have none)
+  const pauseTotals = {};
+  recentMetrics.forEach(m => Object.entries(m.pauseDistribution || {}).forEach(([type, n]) => {
+    pauseTotals[type] = (pauseTotals[type] || 0) + n;
+  }));
+  const pauseChartData = PAUSE_TYPE_ORDER.map(type => ({
+    type,
+    name: PAUSE_TYPES[type].label,
+    count: pauseTotals[type] || 0,
+  }));
+  const totalPauses = pauseChartData.reduce((sum, d) => sum + d.count, 0);
+  const noticeablePauses = (pauseTotals.boundary || 0) + (pauseTotals.hesitation || 0) + (pauseTotals.block || 0);
+  const wellPlacedPercent = noticeablePauses > 0
+    ? Math.round(((pauseTotals.boundary || 0) / noticeablePauses) * 100)
+    : null;
+
+  // Per practice language — fillers and pace only mean something within one language
+  const languageRows = Object.values(recentMetrics.reduce((byLanguage, m) => {
+    const code = m.language || DEFAULT_LANGUAGE;
+    (byLanguage[code] = byLanguage[code] || { code, metrics: [] }).metrics.push(m);
+    return byLanguage;
+  }, {})).map(({ code, metrics }) => {
+    const transcribed = metrics.filter(m => m.transcriptAvailable);
+    const paced = metrics.filter(m => m.wordsPerMinute > 0);
+    const average = (list, read) => (list.length > 0
+      ? Math.round((list.reduce((sum, m) => sum + (read(m) || 0), 0) / list.length) * 10) / 10
+      : null);
+    return {
+      code,
+      sessions: metrics.length,
+      avgFlowScore: Math.round(average(metrics, m => m.flowScore)),
+      fillersPerMinute: average(transcribed, m => m.fillersPerMinute),
+      wordsPerMinute: paced.length > 0 ? Math.round(average(paced, m => m.wordsPerMinute)) : null,
+    };
+  }).sort((a, b) => b.sessions - a.sessions);
+
+  const topicScores = sessions.filter(s => s.mode === 'topic');
   const topicAverage = topicScores.length > 0
     ? `${Math.round(topicScores.reduce((sum, s) => sum + (s.flowScore || 0), 0) / topicScores.length)}%`
     : '-';
@@ -156,7 +351,7 @@ export default function Stats() {
           icon={BarChart3}
           label="Overall Flow"
           sub="All exercises"
-          value={`${storage.calculateOverallFlowScore()}%`}
+          value={`${sessionRepository.getOverallFlowScore()}%`}
           footnote="Overall"
           variant="gradient"
           className="bg-gradient-to-br from-sage-500 to-sage-600 border-sage-300/55"
@@ -228,7 +423,7 @@ export default function Stats() {
             </div>
             <div>
               <h3 className="text-xl font-serif text-[#E6EAF2] mb-1">Performance Trends</h3>
-              <p className="text-sm text-[#7C859A] font-sans">Flow Score progress across all modes</p>
+              <p className="text-sm text-[#7C859A] font-sans">Flow Score progress per detection mode</p>
             </div>
           </div>
 
@@ -262,23 +457,179 @@ export default function Stats() {
                   cursor={{ stroke: 'rgba(255,255,255,0.06)', strokeWidth: 1 }}
                 />
 
-                {/* Overall - Red */}
-                <Line
-                  type="monotone"
-                  dataKey="overall"
-                  name="Overall Flow Score"
-                  stroke="#D97C5F"
-                  strokeWidth={4}
-                  dot={{ r: 4, fill: '#D97C5F', strokeWidth: 0 }}
-                  activeDot={{ r: 6, fill: '#D97C5F', strokeWidth: 2, stroke: '#1B2238' }}
-                  animationDuration={1800}
-                />
+                {chartDetectionModes.map(key => (
+                  <Line
+                    key={key}
+                    type="monotone"
+                    dataKey={key}
+                    name={`${DETECTION_MODES[key].label} Flow Score`}
+                    stroke={DETECTION_MODE_COLORS[key]}
+                    strokeWidth={4}
+                    connectNulls
+                    dot={{ r: 4, fill: DETECTION_MODE_COLORS[key], strokeWidth: 0 }}
+                    activeDot={{ r: 6, fill: DETECTION_MODE_COLORS[key], strokeWidth: 2, stroke: '#1B2238' }}
+                    animationDuration={1800}
+                  />
+                ))}
               </LineChart>
             </ResponsiveContainer>
           </div>
         </div>
       )}
 
+      {/* Pause Distribution */}
+      {totalPauses > 0 && (
+        <div data-testid="pause-distribution" className="rounded-3xl bg-surface-secondary border border-border shadow-card p-8 mb-12">
+          <div className="flex items-center gap-3 mb-8">
+            <div className="p-2.5 rounded-2xl bg-surface-interactive border border-border text-primary">
+              <CirclePause size={20} />
+            </div>
+            <div>
+              <h3 className="text-xl font-serif text-[#E6EAF2] mb-1">Pause Patterns</h3>
+              <p className="text-sm text-[#7C859A] font-sans">
+                {wellPlacedPercent != null
+                  ? `${wellPlacedPercent}% of your noticeable pauses land between sentences`
+                  : `Last ${recentMetrics.length} sessions`}
+              </p>
+            </div>
+          </div>
+
+          <div className="h-[220px] w-full">
+            <ResponsiveContainer width="100%" height={220}>
+              <BarChart data={pauseChartData} margin={{ top: 5, right: 5, left: -20, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="rgba(255,255,255,0.06)" />
+                <XAxis
+                  dataKey="name"
+                  axisLine={false}
+                  tickLine={false}
+                  tick={{ fill: '#7C859A', fontSize: 12, fontFamily: 'Nunito' }}
+                  dy={10}
+                />
+                <YAxis
+                  allowDecimals={false}
+                  axisLine={false}
+                  tickLine={false}
+                  tick={{ fill: '#7C859A', fontSize: 12, fontFamily: 'Nunito' }}
+                />
+                <Tooltip
+                  contentStyle={{
+                    backgroundColor: '#1B2238',
+                    border: '1px solid rgba(255,255,255,0.06)',
+                    borderRadius: '16px',
+                    boxShadow: '0 12px 30px -18px rgba(0, 0, 0, 0.75)',
+                    padding: '12px'
+                  }}
+                  itemStyle={{ fontSize: '12px', fontFamily: 'Nunito', padding: '2px 0', color: '#AAB2C5' }}
+                  labelStyle={{ display: 'none' }}
+                  cursor={{ fill: 'rgba(255,255,255,0.04)' }}
+                  formatter={(value) => [value, 'Pauses']}
+                />
+                <Bar dataKey="count" radius={[8, 8, 0, 0]} animationDuration={1200}>
+                  {pauseChartData.map(d => (
+                    <Cell key={d.type} fill={PAUSE_TONE_COLORS[PAUSE_TYPES[d.type].tone]} />
+                  ))}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-8 gap-y-2 mt-8">
+            {PAUSE_TYPE_ORDER.map(type => (
+              <p key={type} className="text-sm font-sans text-[#AAB2C5] flex items-start gap-2">
+                <span className="w-2.5 h-2.5 rounded-full mt-1.5 shrink-0" style={{ backgroundColor: PAUSE_TONE_COLORS[PAUSE_TYPES[type].tone] }} />
+                <span><span className="text-[#E6EAF2] font-semibold">{PAUSE_TYPES[type].label}</span> — {PAUSE_TYPES[type].description}</span>
+              </p>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Languages */}
+      {languageRows.length > 1 && (
+        <div data-testid="language-stats" className="rounded-3xl bg-surface-secondary border border-border shadow-card p-8 mb-12">
+          <div className="flex items-center gap-3 mb-8">
+            <div className="p-2.5 rounded-2xl bg-surface-interactive border border-border text-primary">
+              <BarChart3 size={20} />
+            </div>
+            <div>
+              <h3 className="text-xl font-serif text-[#E6EAF2] mb-1">By Language</h3>
+              <p className="text-sm text-[#7C859A] font-sans">Last {recentMetrics.length} sessions — fillers and pace compare within a language, not across</p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {languageRows.map(row => (
+              <div key={row.code} data-testid={`language-stats-${row.code}`} className="rounded-2xl bg-surface-elevated border border-border p-5 font-sans">
+                <p className="text-[#E6EAF2] font-semibold mb-1">{languageLabel(row.code)}</p>
+                <p className="text-xs text-[#7C859A] mb-4">{row.sessions} {row.sessions === 1 ? 'session' : 'sessions'}</p>
+                <div className="grid grid-cols-3 gap-2 text-center">
+                  <div>
+                    <p className="text-2xl font-serif text-foreground">{row.avgFlowScore}%</p>
+                    <p className="text-[10px] uppercase tracking-widest text-[#7C859A]">Flow</p>
+                  </div>
+                  <div>
+                    <p className="text-2xl font-serif text-foreground">{row.fillersPerMinute ?? '-'}</p>
+                    <p className="text-[10px] uppercase tracking-widest text-[#7C859A]">Fillers/min</p>
+                  </div>
+                  <div>
+                    <p className="text-2xl font-serif text-foreground">{row.wordsPerMinute ?? '-'}</p>
+                    <p className="text-[10px] uppercase tracking-widest text-[#7C859A]">WPM</p>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Stuck Points */}
+      {stuckStats?.hesitationCount > 0 && (
+        <div data-testid="stuck-point-stats" className="rounded-3xl bg-surface-secondary border border-border shadow-card p-8 mb-12">
+          <div className="flex items-center gap-3 mb-8">
+            <div className="p-2.5 rounded-2xl bg-surface-interactive border border-border text-primary">
+              <Target size={20} />
+            </div>
+            <div>
+              <h3 className="text-xl font-serif text-[#E6EAF2] mb-1">Where You Get Stuck</h3>
+              <p className="text-sm text-[#7C859A] font-sans">
+                Mostly {PHRASE_TYPES[stuckStats.topType].label.toLowerCase()} · {stuckStats.hesitationCount} hesitations in {stuckStats.sessionCount} transcribed sessions
+              </p>
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            {stuckStats.byType.map(({ type, count, share }) => (
+              <div key={type} data-testid={`stuck-type-${type}`}>
+                <div className="flex items-baseline justify-between gap-4 mb-1.5 font-sans text-sm">
+                  <span className="text-[#E6EAF2] font-semibold">
+                    {PHRASE_TYPES[type].label}
+                    <span className="text-[#7C859A] font-normal ml-2">{PHRASE_TYPES[type].description}</span>
+                  </span>
+                  <span className="text-[#AAB2C5] whitespace-nowrap">{count} · {Math.round(share * 100)}%</span>
+                </div>
+                <div className="h-2 rounded-full bg-surface-interactive overflow-hidden">
+                  <div
+                    className={cn('h-full rounded-full', type === stuckStats.topType ? 'bg-ember-500' : 'bg-primary/60')}
+                    style={{ width: `${Math.round(share * 100)}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+
+          {stuckStats.topWordsBefore.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mt-8 font-sans text-sm">
+              <span className="text-[#7C859A]">Most often after</span>
+              {stuckStats.topWordsBefore.map(({ word, count }) => (
+                <span key={word} className="px-2.5 py-1 rounded-full bg-surface-interactive border border-border text-[#E6EAF2]">
+                  “{word}” <span className="text-[#7C859A]">×{count}</span>
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
       {allSessionsCombined.length === 0 ? (
         <div data-testid="empty-history" className="text-center py-20">
           <Clock size={48} className="text-[#7C859A] mx-auto mb-4" />
@@ -294,64 +645,351 @@ export default function Stats() {
         </div>
       ) : (
         <>
+          {/* Recording storage */}
+          {audioUsage && audioUsage.count > 0 && (
+            <div data-testid="audio-storage" className="flex flex-wrap items-center gap-3 mb-4 text-xs text-[#AAB2C5] font-sans">
+              <HardDrive size={14} className="text-[#7C859A]" />
+              <span>
+                {audioUsage.count} recordings · {formatMegabytes(audioUsage.usedBytes)} of {formatMegabytes(audioUsage.quotaBytes)}
+                {audioUsage.pinnedBytes > 0 && ` (${formatMegabytes(audioUsage.pinnedBytes)} kept forever)`}
+              </span>
+              <select
+                data-testid="audio-quota-select"
+                value={Math.round(audioUsage.quotaBytes / (1024 * 1024))}
+                onChange={(event) => handleQuotaChange(Number(event.target.value))}
+                className="bg-surface-interactive border border-border rounded-lg px-2 py-1 text-[#E6EAF2]"
+              >
+                {!AUDIO_QUOTA_OPTIONS_MB.includes(Math.round(audioUsage.quotaBytes / (1024 * 1024))) && (
+                  <option value={Math.round(audioUsage.quotaBytes / (1024 * 1024))}>{formatMegabytes(audioUsage.quotaBytes)}</option>
+                )}
+                {AUDIO_QUOTA_OPTIONS_MB.map(mb => (
+                  <option key={mb} value={mb}>{mb} MB limit</option>
+                ))}
+              </select>
+            </div>
+          )}
+
           {/* Sessions List */}
           <div className="stagger-children space-y-3">
-            {[...allSessionsCombined].reverse().map((session, index) => {
-              const uniqueKey = session.id || session.created_at || `session-${index}`;
-              const score = session.flowScore || session.hesitation_score || 0;
-              const displayMode = session.mode === 'free-speak' || session.mode === 'free' ? 'Free' : (session.mode === 'lemon' ? 'Lemon' : 'Topic');
-              const sessionTitle = session.word || session.topic || (session.mode === 'free-speak' || session.mode === 'free' ? 'Continuous Talk' : 'Speaking Practice');
+            {sessions.map((session) => {
+              const score = session.flowScore;
+              const displayMode = session.mode === 'free-speak' || session.mode === 'free' ? 'Free' : (session.mode === 'lemon' ? 'Lemon' : (session.mode === 'upload' ? 'Upload' : 'Topic'));
+              const sessionTitle = session.word || session.topic || session.fileName || (session.mode === 'free-speak' || session.mode === 'free' ? 'Continuous Talk' : 'Speaking Practice');
+              const recording = recordings[session.sessionId];
 
               return (
-                <div
-                  key={uniqueKey}
-                  data-testid={`session-${session.id}`}
-                  className="rounded-2xl bg-surface-elevated border border-border shadow-card p-5 flex items-center gap-5 card-hover hover:border-ember-500/30"
-                >
-                  {/* Score Badge */}
-                  <div className={cn(
-                    "flex-shrink-0 w-14 h-14 rounded-2xl flex flex-col items-center justify-center",
-                    session.mode === 'lemon' ? "bg-yellow-500/15 border border-yellow-400/30" : (session.mode === 'topic' ? "bg-blue-500/15 border border-blue-400/30" : "bg-surface-interactive border border-border")
-                  )}>
-                    <span className="text-lg font-serif font-medium text-[#E6EAF2]">{score}</span>
-                    <span className="text-[9px] font-sans font-semibold uppercase text-[#7C859A]">%</span>
-                  </div>
-
-                  {/* Details */}
-                  <div className="flex-1 min-w-0">
-                    <div className="flex items-center gap-2 mb-1">
-                      <span className={cn(
-                        "text-[10px] uppercase tracking-widest font-bold px-2 py-0.5 rounded-md",
-                        session.mode === 'lemon' ? "bg-yellow-500/20 text-yellow-200 border border-yellow-400/25" :
-                          (session.mode === 'topic' ? "bg-blue-500/20 text-blue-200 border border-blue-400/25" : "bg-surface-interactive text-[#AAB2C5] border border-border")
-                      )}>
-                        {displayMode}
-                      </span>
-                      <span className="text-sm font-sans font-semibold text-[#E6EAF2] truncate">{sessionTitle}</span>
+                <div key={session.sessionId}>
+                  <div
+                    data-testid={`session-${session.sessionId}`}
+                    onClick={session.timeline ? () => navigate(`/stats/${session.sessionId}`) : undefined}
+                    className={cn(
+                      "rounded-2xl bg-surface-elevated border border-border shadow-card p-5 flex items-center gap-5 card-hover hover:border-ember-500/30",
+                      session.timeline && "cursor-pointer"
+                    )}
+                  >
+                    {/* Score Badge */}
+                    <div className={cn(
+                      "flex-shrink-0 w-14 h-14 rounded-2xl flex flex-col items-center justify-center",
+                      session.mode === 'lemon' ? "bg-yellow-500/15 border border-yellow-400/30" : (session.mode === 'topic' ? "bg-blue-500/15 border border-blue-400/30" : "bg-surface-interactive border border-border")
+                    )}>
+                      <span className="text-lg font-serif font-medium text-[#E6EAF2]">{score}</span>
+                      <span className="text-[9px] font-sans font-semibold uppercase text-[#7C859A]">%</span>
                     </div>
-                    <div className="flex items-center gap-3 text-xs text-[#AAB2C5] font-sans">
-                      <span>{formatTime(session.totalSessionTime || session.duration || 0)} duration</span>
-                      <span>{session.hesitationCount || session.hesitation_count || 0} pauses</span>
+
+                    {/* Details */}
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2 mb-1">
+                        <span className={cn(
+                          "text-[10px] uppercase tracking-widest font-bold px-2 py-0.5 rounded-md",
+                          session.mode === 'lemon' ? "bg-yellow-500/20 text-yellow-200 border border-yellow-400/25" :
+                            (session.mode === 'topic' ? "bg-blue-500/20 text-blue-200 border border-blue-400/25" : "bg-surface-interactive text-[#AAB2C5] border border-border")
+                        )}>
+                          {displayMode}
+                        </span>
+                        {session.detectionMode === 'strict' && (
+                          <span className="text-[10px] uppercase tracking-widest font-bold px-2 py-0.5 rounded-md bg-surface-interactive text-[#AAB2C5] border border-border">
+                            {DETECTION_MODES.strict.label}
+                          </span>
+                        )}
+                        {session.language && session.language !== DEFAULT_LANGUAGE && (
+                          <span className="text-[10px] uppercase tracking-widest font-bold px-2 py-0.5 rounded-md bg-surface-interactive text-[#AAB2C5] border border-border">
+                            {PRACTICE_LANGUAGES[session.language]?.nativeLabel || session.language}
+                          </span>
+                        )}
+                        <span className="text-sm font-sans font-semibold text-[#E6EAF2] truncate">{sessionTitle}</span>
+                      </div>
+                      <div className="flex items-center gap-3 text-xs text-[#AAB2C5] font-sans">
+                        <span>{formatTime(session.totalSessionTime)} duration</span>
+                        <span>{session.hesitationCount} pauses</span>
+                      </div>
                     </div>
-                  </div>
 
-                  {/* Date & Actions */}
-                  <div className="flex-shrink-0 flex flex-col items-end gap-2">
-                    <span className="text-xs text-[#7C859A] font-sans">{formatDate(session.created_at)}</span>
-                    <button
-                      data-testid={`delete-session-${session.id}`}
-                      onClick={() => handleDelete(session.id, session.mode)}
-                      className="p-1.5 rounded-lg hover:bg-surface-interactive text-muted-foreground/50 hover:text-terracotta-400 btn-press"
-                    >
-                      <Trash2 size={14} />
-                    </button>
+                    {/* Date & Actions */}
+                    <div className="flex-shrink-0 flex flex-col items-end gap-2">
+                      <span className="text-xs text-[#7C859A] font-sans">{formatDate(session.createdAt)}</span>
+                      <div className="flex items-center gap-1">
+                        {recording && (
+                          <>
+                            <button
+                              data-testid={`play-session-${session.sessionId}`}
+                              aria-label="Play recording"
+                              onClick={(event) => {
+                                event.stopPropagation();
+                                handlePlay(session.sessionId);
+                              }}
+                              className={cn(
+                                "p-1.5 rounded-lg hover:bg-surface-interactive btn-press",
+                                playback?.sessionId === session.sessionId ? "text-primary" : "text-muted-foreground/50 hover:text-foreground"
+                              )}
+                            >
+                              <Play size={14} />
+                            </button>
+                            <button
+                              data-testid={`pin-session-${session.sessionId}`}
+                              aria-label={recording.pinned ? 'Let this recording be cleaned up' : 'Keep this recording forever'}
+                              onClick={(event) => {
+                                event.stopPropagation();
+                                handleTogglePin(session.sessionId);
+                              }}
+                              className={cn(
+                                "p-1.5 rounded-lg hover:bg-surface-interactive btn-press",
+                                recording.pinned ? "text-primary" : "text-muted-foreground/50 hover:text-foreground"
+                              )}
+                            >
+                              {recording.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+                            </button>
+                          </>
+                        )}
+                        <button
+                          data-testid={`delete-session-${session.sessionId}`}
+                          onClick={(event) => {
+                            event.stopPropagation();
+                            handleDelete(session.sessionId);
+                          }}
+                          className="p-1.5 rounded-lg hover:bg-surface-interactive text-muted-foreground/50 hover:text-terracotta-400 btn-press"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      </div>
+                    </div>
                   </div>
+                  {playback && playback.sessionId === session.sessionId && (
+                    <audio
+                      data-testid={`session-audio-${session.sessionId}`}
+                      controls
+                      autoPlay
+                      src={playback.url}
+                      className="w-full mt-2"
+                    />
+                  )}
                 </div>
               );
             })}
           </div>
         </>
       )}
+
+      {/* Spreadsheet export */}
+      {allSessionsCombined.length > 0 && (
+        <div data-testid="csv-export-panel" className="rounded-3xl bg-surface-secondary border border-border shadow-card p-8 mt-12">
+          <div className="flex items-center gap-3 mb-6">
+            <div className="p-2.5 rounded-2xl bg-surface-interactive border border-border text-primary">
+              <Sheet size={20} />
+            </div>
+            <div>
+              <h3 className="text-xl font-serif text-[#E6EAF2] mb-1">Spreadsheet Export</h3>
+              <p className="text-sm text-[#7C859A] font-sans">CSV files for Excel, Numbers or Google Sheets</p>
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 mb-5 font-sans text-sm">
+            {Object.entries(CSV_DATASETS).map(([key, dataset]) => (
+              <button
+                key={key}
+                data-testid={`csv-dataset-${key}`}
+                onClick={() => handleCsvDatasetChange(key)}
+                className={cn(
+                  'px-4 py-2 rounded-full font-medium btn-press transition-colors duration-200',
+                  csvDataset === key
+                    ? 'bg-primary text-primary-foreground border border-ember-500/35'
+                    : 'bg-surface-interactive border border-border text-[#AAB2C5] hover:border-ember-500/35'
+                )}
+              >
+                {dataset.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 mb-5 font-sans text-sm text-[#AAB2C5]">
+            <label className="flex items-center gap-2">
+              From
+              <input
+                type="date"
+                data-testid="csv-from"
+                value={csvRange.from}
+                onChange={(event) => setCsvRange(range => ({ ...range, from: event.target.value }))}
+                className="bg-surface-interactive border border-border rounded-lg px-2 py-1 text-[#E6EAF2]"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              To
+              <input
+                type="date"
+                data-testid="csv-to"
+                value={csvRange.to}
+                onChange={(event) => setCsvRange(range => ({ ...range, to: event.target.value }))}
+                className="bg-surface-interactive border border-border rounded-lg px-2 py-1 text-[#E6EAF2]"
+              />
+            </label>
+          </div>
+
+          <div data-testid="csv-columns" className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-6 font-sans text-sm text-[#AAB2C5]">
+            {CSV_DATASETS[csvDataset].columns.map(column => (
+              <label key={column.key} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  data-testid={`csv-column-${column.key}`}
+                  checked={csvColumns.includes(column.key)}
+                  onChange={() => toggleCsvColumn(column.key)}
+                />
+                {column.label}
+              </label>
+            ))}
+          </div>
+
+          <button
+            data-testid="export-csv-btn"
+            onClick={handleExportCsv}
+            disabled={csvColumns.length === 0}
+            className="flex items-center gap-2 px-5 py-2.5 rounded-full bg-primary text-primary-foreground font-sans font-semibold text-sm btn-press hover:brightness-110 disabled:opacity-50"
+          >
+            <Download size={16} />
+            Export CSV
+          </button>
+          {csvStatus && (
+            <p
+              data-testid="csv-status"
+              className={cn('mt-4 text-sm font-sans', csvStatus.tone === 'error' ? 'text-terracotta-400' : 'text-sage-300')}
+            >
+              {csvStatus.text}
+            </p>
+          )}
+        </div>
+      )}
+
+      {/* Backup & restore — also shown with no history, to restore onto a new device */}
+      <div data-testid="backup-panel" className="rounded-3xl bg-surface-secondary border border-border shadow-card p-8 mt-12">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="p-2.5 rounded-2xl bg-surface-interactive border border-border text-primary">
+            <HardDrive size={20} />
+          </div>
+          <div>
+            <h3 className="text-xl font-serif text-[#E6EAF2] mb-1">Backup &amp; Restore</h3>
+            <p className="text-sm text-[#7C859A] font-sans">Move your practice history, stats and settings to another device</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 font-sans text-sm">
+          <button
+            data-testid="export-backup-btn"
+            onClick={handleExportBackup}
+            disabled={backupBusy}
+            className="flex items-center gap-2 px-5 py-2.5 rounded-full bg-primary text-primary-foreground font-semibold btn-press hover:brightness-110 disabled:opacity-50"
+          >
+            <Download size={16} />
+            Export backup
+          </button>
+          <label className="flex items-center gap-2 text-[#AAB2C5]">
+            <input
+              type="checkbox"
+              data-testid="backup-include-audio"
+              checked={includeAudio}
+              onChange={(event) => setIncludeAudio(event.target.checked)}
+            />
+            Include recordings (.zip)
+          </label>
+          <button
+            data-testid="restore-backup-btn"
+            onClick={() => restoreInputRef.current?.click()}
+            disabled={backupBusy}
+            className="flex items-center gap-2 px-5 py-2.5 rounded-full bg-surface-interactive border border-border text-[#E6EAF2] font-semibold btn-press hover:border-ember-500/35 disabled:opacity-50"
+          >
+            <Upload size={16} />
+            Restore…
+          </button>
+          <input
+            ref={restoreInputRef}
+            type="file"
+            accept=".json,.zip,application/json,application/zip"
+            onChange={handleRestoreFileSelected}
+            className="hidden"
+          />
+        </div>
+
+        {pendingRestore && (
+          <div data-testid="restore-preview" className="mt-6 p-5 rounded-2xl bg-surface-elevated border border-border font-sans text-sm">
+            <p className="text-[#E6EAF2] mb-1">
+              {pendingRestore.preview.sessions} sessions
+              {pendingRestore.preview.recordings > 0 && ` · ${pendingRestore.preview.recordings} recordings`}
+              {pendingRestore.preview.exportedAt && ` · exported ${new Date(pendingRestore.preview.exportedAt).toLocaleDateString()}`}
+            </p>
+            <p className="text-[#AAB2C5] mb-4">
+              {pendingRestore.preview.duplicates > 0
+                ? `${pendingRestore.preview.duplicates} are already on this device and will be skipped when merging.`
+                : 'None of these sessions are on this device yet.'}
+            </p>
+            <div className="flex flex-col gap-2 mb-4 text-[#AAB2C5]">
+              <label className="flex items-start gap-2">
+                <input
+                  type="radio"
+                  name="restore-strategy"
+                  data-testid="restore-strategy-merge"
+                  checked={restoreStrategy === 'merge'}
+                  onChange={() => setRestoreStrategy('merge')}
+                  className="mt-1"
+                />
+                <span><span className="text-[#E6EAF2] font-semibold">Merge</span> — add the backup's sessions to this device's history and keep its settings</span>
+              </label>
+              <label className="flex items-start gap-2">
+                <input
+                  type="radio"
+                  name="restore-strategy"
+                  data-testid="restore-strategy-replace"
+                  checked={restoreStrategy === 'replace'}
+                  onChange={() => setRestoreStrategy('replace')}
+                  className="mt-1"
+                />
+                <span><span className="text-[#E6EAF2] font-semibold">Replace</span> — delete this device's history and settings and use the backup's instead</span>
+              </label>
+            </div>
+            <div className="flex gap-3">
+              <button
+                data-testid="confirm-restore-btn"
+                onClick={handleConfirmRestore}
+                disabled={backupBusy}
+                className="px-5 py-2 rounded-full bg-primary text-primary-foreground font-semibold btn-press hover:brightness-110 disabled:opacity-50"
+              >
+                {restoreStrategy === 'replace' ? 'Replace history' : 'Merge backup'}
+              </button>
+              <button
+                onClick={() => setPendingRestore(null)}
+                className="px-5 py-2 rounded-full border border-border text-[#AAB2C5] btn-press hover:text-[#E6EAF2]"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {backupStatus && (
+          <p
+            data-testid="backup-status"
+            className={cn('mt-4 text-sm font-sans', backupStatus.tone === 'error' ? 'text-terracotta-400' : 'text-sage-300')}
+          >
+            {backupStatus.text}
+          </p>
+        )}
+      </div>
     </div>
   );
 }
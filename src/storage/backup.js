@@ -0,0 +1,209 @@
+// No Pause - Backup & restore
+// One versioned JSON file with everything needed to move practice history to
+// another device: session records, analytics metrics and rollups, and the
+// settings that shape scoring. With audio, the JSON and the recordings go in
+// a ZIP instead. Restores validate first, then merge or replace; sessions are
+// matched by sessionId so restoring the same backup twice adds nothing.
+
+import { storage } from '@/storage/localStore';
+import { sessionRepository } from '@/storage/sessionRepository';
+import { analytics } from '@/analytics';
+import { loadProfile, saveProfile, upgradeProfile } from '@/audio/detectionProfile';
+import { getScoringPreset, setScoringPreset } from '@/audio/scoringModels';
+import { getPracticeLanguage, setPracticeLanguage } from '@/data/languages';
+import { createZip, readZip } from '@/utils/zip';
+
+export const BACKUP_FORMAT = 'nopause-backup';
+export const BACKUP_VERSION = 1;
+
+const MANIFEST_NAME = 'backup.json';
+const AUDIO_EXTENSIONS = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'audio/mpeg': 'mp3', 'audio/wav': 'wav' };
+
+const extensionFor = (mimeType = '') => AUDIO_EXTENSIONS[mimeType.split(';')[0]] || 'webm';
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// ── Export ──
+
+async function collectBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    sessions: sessionRepository.getAll(),
+    analytics: await analytics.exportData(),
+    settings: {
+      detectionProfile: loadProfile(),
+      streak: storage.getStreak(),
+      preferences: storage.getPreferences(),
+      scoringPreset: getScoringPreset(),
+      practiceLanguage: getPracticeLanguage(),
+      benchmarkConsent: analytics.getBenchmarkConsent(),
+      audioQuotaBytes: analytics.getAudioQuota(),
+    },
+  };
+}
+
+// Resolves to { blob, fileName } ready for a download link
+export async function createBackup({ includeAudio = false } = {}) {
+  const backup = await collectBackup();
+  const stamp = backup.exportedAt.slice(0, 10);
+
+  if (!includeAudio) {
+    return {
+      blob: new Blob([JSON.stringify(backup)], { type: 'application/json' }),
+      fileName: `nopause-backup-${stamp}.json`,
+    };
+  }
+
+  const recordings = await analytics.exportRecordings();
+  backup.recordings = recordings.map(r => ({
+    sessionId: r.sessionId,
+    file: `recordings/${r.sessionId}.${extensionFor(r.mimeType)}`,
+    mimeType: r.mimeType,
+    pinned: r.pinned,
+    createdAt: r.createdAt,
+  }));
+  const blob = await createZip([
+    { name: MANIFEST_NAME, data: JSON.stringify(backup) },
+    ...recordings.map((r, i) => ({ name: backup.recordings[i].file, data: r.blob })),
+  ]);
+  return { blob, fileName: `nopause-backup-${stamp}.zip` };
+}
+
+// ── Validation ──
+
+// Returns a list of problems; empty means the backup can be restored
+export function validateBackup(backup) {
+  if (!isObject(backup)) return ['The file is not a No Pause backup.'];
+  if (backup.format !== BACKUP_FORMAT) return ['The file is not a No Pause backup.'];
+
+  const problems = [];
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    problems.push('The backup has no valid version.');
+  } else if (backup.version > BACKUP_VERSION) {
+    problems.push('The backup was made by a newer version of the app — update before restoring it.');
+  }
+
+  if (!Array.isArray(backup.sessions)) {
+    problems.push('The backup has no session list.');
+  } else {
+    const invalid = backup.sessions.filter(s => !isObject(s) || typeof s.sessionId !== 'string' || !s.sessionId);
+    if (invalid.length > 0) problems.push(`${invalid.length} session(s) have no sessionId.`);
+  }
+
+  const data = backup.analytics;
+  if (data !== undefined) {
+    if (!isObject(data)) {
+      problems.push('The analytics section is malformed.');
+    } else {
+      const { sessionMetrics = [], dailyRollups = [], weeklyRollups = [] } = data;
+      if (!Array.isArray(sessionMetrics) || sessionMetrics.some(m => !isObject(m) || !m.sessionId || !m.date)) {
+        problems.push('Some session metrics are missing a sessionId or date.');
+      }
+      if (!Array.isArray(dailyRollups) || dailyRollups.some(d => !isObject(d) || !d.date)) {
+        problems.push('Some daily rollups are missing a date.');
+      }
+      if (!Array.isArray(weeklyRollups) || weeklyRollups.some(w => !isObject(w) || !w.weekStart)) {
+        problems.push('Some weekly rollups are missing a week.');
+      }
+    }
+  }
+
+  if (backup.settings !== undefined && !isObject(backup.settings)) {
+    problems.push('The settings section is malformed.');
+  }
+  return problems;
+}
+
+// ── Import ──
+
+// File → { backup, recordings }. Throws with a user-facing message when the
+// file can't be read or doesn't validate.
+export async function readBackup(file) {
+  const head = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+  const isZip = head[0] === 0x50 && head[1] === 0x4b; // "PK"
+
+  let backup;
+  let entries = null;
+  try {
+    if (isZip) {
+      entries = await readZip(file);
+      if (!entries.has(MANIFEST_NAME)) throw new Error(`${MANIFEST_NAME} is missing`);
+      backup = JSON.parse(new TextDecoder().decode(entries.get(MANIFEST_NAME)));
+    } else {
+      backup = JSON.parse(await file.text());
+    }
+  } catch (e) {
+    throw new Error(`The backup could not be read: ${e.message}`);
+  }
+
+  const problems = validateBackup(backup);
+  if (problems.length > 0) throw new Error(problems.join(' '));
+
+  const recordings = (entries && Array.isArray(backup.recordings) ? backup.recordings : [])
+    .filter(r => isObject(r) && r.sessionId && entries.has(r.file))
+    .map(r => ({ ...r, blob: new Blob([entries.get(r.file)], { type: r.mimeType || 'audio/webm' }) }));
+  return { backup, recordings };
+}
+
+// What a restore would do, for the confirmation step
+export function previewRestore({ backup, recordings }) {
+  const localIds = new Set(sessionRepository.getAll().map(s => s.sessionId));
+  const duplicates = backup.sessions.filter(s => localIds.has(s.sessionId)).length;
+  return {
+    exportedAt: backup.exportedAt || null,
+    sessions: backup.sessions.length,
+    duplicates,
+    newSessions: backup.sessions.length - duplicates,
+    metrics: backup.analytics?.sessionMetrics?.length || 0,
+    recordings: recordings.length,
+  };
+}
+
+// Whichever streak was practiced most recently, with the better best
+function mergeStreaks(local, incoming) {
+  if (!isObject(incoming)) return local;
+  const newer = (incoming.lastDate || '') > (local.lastDate || '') ? incoming : local;
+  return { ...newer, best: Math.max(local.best || 0, incoming.best || 0) };
+}
+
+// 'replace' takes the backup's settings. 'merge' keeps this device's, except
+// the streak (combined) and a detection profile that hasn't learned anything yet.
+function restoreSettings(settings, strategy) {
+  if (!isObject(settings)) return;
+  const replace = strategy === 'replace';
+
+  const profile = upgradeProfile(settings.detectionProfile);
+  if (profile && (replace || loadProfile().sessionsAnalyzed === 0)) saveProfile(profile);
+
+  if (isObject(settings.streak)) {
+    storage.setStreak(replace ? settings.streak : mergeStreaks(storage.getStreak(), settings.streak));
+  }
+  if (!replace) return;
+
+  if (isObject(settings.preferences)) storage.savePreferences(settings.preferences);
+  if (settings.scoringPreset) setScoringPreset(settings.scoringPreset);
+  if (settings.practiceLanguage) setPracticeLanguage(settings.practiceLanguage);
+  if (typeof settings.benchmarkConsent === 'boolean') analytics.setBenchmarkConsent(settings.benchmarkConsent);
+  if (settings.audioQuotaBytes > 0) analytics.setAudioQuota(settings.audioQuotaBytes);
+}
+
+// strategy: 'merge' (keep local, add what's new) | 'replace' (the backup
+// becomes this device's history). Returns a summary for the UI.
+// IndexedDB goes first: if it rejects, the session list hasn't been touched
+// and nothing is half-restored.
+export async function restoreBackup({ backup, recordings = [] }, { strategy = 'merge' } = {}) {
+  const { metricsAdded } = await analytics.importData(backup.analytics || {}, { strategy });
+  const { added, duplicates } = sessionRepository.importSessions(backup.sessions, { strategy });
+
+  if (strategy === 'replace') {
+    // Audio for sessions that are no longer in the history goes with them
+    const keep = new Set(backup.sessions.map(s => s.sessionId));
+    const stored = await analytics.listRecordings();
+    await Promise.all(stored.filter(r => !keep.has(r.sessionId)).map(r => analytics.deleteRecording(r.sessionId)));
+  }
+  const recordingsAdded = await analytics.importRecordings(recordings, { strategy });
+
+  restoreSettings(backup.settings, strategy);
+  return { strategy, sessionsAdded: added, duplicates, metricsAdded, recordingsAdded };
+}
@@ -0,0 +1,80 @@
+import { validateBackup, restoreBackup, BACKUP_FORMAT, BACKUP_VERSION } from '@/storage/backup';
+import { analytics } from '@/analytics';
+import { sessionRepository } from '@/storage/sessionRepository';
+
+jest.mock('@/analytics', () => ({
+  analytics: {
+    importData: jest.fn(),
+    importRecordings: jest.fn(),
+    listRecordings: jest.fn(),
+    deleteRecording: jest.fn(),
+  },
+}));
+jest.mock('@/storage/sessionRepository', () => ({
+  sessionRepository: { importSessions: jest.fn(), getAll: jest.fn(() => []) },
+}));
+
+const backupWith = (fields = {}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  sessions: [{ sessionId: 's1' }],
+  ...fields,
+});
+
+describe('validateBackup', () => {
+  it('accepts a well-formed backup', () => {
+    expect(validateBackup(backupWith({
+      analytics: { sessionMetrics: [{ sessionId: 's1', date: '2024-05-01' }], dailyRollups: [{ date: '2024-05-01' }] },
+      settings: {},
+    }))).toEqual([]);
+  });
+
+  it('rejects anything that is not a backup', () => {
+    expect(validateBackup(null)).toEqual(['The file is not a No Pause backup.']);
+    expect(validateBackup([])).toEqual(['The file is not a No Pause backup.']);
+    expect(validateBackup({ format: 'other', sessions: [] })).toEqual(['The file is not a No Pause backup.']);
+  });
+
+  it('rejects backups from a newer version', () => {
+    expect(validateBackup(backupWith({ version: BACKUP_VERSION + 1 })))
+      .toEqual(['The backup was made by a newer version of the app — update before restoring it.']);
+  });
+
+  it('lists every problem it finds', () => {
+    expect(validateBackup(backupWith({
+      version: 0,
+      sessions: [{ sessionId: 's1' }, { sessionId: '' }, null],
+      analytics: { sessionMetrics: [{ sessionId: 's1' }], weeklyRollups: [{}] },
+      settings: 'dark',
+    }))).toEqual([
+      'The backup has no valid version.',
+      '2 session(s) have no sessionId.',
+      'Some session metrics are missing a sessionId or date.',
+      'Some weekly rollups are missing a week.',
+      'The settings section is malformed.',
+    ]);
+  });
+});
+
+describe('restoreBackup', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  it('imports analytics before touching the session list', async () => {
+    const calls = [];
+    analytics.importData.mockImplementation(async () => { calls.push('analytics'); return { metricsAdded: 1 }; });
+    sessionRepository.importSessions.mockImplementation(() => { calls.push('sessions'); return { added: 1, duplicates: 0 }; });
+    analytics.importRecordings.mockResolvedValue(0);
+
+    const summary = await restoreBackup({ backup: backupWith() });
+    expect(calls).toEqual(['analytics', 'sessions']);
+    expect(summary).toEqual({ strategy: 'merge', sessionsAdded: 1, duplicates: 0, metricsAdded: 1, recordingsAdded: 0 });
+  });
+
+  it('leaves the session list alone when the analytics import fails', async () => {
+    analytics.importData.mockRejectedValue(new Error('QuotaExceededError'));
+
+    await expect(restoreBackup({ backup: backupWith() }, { strategy: 'replace' })).rejects.toThrow('QuotaExceededError');
+    expect(sessionRepository.importSessions).not.toHaveBeenCalled();
+    expect(analytics.deleteRecording).not.toHaveBeenCalled();
+  });
+});
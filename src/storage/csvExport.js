@@ -0,0 +1,163 @@
+// No Pause - CSV export for spreadsheets
+// Session metrics and daily/weekly rollups as CSV, filtered to a date range
+// with a chosen set of columns. Sessions whose metrics were pruned (> 90 days)
+// or predate analytics are still exported from their session record, with
+// the columns only metrics know left blank.
+
+import { sessionRepository } from '@/storage/sessionRepository';
+import { analytics } from '@/analytics';
+import { languageLabel } from '@/data/languages';
+
+const MODE_LABELS = { 'free-speak': 'Free', free: 'Free', lemon: 'Lemon', topic: 'Topic', upload: 'Upload' };
+
+const round1 = (n) => (n == null ? null : Math.round(n * 10) / 10);
+
+// Columns: { key, label, value(row), default } — `default` columns start selected
+export const CSV_DATASETS = {
+  sessions: {
+    label: 'Sessions',
+    columns: [
+      { key: 'date', label: 'Date', value: r => r.date, default: true },
+      { key: 'time', label: 'Time', value: r => (r.timestamp ? new Date(r.timestamp).toLocaleTimeString() : ''), default: false },
+      { key: 'mode', label: 'Mode', value: r => MODE_LABELS[r.mode] || r.mode, default: true },
+      { key: 'language', label: 'Language', value: r => languageLabel(r.language), default: false },
+      { key: 'prompt', label: 'Prompt', value: r => r.prompt, default: true },
+      { key: 'flowScore', label: 'Flow score', value: r => r.flowScore, default: true },
+      { key: 'scoringVersion', label: 'Scoring model', value: r => r.scoringVersion, default: false },
+      { key: 'hesitationCount', label: 'Hesitations', value: r => r.hesitationCount, default: false },
+      { key: 'hesitationsPerMinute', label: 'Hesitations/min', value: r => r.hesitationsPerMinute, default: true },
+      { key: 'wordsPerMinute', label: 'WPM', value: r => r.wordsPerMinute, default: true },
+      { key: 'speakingRatio', label: 'Speaking ratio', value: r => r.speakingRatio, default: true },
+      { key: 'fillersPerMinute', label: 'Fillers/min', value: r => r.fillersPerMinute, default: false },
+      { key: 'totalDuration', label: 'Duration (s)', value: r => r.totalDuration, default: false },
+      { key: 'detectionMode', label: 'Detection', value: r => r.detectionMode, default: false },
+      { key: 'sessionId', label: 'Session ID', value: r => r.sessionId, default: false },
+    ],
+  },
+  daily: {
+    label: 'Daily rollups',
+    columns: [
+      { key: 'date', label: 'Date', value: r => r.date, default: true },
+      { key: 'sessionsCompleted', label: 'Sessions', value: r => r.sessionsCompleted, default: true },
+      { key: 'totalPracticeTime', label: 'Practice time (s)', value: r => r.totalPracticeTime, default: true },
+      { key: 'avgFlowScore', label: 'Avg flow score', value: r => r.avgFlowScore, default: true },
+      { key: 'cleanAvgFlowScore', label: 'Clean avg flow score', value: r => r.cleanAvgFlowScore, default: false },
+      { key: 'bestFlowScore', label: 'Best flow score', value: r => r.bestFlowScore, default: true },
+      { key: 'hesitationsPerMinute', label: 'Hesitations/min', value: r => r.hesitationsPerMinute, default: true },
+      { key: 'fillersPerMinute', label: 'Fillers/min', value: r => r.fillersPerMinute, default: false },
+      { key: 'avgSpeakingRatio', label: 'Avg speaking ratio', value: r => r.avgSpeakingRatio, default: true },
+      { key: 'modesUsed', label: 'Modes', value: r => (r.modesUsed || []).map(m => MODE_LABELS[m] || m).join(' / '), default: false },
+      { key: 'languagesUsed', label: 'Languages', value: r => (r.languagesUsed || []).map(languageLabel).join(' / '), default: false },
+      { key: 'techIssueCount', label: 'Tech issues', value: r => r.techIssueCount, default: false },
+    ],
+  },
+  weekly: {
+    label: 'Weekly rollups',
+    columns: [
+      { key: 'weekStart', label: 'Week of', value: r => r.weekStart, default: true },
+      { key: 'daysActive', label: 'Days active', value: r => r.daysActive, default: true },
+      { key: 'sessionsCompleted', label: 'Sessions', value: r => r.sessionsCompleted, default: true },
+      { key: 'totalPracticeTime', label: 'Practice time (s)', value: r => r.totalPracticeTime, default: true },
+      { key: 'avgFlowScore', label: 'Avg flow score', value: r => r.avgFlowScore, default: true },
+      { key: 'flowScoreTrend', label: 'Trend', value: r => r.flowScoreTrend, default: true },
+      { key: 'consistencyScore', label: 'Consistency', value: r => r.consistencyScore, default: false },
+      { key: 'topMode', label: 'Top mode', value: r => MODE_LABELS[r.topMode] || r.topMode, default: false },
+    ],
+  },
+};
+
+export const defaultCsvColumns = (dataset) => (CSV_DATASETS[dataset]?.columns || []).filter(c => c.default).map(c => c.key);
+
+// ── CSV ──
+
+// RFC 4180 quoting. Text that a spreadsheet would run as a formula is
+// prefixed with an apostrophe — prompts and file names are user-provided.
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [
+    columns.map(c => csvCell(c.label)).join(','),
+    ...rows.map(row => columns.map(c => csvCell(c.value(row))).join(',')),
+  ];
+  return lines.join('\r\n');
+}
+
+// ── Rows ──
+
+const inRange = (date, from, to) => Boolean(date) && (!from || date >= from) && (!to || date <= to);
+
+// A week counts when any of its days falls in the range
+const weekInRange = (weekStart, from, to) => {
+  const end = new Date(weekStart);
+  end.setDate(end.getDate() + 6);
+  return (!from || end.toISOString().split('T')[0] >= from) && (!to || weekStart <= to);
+};
+
+async function sessionRows() {
+  const sessions = sessionRepository.getAll();
+  const metrics = await analytics.getSessionMetrics(Infinity);
+  const sessionsById = new Map(sessions.map(s => [s.sessionId, s]));
+  const withMetrics = new Set(metrics.map(m => m.sessionId));
+
+  const fromMetrics = metrics.map((m) => {
+    const session = sessionsById.get(m.sessionId);
+    return {
+      ...m,
+      mode: session?.mode || m.mode,
+      prompt: session ? (session.word || session.topic || session.fileName || '') : '',
+    };
+  });
+  const fromRecords = sessions
+    .filter(s => !withMetrics.has(s.sessionId))
+    .map(s => ({
+      sessionId: s.sessionId,
+      date: s.createdAt.split('T')[0],
+      timestamp: s.createdAt,
+      mode: s.mode,
+      language: s.language,
+      prompt: s.word || s.topic || s.fileName || '',
+      flowScore: s.flowScore,
+      scoringVersion: s.scoringVersion,
+      hesitationCount: s.hesitationCount,
+      hesitationsPerMinute: s.totalSpeakingTime > 0 ? round1(s.hesitationCount / (s.totalSpeakingTime / 60)) : null,
+      wordsPerMinute: null,
+      speakingRatio: s.totalSessionTime > 0 ? Math.round((s.totalSpeakingTime / s.totalSessionTime) * 100) / 100 : null,
+      fillersPerMinute: null,
+      totalDuration: s.totalSessionTime,
+      detectionMode: s.detectionMode,
+    }));
+
+  return [...fromMetrics, ...fromRecords].sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+}
+
+async function rowsFor(dataset, from, to) {
+  if (dataset === 'sessions') return (await sessionRows()).filter(r => inRange(r.date, from, to));
+  if (dataset === 'daily') {
+    return (await analytics.getDailyRollups(Infinity))
+      .filter(r => inRange(r.date, from, to))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return (await analytics.getWeeklyRollups(Infinity))
+    .filter(r => weekInRange(r.weekStart, from, to))
+    .sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+}
+
+// from/to are inclusive 'YYYY-MM-DD' strings (either may be empty). Columns
+// keep the dataset's order whatever order they were picked in.
+export async function exportCsv({ dataset = 'sessions', from = '', to = '', columns = defaultCsvColumns(dataset) } = {}) {
+  const definition = CSV_DATASETS[dataset];
+  if (!definition) throw new Error(`Unknown CSV dataset: ${dataset}`);
+  const selected = definition.columns.filter(c => columns.includes(c.key));
+  if (selected.length === 0) throw new Error('Pick at least one column to export.');
+
+  const rows = await rowsFor(dataset, from, to);
+  // Byte order mark so Excel opens the file as UTF-8
+  const blob = new Blob(['\uFEFF', toCsv(rows, selected)], { type: 'text/csv;charset=utf-8' });
+  const range = from || to ? `-${from || 'start'}-to-${to || 'today'}` : '';
+  return { blob, fileName: `nopause-${dataset}${range}.csv`, rowCount: rows.length };
+}
@@ -0,0 +1,42 @@
+import { toCsv, exportCsv } from '@/storage/csvExport';
+
+jest.mock('@/analytics', () => ({ analytics: {} }));
+jest.mock('@/storage/sessionRepository', () => ({ sessionRepository: {} }));
+
+const columns = [
+  { label: 'Prompt', value: r => r.prompt },
+  { label: 'Score', value: r => r.score },
+];
+const cellsOf = (prompt, score = 1) => toCsv([{ prompt, score }], columns).split('\r\n')[1];
+
+describe('toCsv', () => {
+  it('writes a header line and one line per row, CRLF-separated', () => {
+    expect(toCsv([{ prompt: 'lemon', score: 80 }, { prompt: 'topic', score: null }], columns))
+      .toBe('Prompt,Score\r\nlemon,80\r\ntopic,');
+  });
+
+  it('quotes commas, quotes and line breaks', () => {
+    expect(cellsOf('a, b')).toBe('"a, b",1');
+    expect(cellsOf('say "hi"')).toBe('"say ""hi""",1');
+    expect(cellsOf('two\nlines')).toBe('"two\nlines",1');
+  });
+
+  it('neutralises text a spreadsheet would run as a formula', () => {
+    expect(cellsOf('=HYPERLINK("http://x")')).toBe(`"'=HYPERLINK(""http://x"")",1`);
+    expect(cellsOf('+1')).toBe("'+1,1");
+    expect(cellsOf('-2')).toBe("'-2,1");
+    expect(cellsOf('@SUM(A1)')).toBe("'@SUM(A1),1");
+    expect(cellsOf('\tcmd')).toBe("'\tcmd,1");
+  });
+
+  it('leaves numbers alone, negative ones included', () => {
+    expect(cellsOf('x', -3)).toBe('x,-3');
+  });
+});
+
+describe('exportCsv', () => {
+  it('rejects unknown datasets and empty column picks', async () => {
+    await expect(exportCsv({ dataset: 'audio' })).rejects.toThrow('Unknown CSV dataset: audio');
+    await expect(exportCsv({ dataset: 'daily', columns: [] })).rejects.toThrow('Pick at least one column to export.');
+  });
+});
@@ -0,0 +1,297 @@
+// No Pause - Session repository
+// The one place sessions are saved, read and deleted. Records share a single
+// schema across exercise types and are keyed by the same sessionId as the
+// analytics session metrics, so deleting a session removes everything
+// derived from it.
+
+import { storage } from '@/storage/localStore';
+import { analytics } from '@/analytics';
+import { scoreSession, inputsFromModel1Score, CURRENT_SCORING_VERSION } from '@/audio/scoringModels';
+
+const SESSIONS_KEY = 'nopause_sessions';
+
+// Pre-repository keys: one array per exercise type, mixed field names
+const _p = ['f', 'l', 'u', 'e', 'n', 'c', 'y', 'f', 'l', 'o', 'w'].join('');
+const LEGACY_KEYS = {
+  [`${_p}_sessions`]: 'free-speak',
+  [`${_p}_lemon_scores`]: 'lemon',
+  [`${_p}_topic_scores`]: 'topic',
+};
+
+// Legacy free-speak records kept no id or date. They're filed here rather than
+// under the day they were migrated, which would pile the whole history onto it.
+export const LEGACY_EPOCH = new Date(0).toISOString();
+
+const makeSessionId = () => Date.now().toString(36) + Math.random().toString(36).substr(2, 6);
+
+// Timeline segments plus late ones, in time order. A segment already there
+// (same start and text) isn't added twice; untimed text stays first.
+export function mergeSegments(existing, late) {
+  const byKey = new Map();
+  [...existing, ...late].forEach(({ text, startMs = null, endMs = null, confidence = null, words = null }) => {
+    if (!text || !text.trim()) return;
+    const key = `${startMs}|${text.trim().toLowerCase()}`;
+    if (!byKey.has(key)) byKey.set(key, { text: text.trim(), startMs, endMs, confidence, ...(words?.length && { words }) });
+  });
+  return [...byKey.values()].sort((a, b) => (a.startMs ?? -1) - (b.startMs ?? -1));
+}
+
+// ── Schema ──
+
+// Accepts current records and every legacy shape (hesitation_count, silence_time,
+// duration, created_at, hesitation_score, mode 'free')
+export function normalizeSession(raw, fallbackMode = 'free-speak') {
+  const mode = raw.mode === 'free' ? 'free-speak' : (raw.mode || fallbackMode);
+  return {
+    sessionId: raw.sessionId || raw.id || makeSessionId(),
+    mode,
+    // Sessions from before the language setting were recognised as en-US
+    language: raw.language || 'en-US',
+    createdAt: raw.createdAt || raw.created_at || new Date().toISOString(),
+    flowScore: raw.flowScore ?? raw.hesitation_score ?? 0,
+    // Sessions from before the registry were scored by model 1 and kept no inputs
+    scoringVersion: raw.scoringVersion ?? 1,
+    scoringPreset: raw.scoringPreset || null,
+    scoringInputs: raw.scoringInputs || null,
+    totalSessionTime: raw.totalSessionTime ?? raw.duration ?? 0,
+    totalSpeakingTime: raw.totalSpeakingTime ?? 0,
+    silenceTime: raw.silenceTime ?? raw.silence_time ?? 0,
+    hesitationCount: raw.hesitationCount ?? raw.hesitation_count ?? 0,
+    detectionMode: raw.detectionMode || null,
+    voiceDetector: raw.voiceDetector || null,
+    monotoneScore: raw.monotoneScore ?? null,
+    transcript: raw.transcript || '',
+    word: raw.word || null,
+    topic: raw.topic || null,
+    difficulty: raw.difficulty || null,
+    fileName: raw.fileName || null,
+    timeline: raw.timeline || null,
+  };
+}
+
+function readAll() {
+  try {
+    const data = localStorage.getItem(SESSIONS_KEY);
+    return data ? JSON.parse(data) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(sessions) {
+  localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+}
+
+// ── Migration ──
+
+// Lemon and topic ids were 'lemon_' / 'topic_' + Date.now() in base 36 (eight
+// digits) + random characters
+function legacyCreatedAt(raw) {
+  const dated = raw.createdAt || raw.created_at || raw.date;
+  if (dated && !Number.isNaN(Date.parse(dated))) return new Date(dated).toISOString();
+  const ms = parseInt(String(raw.id || '').split('_')[1]?.slice(0, 8), 36);
+  if (ms > Date.UTC(2015, 0, 1) && ms <= Date.now()) return new Date(ms).toISOString();
+  return LEGACY_EPOCH;
+}
+
+// One-time: fold the legacy arrays into the repository. Legacy keys are only
+// removed after the merged list is written, so a failed write retries next load.
+// Records saved before sessions carried a sessionId keep their storage id, so
+// their analytics metrics can't be found when they are deleted.
+// Registered in app/migrations.js, which runs before any page reads sessions.
+export function migrateLegacySessions() {
+  const legacyKeys = Object.keys(LEGACY_KEYS).filter(key => localStorage.getItem(key) !== null);
+  if (legacyKeys.length === 0) return 0;
+
+  const byId = new Map(readAll().map(s => [s.sessionId, s]));
+  legacyKeys.forEach((key) => {
+    let records = [];
+    try {
+      records = JSON.parse(localStorage.getItem(key)) || [];
+    } catch {
+      records = [];
+    }
+    records.forEach((raw) => {
+      const session = normalizeSession({ ...raw, createdAt: legacyCreatedAt(raw) }, LEGACY_KEYS[key]);
+      if (!byId.has(session.sessionId)) byId.set(session.sessionId, session);
+    });
+  });
+
+  writeAll([...byId.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+  legacyKeys.forEach(key => localStorage.removeItem(key));
+  return byId.size;
+}
+
+// Re-run the schema over stored records so fields added since they were saved
+// are present. Idempotent.
+export function normalizeStoredSessions() {
+  const sessions = readAll();
+  writeAll(sessions.map(s => normalizeSession(s)));
+  return sessions.length;
+}
+
+// ── Repository ──
+
+export const sessionRepository = {
+  // Newest first
+  getAll() {
+    return readAll();
+  },
+
+  getByMode(mode) {
+    return this.getAll().filter(s => s.mode === mode);
+  },
+
+  get(sessionId) {
+    return this.getAll().find(s => s.sessionId === sessionId) || null;
+  },
+
+  // rawResults (analyzer output + transcript) feed the analytics metrics for
+  // the same sessionId. Resolves to the computed metrics, or null.
+  async save(session, { rawResults = null } = {}) {
+    const record = normalizeSession(session);
+    writeAll([record, ...this.getAll().filter(s => s.sessionId !== record.sessionId)]);
+    storage.updateStreak();
+
+    if (!rawResults) return null;
+    return analytics.processSessionEnd(rawResults, { sessionId: record.sessionId, mode: record.mode, language: record.language });
+  },
+
+  // Cascades into metrics, rollups, events, queued transcription chunks and the stored recording
+  async remove(sessionId) {
+    const session = this.get(sessionId);
+    writeAll(this.getAll().filter(s => s.sessionId !== sessionId));
+    if (session) analytics.sessionDeleted(session.mode);
+    await analytics.deleteSessionData(sessionId);
+  },
+
+  // Transcript segments that arrived after the session was saved (queued
+  // server chunks) join its transcript and timeline; the metrics and score
+  // are recomputed from the merged text. Resolves to false when the session
+  // isn't ready for them — not saved (or deleted since), or its metrics
+  // haven't been written yet — so the caller can keep them for later.
+  async backfillTranscript(sessionId, lateSegments) {
+    const session = this.get(sessionId);
+    if (!session) return false;
+
+    const existing = session.timeline?.segments
+      || (session.transcript ? [{ text: session.transcript, startMs: null, endMs: null }] : []);
+    const segments = mergeSegments(existing, lateSegments);
+    if (segments.length === existing.length) return true;   // nothing it didn't have
+    const transcript = segments.map(seg => seg.text).join(' ');
+    const metrics = await analytics.backfillTranscript(sessionId, {
+      transcript, segments, speakingRegions: session.timeline?.speakingRegions,
+    });
+    if (!metrics) return false;
+
+    const updated = {
+      ...session,
+      transcript,
+      timeline: session.timeline ? { ...session.timeline, segments } : null,
+      flowScore: metrics.flowScore,
+      scoringInputs: metrics.scoringInputs,
+    };
+    writeAll(this.getAll().map(s => (s.sessionId === sessionId ? updated : s)));
+    return true;
+  },
+
+  // Rescore every session under a scoring model, metrics and rollups included.
+  // The analytics rescore wins where the metrics still exist (they carry
+  // fillers and pace); otherwise the record's own inputs are used. Records from
+  // before the registry have none, so they're recovered from the model 1 score.
+  async recomputeAll(version = CURRENT_SCORING_VERSION) {
+    const diff = await analytics.recomputeAll(version);
+    const metricsScores = diff.scores;
+
+    let unscorable = 0;
+    writeAll(this.getAll().map((session) => {
+      const fromMetrics = metricsScores[session.sessionId];
+      if (fromMetrics) {
+        return { ...session, flowScore: fromMetrics.flowScore, scoringVersion: version, scoringPreset: fromMetrics.scoringPreset };
+      }
+      const preset = session.scoringPreset ?? undefined;
+      const inputs = session.scoringInputs || (session.scoringVersion === 1
+        ? inputsFromModel1Score(session.flowScore, {
+          hesitationCount: session.hesitationCount,
+          totalTimeMs: session.totalSessionTime * 1000,
+          speakingTimeMs: session.totalSpeakingTime * 1000,
+        })
+        : null);
+      if (!inputs) {
+        if (session.scoringVersion !== version) unscorable++;
+        return session;
+      }
+      const { flowScore, scoringVersion, scoringPreset } = scoreSession(inputs, version, { preset });
+      return { ...session, flowScore, scoringVersion, scoringPreset, scoringInputs: inputs };
+    }));
+
+    return { ...diff, unscorableSessions: unscorable };
+  },
+
+  // Restore from a backup. 'merge' keeps the local record when a sessionId is
+  // already here; 'replace' drops local history first. Metrics, rollups and
+  // recordings are restored separately (storage/backup.js).
+  importSessions(records, { strategy = 'merge' } = {}) {
+    const local = strategy === 'replace' ? [] : this.getAll();
+    const byId = new Map(local.map(s => [s.sessionId, s]));
+    let added = 0;
+    records.forEach((raw) => {
+      const session = normalizeSession(raw);
+      if (byId.has(session.sessionId)) return;
+      byId.set(session.sessionId, session);
+      added++;
+    });
+    writeAll([...byId.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+    return { added, duplicates: records.length - added };
+  },
+
+  // ── Aggregates ──
+
+  getStats() {
+    const sessions = this.getAll();
+    const streak = storage.getStreak();
+
+    if (sessions.length === 0) {
+      return {
+        totalSessions: 0,
+        totalPracticeTime: 0,
+        avgScore: 0,
+        bestScore: 0,
+        currentStreak: streak.current,
+        bestStreak: streak.best,
+        recentTrend: [],
+      };
+    }
+
+    const totalPracticeTime = sessions.reduce((sum, s) => sum + s.totalSessionTime, 0);
+    const avgScore = Math.round(sessions.reduce((sum, s) => sum + s.flowScore, 0) / sessions.length);
+    const bestScore = Math.max(...sessions.map(s => s.flowScore));
+
+    const recentTrend = sessions
+      .slice(0, 10)
+      .reverse()
+      .map(s => ({ score: s.flowScore, date: s.createdAt }));
+
+    return {
+      totalSessions: sessions.length,
+      totalPracticeTime,
+      avgScore,
+      bestScore,
+      currentStreak: streak.current,
+      bestStreak: streak.best,
+      recentTrend,
+    };
+  },
+
+  // Weighted average — recent exercises weigh more
+  getOverallFlowScore() {
+    const scores = this.getAll().map(s => s.flowScore);
+    if (scores.length === 0) return 0;
+
+    const weightOf = (index) => Math.max(0.5, 1 - (index / scores.length) * 0.5);
+    const weightedSum = scores.reduce((sum, score, index) => sum + score * weightOf(index), 0);
+    const totalWeight = scores.reduce((sum, score, index) => sum + weightOf(index), 0);
+
+    return Math.round(weightedSum / totalWeight);
+  },
+};
@@ -0,0 +1,106 @@
+import { mergeSegments, sessionRepository, normalizeSession } from '@/storage/sessionRepository';
+import { analytics } from '@/analytics';
+
+jest.mock('@/analytics', () => ({ analytics: { backfillTranscript: jest.fn(), recomputeAll: jest.fn() } }));
+
+describe('mergeSegments', () => {
+  it('puts late segments in time order after untimed text', () => {
+    const merged = mergeSegments(
+      [{ text: 'typed notes', startMs: null }, { text: 'second', startMs: 4000, endMs: 6000 }],
+      [{ text: 'first', startMs: 0, endMs: 2000, confidence: 0.9 }],
+    );
+    expect(merged.map(s => s.text)).toEqual(['typed notes', 'first', 'second']);
+    expect(merged[1]).toEqual({ text: 'first', startMs: 0, endMs: 2000, confidence: 0.9 });
+  });
+
+  it('adds a segment it already has only once', () => {
+    const merged = mergeSegments(
+      [{ text: 'Hello there', startMs: 0, endMs: 1500 }],
+      [{ text: ' hello there ', startMs: 0, endMs: 1500 }, { text: 'hello there', startMs: 9000, endMs: 10500 }],
+    );
+    expect(merged.map(s => [s.startMs, s.text])).toEqual([[0, 'Hello there'], [9000, 'hello there']]);
+  });
+
+  it('drops empty text and keeps words only when there are some', () => {
+    const words = [{ text: 'so', startMs: 0, endMs: 300 }];
+    const merged = mergeSegments([], [
+      { text: '   ', startMs: 0 },
+      { text: 'so', startMs: 0, endMs: 300, words },
+      { text: 'um', startMs: 500, endMs: 700, words: [] },
+    ]);
+    expect(merged).toEqual([
+      { text: 'so', startMs: 0, endMs: 300, confidence: null, words },
+      { text: 'um', startMs: 500, endMs: 700, confidence: null },
+    ]);
+  });
+});
+
+describe('sessionRepository.backfillTranscript', () => {
+  const saved = (fields) => localStorage.setItem('nopause_sessions', JSON.stringify([
+    normalizeSession({ sessionId: 's1', createdAt: '2024-05-01T10:00:00.000Z', flowScore: 60, ...fields }),
+  ]));
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  it('merges late segments into the timeline and takes the rescored metrics', async () => {
+    saved({
+      transcript: 'second',
+      timeline: { segments: [{ text: 'second', startMs: 4000, endMs: 6000 }], speakingRegions: [{ startMs: 0, endMs: 6000 }] },
+    });
+    analytics.backfillTranscript.mockResolvedValue({ flowScore: 72, scoringInputs: { hesitationCount: 1 } });
+
+    await expect(sessionRepository.backfillTranscript('s1', [{ text: 'first', startMs: 0, endMs: 2000 }])).resolves.toBe(true);
+
+    expect(analytics.backfillTranscript).toHaveBeenCalledWith('s1', expect.objectContaining({
+      transcript: 'first second',
+      speakingRegions: [{ startMs: 0, endMs: 6000 }],
+    }));
+    const session = sessionRepository.get('s1');
+    expect(session.transcript).toBe('first second');
+    expect(session.timeline.segments.map(s => s.text)).toEqual(['first', 'second']);
+    expect(session.flowScore).toBe(72);
+  });
+
+  it('has nothing to do when every segment is already there', async () => {
+    saved({ transcript: 'second', timeline: { segments: [{ text: 'second', startMs: 4000, endMs: 6000 }] } });
+
+    await expect(sessionRepository.backfillTranscript('s1', [{ text: 'second', startMs: 4000, endMs: 6000 }])).resolves.toBe(true);
+    expect(analytics.backfillTranscript).not.toHaveBeenCalled();
+  });
+
+  it('asks to keep the segments while the session or its metrics are missing', async () => {
+    await expect(sessionRepository.backfillTranscript('s1', [{ text: 'first', startMs: 0 }])).resolves.toBe(false);
+
+    saved({ transcript: '' });
+    analytics.backfillTranscript.mockResolvedValue(null);
+    await expect(sessionRepository.backfillTranscript('s1', [{ text: 'first', startMs: 0 }])).resolves.toBe(false);
+    expect(sessionRepository.get('s1').transcript).toBe('');
+  });
+});
+
+describe('sessionRepository.recomputeAll', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('takes the score of every session that has metrics, changed or not', async () => {
+    // The record's inputs predate fillers and pace; its metrics have both
+    const inputs = { hesitationCount: 2, hesitationSilenceMs: 3000, totalTimeMs: 120000, speakingTimeMs: 90000 };
+    localStorage.setItem('nopause_sessions', JSON.stringify([
+      normalizeSession({ sessionId: 'with-metrics', flowScore: 64, scoringVersion: 2, scoringPreset: 'ielts', scoringInputs: inputs }),
+      normalizeSession({ sessionId: 'record-only', flowScore: 0, scoringVersion: 1, scoringInputs: inputs }),
+    ]));
+    analytics.recomputeAll.mockResolvedValue({
+      changes: [],
+      scores: { 'with-metrics': { flowScore: 64, scoringPreset: 'ielts' } },
+    });
+
+    await sessionRepository.recomputeAll(2);
+
+    expect(sessionRepository.get('with-metrics')).toMatchObject({ flowScore: 64, scoringVersion: 2, scoringPreset: 'ielts' });
+    const recordOnly = sessionRepository.get('record-only');
+    expect(recordOnly.scoringVersion).toBe(2);
+    expect(recordOnly.flowScore).toBeGreaterThan(0);
+  });
+});
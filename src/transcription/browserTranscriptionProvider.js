@@ -1,5 +1,10 @@
 import { TranscriptionProvider } from '@/transcription/transcriptionProvider';
 
+// Web Speech has no timestamps. A result's first interim arrives roughly this
+// long after its speech began; word times are refined later against the
+// analyzer's speaking regions (alignWordsToSpeech in wordTimeline.js).
+const FIRST_RESULT_LAG_MS = 800;
+
 export class BrowserTranscriptionProvider extends TranscriptionProvider {
   constructor(callbacks = {}, options = {}) {
     super(callbacks);
@@ -8,6 +13,7 @@ export class BrowserTranscriptionProvider extends TranscriptionProvider {
     this.recognition = null;
     this.active = false;
     this.startTimeMs = null;
+    this.resultStartMs = new Map();   // result index → when it was first heard
   }
 
   _log(event, data = {}) {
@@ -20,7 +26,9 @@ export class BrowserTranscriptionProvider extends TranscriptionProvider {
     }
   }
 
-  async start({ language = 'en-US' } = {}) {
+  // offsetMs: time already transcribed in this session by another provider,
+  // so results continue the session clock rather than restarting it at zero
+  async start({ language = 'en-US', offsetMs = 0 } = {}) {
     const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
     if (!SpeechRecognition) {
       this._emitError('speech-recognition-unsupported', 'SpeechRecognition is not available', false);
@@ -35,7 +43,9 @@ export class BrowserTranscriptionProvider extends TranscriptionProvider {
 
       recognition.onstart = () => {
         this.active = true;
-        this.startTimeMs = Date.now();
+        // Restarts keep the session clock; result indexes start over
+        if (this.startTimeMs == null) this.startTimeMs = Date.now() - offsetMs;
+        this.resultStartMs.clear();
         this._log('onstart');
         if (this.callbacks.onStart) this.callbacks.onStart();
       };
@@ -46,15 +56,20 @@ export class BrowserTranscriptionProvider extends TranscriptionProvider {
           const text = result[0]?.transcript || '';
           const isFinal = !!result.isFinal;
           const elapsedMs = this.startTimeMs ? Date.now() - this.startTimeMs : null;
+          if (elapsedMs != null && !this.resultStartMs.has(i)) this.resultStartMs.set(i, elapsedMs);
+          const heardAtMs = this.resultStartMs.get(i);
+          // Chrome reports 0 when it has no estimate (interim results)
+          const confidence = result[0]?.confidence > 0 ? result[0].confidence : null;
 
           if (this.callbacks.onSegment) {
             this.callbacks.onSegment({
               id: `browser-${i}-${Date.now()}-${isFinal ? 'f' : 'p'}`,
               text,
-              startMs: elapsedMs == null ? null : Math.max(0, elapsedMs - 1200),
+              startMs: heardAtMs == null ? null : Math.max(0, heardAtMs - FIRST_RESULT_LAG_MS),
               endMs: elapsedMs,
               isFinal,
               source: 'browser',
+              confidence,
             });
           }
         }
@@ -88,6 +103,7 @@ export class BrowserTranscriptionProvider extends TranscriptionProvider {
     const recognition = this.recognition;
     this.recognition = null;
     this.active = false;
+    this.startTimeMs = null;
 
     recognition.onstart = null;
     recognition.onresult = null;
@@ -0,0 +1,108 @@
+import { FILLER_LEXICONS, DEFAULT_FILLER_LANGUAGE } from '@/data/fillerLexicons';
+
+const WORD_PATTERN = /[\p{L}\p{M}']+/gu;
+
+export function getFillerLexicon(language = DEFAULT_FILLER_LANGUAGE) {
+  const base = (language || DEFAULT_FILLER_LANGUAGE).toLowerCase().split(/[-_]/)[0];
+  return FILLER_LEXICONS[base] || FILLER_LEXICONS[DEFAULT_FILLER_LANGUAGE];
+}
+
+function tokenize(text) {
+  return Array.from((text || '').matchAll(WORD_PATTERN), (match) => ({
+    word: match[0].toLowerCase().replace(/’/g, '\''),
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+}
+
+// Longest phrases first so "uh huh" wins over "uh"
+function compileLexicon(lexicon) {
+  return lexicon
+    .map((entry) => ({ ...entry, tokens: entry.phrase.split(' ') }))
+    .sort((a, b) => b.tokens.length - a.tokens.length);
+}
+
+/**
+ * Locate fillers in a piece of text.
+ * @param {string} text
+ * @param {{ language?: string, lexicon?: Array<{ phrase: string, type: string, notAfter?: string[] }> }} [options]
+ * @returns {Array<{ phrase: string, type: string, start: number, end: number, tokenIndex: number, tokenCount: number }>}
+ *   start/end are character offsets into `text`; tokenIndex/tokenCount locate the filler among its words.
+ */
+export function findFillerSpans(text, options = {}) {
+  const entries = compileLexicon(options.lexicon || getFillerLexicon(options.language));
+  const tokens = tokenize(text);
+  const spans = [];
+
+  let i = 0;
+  while (i < tokens.length) {
+    const previous = i > 0 ? tokens[i - 1].word : null;
+    const match = entries.find((entry) => (
+      entry.tokens.every((token, offset) => tokens[i + offset]?.word === token)
+      && !(previous && entry.notAfter?.includes(previous))
+    ));
+
+    if (match) {
+      const last = tokens[i + match.tokens.length - 1];
+      spans.push({
+        phrase: match.phrase,
+        type: match.type,
+        start: tokens[i].start,
+        end: last.end,
+        tokenIndex: i,
+        tokenCount: tokens.length,
+      });
+      i += match.tokens.length;
+    } else {
+      i += 1;
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * Count fillers across final transcript segments.
+ * Segment timing is coarse, so each filler's time is interpolated from its
+ * word position within the segment; null when the segment has no timing.
+ * @param {import('./transcriptionProvider').TranscriptSegment[]} segments
+ * @param {{ language?: string, lexicon?: Array<{ phrase: string, type: string, notAfter?: string[] }> }} [options]
+ */
+export function detectFillers(segments, options = {}) {
+  const fillers = [];
+  const byPhrase = {};
+
+  (segments || []).forEach((segment) => {
+    const hasTiming = Number.isFinite(segment.startMs) && Number.isFinite(segment.endMs);
+    findFillerSpans(segment.text, options).forEach((span) => {
+      const atMs = hasTiming
+        ? Math.round(segment.startMs + (segment.endMs - segment.startMs) * ((span.tokenIndex + 0.5) / span.tokenCount))
+        : null;
+      fillers.push({ phrase: span.phrase, type: span.type, atMs });
+      byPhrase[span.phrase] = (byPhrase[span.phrase] || 0) + 1;
+    });
+  });
+
+  return {
+    fillerCount: fillers.length,
+    vocalFillerCount: fillers.filter((f) => f.type === 'vocal').length,
+    fillers,
+    byPhrase,
+  };
+}
+
+/**
+ * Split text into plain and filler parts for highlighting.
+ * @returns {Array<{ text: string, isFiller: boolean }>}
+ */
+export function splitFillerText(text, options = {}) {
+  const parts = [];
+  let cursor = 0;
+  findFillerSpans(text, options).forEach((span) => {
+    if (span.start > cursor) parts.push({ text: text.slice(cursor, span.start), isFiller: false });
+    parts.push({ text: text.slice(span.start, span.end), isFiller: true });
+    cursor = span.end;
+  });
+  if (cursor < (text || '').length) parts.push({ text: text.slice(cursor), isFiller: false });
+  return parts;
+}
@@ -0,0 +1,95 @@
+import { PHRASE_LEXICONS, DEFAULT_PHRASE_LANGUAGE } from '@/data/phraseLexicons';
+import { getFillerLexicon } from '@/transcription/fillerWords';
+import { alignWordsToSpeech, buildWordTimeline, wordsAroundPause } from '@/transcription/wordTimeline';
+
+// Where you got stuck: every hesitation joined to the words either side of it,
+// and the kind of phrase it interrupted. Pure — runs on the final transcript
+// once the session is over (metricsEngine) or on a saved timeline.
+
+export const PHRASE_TYPES = {
+  sentence_start: {
+    label: 'Starting a sentence',
+    description: 'Between sentences, before the next one got going',
+  },
+  connector: {
+    label: 'After a connector',
+    description: '"and", "because", "so"… — planning the next clause',
+  },
+  before_noun: {
+    label: 'Before a noun',
+    description: '"the", "my", "of"… — searching for the word that comes next',
+  },
+  after_filler: {
+    label: 'After a filler',
+    description: '"um", "uh" — the filler didn\'t buy enough time',
+  },
+  mid_phrase: {
+    label: 'Mid-phrase',
+    description: 'Anywhere else inside a phrase',
+  },
+};
+
+export const PHRASE_TYPE_ORDER = ['sentence_start', 'connector', 'before_noun', 'after_filler', 'mid_phrase'];
+
+// Words of context kept on either side of a pause
+const CONTEXT_WORDS = 4;
+
+const bareWord = (word) => word.toLowerCase().replace(/’/g, '\'').replace(/[^\p{L}\p{M}']/gu, '');
+const endsSentence = (word) => /[.!?]$/.test(word);
+
+function getPhraseLexicon(language = DEFAULT_PHRASE_LANGUAGE) {
+  const base = (language || DEFAULT_PHRASE_LANGUAGE).toLowerCase().split(/[-_]/)[0];
+  const lexicon = PHRASE_LEXICONS[base] || PHRASE_LEXICONS[DEFAULT_PHRASE_LANGUAGE];
+  return {
+    connectors: new Set(lexicon.connectors),
+    nounMarkers: new Set(lexicon.nounMarkers),
+    vocalFillers: new Set(getFillerLexicon(language).filter(entry => entry.type === 'vocal').map(entry => entry.phrase)),
+  };
+}
+
+function classify(before, after, lexicon) {
+  if (!before || endsSentence(before.text)) return 'sentence_start';
+  const word = bareWord(before.text);
+  if (lexicon.vocalFillers.has(word)) return 'after_filler';
+  if (lexicon.connectors.has(word)) return 'connector';
+  if (lexicon.nounMarkers.has(word)) return 'before_noun';
+  // Browser STT ends a segment at a long pause — one that doesn't leave the
+  // phrase hanging on a connector or marker is a sentence end
+  if (after && after.segmentIndex !== before.segmentIndex) return 'sentence_start';
+  return 'mid_phrase';
+}
+
+/**
+ * Join hesitations to the transcript.
+ * @param {Array} segments transcript segments; those without words are placed on `speakingRegions` first
+ * @param {Array<{ startOffset: number, duration: number }>} hesitations
+ * @param {{ speakingRegions?: Array<{ startMs: number, endMs: number }>, language?: string }} [options]
+ * @returns {Array<{ startOffset: number, duration: number, before: string, after: string, wordBefore: string|null, phraseType: string }>}
+ *   before/after: up to CONTEXT_WORDS words either side. Empty when there's no timed transcript.
+ */
+export function alignHesitations(segments = [], hesitations = [], { speakingRegions = [], language } = {}) {
+  const words = buildWordTimeline(alignWordsToSpeech(segments, speakingRegions));
+  if (words.length === 0) return [];
+  const lexicon = getPhraseLexicon(language);
+
+  return hesitations.map((pause) => {
+    const { before, after } = wordsAroundPause(words, pause);
+    const beforeEnd = before ? words.indexOf(before) + 1 : 0;
+    const afterStart = after ? words.indexOf(after) : words.length;
+    return {
+      startOffset: pause.startOffset,
+      duration: pause.duration,
+      before: words.slice(Math.max(0, beforeEnd - CONTEXT_WORDS), beforeEnd).map(w => w.text).join(' '),
+      after: words.slice(afterStart, afterStart + CONTEXT_WORDS).map(w => w.text).join(' '),
+      wordBefore: before ? bareWord(before.text) : null,
+      phraseType: classify(before, after, lexicon),
+    };
+  });
+}
+
+// { sentence_start: n, connector: n, … } — every type present, zeros included
+export function countPhraseTypes(stuckPoints = []) {
+  const counts = Object.fromEntries(PHRASE_TYPE_ORDER.map(type => [type, 0]));
+  stuckPoints.forEach((point) => { counts[point.phraseType] += 1; });
+  return counts;
+}
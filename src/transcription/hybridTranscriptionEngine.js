@@ -1,9 +1,23 @@
 import { BrowserTranscriptionProvider } from '@/transcription/browserTranscriptionProvider';
 import { ServerTranscriptionProvider } from '@/transcription/serverTranscriptionProvider';
+import { StreamingTranscriptionProvider } from '@/transcription/streamingTranscriptionProvider';
 import { createTranscriptAccumulator } from '@/transcription/transcriptAccumulator';
+import {
+  PROVIDER_HEALTH_DEFAULTS, getProviderScores, rankProviders, recordProviderOutcome,
+} from '@/transcription/providerHealth';
 
 const DEFAULT_UNSUPPORTED_BROWSERS = ['Samsung Internet', 'Firefox'];
 
+// server.mode: 'chunked' uploads a chunk every few seconds; 'streaming' keeps a
+// WebSocket open for interim results; 'auto' streams when it can and drops
+// back to chunked when the stream won't open or breaks mid-session.
+export const SERVER_MODES = ['auto', 'streaming', 'chunked'];
+
+// Falling back for these doesn't rule the browser out for the rest of the
+// session — it's tried again after browserRecoveryDelayMs, or as soon as the
+// device comes back online. A permission denial is final.
+const RECOVERABLE_FALLBACKS = ['browser_errors_exceeded', 'browser_restarts_exceeded'];
+
 export function createHybridTranscriptionEngine(config = {}) {
   const {
     runtimeInfo,
@@ -11,26 +25,42 @@ export function createHybridTranscriptionEngine(config = {}) {
     onTranscriptChange,
     onStateChange,
     onError,
-    language = 'en-US',
+    language: defaultLanguage = 'en-US',
     maxBrowserErrors = 3,
     maxBrowserRestarts = 4,
     browserRestartDelayMs = 700,
+    browserRecoveryDelayMs = 30000,
+    maxBrowserRecoveries = 2,
     unsupportedBrowsers = DEFAULT_UNSUPPORTED_BROWSERS,
     server = {},
   } = config;
 
+  const serverMode = SERVER_MODES.includes(server.mode) ? server.mode : 'auto';
   const accumulator = createTranscriptAccumulator();
   let providerType = 'idle';
+  let serverTransport = null;
+  let serverSessionId = null;
+  let serverStartedAtMs = null;
   let provider = null;
+  let language = defaultLanguage;
   let browserErrorCount = 0;
   let browserRestartCount = 0;
   let browserRestartTimer = null;
   let stoppedManually = false;
+  let sessionStartedAtMs = null;
+  let sessionStream = null;
+  let browserBlocked = false;
+  let browserRecoveries = 0;
+  let browserRecoveryTimer = null;
+  let recoveryOnlineListener = null;
+  // The current provider's run, recorded to providerHealth when it ends
+  let run = null;
 
   const emitState = () => {
     if (!onStateChange) return;
     onStateChange({
       providerType,
+      serverTransport,
       browserErrorCount,
       browserRestartCount,
     });
@@ -47,7 +77,42 @@ export function createHybridTranscriptionEngine(config = {}) {
     });
   };
 
+  const sessionOffsetMs = () => (sessionStartedAtMs ? Date.now() - sessionStartedAtMs : 0);
+
+  // streaming → chunked within one server run is the same provider, so a
+  // run of the type already open carries on
+  const beginRun = (type) => {
+    if (run?.type === type) return;
+    endRun();
+    run = {
+      type, transport: null, startedAtMs: Date.now(), launched: false, started: false, restarts: 0, errors: 0, segments: 0, latencyMs: null,
+    };
+  };
+
+  function endRun() {
+    if (!run) return;
+    const ended = run;
+    run = null;
+    // Stopped before it said it was listening — says nothing about the provider
+    if (ended.launched && !ended.started && stoppedManually) return;
+    const ranMs = Date.now() - ended.startedAtMs;
+    const outcome = {
+      started: ended.started,
+      restarts: ended.restarts,
+      errors: ended.errors,
+      empty: ended.started && ended.segments === 0 && ranMs >= PROVIDER_HEALTH_DEFAULTS.emptyAfterMs,
+      latencyMs: ended.latencyMs,
+    };
+    if (ended.transport) outcome.transport = ended.transport;
+    recordProviderOutcome(ended.type, outcome);
+    if (log) log('provider_outcome', { provider: ended.type, ...outcome });
+  }
+
   const addSegment = (segment) => {
+    if (run && segment?.text) {
+      run.segments += 1;
+      if (run.latencyMs == null) run.latencyMs = Date.now() - run.startedAtMs;
+    }
     if (accumulator.addSegment(segment)) {
       emitTranscript();
     }
@@ -60,12 +125,24 @@ export function createHybridTranscriptionEngine(config = {}) {
     }
   };
 
+  const clearBrowserRecovery = () => {
+    if (browserRecoveryTimer) {
+      clearTimeout(browserRecoveryTimer);
+      browserRecoveryTimer = null;
+    }
+    if (recoveryOnlineListener) {
+      window.removeEventListener('online', recoveryOnlineListener);
+      recoveryOnlineListener = null;
+    }
+  };
+
   const closeProvider = async () => {
     clearBrowserRestartTimer();
     if (!provider) return;
     await provider.stop();
     provider = null;
     providerType = 'idle';
+    serverTransport = null;
     emitState();
   };
 
@@ -74,6 +151,7 @@ export function createHybridTranscriptionEngine(config = {}) {
       if (log) log(event, data);
     },
     onStart: () => {
+      if (run) run.started = true;
       if (providerType === 'browser') {
         browserErrorCount = 0;
       }
@@ -83,12 +161,24 @@ export function createHybridTranscriptionEngine(config = {}) {
     onError: async (error) => {
       if (log) log('provider_error', { providerType, ...error });
       if (onError) onError(error);
+      if (run) run.errors += 1;
 
+      if (providerType === 'server') {
+        // A broken stream isn't retried — carry on with chunked uploads
+        if (serverTransport === 'streaming' && serverMode === 'auto' && error?.code === 'stream-closed' && !stoppedManually) {
+          if (log) log('server_transport_fallback', { reason: 'stream_closed' });
+          const offsetMs = serverStartedAtMs ? Date.now() - serverStartedAtMs : 0;
+          await closeProvider();
+          await startServer({ stream: sessionStream, transport: 'chunked', offsetMs });
+        }
+        return;
+      }
       if (providerType !== 'browser') return;
 
       const code = error?.code || 'unknown';
       const browserPermissionDenied = code === 'not-allowed' || code === 'service-not-allowed';
       if (browserPermissionDenied) {
+        browserBlocked = true;
         await switchToServer('browser_permission_denied');
         return;
       }
@@ -106,6 +196,7 @@ export function createHybridTranscriptionEngine(config = {}) {
         return;
       }
       browserRestartCount += 1;
+      if (run) run.restarts += 1;
       emitState();
       clearBrowserRestartTimer();
       browserRestartTimer = setTimeout(() => {
@@ -116,54 +207,146 @@ export function createHybridTranscriptionEngine(config = {}) {
     },
   });
 
-  const shouldUseBrowserFirst = () => {
-    if (!runtimeInfo?.hasSpeechRecognition) return false;
-    if (!runtimeInfo?.isSecure) return false;
-    const browserName = runtimeInfo?.browser?.name || 'Unknown';
-    if (unsupportedBrowsers.includes(browserName)) return false;
-    return true;
-  };
+  const canUseBrowser = () => !!runtimeInfo?.hasSpeechRecognition && !!runtimeInfo?.isSecure && !browserBlocked;
+
+  // Browsers on the list aren't ruled out, they start from a low health score
+  const isUnsupportedBrowser = () => unsupportedBrowsers.includes(runtimeInfo?.browser?.name || 'Unknown');
 
-  const startBrowser = async () => {
+  const getScores = () => getProviderScores({ unsupportedBrowser: isUnsupportedBrowser() });
+
+  const startBrowser = async ({ offsetMs = 0 } = {}) => {
     providerType = 'browser';
+    beginRun('browser');
     provider = new BrowserTranscriptionProvider(createCallbacks());
     emitState();
-    return provider.start({ language });
+    const started = await provider.start({ language, offsetMs });
+    if (started && run) run.launched = true;
+    return started;
+  };
+
+  const resolveServerTransport = () => {
+    if (serverMode !== 'auto') return serverMode;
+    return typeof WebSocket !== 'undefined' ? 'streaming' : 'chunked';
   };
 
-  const startServer = async ({ stream = null, sessionId = null } = {}) => {
+  const startServer = async ({ stream = null, sessionId = null, transport = resolveServerTransport(), offsetMs = 0 } = {}) => {
     providerType = 'server';
-    provider = new ServerTranscriptionProvider(createCallbacks(), server);
+    beginRun('server');
+    run.transport = transport;
+    serverTransport = transport;
+    serverSessionId = sessionId || serverSessionId || `session-${Date.now()}`;
+    provider = transport === 'streaming'
+      ? new StreamingTranscriptionProvider(createCallbacks(), server)
+      : new ServerTranscriptionProvider(createCallbacks(), server);
     emitState();
-    return provider.start({ stream, language, sessionId: sessionId || `session-${Date.now()}` });
+
+    const started = await provider.start({ stream, language, sessionId: serverSessionId, offsetMs });
+    if (started) {
+      serverStartedAtMs = Date.now() - offsetMs;
+      if (run) run.launched = true;
+    }
+    if (started || transport !== 'streaming' || serverMode !== 'auto') return started;
+
+    if (log) log('server_transport_fallback', { reason: 'stream_unavailable' });
+    await closeProvider();
+    return startServer({ stream, sessionId: serverSessionId, transport: 'chunked', offsetMs });
   };
 
-  async function switchToServer(reason, { stream = null, sessionId = null } = {}) {
+  const scheduleBrowserRecovery = () => {
+    clearBrowserRecovery();
+    if (browserRecoveries >= maxBrowserRecoveries || !canUseBrowser()) return;
+    const delayMs = browserRecoveryDelayMs * (2 ** browserRecoveries);
+    if (log) log('browser_recovery_scheduled', { delayMs, attempt: browserRecoveries + 1 });
+
+    const attempt = (trigger) => {
+      clearBrowserRecovery();
+      switchToBrowser(trigger);
+    };
+    browserRecoveryTimer = setTimeout(() => {
+      browserRecoveryTimer = null;
+      // Web Speech needs the network in most browsers — wait for it
+      if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+      attempt('recovery_timer');
+    }, delayMs);
+    if (typeof window !== 'undefined') {
+      recoveryOnlineListener = () => attempt('back_online');
+      window.addEventListener('online', recoveryOnlineListener);
+    }
+  };
+
+  async function switchToServer(reason, { stream = sessionStream, sessionId = null } = {}) {
     if (providerType === 'server') return true;
     if (log) log('fallback_switch', { reason });
     await closeProvider();
-    return startServer({ stream, sessionId });
+    endRun();
+    const started = await startServer({ stream, sessionId, offsetMs: sessionOffsetMs() });
+    if (started && RECOVERABLE_FALLBACKS.includes(reason)) scheduleBrowserRecovery();
+    return started;
   }
 
+  // Moves a session that fell back to the server back onto browser STT. If
+  // the browser won't start the session stays on (or returns to) the server.
+  async function switchToBrowser(reason = 'requested') {
+    if (providerType === 'browser') return true;
+    if (providerType !== 'server' || stoppedManually || !canUseBrowser()) return false;
+    clearBrowserRecovery();
+    browserRecoveries += 1;
+    if (log) log('recovery_switch', { reason, attempt: browserRecoveries });
+    await closeProvider();
+    endRun();
+    if (stoppedManually) return false;
+
+    browserErrorCount = 0;
+    browserRestartCount = 0;
+    if (await startBrowser({ offsetMs: sessionOffsetMs() })) return true;
+
+    if (log) log('fallback_switch', { reason: 'browser_recovery_failed' });
+    await closeProvider();
+    endRun();
+    await startServer({ stream: sessionStream, offsetMs: sessionOffsetMs() });
+    return false;
+  }
+
+  // language: this session's practice language, when it differs from the
+  // engine's — recognition restarts and server fallback keep it
   async function start(options = {}) {
-    const { preferBrowser = true, allowServerFallback = true, stream = null, sessionId = null } = options;
+    const {
+      preferBrowser = true, allowServerFallback = true, stream = null, sessionId = null, language: sessionLanguage = defaultLanguage,
+    } = options;
     stoppedManually = false;
+    serverSessionId = sessionId;
+    language = sessionLanguage;
+    sessionStartedAtMs = Date.now();
+    sessionStream = stream;
+    browserBlocked = false;
+    browserRecoveries = 0;
+    clearBrowserRecovery();
 
-    if (preferBrowser && shouldUseBrowserFirst()) {
-      const browserStarted = await startBrowser();
-      if (browserStarted) return true;
+    // Best-scoring provider on this device first, the other if it won't start
+    const scores = getScores();
+    const order = rankProviders({
+      browserUsable: preferBrowser && canUseBrowser(),
+      serverAllowed: allowServerFallback,
+      preferBrowser,
+      scores,
+    });
+    if (log) log('provider_selected', { order, scores });
+
+    for (const type of order) {
+      const started = type === 'browser' ? await startBrowser() : await startServer({ stream, sessionId });
+      if (started) return true;
       await closeProvider();
-      if (!allowServerFallback) return false;
-      return startServer({ stream, sessionId });
+      endRun();
     }
-
-    if (!allowServerFallback) return false;
-    return startServer({ stream, sessionId });
+    return false;
   }
 
   async function stop() {
     stoppedManually = true;
+    clearBrowserRecovery();
     await closeProvider();
+    endRun();
+    sessionStream = null;
   }
 
   function resetTranscript() {
@@ -177,11 +360,13 @@ export function createHybridTranscriptionEngine(config = {}) {
   function getSnapshot() {
     return {
       providerType,
+      serverTransport,
       transcript: accumulator.getDisplayText(),
       finalTranscript: accumulator.getFinalText(),
       segments: accumulator.getSegments(),
       browserErrorCount,
       browserRestartCount,
+      providerScores: getScores(),
     };
   }
 
@@ -189,6 +374,7 @@ export function createHybridTranscriptionEngine(config = {}) {
     start,
     stop,
     switchToServer,
+    switchToBrowser,
     resetTranscript,
     getSnapshot,
     isActive: () => provider?.isActive?.() || false,
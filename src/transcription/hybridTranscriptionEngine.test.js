@@ -0,0 +1,60 @@
+import { createHybridTranscriptionEngine } from '@/transcription/hybridTranscriptionEngine';
+import { recordProviderOutcome } from '@/transcription/providerHealth';
+import { BrowserTranscriptionProvider } from '@/transcription/browserTranscriptionProvider';
+import { ServerTranscriptionProvider } from '@/transcription/serverTranscriptionProvider';
+
+jest.mock('@/transcription/browserTranscriptionProvider', () => ({ BrowserTranscriptionProvider: jest.fn() }));
+jest.mock('@/transcription/serverTranscriptionProvider', () => ({ ServerTranscriptionProvider: jest.fn() }));
+jest.mock('@/transcription/streamingTranscriptionProvider', () => ({ StreamingTranscriptionProvider: jest.fn() }));
+
+const startingProvider = () => ({ start: jest.fn(async () => true), stop: jest.fn(async () => {}) });
+
+function engineWith(runtimeInfo = { isSecure: true, hasSpeechRecognition: true, browser: { name: 'Chrome' } }) {
+  const log = jest.fn();
+  const engine = createHybridTranscriptionEngine({ runtimeInfo, log, server: { mode: 'chunked' } });
+  const selected = () => log.mock.calls.find(([event]) => event === 'provider_selected')[1];
+  return { engine, selected };
+}
+
+describe('hybrid engine provider selection', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    BrowserTranscriptionProvider.mockImplementation(startingProvider);
+    ServerTranscriptionProvider.mockImplementation(startingProvider);
+  });
+
+  it('starts on the browser while it works', async () => {
+    const { engine, selected } = engineWith();
+    await expect(engine.start({ sessionId: 's1' })).resolves.toBe(true);
+
+    expect(selected().order).toEqual(['browser', 'server']);
+    expect(engine.getSnapshot().providerType).toBe('browser');
+  });
+
+  it('starts on the server once the browser keeps failing on this device', async () => {
+    for (let i = 0; i < 5; i += 1) recordProviderOutcome('browser', { started: false, restarts: 0, errors: 3 });
+    const { engine, selected } = engineWith();
+    await engine.start({ sessionId: 's1' });
+
+    expect(selected().order).toEqual(['server', 'browser']);
+    expect(selected().scores.browser).toBeLessThan(selected().scores.server);
+    expect(engine.getSnapshot().providerType).toBe('server');
+    expect(BrowserTranscriptionProvider).not.toHaveBeenCalled();
+  });
+
+  it('starts on the server where there is no browser speech recognition', async () => {
+    const { engine, selected } = engineWith({ isSecure: true, hasSpeechRecognition: false, browser: { name: 'Firefox' } });
+    await engine.start({ sessionId: 's1' });
+
+    expect(selected().order).toEqual(['server']);
+    expect(engine.getSnapshot().providerType).toBe('server');
+  });
+
+  it('never picks the server when fallback is off', async () => {
+    for (let i = 0; i < 5; i += 1) recordProviderOutcome('browser', { started: false, restarts: 0, errors: 3 });
+    const { engine, selected } = engineWith();
+    await engine.start({ sessionId: 's1', allowServerFallback: false });
+
+    expect(selected().order).toEqual(['browser']);
+  });
+});
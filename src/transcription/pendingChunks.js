@@ -0,0 +1,200 @@
+import { analytics } from '@/analytics';
+import { sessionRepository } from '@/storage/sessionRepository';
+import { normalizeServerWords } from '@/transcription/wordTimeline';
+
+// Durable side of the chunked server fallback. Every chunk is stored in
+// IndexedDB before it is uploaded and removed once its segments have reached
+// the session. Chunks that couldn't be uploaded during the session (offline,
+// server down, page reloaded) are resumed by resumePendingChunks() — on app
+// open, when the browser comes back online and after a session is saved —
+// and their segments backfilled into the saved session's transcript and
+// metrics.
+
+const DEFAULT_ENDPOINT = '/api/transcription/chunk';
+// A session still unsaved after this long never will be (tab closed
+// mid-recording, storage full) — its chunks are dropped, not uploaded
+const ORPHANED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Sessions a provider is still recording — their chunks are its to upload
+const liveSessions = new Set();
+
+export function setSessionLive(sessionId, live) {
+  if (live) liveSessions.add(sessionId);
+  else liveSessions.delete(sessionId);
+}
+
+export const chunkId = (chunk) => `${chunk.sessionId}:${chunk.startMs}`;
+
+function normalizeSegments(payload, sequence) {
+  const segments = Array.isArray(payload?.segments) ? payload.segments : [];
+  return segments.map((seg, index) => ({
+    id: seg.id || `server-${sequence}-${index}`,
+    text: seg.text || '',
+    startMs: Number.isFinite(seg.start_ms) ? seg.start_ms : null,
+    endMs: Number.isFinite(seg.end_ms) ? seg.end_ms : null,
+    isFinal: seg.is_final !== false,
+    source: 'server',
+    confidence: Number.isFinite(seg.confidence) ? seg.confidence : null,
+    words: normalizeServerWords(seg.words),
+  }));
+}
+
+// One upload attempt → { segments, provider, latencyMs }. Throws an Error
+// carrying the contract's `code` and `retryable` when the server refuses it.
+export async function uploadChunk(chunk, { endpoint = DEFAULT_ENDPOINT, providerHint = 'auto', fetchImpl = fetch } = {}) {
+  const formData = new FormData();
+  formData.append('audio', chunk.blob, `chunk-${chunk.sequence}.webm`);
+  formData.append('sequence', String(chunk.sequence));
+  formData.append('start_ms', String(chunk.startMs));
+  formData.append('end_ms', String(chunk.endMs));
+  formData.append('provider_hint', providerHint);
+  formData.append('session_id', chunk.sessionId);
+  formData.append('language', chunk.language || 'en-US');
+
+  const response = await fetchImpl(endpoint, {
+    method: 'POST',
+    body: formData,
+    headers: {
+      'x-transcription-provider': providerHint,
+    },
+  });
+
+  if (!response.ok) {
+    // Contract error body: { error: { code, message, retryable } }
+    const body = await response.json().catch(() => null);
+    const error = new Error(body?.error?.message || `HTTP ${response.status}`);
+    error.code = body?.error?.code || `http-${response.status}`;
+    error.retryable = body?.error?.retryable !== false;
+    throw error;
+  }
+
+  const data = await response.json();
+  return {
+    segments: normalizeSegments(data, chunk.sequence),
+    provider: data?.provider,
+    latencyMs: data?.latency_ms,
+  };
+}
+
+// Storage failures never stop transcription — the chunk just isn't durable
+export async function persistChunk(chunk, { endpoint = DEFAULT_ENDPOINT, providerHint = 'auto' } = {}) {
+  try {
+    await analytics.queueTranscriptionChunk({
+      id: chunkId(chunk),
+      sessionId: chunk.sessionId,
+      sequence: chunk.sequence,
+      startMs: chunk.startMs,
+      endMs: chunk.endMs,
+      language: chunk.language || 'en-US',
+      endpoint,
+      providerHint,
+      blob: chunk.blob,
+    });
+    return true;
+  } catch (error) {
+    console.warn('Could not queue transcription chunk:', error);
+    return false;
+  }
+}
+
+// Kept until resumePendingChunks() has merged it into the saved session —
+// segments that arrive after the session was saved aren't lost that way
+export async function markChunkTranscribed(chunk, segments) {
+  try {
+    await analytics.updateQueuedTranscriptionChunk(chunkId(chunk), { status: 'transcribed', segments, blob: null });
+  } catch (error) {
+    console.warn('Could not update transcription chunk:', error);
+  }
+}
+
+export async function forgetChunk(chunk) {
+  try {
+    await analytics.removeQueuedTranscriptionChunk(chunkId(chunk));
+  } catch (error) {
+    console.warn('Could not remove transcription chunk:', error);
+  }
+}
+
+// Upload what's pending, then merge every transcribed chunk into its saved
+// session. Stops uploading at the first retryable failure — the network is
+// probably still down — and drops chunks the server refuses outright or
+// whose session was never saved.
+async function drain({ fetchImpl = (...args) => fetch(...args) } = {}) {
+  const summary = { uploaded: 0, dropped: 0, sessionsBackfilled: 0, remaining: 0 };
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return summary;
+
+  const orphanedBefore = new Date(Date.now() - ORPHANED_AFTER_MS).toISOString();
+  const queued = [];
+  for (const chunk of await analytics.getQueuedTranscriptionChunks()) {
+    if (liveSessions.has(chunk.sessionId)) continue;
+    if (chunk.createdAt < orphanedBefore && !sessionRepository.get(chunk.sessionId)) {
+      await analytics.removeQueuedTranscriptionChunk(chunk.id);
+      summary.dropped += 1;
+      continue;
+    }
+    queued.push(chunk);
+  }
+
+  for (const chunk of queued.filter(c => c.status === 'pending')) {
+    try {
+      const { segments } = await uploadChunk(chunk, { endpoint: chunk.endpoint, providerHint: chunk.providerHint, fetchImpl });
+      await markChunkTranscribed(chunk, segments);
+      chunk.status = 'transcribed';
+      chunk.segments = segments;
+      summary.uploaded += 1;
+    } catch (error) {
+      if (error.retryable === false) {
+        await analytics.removeQueuedTranscriptionChunk(chunk.id);
+        chunk.status = 'dropped';
+        summary.dropped += 1;
+        continue;
+      }
+      await analytics.updateQueuedTranscriptionChunk(chunk.id, {
+        attempts: (chunk.attempts || 0) + 1,
+        lastError: error.code || String(error),
+      });
+      break;
+    }
+  }
+
+  // A session that isn't saved yet keeps its transcribed chunks for next time
+  const bySession = new Map();
+  queued.filter(c => c.status === 'transcribed').forEach((chunk) => {
+    if (!bySession.has(chunk.sessionId)) bySession.set(chunk.sessionId, []);
+    bySession.get(chunk.sessionId).push(chunk);
+  });
+  for (const [sessionId, chunks] of bySession) {
+    const segments = chunks.flatMap(c => c.segments || []).filter(seg => seg.isFinal);
+    if (!(await sessionRepository.backfillTranscript(sessionId, segments))) continue;
+    await Promise.all(chunks.map(c => analytics.removeQueuedTranscriptionChunk(c.id)));
+    summary.sessionsBackfilled += 1;
+  }
+
+  summary.remaining = queued.filter(c => c.status === 'pending').length;
+  return summary;
+}
+
+let resuming = null;
+let runAgain = false;
+
+// Safe to call often. A call made while a pass is running gets one more pass
+// afterwards — the session it was waiting for may have been saved meanwhile.
+export function resumePendingChunks(options) {
+  if (resuming) {
+    runAgain = true;
+    return resuming;
+  }
+  resuming = drain(options)
+    .catch((error) => {
+      console.warn('Resuming transcription chunks failed:', error);
+      return null;
+    })
+    .finally(() => {
+      resuming = null;
+      if (runAgain) {
+        runAgain = false;
+        resumePendingChunks(options);
+      }
+    });
+  return resuming;
+}
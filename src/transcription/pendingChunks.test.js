@@ -0,0 +1,142 @@
+import { resumePendingChunks, setSessionLive } from '@/transcription/pendingChunks';
+import { analytics } from '@/analytics';
+import { sessionRepository } from '@/storage/sessionRepository';
+
+jest.mock('@/analytics', () => ({
+  analytics: {
+    getQueuedTranscriptionChunks: jest.fn(),
+    updateQueuedTranscriptionChunk: jest.fn(),
+    removeQueuedTranscriptionChunk: jest.fn(),
+  },
+}));
+jest.mock('@/storage/sessionRepository', () => ({ sessionRepository: { backfillTranscript: jest.fn(), get: jest.fn() } }));
+
+const pending = (sessionId, startMs, fields = {}) => ({
+  id: `${sessionId}:${startMs}`,
+  sessionId,
+  sequence: startMs / 5000,
+  startMs,
+  endMs: startMs + 5000,
+  status: 'pending',
+  endpoint: '/api/transcription/chunk',
+  providerHint: 'auto',
+  blob: new Blob(['audio']),
+  createdAt: new Date().toISOString(),
+  ...fields,
+});
+
+const response = (body, status = 200) => ({ ok: status < 400, status, json: async () => body });
+const transcribed = (text, startMs) => response({
+  provider: 'fake',
+  segments: [{ text, start_ms: startMs, end_ms: startMs + 2000, is_final: true }],
+});
+const failure = (status, code, retryable) => response({ error: { code, message: code, retryable } }, status);
+
+describe('resumePendingChunks', () => {
+  let queue;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queue = [];
+    analytics.getQueuedTranscriptionChunks.mockImplementation(async () => queue.map(c => ({ ...c })));
+    sessionRepository.backfillTranscript.mockResolvedValue(true);
+    sessionRepository.get.mockImplementation(sessionId => ({ sessionId }));
+  });
+
+  it('uploads pending chunks and backfills each session once', async () => {
+    queue = [pending('s1', 0), pending('s1', 5000), pending('s2', 0)];
+    const fetchImpl = jest.fn()
+      .mockResolvedValueOnce(transcribed('one', 0))
+      .mockResolvedValueOnce(transcribed('two', 5000))
+      .mockResolvedValueOnce(transcribed('other', 0));
+
+    const summary = await resumePendingChunks({ fetchImpl });
+
+    expect(summary).toEqual({ uploaded: 3, dropped: 0, sessionsBackfilled: 2, remaining: 0 });
+    expect(sessionRepository.backfillTranscript).toHaveBeenCalledWith('s1', [
+      expect.objectContaining({ text: 'one', startMs: 0 }),
+      expect.objectContaining({ text: 'two', startMs: 5000 }),
+    ]);
+    expect(analytics.removeQueuedTranscriptionChunk.mock.calls.map(([id]) => id).sort())
+      .toEqual(['s1:0', 's1:5000', 's2:0']);
+  });
+
+  it('stops uploading at the first retryable failure', async () => {
+    queue = [pending('s1', 0, { attempts: 2 }), pending('s1', 5000)];
+    const fetchImpl = jest.fn().mockResolvedValue(failure(503, 'provider_unavailable', true));
+
+    const summary = await resumePendingChunks({ fetchImpl });
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(analytics.updateQueuedTranscriptionChunk).toHaveBeenCalledWith('s1:0', { attempts: 3, lastError: 'provider_unavailable' });
+    expect(summary).toEqual({ uploaded: 0, dropped: 0, sessionsBackfilled: 0, remaining: 2 });
+  });
+
+  it('drops chunks the server refuses outright and carries on', async () => {
+    queue = [pending('s1', 0), pending('s1', 5000)];
+    const fetchImpl = jest.fn()
+      .mockResolvedValueOnce(failure(400, 'bad_audio_chunk', false))
+      .mockResolvedValueOnce(transcribed('two', 5000));
+
+    const summary = await resumePendingChunks({ fetchImpl });
+
+    expect(summary).toEqual({ uploaded: 1, dropped: 1, sessionsBackfilled: 1, remaining: 0 });
+    expect(analytics.removeQueuedTranscriptionChunk).toHaveBeenCalledWith('s1:0');
+  });
+
+  it('keeps transcribed chunks until their session can take them', async () => {
+    queue = [pending('s1', 0, { status: 'transcribed', blob: null, segments: [{ text: 'one', startMs: 0, isFinal: true }] })];
+    sessionRepository.backfillTranscript.mockResolvedValue(false);
+
+    const summary = await resumePendingChunks({ fetchImpl: jest.fn() });
+
+    expect(summary.sessionsBackfilled).toBe(0);
+    expect(analytics.removeQueuedTranscriptionChunk).not.toHaveBeenCalled();
+  });
+
+  it('drops chunks of a session that was never saved once they are a day old', async () => {
+    const twoDaysAgo = new Date(Date.now() - 2 * 86400000).toISOString();
+    queue = [
+      pending('unsaved', 0, { createdAt: twoDaysAgo }),
+      pending('unsaved', 5000, { createdAt: twoDaysAgo, status: 'transcribed', segments: [] }),
+      pending('saving', 0),
+      pending('s1', 0, { createdAt: twoDaysAgo }),
+    ];
+    sessionRepository.get.mockImplementation(sessionId => (sessionId === 's1' ? { sessionId } : null));
+    sessionRepository.backfillTranscript.mockImplementation(async sessionId => sessionId === 's1');
+    const fetchImpl = jest.fn()
+      .mockResolvedValueOnce(transcribed('soon saved', 0))
+      .mockResolvedValueOnce(transcribed('one', 0));
+
+    const summary = await resumePendingChunks({ fetchImpl });
+
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(analytics.removeQueuedTranscriptionChunk).toHaveBeenCalledWith('unsaved:0');
+    expect(analytics.removeQueuedTranscriptionChunk).toHaveBeenCalledWith('unsaved:5000');
+    expect(analytics.removeQueuedTranscriptionChunk).not.toHaveBeenCalledWith('saving:0');
+    expect(summary).toMatchObject({ uploaded: 2, dropped: 2 });
+  });
+
+  it('leaves sessions that are still recording to their provider', async () => {
+    queue = [pending('live', 0)];
+    const fetchImpl = jest.fn();
+    setSessionLive('live', true);
+
+    const summary = await resumePendingChunks({ fetchImpl });
+    setSessionLive('live', false);
+
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(summary.remaining).toBe(0);
+  });
+
+  it('waits while the browser is offline', async () => {
+    queue = [pending('s1', 0)];
+    const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+    const summary = await resumePendingChunks({ fetchImpl: jest.fn() });
+    onLine.mockRestore();
+
+    expect(summary).toEqual({ uploaded: 0, dropped: 0, sessionsBackfilled: 0, remaining: 0 });
+    expect(analytics.getQueuedTranscriptionChunks).not.toHaveBeenCalled();
+  });
+});
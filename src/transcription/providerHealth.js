@@ -0,0 +1,97 @@
+// How well each transcription provider has worked on this device, kept across
+// sessions in localStorage. The hybrid engine records one outcome per
+// provider run (a session, or the part of one before a switch) and ranks the
+// providers by these scores when the next session starts.
+//
+// Outcome: { at, started, restarts, errors, empty, latencyMs, transport? }
+//   started   — the provider reported it was listening
+//   empty     — it ran for emptyAfterMs or more without a single segment
+//   latencyMs — from starting the provider to its first segment (null if none)
+
+const HEALTH_KEY = 'nopause_transcription_health';
+const HEALTH_VERSION = 1;
+
+export const PROVIDER_HEALTH_DEFAULTS = {
+  window: 10,                 // outcomes kept per provider
+  recencyDecay: 0.8,          // weight of each older outcome relative to the next
+  priorWeight: 1,             // how many outcomes the prior counts as
+  priors: { browser: 0.8, server: 0.7 },
+  unsupportedBrowserPrior: 0.2,
+  browserPreference: 0.1,     // on-device STT wins close calls when the caller prefers it
+  emptyAfterMs: 15000,
+  slowFirstResultMs: 6000,
+};
+
+const PROVIDERS = ['browser', 'server'];
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+const emptyHealth = () => ({ version: HEALTH_VERSION, browser: [], server: [] });
+
+export function loadProviderHealth() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(HEALTH_KEY));
+    if (!stored || stored.version !== HEALTH_VERSION) return emptyHealth();
+    return {
+      version: HEALTH_VERSION,
+      browser: Array.isArray(stored.browser) ? stored.browser : [],
+      server: Array.isArray(stored.server) ? stored.server : [],
+    };
+  } catch {
+    return emptyHealth();
+  }
+}
+
+export function recordProviderOutcome(provider, outcome, { keep = PROVIDER_HEALTH_DEFAULTS.window } = {}) {
+  if (!PROVIDERS.includes(provider)) return;
+  const health = loadProviderHealth();
+  health[provider] = [...health[provider], { at: new Date().toISOString(), ...outcome }].slice(-keep);
+  try {
+    localStorage.setItem(HEALTH_KEY, JSON.stringify(health));
+  } catch {
+    // storage full or unavailable — selection falls back to the priors
+  }
+}
+
+// 0–1 for one run: a provider that never started scores 0
+export function scoreOutcome(outcome, settings = PROVIDER_HEALTH_DEFAULTS) {
+  if (!outcome.started) return 0;
+  let score = 1;
+  if (outcome.empty) score -= 0.5;
+  score -= Math.min(0.3, 0.1 * (outcome.restarts || 0));
+  score -= Math.min(0.3, 0.1 * (outcome.errors || 0));
+  if (outcome.latencyMs != null && outcome.latencyMs > settings.slowFirstResultMs) score -= 0.2;
+  return clamp01(score);
+}
+
+// Recency-weighted mean of the outcomes, pulled towards the prior while
+// there are only a few of them
+export function scoreProvider(outcomes = [], prior, settings = PROVIDER_HEALTH_DEFAULTS) {
+  let weighted = prior * settings.priorWeight;
+  let weights = settings.priorWeight;
+  let weight = 1;
+  for (let i = outcomes.length - 1; i >= 0; i -= 1) {
+    weighted += scoreOutcome(outcomes[i], settings) * weight;
+    weights += weight;
+    weight *= settings.recencyDecay;
+  }
+  return Math.round((weighted / weights) * 100) / 100;
+}
+
+// { browser, server } scores for this device. Browsers on the unsupported
+// list start from a low prior until they prove otherwise.
+export function getProviderScores({ unsupportedBrowser = false, health = loadProviderHealth(), settings = PROVIDER_HEALTH_DEFAULTS } = {}) {
+  const browserPrior = unsupportedBrowser ? settings.unsupportedBrowserPrior : settings.priors.browser;
+  return {
+    browser: scoreProvider(health.browser, browserPrior, settings),
+    server: scoreProvider(health.server, settings.priors.server, settings),
+  };
+}
+
+// Providers to try at the start of a session, best first; empty when
+// neither can run
+export function rankProviders({ browserUsable, serverAllowed, preferBrowser = true, scores }, settings = PROVIDER_HEALTH_DEFAULTS) {
+  const candidates = [];
+  if (browserUsable) candidates.push({ provider: 'browser', score: scores.browser + (preferBrowser ? settings.browserPreference : 0) });
+  if (serverAllowed) candidates.push({ provider: 'server', score: scores.server });
+  return candidates.sort((a, b) => b.score - a.score).map(c => c.provider);
+}
@@ -1,4 +1,7 @@
 import { TranscriptionProvider } from '@/transcription/transcriptionProvider';
+import {
+  uploadChunk, persistChunk, markChunkTranscribed, forgetChunk, setSessionLive, resumePendingChunks,
+} from '@/transcription/pendingChunks';
 
 const DEFAULT_ENDPOINT = '/api/transcription/chunk';
 const DEFAULT_TIMESLICE_MS = 4000;
@@ -40,11 +43,14 @@ export class ServerTranscriptionProvider extends TranscriptionProvider {
     this.stream = null;
     this.mediaRecorder = null;
     this.active = false;
-    this.uploading = false;
+    this.draining = null;
     this.queue = [];
+    this.deferred = [];
     this.sequence = 0;
     this.startedAtMs = null;
     this.lastChunkEndMs = 0;
+    this.sessionId = null;
+    this.handleOnline = () => this._retryDeferred();
   }
 
   _log(event, data = {}) {
@@ -57,65 +63,57 @@ export class ServerTranscriptionProvider extends TranscriptionProvider {
     }
   }
 
-  _normalizeSegments(payload) {
-    const segments = Array.isArray(payload?.segments) ? payload.segments : [];
-    return segments.map((seg, index) => ({
-      id: seg.id || `server-${this.sequence}-${index}`,
-      text: seg.text || '',
-      startMs: Number.isFinite(seg.start_ms) ? seg.start_ms : null,
-      endMs: Number.isFinite(seg.end_ms) ? seg.end_ms : null,
-      isFinal: seg.is_final !== false,
-      source: 'server',
-    }));
-  }
-
+  // Chunks are queued in IndexedDB before uploading (see pendingChunks.js).
+  // A chunk that still fails after the retries is kept there rather than
+  // dropped: this provider tries it again when the browser comes back online,
+  // and resumePendingChunks() picks up whatever is left after the session.
+  // Uploaded chunks stay queued with their segments until they've been
+  // merged into the saved session.
   async _uploadChunk(item) {
-    const formData = new FormData();
-    formData.append('audio', item.blob, `chunk-${item.sequence}.webm`);
-    formData.append('sequence', String(item.sequence));
-    formData.append('start_ms', String(item.startMs));
-    formData.append('end_ms', String(item.endMs));
-    formData.append('provider_hint', this.providerHint);
-    formData.append('session_id', item.sessionId);
-    formData.append('language', item.language || 'en-US');
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this._defer(item, 'offline');
+      return false;
+    }
 
     for (let attempt = 0; attempt <= this.maxUploadRetries; attempt += 1) {
       try {
-        const response = await this.fetchImpl(this.endpoint, {
-          method: 'POST',
-          body: formData,
-          headers: {
-            'x-transcription-provider': this.providerHint,
-          },
+        const { segments, provider, latencyMs } = await uploadChunk(item, {
+          endpoint: this.endpoint,
+          providerHint: this.providerHint,
+          fetchImpl: this.fetchImpl,
         });
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}`);
-        }
-
-        const data = await response.json();
-        const normalized = this._normalizeSegments(data);
-        normalized.forEach((segment) => {
+        segments.forEach((segment) => {
           if (this.callbacks.onSegment) this.callbacks.onSegment(segment);
         });
+        await item.persisted;
+        await markChunkTranscribed(item, segments);
         this._log('chunk_uploaded', {
           sequence: item.sequence,
           attempts: attempt + 1,
-          segments: normalized.length,
+          segments: segments.length,
+          serverProvider: provider,
+          latencyMs,
         });
         return true;
       } catch (error) {
-        const isLast = attempt === this.maxUploadRetries;
+        const isLast = attempt === this.maxUploadRetries || error.retryable === false;
         this._log('chunk_upload_failed', {
           sequence: item.sequence,
           attempt: attempt + 1,
           isLast,
+          code: error.code,
           error: String(error),
         });
-        if (isLast) {
+        if (isLast && error.retryable === false) {
+          await item.persisted;
+          await forgetChunk(item);
           this._emitError('server-upload-failed', `Failed uploading audio chunk ${item.sequence}`, true);
           return false;
         }
+        if (isLast) {
+          this._defer(item, error.code || 'upload-failed');
+          return false;
+        }
         await sleep((attempt + 1) * 400);
       }
     }
@@ -123,19 +121,37 @@ export class ServerTranscriptionProvider extends TranscriptionProvider {
     return false;
   }
 
-  async _drainQueue() {
-    if (this.uploading) return;
-    this.uploading = true;
+  _defer(item, reason) {
+    this.deferred.push(item);
+    this._log('chunk_deferred', { sequence: item.sequence, reason, deferred: this.deferred.length });
+  }
 
-    while (this.queue.length > 0) {
-      const item = this.queue.shift();
-      await this._uploadChunk(item);
-    }
+  _retryDeferred() {
+    if (this.deferred.length === 0) return;
+    this._log('deferred_chunks_retry', { count: this.deferred.length });
+    this.queue.push(...this.deferred);
+    this.deferred = [];
+    this._drainQueue();
+  }
 
-    this.uploading = false;
+  // Uploads one chunk at a time; callers share the running pass
+  _drainQueue() {
+    if (!this.draining) {
+      this.draining = (async () => {
+        while (this.queue.length > 0) {
+          const item = this.queue.shift();
+          await this._uploadChunk(item);
+        }
+      })().finally(() => {
+        this.draining = null;
+      });
+    }
+    return this.draining;
   }
 
-  async start({ stream = null, language = 'en-US', sessionId = `session-${Date.now()}` } = {}) {
+  // offsetMs: time already transcribed in this session (e.g. by a stream that
+  // broke), so chunk offsets carry on from there instead of restarting at 0
+  async start({ stream = null, language = 'en-US', sessionId = `session-${Date.now()}`, offsetMs = 0 } = {}) {
     if (typeof MediaRecorder === 'undefined') {
       this._emitError('media-recorder-unavailable', 'MediaRecorder is unavailable for server fallback', false);
       return false;
@@ -151,8 +167,12 @@ export class ServerTranscriptionProvider extends TranscriptionProvider {
       this.active = true;
       this.sequence = 0;
       this.queue = [];
-      this.startedAtMs = Date.now();
-      this.lastChunkEndMs = 0;
+      this.deferred = [];
+      this.sessionId = sessionId;
+      setSessionLive(sessionId, true);
+      window.addEventListener('online', this.handleOnline);
+      this.startedAtMs = Date.now() - offsetMs;
+      this.lastChunkEndMs = offsetMs;
 
       this.mediaRecorder.ondataavailable = (event) => {
         if (!event.data || event.data.size === 0) return;
@@ -165,6 +185,7 @@ export class ServerTranscriptionProvider extends TranscriptionProvider {
           sessionId,
           language,
         };
+        chunk.persisted = persistChunk(chunk, { endpoint: this.endpoint, providerHint: this.providerHint });
         this.lastChunkEndMs = nowElapsed;
         this.queue.push(chunk);
         this._drainQueue();
@@ -200,21 +221,36 @@ export class ServerTranscriptionProvider extends TranscriptionProvider {
     const recorder = this.mediaRecorder;
     this.mediaRecorder = null;
 
-    try {
-      if (recorder.state !== 'inactive') {
-        recorder.stop();
-      }
-    } catch (error) {
-      this._log('stop_failed', { error: String(error) });
+    // The last chunk arrives (ondataavailable) just before onstop
+    if (recorder.state !== 'inactive') {
+      await new Promise((resolve) => {
+        const handleStop = recorder.onstop;
+        recorder.onstop = (event) => {
+          if (handleStop) handleStop(event);
+          resolve();
+        };
+        try {
+          recorder.stop();
+        } catch (error) {
+          this._log('stop_failed', { error: String(error) });
+          resolve();
+        }
+      });
     }
 
-    // Give remaining uploads a chance to finish.
-    await this._drainQueue();
-
     if (this.stream) {
       this.stream.getTracks().forEach((track) => track.stop());
       this.stream = null;
     }
+
+    // Give remaining uploads a chance to finish; what's still deferred is
+    // resumed from IndexedDB once the session has been saved
+    await this._drainQueue();
+    window.removeEventListener('online', this.handleOnline);
+    if (this.deferred.length > 0) this._log('chunks_left_queued', { count: this.deferred.length });
+    this.deferred = [];
+    setSessionLive(this.sessionId, false);
+    resumePendingChunks();
     this.active = false;
   }
 
@@ -0,0 +1,293 @@
+import { TranscriptionProvider } from '@/transcription/transcriptionProvider';
+import { normalizeServerWords } from '@/transcription/wordTimeline';
+
+// Streams short MediaRecorder (Opus) frames over a WebSocket and receives
+// interim and final segments as the server recognises them — see the
+// "Streaming" section of TRANSCRIPTION_API_CONTRACT.md.
+
+const DEFAULT_STREAM_ENDPOINT = '/api/transcription/stream';
+const DEFAULT_FRAME_MS = 250;
+const DEFAULT_CONNECT_TIMEOUT_MS = 5000;
+const DEFAULT_END_TIMEOUT_MS = 1500;
+
+function pickMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  const candidates = [
+    'audio/webm;codecs=opus',
+    'audio/ogg;codecs=opus',
+    'audio/webm',
+    'audio/mp4',
+  ];
+  for (const type of candidates) {
+    if (MediaRecorder.isTypeSupported?.(type)) return type;
+  }
+  return '';
+}
+
+// Relative endpoints resolve against the page, on ws: or wss: to match it
+export function resolveStreamUrl(endpoint) {
+  if (/^wss?:\/\//.test(endpoint)) return endpoint;
+  const url = new URL(endpoint, window.location.href);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  return url.toString();
+}
+
+function parseMessage(event) {
+  if (typeof event.data !== 'string') return null;
+  try {
+    return JSON.parse(event.data);
+  } catch {
+    return null;
+  }
+}
+
+export class StreamingTranscriptionProvider extends TranscriptionProvider {
+  constructor(callbacks = {}, options = {}) {
+    super(callbacks);
+    this.callbacks = callbacks;
+    this.options = options;
+    this.endpoint = options.streamEndpoint || DEFAULT_STREAM_ENDPOINT;
+    this.providerHint = options.providerHint || 'auto';
+    this.frameMs = options.streamFrameMs || DEFAULT_FRAME_MS;
+    this.connectTimeoutMs = options.connectTimeoutMs || DEFAULT_CONNECT_TIMEOUT_MS;
+    this.WebSocketImpl = options.webSocketImpl || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+    this.audioConstraints = options.audioConstraints || {
+      echoCancellation: true,
+      noiseSuppression: true,
+      autoGainControl: true,
+    };
+
+    this.socket = null;
+    this.stream = null;
+    this.ownsStream = false;
+    this.mediaRecorder = null;
+    this.active = false;
+    this.stopping = false;
+    this.serverProvider = null;
+    this.endWaiter = null;
+    this.offsetMs = 0;
+  }
+
+  _log(event, data = {}) {
+    if (this.callbacks.onLog) this.callbacks.onLog(event, { provider: 'server-stream', ...data });
+  }
+
+  _emitError(code, message, recoverable = true) {
+    if (this.callbacks.onError) {
+      this.callbacks.onError({ code, message, recoverable });
+    }
+  }
+
+  // Resolves to the open socket once the server answers `ready`, or null
+  _connect(sessionId, language) {
+    return new Promise((resolve) => {
+      let socket;
+      try {
+        socket = new this.WebSocketImpl(resolveStreamUrl(this.endpoint));
+      } catch (error) {
+        this._log('stream_connect_failed', { reason: String(error) });
+        resolve(null);
+        return;
+      }
+
+      let settled = false;
+      const finish = (ok, reason) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (ok) {
+          resolve(socket);
+          return;
+        }
+        this._log('stream_connect_failed', { reason });
+        try {
+          socket.close();
+        } catch {
+          // already closed
+        }
+        resolve(null);
+      };
+      const timer = setTimeout(() => finish(false, 'timeout'), this.connectTimeoutMs);
+
+      socket.onopen = () => {
+        socket.send(JSON.stringify({
+          type: 'start',
+          session_id: sessionId,
+          language,
+          provider_hint: this.providerHint,
+        }));
+      };
+      socket.onmessage = (event) => {
+        const message = parseMessage(event);
+        if (message?.type === 'ready') {
+          this.serverProvider = message.provider || null;
+          finish(true);
+        } else if (message?.type === 'error') {
+          finish(false, message.error?.code || 'server-error');
+        }
+      };
+      socket.onerror = () => finish(false, 'socket-error');
+      socket.onclose = () => finish(false, 'closed');
+    });
+  }
+
+  _handleMessage(event) {
+    const message = parseMessage(event);
+    if (!message) return;
+
+    if (message.type === 'segment' && message.segment) {
+      const seg = message.segment;
+      // Stream times count from the stream's start; shift them onto the session clock
+      const shift = (ms) => (ms == null ? null : ms + this.offsetMs);
+      const words = normalizeServerWords(seg.words);
+      if (this.callbacks.onSegment) {
+        this.callbacks.onSegment({
+          id: seg.id || `stream-${Date.now()}`,
+          text: seg.text || '',
+          startMs: Number.isFinite(seg.start_ms) ? shift(seg.start_ms) : null,
+          endMs: Number.isFinite(seg.end_ms) ? shift(seg.end_ms) : null,
+          isFinal: seg.is_final !== false,
+          source: 'server',
+          confidence: Number.isFinite(seg.confidence) ? seg.confidence : null,
+          words: words && words.map((word) => ({ ...word, startMs: shift(word.startMs), endMs: shift(word.endMs) })),
+        });
+      }
+    } else if (message.type === 'error') {
+      this._log('stream_error', { code: message.error?.code });
+      this._emitError(message.error?.code || 'server-stream-error', message.error?.message || 'Transcription stream error', message.error?.retryable !== false);
+    } else if (message.type === 'end') {
+      this._resolveEnd();
+    }
+  }
+
+  _handleClose(event) {
+    this.socket = null;
+    this._resolveEnd();
+    if (this.stopping || !this.active) return;
+
+    // The server or network dropped us mid-session
+    this._log('stream_closed', { code: event?.code });
+    this._releaseAudio();
+    this.active = false;
+    this._emitError('stream-closed', 'Transcription stream closed unexpectedly', false);
+    if (this.callbacks.onEnd) this.callbacks.onEnd();
+  }
+
+  _resolveEnd() {
+    if (this.endWaiter) {
+      this.endWaiter();
+      this.endWaiter = null;
+    }
+  }
+
+  _releaseAudio() {
+    const recorder = this.mediaRecorder;
+    this.mediaRecorder = null;
+    if (recorder && recorder.state !== 'inactive') {
+      try {
+        recorder.stop();
+      } catch (error) {
+        this._log('stop_failed', { error: String(error) });
+      }
+    }
+    // A stream handed in by the caller is theirs to stop
+    if (this.stream && this.ownsStream) this.stream.getTracks().forEach((track) => track.stop());
+    this.stream = null;
+  }
+
+  // offsetMs: time already transcribed in this session by another provider
+  async start({ stream = null, language = 'en-US', sessionId = `session-${Date.now()}`, offsetMs = 0 } = {}) {
+    // Not an error for the user — the engine falls back to chunked uploads
+    if (typeof MediaRecorder === 'undefined' || !this.WebSocketImpl) {
+      this._log('streaming_unavailable', { mediaRecorder: typeof MediaRecorder !== 'undefined', webSocket: !!this.WebSocketImpl });
+      return false;
+    }
+
+    // Connect before touching the microphone so a failed stream leaves the
+    // caller free to fall back to chunked uploads with the same stream
+    const socket = await this._connect(sessionId, language);
+    if (!socket) return false;
+    this.socket = socket;
+    this.offsetMs = offsetMs;
+    socket.onmessage = (event) => this._handleMessage(event);
+    socket.onclose = (event) => this._handleClose(event);
+    socket.onerror = () => this._log('stream_socket_error');
+
+    try {
+      this.ownsStream = !stream;
+      this.stream = stream || await navigator.mediaDevices.getUserMedia({ audio: this.audioConstraints });
+      const mimeType = pickMimeType();
+      this.mediaRecorder = mimeType
+        ? new MediaRecorder(this.stream, { mimeType })
+        : new MediaRecorder(this.stream);
+
+      this.mediaRecorder.ondataavailable = (event) => {
+        if (!event.data || event.data.size === 0) return;
+        if (this.socket && this.socket.readyState === 1) this.socket.send(event.data);
+      };
+      this.mediaRecorder.onerror = (event) => {
+        this._emitError('media-recorder-error', event?.error?.message || 'MediaRecorder error', true);
+      };
+
+      this.active = true;
+      this.stopping = false;
+      this.mediaRecorder.start(this.frameMs);
+      this._log('stream_started', {
+        mimeType: this.mediaRecorder.mimeType,
+        frameMs: this.frameMs,
+        serverProvider: this.serverProvider,
+      });
+      if (this.callbacks.onStart) this.callbacks.onStart();
+      return true;
+    } catch (error) {
+      this._releaseAudio();
+      socket.close();
+      this.socket = null;
+      this._emitError(error?.name || 'server-stream-start-failed', error?.message || 'Failed to start streaming transcription', true);
+      return false;
+    }
+  }
+
+  async stop() {
+    this.stopping = true;
+    const recorder = this.mediaRecorder;
+
+    // Let the recorder flush its last frame before telling the server we're done
+    if (recorder && recorder.state !== 'inactive') {
+      await new Promise((resolve) => {
+        recorder.onstop = resolve;
+        try {
+          recorder.stop();
+        } catch (error) {
+          this._log('stop_failed', { error: String(error) });
+          resolve();
+        }
+      });
+    }
+    this._releaseAudio();
+
+    const socket = this.socket;
+    if (socket && socket.readyState === 1) {
+      // Wait for the final segments (`end`) before closing
+      let endTimer = null;
+      await Promise.race([
+        new Promise((resolve) => {
+          this.endWaiter = resolve;
+          socket.send(JSON.stringify({ type: 'stop' }));
+        }),
+        new Promise((resolve) => { endTimer = setTimeout(resolve, DEFAULT_END_TIMEOUT_MS); }),
+      ]);
+      clearTimeout(endTimer);
+      this.endWaiter = null;
+      socket.close();
+    }
+    this.socket = null;
+    const wasActive = this.active;
+    this.active = false;
+    if (wasActive && this.callbacks.onEnd) this.callbacks.onEnd();
+  }
+
+  isActive() {
+    return this.active;
+  }
+}
@@ -0,0 +1,45 @@
+import { StreamingTranscriptionProvider } from '@/transcription/streamingTranscriptionProvider';
+
+// An open socket whose server answers `stop` with `end` when `answer` is set
+function openSocket(provider, { answer = true } = {}) {
+  const socket = {
+    readyState: 1,
+    send: jest.fn((message) => {
+      if (answer && JSON.parse(message).type === 'stop') provider._resolveEnd();
+    }),
+    close: jest.fn(),
+  };
+  provider.socket = socket;
+  provider.active = true;
+  return socket;
+}
+
+describe('StreamingTranscriptionProvider.stop', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  it('closes as soon as the server ends, leaving no timer behind', async () => {
+    const onEnd = jest.fn();
+    const provider = new StreamingTranscriptionProvider({ onEnd });
+    const socket = openSocket(provider);
+
+    await provider.stop();
+
+    expect(socket.close).toHaveBeenCalled();
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(jest.getTimerCount()).toBe(0);
+  });
+
+  it('stops waiting for the server after the end timeout', async () => {
+    const provider = new StreamingTranscriptionProvider();
+    const socket = openSocket(provider, { answer: false });
+
+    const stopped = provider.stop();
+    await Promise.resolve();
+    jest.advanceTimersByTime(1500);
+    await stopped;
+
+    expect(socket.close).toHaveBeenCalled();
+    expect(provider.endWaiter).toBeNull();
+  });
+});
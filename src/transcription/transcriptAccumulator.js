@@ -12,6 +12,9 @@ function dedupeKey(segment) {
   return `${segment.source}|${start}|${end}|${text}`;
 }
 
+// Segments: { id, text, startMs, endMs, isFinal, source, confidence?, words? }
+// with words as [{ text, startMs, endMs, confidence }] when the provider has
+// word timings (see wordTimeline.js)
 export function createTranscriptAccumulator() {
   const finalSegments = [];
   const finalKeys = new Set();
@@ -24,9 +27,12 @@ export function createTranscriptAccumulator() {
       const key = dedupeKey(segment);
       if (finalKeys.has(key)) return false;
       finalKeys.add(key);
+      const { words, ...rest } = segment;
+      const spokenWords = (words || []).filter((word) => word?.text && word.text.trim());
       finalSegments.push({
-        ...segment,
+        ...rest,
         text: segment.text.trim(),
+        ...(spokenWords.length > 0 && { words: spokenWords }),
       });
       partialSegment = null;
       return true;
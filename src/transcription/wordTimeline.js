@@ -0,0 +1,127 @@
+// Word-level timing for transcripts.
+//
+// A segment may carry `words: [{ text, startMs, endMs, confidence }]`. Server
+// providers can return them with real per-word times (see
+// TRANSCRIPTION_API_CONTRACT.md); browser STT only gives a segment's text and
+// a rough window, so alignWordsToSpeech() places those words on the speaking
+// regions the analyzer heard and marks them `estimated`. buildWordTimeline()
+// flattens either kind into one time-ordered list that pauses can be looked
+// up in.
+
+// Browser windows start from the first interim result, which lags the speech
+const ALIGN_SLACK_MS = 1500;
+
+const finite = (value) => (Number.isFinite(value) ? value : null);
+
+export function splitWords(text) {
+  return (text || '').match(/\S+/g) || [];
+}
+
+// Contract words ({ text, start_ms, end_ms, confidence }) → segment words
+export function normalizeServerWords(words) {
+  if (!Array.isArray(words)) return null;
+  const normalized = words
+    .map((word) => ({
+      text: String(word?.text || '').trim(),
+      startMs: finite(word?.start_ms),
+      endMs: finite(word?.end_ms),
+      confidence: finite(word?.confidence),
+    }))
+    .filter((word) => word.text);
+  return normalized.length > 0 ? normalized : null;
+}
+
+// Speaking regions clipped to [from, to]
+function clipRegions(regions, from, to) {
+  return regions
+    .map((region) => ({ startMs: Math.max(region.startMs, from), endMs: Math.min(region.endMs, to) }))
+    .filter((region) => region.endMs > region.startMs);
+}
+
+// Spreads words over the speech in `spans`, longer words getting more time.
+// A word stays inside the span its midpoint falls in, so no word straddles a
+// pause.
+function placeWords(texts, spans, confidence) {
+  const total = spans.reduce((sum, span) => sum + (span.endMs - span.startMs), 0);
+  const weights = texts.map((text) => text.length + 1);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // Offset into the concatenated speech → { span, ms } on the session clock
+  const locate = (offset) => {
+    let rest = offset;
+    for (const span of spans) {
+      const length = span.endMs - span.startMs;
+      if (rest <= length) return { span, ms: span.startMs + rest };
+      rest -= length;
+    }
+    const last = spans[spans.length - 1];
+    return { span: last, ms: last.endMs };
+  };
+
+  let consumed = 0;
+  return texts.map((text, index) => {
+    const startOffset = (consumed / weightSum) * total;
+    consumed += weights[index];
+    const endOffset = (consumed / weightSum) * total;
+    const { span } = locate((startOffset + endOffset) / 2);
+    return {
+      text,
+      startMs: Math.round(Math.max(locate(startOffset).ms, span.startMs)),
+      endMs: Math.round(Math.min(locate(endOffset).ms, span.endMs)),
+      confidence,
+      estimated: true,
+    };
+  });
+}
+
+// Fills in `words` for segments that don't have them (browser STT). Each
+// segment's words go on the speech inside its window, widened back by
+// ALIGN_SLACK_MS but never before the previous segment's last word; with no
+// speech there, they're spread over the segment's own times. Segments without
+// times (sessions from before segments were timed) are left as they are.
+export function alignWordsToSpeech(segments = [], speakingRegions = []) {
+  const regions = (speakingRegions || [])
+    .filter((region) => Number.isFinite(region?.startMs) && Number.isFinite(region?.endMs) && region.endMs > region.startMs)
+    .sort((a, b) => a.startMs - b.startMs);
+
+  let cursor = 0;
+  return segments.map((segment) => {
+    if (segment.words?.length) {
+      const lastEnd = segment.words[segment.words.length - 1].endMs;
+      if (Number.isFinite(lastEnd)) cursor = Math.max(cursor, lastEnd);
+      return segment;
+    }
+
+    const texts = splitWords(segment.text);
+    if (texts.length === 0 || !Number.isFinite(segment.startMs) || !Number.isFinite(segment.endMs)) return segment;
+
+    const from = Math.max(segment.startMs - ALIGN_SLACK_MS, cursor);
+    const to = Math.max(segment.endMs, from);
+    const spoken = clipRegions(regions, from, to);
+    const fallback = [{ startMs: Math.max(segment.startMs, cursor), endMs: to }];
+    const words = placeWords(texts, spoken.length > 0 ? spoken : fallback, finite(segment.confidence));
+    cursor = words[words.length - 1].endMs;
+    return { ...segment, words };
+  });
+}
+
+// Every timed word of the transcript, in order: [{ text, startMs, endMs,
+// confidence, estimated?, segmentIndex }]
+export function buildWordTimeline(segments = []) {
+  return segments
+    .flatMap((segment, segmentIndex) => (segment.words || []).map((word) => ({ ...word, segmentIndex })))
+    .filter((word) => Number.isFinite(word.startMs))
+    .sort((a, b) => a.startMs - b.startMs);
+}
+
+// The word spoken into a pause ({ startOffset, duration }) and the one that
+// broke it — either may be null at the edges of the transcript
+export function wordsAroundPause(words, pause) {
+  let before = null;
+  let after = null;
+  for (const word of words) {
+    if (word.startMs < pause.startOffset) before = word;
+    else if (!after) after = word;
+  }
+  return { before, after };
+}
@@ -0,0 +1,63 @@
+import { LineChart, Line, ResponsiveContainer, XAxis, YAxis, Tooltip, CartesianGrid, ReferenceLine } from 'recharts';
+
+// Break the line across pauses instead of drawing a bridge through silence
+const withGaps = (contour, gapMs) => contour.flatMap((point, i) => {
+  const previous = contour[i - 1];
+  const row = { seconds: Math.round(point.t / 100) / 10, hz: point.hz };
+  return previous && point.t - previous.t > gapMs
+    ? [{ seconds: row.seconds, hz: null }, row]
+    : [row];
+});
+
+export const PitchContourChart = ({ contour, medianHz, height = 180 }) => {
+  const data = withGaps(contour || [], 600);
+
+  return (
+    <ResponsiveContainer width="100%" height={height}>
+      <LineChart data={data} margin={{ top: 5, right: 5, left: -20, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="rgba(255,255,255,0.06)" />
+        <XAxis
+          dataKey="seconds"
+          type="number"
+          domain={['dataMin', 'dataMax']}
+          axisLine={false}
+          tickLine={false}
+          tick={{ fill: '#7C859A', fontSize: 12, fontFamily: 'Nunito' }}
+          tickFormatter={(value) => `${Math.round(value)}s`}
+          dy={10}
+        />
+        <YAxis
+          domain={['dataMin - 20', 'dataMax + 20']}
+          axisLine={false}
+          tickLine={false}
+          tick={{ fill: '#7C859A', fontSize: 12, fontFamily: 'Nunito' }}
+          tickFormatter={(value) => Math.round(value)}
+        />
+        <Tooltip
+          contentStyle={{
+            backgroundColor: '#1B2238',
+            border: '1px solid rgba(255,255,255,0.06)',
+            borderRadius: '16px',
+            boxShadow: '0 12px 30px -18px rgba(0, 0, 0, 0.75)',
+            padding: '12px'
+          }}
+          itemStyle={{ fontSize: '12px', fontFamily: 'Nunito', padding: '2px 0', color: '#AAB2C5' }}
+          labelStyle={{ display: 'none' }}
+          formatter={(value) => [`${value} Hz`, 'Pitch']}
+          cursor={{ stroke: 'rgba(255,255,255,0.06)', strokeWidth: 1 }}
+        />
+        {medianHz != null && (
+          <ReferenceLine y={medianHz} stroke="rgba(255,255,255,0.2)" strokeDasharray="4 4" />
+        )}
+        <Line
+          type="monotone"
+          dataKey="hz"
+          stroke="#5A9BD9"
+          strokeWidth={3}
+          dot={false}
+          isAnimationActive={false}
+        />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+};
@@ -0,0 +1,34 @@
+import { cn } from '@/utils/cn';
+
+// One bar per flow score component: its subscore, the share of the score it
+// carries, and the points it contributed
+export const ScoreBreakdown = ({ breakdown, flowScore }) => (
+  <div data-testid="score-breakdown" className="space-y-4">
+    {breakdown.map((component) => (
+      <div key={component.key} data-testid={`score-component-${component.key}`}>
+        <div className="flex items-baseline justify-between gap-4 mb-1.5 font-sans text-sm">
+          <span className="text-foreground font-semibold">
+            {component.label}
+            <span className="text-[#7C859A] font-normal ml-2">{component.value}</span>
+          </span>
+          <span className="text-muted-foreground whitespace-nowrap">
+            {component.subscore}/100 × {Math.round(component.weight * 100)}% = <span className="text-foreground font-semibold">{component.points}</span>
+          </span>
+        </div>
+        <div className="h-2 rounded-full bg-surface-secondary overflow-hidden">
+          <div
+            className={cn(
+              'h-full rounded-full',
+              component.subscore >= 70 ? 'bg-sage-500' : component.subscore >= 40 ? 'bg-primary' : 'bg-ember-500'
+            )}
+            style={{ width: `${component.subscore}%` }}
+          />
+        </div>
+      </div>
+    ))}
+    <div className="flex justify-between pt-2 border-t border-border font-sans text-sm">
+      <span className="text-muted-foreground">Flow Score</span>
+      <span className="text-foreground font-semibold">{flowScore}</span>
+    </div>
+  </div>
+);
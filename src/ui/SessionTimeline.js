@@ -0,0 +1,98 @@
+import { useRef, useEffect } from 'react';
+import { cn } from '@/utils/cn';
+
+const SPEAKING_FILL = 'rgba(90, 125, 124, 0.22)';
+const WAVE_SPEAKING = '#6a9997';
+const WAVE_SILENT = 'rgba(124, 133, 154, 0.55)';
+
+// Waveform with speaking/silence regions; hesitations are clickable overlays.
+// Without peaks (recording unavailable) the regions alone are drawn.
+export const SessionTimeline = ({
+  peaks,
+  durationMs,
+  speakingRegions = [],
+  hesitations = [],
+  currentMs = 0,
+  activeIndex = null,
+  onSeek,
+  onSelectHesitation,
+}) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !durationMs) return;
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+
+    const draw = () => {
+      const w = canvas.offsetWidth;
+      const h = canvas.offsetHeight;
+      canvas.width = w * dpr;
+      canvas.height = h * dpr;
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, w, h);
+
+      const xOf = (ms) => (ms / durationMs) * w;
+      const isSpeakingAt = (ms) => speakingRegions.some(r => ms >= r.startMs && ms < r.endMs);
+
+      ctx.fillStyle = SPEAKING_FILL;
+      speakingRegions.forEach(r => {
+        ctx.fillRect(xOf(r.startMs), 0, Math.max(1, xOf(r.endMs) - xOf(r.startMs)), h);
+      });
+
+      if (!peaks || peaks.length === 0) return;
+      const barWidth = 2;
+      const gap = 1;
+      const barCount = Math.floor(w / (barWidth + gap));
+      const mid = h / 2;
+      for (let i = 0; i < barCount; i++) {
+        const peak = peaks[Math.floor((i / barCount) * peaks.length)] || 0;
+        const barHeight = Math.max(2, peak * (h - 16));
+        const x = i * (barWidth + gap);
+        ctx.fillStyle = isSpeakingAt((x / w) * durationMs) ? WAVE_SPEAKING : WAVE_SILENT;
+        ctx.fillRect(x, mid - barHeight / 2, barWidth, barHeight);
+      }
+    };
+
+    draw();
+    window.addEventListener('resize', draw);
+    return () => window.removeEventListener('resize', draw);
+  }, [peaks, durationMs, speakingRegions]);
+
+  const pct = (ms) => `${Math.max(0, Math.min(100, (ms / (durationMs || 1)) * 100))}%`;
+
+  const handleClick = (event) => {
+    if (!onSeek || !durationMs) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    onSeek(((event.clientX - rect.left) / rect.width) * durationMs);
+  };
+
+  return (
+    <div data-testid="session-timeline" className="relative w-full h-32 rounded-2xl bg-surface-card border border-border/80 overflow-hidden">
+      <canvas ref={canvasRef} onClick={handleClick} className="absolute inset-0 w-full h-full cursor-pointer" />
+
+      {hesitations.map((hesitation, index) => (
+        <button
+          key={`${hesitation.startOffset}-${index}`}
+          data-testid={`hesitation-marker-${index}`}
+          aria-label={`Hesitation ${index + 1}: ${(hesitation.duration / 1000).toFixed(1)} seconds`}
+          onClick={() => onSelectHesitation && onSelectHesitation(index)}
+          className={cn(
+            'absolute top-0 bottom-0 border-x btn-press',
+            'transition-colors duration-200',
+            activeIndex === index
+              ? 'bg-ember-500/40 border-ember-500'
+              : 'bg-ember-500/20 border-ember-500/50 hover:bg-ember-500/30'
+          )}
+          style={{ left: pct(hesitation.startOffset), width: `max(6px, ${pct(hesitation.duration)})` }}
+        />
+      ))}
+
+      <div
+        className="absolute top-0 bottom-0 w-0.5 bg-primary pointer-events-none shadow-[0_0_8px_rgba(230,140,106,0.65)]"
+        style={{ left: pct(currentMs) }}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,30 @@
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+// "You paused 2.4s after 'the main reason is'" — one row per hesitation, with
+// the kind of phrase it interrupted (phraseTypes: { [type]: { label } })
+export const StuckPoints = ({ points, phraseTypes }) => (
+  <ul data-testid="stuck-points" className="space-y-3">
+    {points.map((point, index) => (
+      <li
+        key={`${point.startOffset}-${index}`}
+        data-testid={`stuck-point-${index}`}
+        className="rounded-2xl bg-surface-elevated border border-border p-4 font-sans text-sm text-left"
+      >
+        <p className="text-foreground leading-relaxed">
+          You paused <span className="font-semibold text-ember-600">{formatSeconds(point.duration)}</span>
+          {point.before
+            ? <> after <span className="font-semibold">“{point.before}”</span></>
+            : ' before your first words'}
+        </p>
+        {point.after && (
+          <p className="text-[#AAB2C5] mt-1">then went on with “{point.after}”</p>
+        )}
+        {phraseTypes[point.phraseType] && (
+          <span className="inline-block mt-2 px-2 py-0.5 rounded-full bg-surface-interactive border border-border text-xs text-muted-foreground">
+            {phraseTypes[point.phraseType].label}
+          </span>
+        )}
+      </li>
+    ))}
+  </ul>
+);
@@ -0,0 +1,133 @@
+// Minimal ZIP archives — stored entries only (no compression)
+// Enough for backups: audio is already compressed and the JSON is small.
+// readZip only understands archives written this way.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+const toBytes = async (data) => {
+  if (data instanceof Uint8Array) return data;
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  return new Uint8Array(await data.arrayBuffer());
+};
+
+// MS-DOS date/time fields
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// files: [{ name, data: string | Uint8Array | Blob }] → Blob
+export async function createZip(files, { mimeType = 'application/zip' } = {}) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = await toBytes(file.data);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);      // names are UTF-8
+    local.setUint16(8, 0, true);           // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: mimeType });
+}
+
+// Blob | ArrayBuffer → Map<name, Uint8Array>. Throws on anything that isn't
+// a stored-entry ZIP or whose contents don't match their checksums.
+export async function readZip(source) {
+  const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  let endOffset = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) throw new Error('Not a ZIP archive');
+
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  const files = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== 0x02014b50) throw new Error('Corrupt ZIP directory');
+    const method = view.getUint16(pointer + 10, true);
+    const crc = view.getUint32(pointer + 16, true);
+    const size = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const name = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+    if (method !== 0) throw new Error(`Compressed ZIP entries aren't supported (${name})`);
+
+    const dataStart = localOffset + 30
+      + view.getUint16(localOffset + 26, true)
+      + view.getUint16(localOffset + 28, true);
+    const data = bytes.slice(dataStart, dataStart + size);
+    if (crc32(data) !== crc) throw new Error(`Checksum mismatch in ${name}`);
+    files.set(name, data);
+
+    pointer += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
@@ -0,0 +1,43 @@
+/**
+ * @jest-environment node
+ */
+// jsdom's Blob has no arrayBuffer(); Node's does, but jest doesn't expose it
+import { Blob } from 'buffer';
+import { createZip, readZip } from '@/utils/zip';
+
+global.Blob = Blob;
+
+const text = (bytes) => new TextDecoder().decode(bytes);
+
+describe('createZip / readZip', () => {
+  it('round-trips text, bytes and blobs', async () => {
+    const audio = new Uint8Array([0, 1, 2, 250, 255]);
+    const zip = await createZip([
+      { name: 'backup.json', data: '{"sessions":[]}' },
+      { name: 'recordings/é.webm', data: new Blob([audio]) },
+      { name: 'empty.txt', data: '' },
+    ]);
+    const files = await readZip(zip);
+
+    expect([...files.keys()]).toEqual(['backup.json', 'recordings/é.webm', 'empty.txt']);
+    expect(text(files.get('backup.json'))).toBe('{"sessions":[]}');
+    expect(files.get('recordings/é.webm')).toEqual(audio);
+    expect(files.get('empty.txt').length).toBe(0);
+  });
+
+  it('writes the standard CRC-32', async () => {
+    const buffer = await (await createZip([{ name: 'a.txt', data: '123456789' }])).arrayBuffer();
+    // check value for "123456789"
+    expect(new DataView(buffer).getUint32(14, true)).toBe(0xCBF43926);
+  });
+
+  it('rejects an entry whose contents no longer match the checksum', async () => {
+    const buffer = await (await createZip([{ name: 'a.txt', data: 'hello' }])).arrayBuffer();
+    new Uint8Array(buffer)[30 + 'a.txt'.length] ^= 0xFF;
+    await expect(readZip(buffer)).rejects.toThrow('Checksum mismatch in a.txt');
+  });
+
+  it('rejects files that are not ZIP archives', async () => {
+    await expect(readZip(new Blob(['{"format":"nopause-backup"}']))).rejects.toThrow('Not a ZIP archive');
+  });
+});